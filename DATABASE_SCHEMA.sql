@@ -456,4 +456,1369 @@ ALTER TABLE quiz_attempts ADD COLUMN IF NOT EXISTS answers_data JSONB;
 -- Update the column to be NOT NULL (after adding it as nullable first)
 -- We'll set a default empty JSON object for any existing records
 UPDATE quiz_attempts SET answers_data = '{}' WHERE answers_data IS NULL;
-ALTER TABLE quiz_attempts ALTER COLUMN answers_data SET NOT NULL;
\ No newline at end of file
+ALTER TABLE quiz_attempts ALTER COLUMN answers_data SET NOT NULL;
+-- Migration: Add refresh_tokens table for rotating refresh tokens
+-- Login issues a long-lived refresh token per device; only its SHA-256 hash is stored.
+-- Every token of a login shares a family_id so a replayed token can revoke the whole chain.
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL,
+    device_id VARCHAR(255),
+    device_name VARCHAR(255),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    replaced_by UUID REFERENCES refresh_tokens(token_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_device ON refresh_tokens(user_id, device_id);
+
+-- Migration: Add access token revocation
+-- revoked_tokens is a jti denylist filled on logout; rows can be dropped once expires_at has passed.
+-- users.tokens_valid_after rejects every access token issued before it ("log out all devices").
+-- Date: 2026-10
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    reason VARCHAR(50),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+
+-- Migration: Add password_reset_tokens table for self-service password resets
+-- Tokens are stored hashed, expire after a short window and are single use (used_at).
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    reset_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- Migration: Force password change for accounts created with temporary credentials
+-- Logins with must_change_password only receive a token scoped to /api/auth/change-password.
+-- Date: 2026-10
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false;
+
+-- Migration: Track failed logins for progressive delays and temporary lockout
+-- Date: 2026-10
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Migration: TOTP two-factor authentication (mandatory for ADMIN)
+-- mfa_secret is encrypted at rest; mfa_last_used_step blocks replay of a code within its time window.
+-- Recovery codes are stored hashed and are single use.
+-- Date: 2026-10
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    code_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) UNIQUE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+
+-- Migration: Track a session per login for device management
+-- A session shares its ID with the family_id of the refresh tokens issued for it.
+-- users.max_devices caps concurrent sessions (NULL = MAX_DEVICES_PER_ACCOUNT default).
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    device_id VARCHAR(255),
+    device_name VARCHAR(255),
+    platform VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS max_devices INTEGER;
+
+-- Migration: Permission model mapped to roles
+-- Routes check permissions (requirePermission) instead of role names. ADMIN holds every permission;
+-- the new SUPPORT role gets read access plus mentorship and purchase handling.
+-- Date: 2026-10
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('STUDENT', 'SUPPORT', 'ADMIN', 'GUEST'));
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_check;
+ALTER TABLE users ADD CONSTRAINT users_check CHECK (
+    (role = 'GUEST' AND password_hash IS NULL AND salt IS NULL) OR
+    (role IN ('STUDENT', 'SUPPORT', 'ADMIN') AND password_hash IS NOT NULL AND salt IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    permission_key VARCHAR(100) PRIMARY KEY,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(20) NOT NULL,
+    permission_key VARCHAR(100) NOT NULL REFERENCES permissions(permission_key) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (role, permission_key)
+);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('users:read', 'View any user account'),
+    ('users:write', 'Create and update user accounts'),
+    ('users:delete', 'Delete user accounts'),
+    ('users:sessions', 'View and end user sessions, unlock accounts, set device limits'),
+    ('roles:assign', 'Change the role of a user'),
+    ('courses:write', 'Create and edit courses, categories, chapters, quizzes and assignments'),
+    ('courses:delete', 'Delete courses, categories, chapters, quizzes and assignments'),
+    ('uploads:write', 'Upload videos and course files'),
+    ('uploads:image', 'Upload images'),
+    ('uploads:delete', 'Delete uploaded files'),
+    ('uploads:read', 'View upload statistics'),
+    ('enrollments:read', 'View all enrollments'),
+    ('enrollments:write', 'Approve or reject enrollments'),
+    ('enrollments:delete', 'Delete enrollments'),
+    ('mentorship:read', 'View mentorship requests, slots and guest bookings'),
+    ('mentorship:write', 'Approve, reject and update mentorship requests and guest bookings'),
+    ('mentorship:delete', 'Delete mentorship requests and guest bookings'),
+    ('purchases:read', 'View guest course purchases and their statistics'),
+    ('purchases:write', 'Resend credentials for guest course purchases'),
+    ('purchases:delete', 'Delete guest course purchases'),
+    ('payments:read', 'View payment statistics and revenue'),
+    ('instructors:write', 'Create and update instructors'),
+    ('instructors:delete', 'Delete instructors'),
+    ('submissions:read', 'View all assignment submissions'),
+    ('submissions:grade', 'Grade assignment submissions'),
+    ('dashboard:read', 'View the admin dashboard'),
+    ('series:unlock', 'Run and inspect series unlocks')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key)
+SELECT 'ADMIN', permission_key FROM permissions
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('SUPPORT', 'users:read'),
+    ('SUPPORT', 'users:sessions'),
+    ('SUPPORT', 'enrollments:read'),
+    ('SUPPORT', 'mentorship:read'),
+    ('SUPPORT', 'mentorship:write'),
+    ('SUPPORT', 'purchases:read'),
+    ('SUPPORT', 'purchases:write'),
+    ('SUPPORT', 'submissions:read'),
+    ('SUPPORT', 'dashboard:read'),
+    ('SUPPORT', 'uploads:image'),
+    ('STUDENT', 'uploads:image')
+ON CONFLICT DO NOTHING;
+
+-- Migration: INSTRUCTOR role scoped to the instructor's own courses
+-- An instructor signs in with the user account linked through instructors.user_id and may only edit
+-- their own courses, grade their own assignments and manage their own mentorship slots.
+-- Date: 2026-10
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('STUDENT', 'INSTRUCTOR', 'SUPPORT', 'ADMIN', 'GUEST'));
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_check;
+ALTER TABLE users ADD CONSTRAINT users_check CHECK (
+    (role = 'GUEST' AND password_hash IS NULL AND salt IS NULL) OR
+    (role IN ('STUDENT', 'INSTRUCTOR', 'SUPPORT', 'ADMIN') AND password_hash IS NOT NULL AND salt IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_instructors_user_id ON instructors(user_id) WHERE user_id IS NOT NULL;
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('courses:write_own', 'Edit own courses and their chapters, quizzes and assignments'),
+    ('submissions:grade_own', 'View and grade submissions for assignments in own courses'),
+    ('mentorship:slots_own', 'Create, update and delete own mentorship slots')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key)
+SELECT 'ADMIN', permission_key FROM permissions
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('INSTRUCTOR', 'courses:write_own'),
+    ('INSTRUCTOR', 'submissions:grade_own'),
+    ('INSTRUCTOR', 'mentorship:slots_own'),
+    ('INSTRUCTOR', 'uploads:write'),
+    ('INSTRUCTOR', 'uploads:image')
+ON CONFLICT DO NOTHING;
+
+-- Migration: Admin impersonation audit trail
+-- Admins can view the app as a student through a read-only, time-boxed token. Every impersonation and
+-- every request made with its token is recorded.
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+    impersonation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    target_user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    reason TEXT,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    ended_by UUID REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin ON impersonation_sessions(admin_user_id);
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_target ON impersonation_sessions(target_user_id);
+
+CREATE TABLE IF NOT EXISTS impersonation_requests (
+    request_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    impersonation_id UUID NOT NULL REFERENCES impersonation_sessions(impersonation_id) ON DELETE CASCADE,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    status_code INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_requests_impersonation ON impersonation_requests(impersonation_id);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('users:impersonate', 'View the app as a student through a read-only impersonation token')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('ADMIN', 'users:impersonate')
+ON CONFLICT DO NOTHING;
+
+-- Migration: Email verification and magic-link sign in
+-- verified_at records when a user proved they own their email. email_tokens holds hashed, single-use
+-- verification and sign-in tokens. A guest who signs in with a magic link becomes a STUDENT without a
+-- password until they set one through the password reset flow.
+-- Date: 2026-10
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_check;
+ALTER TABLE users ADD CONSTRAINT users_check CHECK (
+    (role = 'GUEST' AND password_hash IS NULL AND salt IS NULL) OR
+    (role IN ('STUDENT', 'INSTRUCTOR', 'SUPPORT', 'ADMIN') AND password_hash IS NOT NULL AND salt IS NOT NULL) OR
+    (role = 'STUDENT' AND password_hash IS NULL AND salt IS NULL AND verified_at IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS email_tokens (
+    token_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('VERIFY_EMAIL', 'MAGIC_LINK')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_tokens_user_id ON email_tokens(user_id, purpose);
+
+-- Migration: Personal data export and erasure
+-- Erased accounts are anonymized in place (payments cascade on user deletion) and marked with erased_at.
+-- data_erasures records who requested each erasure and what was removed.
+-- Date: 2026-10
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS data_erasures (
+    erasure_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    requested_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    reason TEXT,
+    summary JSONB,
+    erased_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_erasures_user_id ON data_erasures(user_id);
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('users:privacy', 'Export and erase the personal data of any user')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('ADMIN', 'users:privacy')
+ON CONFLICT DO NOTHING;
+
+-- Migration: Course catalog search, filters and sorting
+-- search_vector backs full-text search over title and description. enrollment_count is the number of
+-- approved enrollments, kept current by a trigger, and backs the "popular" sort.
+-- Date: 2026-10
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, ''))) STORED;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS enrollment_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_courses_search_vector ON courses USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_courses_created_at ON courses(created_at DESC, course_id DESC);
+CREATE INDEX IF NOT EXISTS idx_courses_price ON courses(price, course_id);
+CREATE INDEX IF NOT EXISTS idx_courses_enrollment_count ON courses(enrollment_count DESC, course_id DESC);
+CREATE INDEX IF NOT EXISTS idx_courses_category_id ON courses(category_id);
+CREATE INDEX IF NOT EXISTS idx_courses_instructor_id ON courses(instructor_id);
+CREATE INDEX IF NOT EXISTS idx_courses_video_series ON courses(video_series);
+
+CREATE OR REPLACE FUNCTION refresh_course_enrollment_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE courses
+        SET enrollment_count = (SELECT COUNT(*) FROM enrollments WHERE course_id = OLD.course_id AND status = 'APPROVED')
+        WHERE course_id = OLD.course_id;
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE courses
+        SET enrollment_count = (SELECT COUNT(*) FROM enrollments WHERE course_id = NEW.course_id AND status = 'APPROVED')
+        WHERE course_id = NEW.course_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS refresh_course_enrollment_count ON enrollments;
+CREATE TRIGGER refresh_course_enrollment_count AFTER INSERT OR UPDATE OF status, course_id OR DELETE ON enrollments
+    FOR EACH ROW EXECUTE FUNCTION refresh_course_enrollment_count();
+
+UPDATE courses c
+SET enrollment_count = (SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.course_id AND e.status = 'APPROVED');
+
+-- Migration: Course drafts and revision history
+-- Course content is edited in a DRAFT revision holding a JSON snapshot of the course, its chapters and
+-- their media. publish_course_revision applies a draft to the live tables in one transaction and numbers
+-- it; published revisions form the history that rollbacks copy from. At most one draft per course.
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS course_revisions (
+    revision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    course_id UUID NOT NULL REFERENCES courses(course_id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'PUBLISHED', 'DISCARDED')),
+    revision_number INTEGER,
+    snapshot JSONB NOT NULL,
+    rolled_back_from UUID REFERENCES course_revisions(revision_id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    published_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(course_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_revisions_course_id ON course_revisions(course_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_course_revisions_open_draft ON course_revisions(course_id) WHERE status = 'DRAFT';
+
+CREATE TRIGGER update_course_revisions_updated_at BEFORE UPDATE ON course_revisions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION publish_course_revision(p_revision_id UUID, p_published_by UUID)
+RETURNS SETOF course_revisions AS $$
+DECLARE
+    v_revision course_revisions;
+    v_course JSONB;
+    v_chapter JSONB;
+    v_media JSONB;
+    v_chapter_id UUID;
+BEGIN
+    SELECT * INTO v_revision FROM course_revisions WHERE revision_id = p_revision_id FOR UPDATE;
+    IF NOT FOUND OR v_revision.status <> 'DRAFT' THEN
+        RAISE EXCEPTION 'Revision % is not an open draft', p_revision_id USING ERRCODE = 'P0002';
+    END IF;
+
+    v_course := v_revision.snapshot->'course';
+    UPDATE courses SET
+        title = v_course->>'title',
+        description = v_course->>'description',
+        thumbnail_url = v_course->>'thumbnail_url',
+        intro_video_url = v_course->>'intro_video_url',
+        price = COALESCE((v_course->>'price')::DECIMAL, 0),
+        category_id = (v_course->>'category_id')::UUID,
+        instructor_id = (v_course->>'instructor_id')::UUID,
+        duration_hours = COALESCE((v_course->>'duration_hours')::INTEGER, 0),
+        level = COALESCE(v_course->>'level', 'BEGINNER'),
+        video_series = v_course->>'video_series',
+        video_part = COALESCE((v_course->>'video_part')::INTEGER, 1),
+        is_published = true
+    WHERE course_id = v_revision.course_id;
+
+    DELETE FROM chapters
+    WHERE course_id = v_revision.course_id
+      AND chapter_id NOT IN (
+          SELECT (c->>'chapter_id')::UUID FROM jsonb_array_elements(v_revision.snapshot->'chapters') c
+      );
+
+    -- Move kept rows out of the way so the new order cannot collide with the order_index unique constraints
+    UPDATE chapters SET order_index = -order_index - 1 WHERE course_id = v_revision.course_id;
+    UPDATE chapter_media SET order_index = -order_index - 1
+    WHERE chapter_id IN (SELECT chapter_id FROM chapters WHERE course_id = v_revision.course_id);
+
+    FOR v_chapter IN SELECT * FROM jsonb_array_elements(v_revision.snapshot->'chapters') LOOP
+        v_chapter_id := (v_chapter->>'chapter_id')::UUID;
+
+        INSERT INTO chapters (chapter_id, course_id, title, description, order_index, is_unlocked_by_default)
+        VALUES (
+            v_chapter_id,
+            v_revision.course_id,
+            v_chapter->>'title',
+            v_chapter->>'description',
+            (v_chapter->>'order_index')::INTEGER,
+            COALESCE((v_chapter->>'is_unlocked_by_default')::BOOLEAN, true)
+        )
+        ON CONFLICT (chapter_id) DO UPDATE SET
+            title = EXCLUDED.title,
+            description = EXCLUDED.description,
+            order_index = EXCLUDED.order_index,
+            is_unlocked_by_default = EXCLUDED.is_unlocked_by_default
+        WHERE chapters.course_id = EXCLUDED.course_id;
+
+        DELETE FROM chapter_media
+        WHERE chapter_id = v_chapter_id
+          AND media_id NOT IN (
+              SELECT (m->>'media_id')::UUID FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) m
+          );
+
+        FOR v_media IN SELECT * FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) LOOP
+            INSERT INTO chapter_media (media_id, chapter_id, media_type, cloudinary_url, file_name, description, order_index)
+            VALUES (
+                (v_media->>'media_id')::UUID,
+                v_chapter_id,
+                v_media->>'media_type',
+                v_media->>'cloudinary_url',
+                v_media->>'file_name',
+                v_media->>'description',
+                (v_media->>'order_index')::INTEGER
+            )
+            ON CONFLICT (media_id) DO UPDATE SET
+                media_type = EXCLUDED.media_type,
+                cloudinary_url = EXCLUDED.cloudinary_url,
+                file_name = EXCLUDED.file_name,
+                description = EXCLUDED.description,
+                order_index = EXCLUDED.order_index
+            WHERE chapter_media.chapter_id = EXCLUDED.chapter_id;
+        END LOOP;
+    END LOOP;
+
+    RETURN QUERY
+    UPDATE course_revisions SET
+        status = 'PUBLISHED',
+        published_by = p_published_by,
+        published_at = NOW(),
+        revision_number = (
+            SELECT COALESCE(MAX(revision_number), 0) + 1 FROM course_revisions WHERE course_id = v_revision.course_id
+        )
+    WHERE revision_id = p_revision_id
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('courses:publish', 'Publish course drafts and roll courses back to earlier revisions')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('ADMIN', 'courses:publish')
+ON CONFLICT DO NOTHING;
+
+-- Migration: Scheduled publishing of courses
+-- publish_at / unpublish_at open and close a course's live window. Listings honour them directly; the
+-- course scheduler flips is_published at those times, clearing the timestamp it acted on.
+-- Date: 2026-10
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE courses DROP CONSTRAINT IF EXISTS courses_publish_window_check;
+ALTER TABLE courses ADD CONSTRAINT courses_publish_window_check CHECK (
+    publish_at IS NULL OR unpublish_at IS NULL OR unpublish_at > publish_at
+);
+
+CREATE INDEX IF NOT EXISTS idx_courses_publish_at ON courses(publish_at) WHERE publish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_courses_unpublish_at ON courses(unpublish_at) WHERE unpublish_at IS NOT NULL;
+
+-- Migration: Course prerequisites
+-- A course may require other courses to be completed first, optionally with a minimum best score on every
+-- quiz of the required course. BLOCK prerequisites stop enrollment and checkout, WARN ones are only reported.
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS course_prerequisites (
+    course_id UUID NOT NULL REFERENCES courses(course_id) ON DELETE CASCADE,
+    prerequisite_course_id UUID NOT NULL REFERENCES courses(course_id) ON DELETE CASCADE,
+    min_quiz_score DECIMAL(5, 2) CHECK (min_quiz_score >= 0 AND min_quiz_score <= 100),
+    enforcement VARCHAR(10) NOT NULL DEFAULT 'BLOCK' CHECK (enforcement IN ('WARN', 'BLOCK')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (course_id, prerequisite_course_id),
+    CHECK (course_id <> prerequisite_course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_prerequisites_prerequisite ON course_prerequisites(prerequisite_course_id);
+
+-- Migration: Course bundles
+-- A bundle is a named set of courses sold at its own price. A bundle purchase is a guest_course_purchases
+-- row with bundle_id and no course_id; once paid, each member course gets a zero-priced PAID purchase
+-- that also carries the bundle_id.
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS course_bundles (
+    bundle_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+    thumbnail_url TEXT,
+    is_published BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bundle_courses (
+    bundle_id UUID NOT NULL REFERENCES course_bundles(bundle_id) ON DELETE CASCADE,
+    course_id UUID NOT NULL REFERENCES courses(course_id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (bundle_id, course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bundle_courses_course_id ON bundle_courses(course_id);
+
+DROP TRIGGER IF EXISTS update_course_bundles_updated_at ON course_bundles;
+CREATE TRIGGER update_course_bundles_updated_at BEFORE UPDATE ON course_bundles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Bundles that were bought are unpublished rather than deleted, so purchases always know what was sold
+ALTER TABLE guest_course_purchases ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES course_bundles(bundle_id);
+ALTER TABLE guest_course_purchases ALTER COLUMN course_id DROP NOT NULL;
+
+ALTER TABLE guest_course_purchases DROP CONSTRAINT IF EXISTS guest_course_purchases_item_check;
+ALTER TABLE guest_course_purchases ADD CONSTRAINT guest_course_purchases_item_check CHECK (
+    course_id IS NOT NULL OR bundle_id IS NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_course_purchases_bundle_id ON guest_course_purchases(bundle_id) WHERE bundle_id IS NOT NULL;
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('bundles:write', 'Create, edit and delete course bundles')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('ADMIN', 'bundles:write')
+ON CONFLICT DO NOTHING;
+
+-- Migration: Coupons and promo codes
+-- Coupons take a percentage or a fixed amount off a course payment, guest course/bundle purchase or guest
+-- booking. A coupon with course_id only applies to that course. Payment intents reserve a PENDING
+-- redemption (reserve_coupon_redemption checks the limits with the coupon row locked); it becomes REDEEMED
+-- when the payment completes and RELEASED when the order fails or is repriced.
+-- Date: 2026-10
+
+CREATE TABLE IF NOT EXISTS coupons (
+    coupon_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('PERCENT', 'FIXED')),
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+    course_id UUID REFERENCES courses(course_id) ON DELETE CASCADE,
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    max_redemptions_per_customer INTEGER CHECK (max_redemptions_per_customer > 0),
+    valid_from TIMESTAMP WITH TIME ZONE,
+    valid_until TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (discount_type <> 'PERCENT' OR discount_value <= 100),
+    CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_until > valid_from)
+);
+
+DROP TRIGGER IF EXISTS update_coupons_updated_at ON coupons;
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    redemption_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    coupon_id UUID NOT NULL REFERENCES coupons(coupon_id) ON DELETE CASCADE,
+    customer_email VARCHAR(255) NOT NULL,
+    user_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    order_type VARCHAR(30) NOT NULL CHECK (order_type IN ('COURSE_PAYMENT', 'GUEST_COURSE_PURCHASE', 'GUEST_BOOKING')),
+    payment_id UUID REFERENCES payments(payment_id) ON DELETE SET NULL,
+    purchase_id UUID REFERENCES guest_course_purchases(purchase_id) ON DELETE SET NULL,
+    guest_booking_id UUID REFERENCES guest_bookings(guest_booking_id) ON DELETE SET NULL,
+    original_amount DECIMAL(10, 2) NOT NULL,
+    discount_amount DECIMAL(10, 2) NOT NULL,
+    final_amount DECIMAL(10, 2) NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'REDEEMED', 'RELEASED')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    redeemed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, status);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_customer ON coupon_redemptions(coupon_id, customer_email);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_payment ON coupon_redemptions(payment_id) WHERE payment_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_purchase ON coupon_redemptions(purchase_id) WHERE purchase_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_booking ON coupon_redemptions(guest_booking_id) WHERE guest_booking_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_redeemed_at ON coupon_redemptions(redeemed_at) WHERE status = 'REDEEMED';
+
+-- Orders keep the amount due in their price column and the discount next to it
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(coupon_id) ON DELETE SET NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE guest_course_purchases ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(coupon_id) ON DELETE SET NULL;
+ALTER TABLE guest_course_purchases ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE guest_bookings ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(coupon_id) ON DELETE SET NULL;
+ALTER TABLE guest_bookings ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- A 100% coupon leaves nothing to pay
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_amount_check;
+ALTER TABLE payments ADD CONSTRAINT payments_amount_check CHECK (amount >= 0);
+
+CREATE OR REPLACE FUNCTION reserve_coupon_redemption(
+    p_coupon_id UUID,
+    p_customer_email VARCHAR,
+    p_user_id UUID,
+    p_order_type VARCHAR,
+    p_order_id UUID,
+    p_original_amount DECIMAL,
+    p_discount_amount DECIMAL,
+    p_final_amount DECIMAL
+)
+RETURNS SETOF coupon_redemptions AS $$
+DECLARE
+    v_coupon coupons;
+    v_used INTEGER;
+BEGIN
+    SELECT * INTO v_coupon FROM coupons WHERE coupon_id = p_coupon_id FOR UPDATE;
+
+    IF v_coupon.max_redemptions IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used FROM coupon_redemptions
+        WHERE coupon_id = p_coupon_id AND status IN ('PENDING', 'REDEEMED');
+
+        IF v_used >= v_coupon.max_redemptions THEN
+            RAISE EXCEPTION 'Coupon % has been used up', v_coupon.code
+                USING ERRCODE = 'P0001', HINT = 'COUPON_USAGE_LIMIT_REACHED';
+        END IF;
+    END IF;
+
+    IF v_coupon.max_redemptions_per_customer IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_used FROM coupon_redemptions
+        WHERE coupon_id = p_coupon_id AND customer_email = p_customer_email AND status IN ('PENDING', 'REDEEMED');
+
+        IF v_used >= v_coupon.max_redemptions_per_customer THEN
+            RAISE EXCEPTION 'Coupon % was already used by %', v_coupon.code, p_customer_email
+                USING ERRCODE = 'P0001', HINT = 'COUPON_CUSTOMER_LIMIT_REACHED';
+        END IF;
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO coupon_redemptions (
+        coupon_id, customer_email, user_id, order_type, payment_id, purchase_id, guest_booking_id,
+        original_amount, discount_amount, final_amount
+    ) VALUES (
+        p_coupon_id,
+        p_customer_email,
+        p_user_id,
+        p_order_type,
+        CASE WHEN p_order_type = 'COURSE_PAYMENT' THEN p_order_id END,
+        CASE WHEN p_order_type = 'GUEST_COURSE_PURCHASE' THEN p_order_id END,
+        CASE WHEN p_order_type = 'GUEST_BOOKING' THEN p_order_id END,
+        p_original_amount,
+        p_discount_amount,
+        p_final_amount
+    )
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('coupons:read', 'View coupons and their redemptions'),
+    ('coupons:write', 'Create, edit and delete coupons')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('ADMIN', 'coupons:read'),
+    ('ADMIN', 'coupons:write')
+ON CONFLICT DO NOTHING;
+
+-- Migration: Entitlements
+-- One row per reason a customer may watch a course, replacing the checks spread over enrollments,
+-- paid guest_course_purchases, zero-priced SERIES_UNLOCK purchases and user_chapter_access.
+-- Guest buyers are granted by email (user_id is filled in when they already have an account), so
+-- access also holds after they sign up. source_id points at the purchase, payment or enrollment
+-- that gave the access and is what refunds and rejections revoke by; admin grants have none.
+-- Date: 2026-10
+CREATE TABLE IF NOT EXISTS entitlements (
+    entitlement_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    customer_email VARCHAR(255),
+    course_id UUID NOT NULL REFERENCES courses(course_id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('PURCHASE', 'ENROLLMENT', 'SERIES_GRANT', 'BUNDLE', 'ADMIN_GRANT', 'COUPON')),
+    source_id UUID,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    granted_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT entitlements_holder_check CHECK (user_id IS NOT NULL OR customer_email IS NOT NULL),
+    CONSTRAINT entitlements_window_check CHECK (expires_at IS NULL OR expires_at > starts_at),
+    CONSTRAINT entitlements_source_unique UNIQUE (course_id, source, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entitlements_user_course ON entitlements(user_id, course_id);
+CREATE INDEX IF NOT EXISTS idx_entitlements_email_course ON entitlements(customer_email, course_id);
+CREATE INDEX IF NOT EXISTS idx_entitlements_source_id ON entitlements(source_id);
+
+DROP TRIGGER IF EXISTS update_entitlements_updated_at ON entitlements;
+CREATE TRIGGER update_entitlements_updated_at BEFORE UPDATE ON entitlements FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill: approved enrollments
+INSERT INTO entitlements (user_id, customer_email, course_id, source, source_id, starts_at)
+SELECT e.user_id, u.email, e.course_id, 'ENROLLMENT', e.enrollment_id, COALESCE(e.approved_at, e.created_at, NOW())
+FROM enrollments e
+JOIN users u ON u.user_id = e.user_id
+WHERE e.status = 'APPROVED'
+ON CONFLICT (course_id, source, source_id) DO NOTHING;
+
+-- Backfill: completed course payments
+INSERT INTO entitlements (user_id, customer_email, course_id, source, source_id, starts_at)
+SELECT p.user_id, u.email, p.course_id,
+    CASE WHEN p.coupon_id IS NOT NULL AND p.amount = 0 THEN 'COUPON' ELSE 'PURCHASE' END,
+    p.payment_id, COALESCE(p.completed_at, p.created_at, NOW())
+FROM payments p
+JOIN users u ON u.user_id = p.user_id
+WHERE p.course_id IS NOT NULL AND p.status = 'completed'
+ON CONFLICT (course_id, source, source_id) DO NOTHING;
+
+-- Backfill: paid guest purchases, including series unlocks and bundle courses. Bundle courses are keyed
+-- by the bundle purchase (encoded in their transaction_id) so refunding the bundle revokes them together.
+INSERT INTO entitlements (user_id, customer_email, course_id, source, source_id, starts_at, expires_at, revoked_at)
+SELECT u.user_id, p.customer_email, p.course_id,
+    CASE
+        WHEN p.payment_method = 'SERIES_UNLOCK' THEN 'SERIES_GRANT'
+        WHEN p.payment_method = 'BUNDLE' THEN 'BUNDLE'
+        WHEN p.coupon_id IS NOT NULL AND p.course_price = 0 THEN 'COUPON'
+        ELSE 'PURCHASE'
+    END,
+    CASE
+        WHEN p.payment_method = 'BUNDLE' AND p.transaction_id LIKE 'bundle\_%' THEN split_part(p.transaction_id, '_', 2)::UUID
+        ELSE p.purchase_id
+    END,
+    COALESCE(p.created_at, NOW()),
+    CASE WHEN p.access_expires_at > COALESCE(p.created_at, NOW()) THEN p.access_expires_at END,
+    CASE WHEN p.is_active = false THEN NOW() END
+FROM guest_course_purchases p
+LEFT JOIN users u ON u.email = p.customer_email
+WHERE p.payment_status = 'PAID' AND p.course_id IS NOT NULL
+ON CONFLICT (course_id, source, source_id) DO NOTHING;
+
+-- Backfill: courses fully unlocked through user_chapter_access with no other explanation
+INSERT INTO entitlements (user_id, customer_email, course_id, source, starts_at, note)
+SELECT a.user_id, u.email, c.course_id, 'ADMIN_GRANT', COALESCE(MIN(a.unlocked_at), NOW()), 'Backfilled from user_chapter_access'
+FROM user_chapter_access a
+JOIN chapters c ON c.chapter_id = a.chapter_id
+JOIN users u ON u.user_id = a.user_id
+WHERE a.is_unlocked = true
+GROUP BY a.user_id, u.email, c.course_id
+HAVING COUNT(*) = (SELECT COUNT(*) FROM chapters all_chapters WHERE all_chapters.course_id = c.course_id)
+    AND NOT EXISTS (
+        SELECT 1 FROM entitlements existing
+        WHERE existing.course_id = c.course_id
+            AND (existing.user_id = a.user_id OR existing.customer_email = u.email)
+    );
+
+INSERT INTO permissions (permission_key, description) VALUES
+    ('entitlements:read', 'View who can access which course'),
+    ('entitlements:write', 'Grant and revoke course access'),
+    ('courses:access_all', 'Open every course without an entitlement')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+    ('ADMIN', 'entitlements:read'),
+    ('ADMIN', 'entitlements:write'),
+    ('ADMIN', 'courses:access_all')
+ON CONFLICT DO NOTHING;
+
+-- Migration: Series unlock run history
+-- Each series unlock reconciliation (admin dry run or apply, or the automatic run when a series part is
+-- created or published) is recorded with what it granted, or would have granted, in changes.
+-- apply_series_unlocks writes one batch of SERIES_UNLOCK purchases. It skips customers who already own
+-- the course and holds an advisory lock for the transaction, so overlapping runs cannot double-grant.
+-- Date: 2026-10
+CREATE TABLE IF NOT EXISTS series_unlock_runs (
+    run_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mode VARCHAR(10) NOT NULL CHECK (mode IN ('DRY_RUN', 'APPLY')),
+    trigger_source VARCHAR(20) NOT NULL DEFAULT 'ADMIN' CHECK (trigger_source IN ('ADMIN', 'COURSE_CREATED', 'COURSE_PUBLISHED')),
+    status VARCHAR(10) NOT NULL DEFAULT 'RUNNING' CHECK (status IN ('RUNNING', 'COMPLETED', 'FAILED')),
+    series_name VARCHAR(255),
+    course_id UUID REFERENCES courses(course_id) ON DELETE SET NULL,
+    triggered_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    customers_checked INTEGER NOT NULL DEFAULT 0,
+    grants_planned INTEGER NOT NULL DEFAULT 0,
+    grants_applied INTEGER NOT NULL DEFAULT 0,
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_series_unlock_runs_started_at ON series_unlock_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_guest_course_purchases_email_course ON guest_course_purchases(customer_email, course_id) WHERE payment_status = 'PAID';
+
+CREATE OR REPLACE FUNCTION apply_series_unlocks(p_run_id UUID, p_grants JSONB)
+RETURNS SETOF guest_course_purchases AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('apply_series_unlocks'));
+
+    RETURN QUERY
+    INSERT INTO guest_course_purchases (
+        course_id, customer_name, customer_email, customer_phone, course_price,
+        access_code, payment_status, payment_method, transaction_id
+    )
+    SELECT DISTINCT ON (g.customer_email, g.course_id)
+        g.course_id,
+        g.customer_name,
+        g.customer_email,
+        g.customer_phone,
+        0,
+        g.access_code,
+        'PAID',
+        'SERIES_UNLOCK',
+        'series_unlock_' || p_run_id || '_' || g.course_id
+    FROM jsonb_to_recordset(p_grants) AS g(
+        course_id UUID,
+        customer_email VARCHAR,
+        customer_name VARCHAR,
+        customer_phone VARCHAR,
+        access_code VARCHAR
+    )
+    WHERE NOT EXISTS (
+        SELECT 1 FROM guest_course_purchases owned
+        WHERE owned.customer_email = g.customer_email
+            AND owned.course_id = g.course_id
+            AND owned.payment_status = 'PAID'
+    )
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Migration: Series
+-- A series has its own title, description and cover image; its parts are the courses pointing at it
+-- through series_id, ordered by video_part. courses.video_series stays as a copy of the series title for
+-- code that still filters on it: sync_course_series resolves (or creates) the series when only the name
+-- is written, and copies the title when only series_id is written.
+-- Date: 2026-10
+CREATE TABLE IF NOT EXISTS series (
+    series_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    cover_image_url TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_series_updated_at ON series;
+CREATE TRIGGER update_series_updated_at BEFORE UPDATE ON series FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES series(series_id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_courses_series_id ON courses(series_id, video_part);
+
+-- Backfill: one series per distinct series name
+INSERT INTO series (title)
+SELECT DISTINCT TRIM(video_series) FROM courses
+WHERE video_series IS NOT NULL AND TRIM(video_series) <> ''
+ON CONFLICT (title) DO NOTHING;
+
+UPDATE courses c
+SET series_id = s.series_id, video_series = s.title
+FROM series s
+WHERE s.title = TRIM(c.video_series) AND c.series_id IS NULL;
+
+CREATE OR REPLACE FUNCTION sync_course_series()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (TG_OP = 'INSERT' AND NEW.series_id IS NOT NULL)
+        OR (TG_OP = 'UPDATE' AND NEW.series_id IS DISTINCT FROM OLD.series_id AND NEW.video_series IS NOT DISTINCT FROM OLD.video_series) THEN
+        -- series_id was written: the name follows it
+        NEW.video_series := (SELECT title FROM series WHERE series_id = NEW.series_id);
+    ELSIF NULLIF(TRIM(NEW.video_series), '') IS NULL THEN
+        NEW.video_series := NULL;
+        NEW.series_id := NULL;
+    ELSE
+        -- Only the name was written: find the series, creating it the first time the name is used
+        NEW.video_series := TRIM(NEW.video_series);
+        INSERT INTO series (title) VALUES (NEW.video_series) ON CONFLICT (title) DO NOTHING;
+        NEW.series_id := (SELECT series_id FROM series WHERE title = NEW.video_series);
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_course_series ON courses;
+CREATE TRIGGER sync_course_series BEFORE INSERT OR UPDATE OF video_series, series_id ON courses FOR EACH ROW EXECUTE FUNCTION sync_course_series();
+
+-- Adding parts to a series runs the series unlock for its customers
+ALTER TABLE series_unlock_runs DROP CONSTRAINT IF EXISTS series_unlock_runs_trigger_source_check;
+ALTER TABLE series_unlock_runs ADD CONSTRAINT series_unlock_runs_trigger_source_check
+    CHECK (trigger_source IN ('ADMIN', 'COURSE_CREATED', 'COURSE_PUBLISHED', 'SERIES_UPDATED'));
+
+-- Migration: Time-limited course access
+-- A course with access_duration_days is rented rather than owned: every purchase or enrollment of it
+-- grants that many days, and buying it again while access is still running extends the window from
+-- the current end date. NULL keeps lifetime access. Paid guest purchases record their window in
+-- access_expires_at; expiry_warning_sent_at marks the entitlements whose holders were told access is ending.
+-- Date: 2026-10
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS access_duration_days INTEGER;
+ALTER TABLE courses DROP CONSTRAINT IF EXISTS courses_access_duration_days_check;
+ALTER TABLE courses ADD CONSTRAINT courses_access_duration_days_check CHECK (access_duration_days IS NULL OR access_duration_days > 0);
+
+ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS expiry_warning_sent_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_entitlements_expires_at ON entitlements(expires_at) WHERE expires_at IS NOT NULL AND revoked_at IS NULL;
+
+-- Migration: Chapter free previews
+-- Chapters marked is_free_preview can be opened without owning the course, signed in or not. It is a
+-- separate flag because is_unlocked_by_default defaults to true and means "unlocked once the course is
+-- bought", which would otherwise turn every existing chapter into a preview.
+-- Date: 2026-10
+ALTER TABLE chapters ADD COLUMN IF NOT EXISTS is_free_preview BOOLEAN NOT NULL DEFAULT false;
+
+-- Migration: Count failed logins atomically
+-- Parallel wrong guesses each read the same counter before, so some were lost and slipped past the lockout.
+-- Date: 2026-10
+
+CREATE OR REPLACE FUNCTION record_failed_login(p_user_id UUID, p_max_attempts INTEGER, p_lockout_minutes INTEGER)
+RETURNS TABLE (failed_attempts INTEGER, lock_expires_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+    v_attempts INTEGER;
+    v_locked_until TIMESTAMP WITH TIME ZONE;
+BEGIN
+    UPDATE users
+    SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1,
+        last_failed_login_at = NOW()
+    WHERE user_id = p_user_id
+    RETURNING failed_login_attempts INTO v_attempts;
+
+    -- The counter starts over once a lockout has been served
+    IF v_attempts >= p_max_attempts THEN
+        v_locked_until := NOW() + make_interval(mins => p_lockout_minutes);
+        UPDATE users
+        SET failed_login_attempts = 0, locked_until = v_locked_until
+        WHERE user_id = p_user_id;
+    END IF;
+
+    RETURN QUERY SELECT v_attempts, v_locked_until;
+END;
+$$ language 'plpgsql';
+
+-- Migration: Bundles in the signed-in payment flow
+-- A payment is for exactly one course, mentorship slot or bundle. Confirming a bundle payment enrolls
+-- the user in every member course.
+-- Date: 2026-10
+
+-- Bundles that were paid for are unpublished rather than deleted, so the reference is kept
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES course_bundles(bundle_id);
+CREATE INDEX IF NOT EXISTS idx_payments_bundle_id ON payments(bundle_id) WHERE bundle_id IS NOT NULL;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_check;
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_order_check;
+ALTER TABLE payments ADD CONSTRAINT payments_order_check CHECK (
+    (course_id IS NOT NULL)::INTEGER + (mentorship_slot_id IS NOT NULL)::INTEGER + (bundle_id IS NOT NULL)::INTEGER = 1
+);
+
+-- Migration: Keep student work when publishing a course draft
+-- Publishing (and rolling back) deleted every live chapter missing from the draft, and with it the
+-- progress, quiz attempts and submissions recorded on it. Such a publish is now refused with
+-- CHAPTER_HAS_LEARNER_DATA; only chapters nobody has worked in can be removed by a draft. While a
+-- draft is open the API also refuses live edits of the course content the draft would overwrite.
+-- Date: 2026-10
+
+CREATE OR REPLACE FUNCTION publish_course_revision(p_revision_id UUID, p_published_by UUID)
+RETURNS SETOF course_revisions AS $$
+DECLARE
+    v_revision course_revisions;
+    v_course JSONB;
+    v_chapter JSONB;
+    v_media JSONB;
+    v_chapter_id UUID;
+    v_removed_with_data UUID[];
+BEGIN
+    SELECT * INTO v_revision FROM course_revisions WHERE revision_id = p_revision_id FOR UPDATE;
+    IF NOT FOUND OR v_revision.status <> 'DRAFT' THEN
+        RAISE EXCEPTION 'Revision % is not an open draft', p_revision_id USING ERRCODE = 'P0002';
+    END IF;
+
+    v_course := v_revision.snapshot->'course';
+    UPDATE courses SET
+        title = v_course->>'title',
+        description = v_course->>'description',
+        thumbnail_url = v_course->>'thumbnail_url',
+        intro_video_url = v_course->>'intro_video_url',
+        price = COALESCE((v_course->>'price')::DECIMAL, 0),
+        category_id = (v_course->>'category_id')::UUID,
+        instructor_id = (v_course->>'instructor_id')::UUID,
+        duration_hours = COALESCE((v_course->>'duration_hours')::INTEGER, 0),
+        level = COALESCE(v_course->>'level', 'BEGINNER'),
+        video_series = v_course->>'video_series',
+        video_part = COALESCE((v_course->>'video_part')::INTEGER, 1),
+        is_published = true
+    WHERE course_id = v_revision.course_id;
+
+    -- Deleting a chapter cascades to its quizzes, assignments and everything students did in it
+    SELECT ARRAY_AGG(ch.chapter_id) INTO v_removed_with_data
+    FROM chapters ch
+    WHERE ch.course_id = v_revision.course_id
+      AND ch.chapter_id NOT IN (
+          SELECT (c->>'chapter_id')::UUID FROM jsonb_array_elements(v_revision.snapshot->'chapters') c
+      )
+      AND (
+          EXISTS (SELECT 1 FROM chapter_progress cp WHERE cp.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM video_progress vp WHERE vp.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM quiz_attempts qa JOIN quizzes q ON q.quiz_id = qa.quiz_id WHERE q.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM submissions su JOIN assignments a ON a.assignment_id = su.assignment_id WHERE a.chapter_id = ch.chapter_id)
+      );
+
+    IF v_removed_with_data IS NOT NULL THEN
+        RAISE EXCEPTION 'Chapters % have student progress, quiz attempts or submissions', v_removed_with_data
+            USING ERRCODE = 'P0001', HINT = 'CHAPTER_HAS_LEARNER_DATA', DETAIL = array_to_string(v_removed_with_data, ',');
+    END IF;
+
+    DELETE FROM chapters
+    WHERE course_id = v_revision.course_id
+      AND chapter_id NOT IN (
+          SELECT (c->>'chapter_id')::UUID FROM jsonb_array_elements(v_revision.snapshot->'chapters') c
+      );
+
+    -- Move kept rows out of the way so the new order cannot collide with the order_index unique constraints
+    UPDATE chapters SET order_index = -order_index - 1 WHERE course_id = v_revision.course_id;
+    UPDATE chapter_media SET order_index = -order_index - 1
+    WHERE chapter_id IN (SELECT chapter_id FROM chapters WHERE course_id = v_revision.course_id);
+
+    FOR v_chapter IN SELECT * FROM jsonb_array_elements(v_revision.snapshot->'chapters') LOOP
+        v_chapter_id := (v_chapter->>'chapter_id')::UUID;
+
+        INSERT INTO chapters (chapter_id, course_id, title, description, order_index, is_unlocked_by_default)
+        VALUES (
+            v_chapter_id,
+            v_revision.course_id,
+            v_chapter->>'title',
+            v_chapter->>'description',
+            (v_chapter->>'order_index')::INTEGER,
+            COALESCE((v_chapter->>'is_unlocked_by_default')::BOOLEAN, true)
+        )
+        ON CONFLICT (chapter_id) DO UPDATE SET
+            title = EXCLUDED.title,
+            description = EXCLUDED.description,
+            order_index = EXCLUDED.order_index,
+            is_unlocked_by_default = EXCLUDED.is_unlocked_by_default
+        WHERE chapters.course_id = EXCLUDED.course_id;
+
+        DELETE FROM chapter_media
+        WHERE chapter_id = v_chapter_id
+          AND media_id NOT IN (
+              SELECT (m->>'media_id')::UUID FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) m
+          );
+
+        FOR v_media IN SELECT * FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) LOOP
+            INSERT INTO chapter_media (media_id, chapter_id, media_type, cloudinary_url, file_name, description, order_index)
+            VALUES (
+                (v_media->>'media_id')::UUID,
+                v_chapter_id,
+                v_media->>'media_type',
+                v_media->>'cloudinary_url',
+                v_media->>'file_name',
+                v_media->>'description',
+                (v_media->>'order_index')::INTEGER
+            )
+            ON CONFLICT (media_id) DO UPDATE SET
+                media_type = EXCLUDED.media_type,
+                cloudinary_url = EXCLUDED.cloudinary_url,
+                file_name = EXCLUDED.file_name,
+                description = EXCLUDED.description,
+                order_index = EXCLUDED.order_index
+            WHERE chapter_media.chapter_id = EXCLUDED.chapter_id;
+        END LOOP;
+    END LOOP;
+
+    RETURN QUERY
+    UPDATE course_revisions SET
+        status = 'PUBLISHED',
+        published_by = p_published_by,
+        published_at = NOW(),
+        revision_number = (
+            SELECT COALESCE(MAX(revision_number), 0) + 1 FROM course_revisions WHERE course_id = v_revision.course_id
+        )
+    WHERE revision_id = p_revision_id
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Migration: Leave series membership out of course revisions
+-- Publishing a draft wrote the snapshot's video_series and video_part back to the course, undoing
+-- series renames and reorders made through /api/series while the draft was open. Series membership
+-- is managed only through the series endpoints now, so publishing and rolling back keep it as it is.
+-- Date: 2026-10
+
+CREATE OR REPLACE FUNCTION publish_course_revision(p_revision_id UUID, p_published_by UUID)
+RETURNS SETOF course_revisions AS $$
+DECLARE
+    v_revision course_revisions;
+    v_course JSONB;
+    v_chapter JSONB;
+    v_media JSONB;
+    v_chapter_id UUID;
+    v_removed_with_data UUID[];
+BEGIN
+    SELECT * INTO v_revision FROM course_revisions WHERE revision_id = p_revision_id FOR UPDATE;
+    IF NOT FOUND OR v_revision.status <> 'DRAFT' THEN
+        RAISE EXCEPTION 'Revision % is not an open draft', p_revision_id USING ERRCODE = 'P0002';
+    END IF;
+
+    v_course := v_revision.snapshot->'course';
+    UPDATE courses SET
+        title = v_course->>'title',
+        description = v_course->>'description',
+        thumbnail_url = v_course->>'thumbnail_url',
+        intro_video_url = v_course->>'intro_video_url',
+        price = COALESCE((v_course->>'price')::DECIMAL, 0),
+        category_id = (v_course->>'category_id')::UUID,
+        instructor_id = (v_course->>'instructor_id')::UUID,
+        duration_hours = COALESCE((v_course->>'duration_hours')::INTEGER, 0),
+        level = COALESCE(v_course->>'level', 'BEGINNER'),
+        is_published = true
+    WHERE course_id = v_revision.course_id;
+
+    -- Deleting a chapter cascades to its quizzes, assignments and everything students did in it
+    SELECT ARRAY_AGG(ch.chapter_id) INTO v_removed_with_data
+    FROM chapters ch
+    WHERE ch.course_id = v_revision.course_id
+      AND ch.chapter_id NOT IN (
+          SELECT (c->>'chapter_id')::UUID FROM jsonb_array_elements(v_revision.snapshot->'chapters') c
+      )
+      AND (
+          EXISTS (SELECT 1 FROM chapter_progress cp WHERE cp.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM video_progress vp WHERE vp.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM quiz_attempts qa JOIN quizzes q ON q.quiz_id = qa.quiz_id WHERE q.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM submissions su JOIN assignments a ON a.assignment_id = su.assignment_id WHERE a.chapter_id = ch.chapter_id)
+      );
+
+    IF v_removed_with_data IS NOT NULL THEN
+        RAISE EXCEPTION 'Chapters % have student progress, quiz attempts or submissions', v_removed_with_data
+            USING ERRCODE = 'P0001', HINT = 'CHAPTER_HAS_LEARNER_DATA', DETAIL = array_to_string(v_removed_with_data, ',');
+    END IF;
+
+    DELETE FROM chapters
+    WHERE course_id = v_revision.course_id
+      AND chapter_id NOT IN (
+          SELECT (c->>'chapter_id')::UUID FROM jsonb_array_elements(v_revision.snapshot->'chapters') c
+      );
+
+    -- Move kept rows out of the way so the new order cannot collide with the order_index unique constraints
+    UPDATE chapters SET order_index = -order_index - 1 WHERE course_id = v_revision.course_id;
+    UPDATE chapter_media SET order_index = -order_index - 1
+    WHERE chapter_id IN (SELECT chapter_id FROM chapters WHERE course_id = v_revision.course_id);
+
+    FOR v_chapter IN SELECT * FROM jsonb_array_elements(v_revision.snapshot->'chapters') LOOP
+        v_chapter_id := (v_chapter->>'chapter_id')::UUID;
+
+        INSERT INTO chapters (chapter_id, course_id, title, description, order_index, is_unlocked_by_default)
+        VALUES (
+            v_chapter_id,
+            v_revision.course_id,
+            v_chapter->>'title',
+            v_chapter->>'description',
+            (v_chapter->>'order_index')::INTEGER,
+            COALESCE((v_chapter->>'is_unlocked_by_default')::BOOLEAN, true)
+        )
+        ON CONFLICT (chapter_id) DO UPDATE SET
+            title = EXCLUDED.title,
+            description = EXCLUDED.description,
+            order_index = EXCLUDED.order_index,
+            is_unlocked_by_default = EXCLUDED.is_unlocked_by_default
+        WHERE chapters.course_id = EXCLUDED.course_id;
+
+        DELETE FROM chapter_media
+        WHERE chapter_id = v_chapter_id
+          AND media_id NOT IN (
+              SELECT (m->>'media_id')::UUID FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) m
+          );
+
+        FOR v_media IN SELECT * FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) LOOP
+            INSERT INTO chapter_media (media_id, chapter_id, media_type, cloudinary_url, file_name, description, order_index)
+            VALUES (
+                (v_media->>'media_id')::UUID,
+                v_chapter_id,
+                v_media->>'media_type',
+                v_media->>'cloudinary_url',
+                v_media->>'file_name',
+                v_media->>'description',
+                (v_media->>'order_index')::INTEGER
+            )
+            ON CONFLICT (media_id) DO UPDATE SET
+                media_type = EXCLUDED.media_type,
+                cloudinary_url = EXCLUDED.cloudinary_url,
+                file_name = EXCLUDED.file_name,
+                description = EXCLUDED.description,
+                order_index = EXCLUDED.order_index
+            WHERE chapter_media.chapter_id = EXCLUDED.chapter_id;
+        END LOOP;
+    END LOOP;
+
+    RETURN QUERY
+    UPDATE course_revisions SET
+        status = 'PUBLISHED',
+        published_by = p_published_by,
+        published_at = NOW(),
+        revision_number = (
+            SELECT COALESCE(MAX(revision_number), 0) + 1 FROM course_revisions WHERE course_id = v_revision.course_id
+        )
+    WHERE revision_id = p_revision_id
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Migration: Carry the free preview flag in course revisions
+-- Drafts now record chapters.is_free_preview, so a chapter added in a draft can be published as a free
+-- preview and rolling back restores the flag. Revisions saved before this keep the chapter's current flag.
+-- Date: 2026-10
+
+CREATE OR REPLACE FUNCTION publish_course_revision(p_revision_id UUID, p_published_by UUID)
+RETURNS SETOF course_revisions AS $$
+DECLARE
+    v_revision course_revisions;
+    v_course JSONB;
+    v_chapter JSONB;
+    v_media JSONB;
+    v_chapter_id UUID;
+    v_removed_with_data UUID[];
+BEGIN
+    SELECT * INTO v_revision FROM course_revisions WHERE revision_id = p_revision_id FOR UPDATE;
+    IF NOT FOUND OR v_revision.status <> 'DRAFT' THEN
+        RAISE EXCEPTION 'Revision % is not an open draft', p_revision_id USING ERRCODE = 'P0002';
+    END IF;
+
+    v_course := v_revision.snapshot->'course';
+    UPDATE courses SET
+        title = v_course->>'title',
+        description = v_course->>'description',
+        thumbnail_url = v_course->>'thumbnail_url',
+        intro_video_url = v_course->>'intro_video_url',
+        price = COALESCE((v_course->>'price')::DECIMAL, 0),
+        category_id = (v_course->>'category_id')::UUID,
+        instructor_id = (v_course->>'instructor_id')::UUID,
+        duration_hours = COALESCE((v_course->>'duration_hours')::INTEGER, 0),
+        level = COALESCE(v_course->>'level', 'BEGINNER'),
+        is_published = true
+    WHERE course_id = v_revision.course_id;
+
+    -- Deleting a chapter cascades to its quizzes, assignments and everything students did in it
+    SELECT ARRAY_AGG(ch.chapter_id) INTO v_removed_with_data
+    FROM chapters ch
+    WHERE ch.course_id = v_revision.course_id
+      AND ch.chapter_id NOT IN (
+          SELECT (c->>'chapter_id')::UUID FROM jsonb_array_elements(v_revision.snapshot->'chapters') c
+      )
+      AND (
+          EXISTS (SELECT 1 FROM chapter_progress cp WHERE cp.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM video_progress vp WHERE vp.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM quiz_attempts qa JOIN quizzes q ON q.quiz_id = qa.quiz_id WHERE q.chapter_id = ch.chapter_id)
+          OR EXISTS (SELECT 1 FROM submissions su JOIN assignments a ON a.assignment_id = su.assignment_id WHERE a.chapter_id = ch.chapter_id)
+      );
+
+    IF v_removed_with_data IS NOT NULL THEN
+        RAISE EXCEPTION 'Chapters % have student progress, quiz attempts or submissions', v_removed_with_data
+            USING ERRCODE = 'P0001', HINT = 'CHAPTER_HAS_LEARNER_DATA', DETAIL = array_to_string(v_removed_with_data, ',');
+    END IF;
+
+    DELETE FROM chapters
+    WHERE course_id = v_revision.course_id
+      AND chapter_id NOT IN (
+          SELECT (c->>'chapter_id')::UUID FROM jsonb_array_elements(v_revision.snapshot->'chapters') c
+      );
+
+    -- Move kept rows out of the way so the new order cannot collide with the order_index unique constraints
+    UPDATE chapters SET order_index = -order_index - 1 WHERE course_id = v_revision.course_id;
+    UPDATE chapter_media SET order_index = -order_index - 1
+    WHERE chapter_id IN (SELECT chapter_id FROM chapters WHERE course_id = v_revision.course_id);
+
+    FOR v_chapter IN SELECT * FROM jsonb_array_elements(v_revision.snapshot->'chapters') LOOP
+        v_chapter_id := (v_chapter->>'chapter_id')::UUID;
+
+        INSERT INTO chapters (chapter_id, course_id, title, description, order_index, is_unlocked_by_default, is_free_preview)
+        VALUES (
+            v_chapter_id,
+            v_revision.course_id,
+            v_chapter->>'title',
+            v_chapter->>'description',
+            (v_chapter->>'order_index')::INTEGER,
+            COALESCE((v_chapter->>'is_unlocked_by_default')::BOOLEAN, true),
+            COALESCE((v_chapter->>'is_free_preview')::BOOLEAN, false)
+        )
+        ON CONFLICT (chapter_id) DO UPDATE SET
+            title = EXCLUDED.title,
+            description = EXCLUDED.description,
+            order_index = EXCLUDED.order_index,
+            is_unlocked_by_default = EXCLUDED.is_unlocked_by_default,
+            -- Snapshots taken before the flag was recorded leave it as it is
+            is_free_preview = COALESCE((v_chapter->>'is_free_preview')::BOOLEAN, chapters.is_free_preview)
+        WHERE chapters.course_id = EXCLUDED.course_id;
+
+        DELETE FROM chapter_media
+        WHERE chapter_id = v_chapter_id
+          AND media_id NOT IN (
+              SELECT (m->>'media_id')::UUID FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) m
+          );
+
+        FOR v_media IN SELECT * FROM jsonb_array_elements(COALESCE(v_chapter->'media', '[]'::JSONB)) LOOP
+            INSERT INTO chapter_media (media_id, chapter_id, media_type, cloudinary_url, file_name, description, order_index)
+            VALUES (
+                (v_media->>'media_id')::UUID,
+                v_chapter_id,
+                v_media->>'media_type',
+                v_media->>'cloudinary_url',
+                v_media->>'file_name',
+                v_media->>'description',
+                (v_media->>'order_index')::INTEGER
+            )
+            ON CONFLICT (media_id) DO UPDATE SET
+                media_type = EXCLUDED.media_type,
+                cloudinary_url = EXCLUDED.cloudinary_url,
+                file_name = EXCLUDED.file_name,
+                description = EXCLUDED.description,
+                order_index = EXCLUDED.order_index
+            WHERE chapter_media.chapter_id = EXCLUDED.chapter_id;
+        END LOOP;
+    END LOOP;
+
+    RETURN QUERY
+    UPDATE course_revisions SET
+        status = 'PUBLISHED',
+        published_by = p_published_by,
+        published_at = NOW(),
+        revision_number = (
+            SELECT COALESCE(MAX(revision_number), 0) + 1 FROM course_revisions WHERE course_id = v_revision.course_id
+        )
+    WHERE revision_id = p_revision_id
+    RETURNING *;
+END;
+$$ language 'plpgsql';
@@ -9,6 +9,8 @@ const swaggerJsdoc = require('swagger-jsdoc');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
+const courseScheduleService = require('./src/services/courseScheduleService');
+const maintenanceJobService = require('./src/services/maintenanceJobService');
 
 // Import routes
 const authRoutes = require('./src/routes/authRoutes');
@@ -27,6 +29,10 @@ const mentorshipRoutes = require('./src/routes/mentorshipRoutes');
 const publicMentorshipRoutes = require('./src/routes/publicMentorshipRoutes');
 const guestBookingRoutes = require('./src/routes/guestBookingRoutes');
 const guestCoursePurchaseRoutes = require('./src/routes/guestCoursePurchaseRoutes');
+const bundleRoutes = require('./src/routes/bundleRoutes');
+const couponRoutes = require('./src/routes/couponRoutes');
+const entitlementRoutes = require('./src/routes/entitlementRoutes');
+const seriesRoutes = require('./src/routes/seriesRoutes');
 const assignmentRoutes = require('./src/routes/assignmentRoutes');
 const submissionRoutes = require('./src/routes/submissionRoutes');
 const quizRoutes = require('./src/routes/quizRoutes');
@@ -41,7 +47,8 @@ const PORT = process.env.PORT || 4000;
 app.use(helmet());
 app.use(cors({
   origin: true, // Allow all origins for development (React Native needs this)
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Impersonation-Id', 'X-Impersonated-By']
 }));
 
 // Rate limiting
@@ -126,6 +133,10 @@ app.use('/api/mentorship', mentorshipRoutes);
 app.use('/api/public/mentorship', publicMentorshipRoutes);
 app.use('/api/guest-bookings', guestBookingRoutes);
 app.use('/api/guest-course-purchases', guestCoursePurchaseRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/entitlements', entitlementRoutes);
+app.use('/api/series', seriesRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/quizzes', quizRoutes);
@@ -151,11 +162,15 @@ app.use(errorHandler);
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Detailers University REST API server running on http://0.0.0.0:${PORT}`);
+  courseScheduleService.start();
+  maintenanceJobService.start();
 });
 
 // Graceful shutdown handling for Railway deployment
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  courseScheduleService.stop();
+  maintenanceJobService.stop();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
@@ -164,6 +179,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  courseScheduleService.stop();
+  maintenanceJobService.stop();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
@@ -1,6 +1,14 @@
 const assignmentService = require('../services/assignmentService');
 const getSupabaseClient = require('../utils/supabaseClient');
 const { uploadDocument, uploadImage } = require('../utils/cloudinaryUploader');
+const { getInstructorScope, hasPermission } = require('../middleware/permissionMiddleware');
+const instructorService = require('../services/instructorService');
+const entitlementService = require('../services/entitlementService');
+
+// The chapter an assignment belongs to decides who can open it; course-wide assignments follow the course
+const accessResourceFor = (assignment) => (assignment.chapter_id
+  ? { chapterId: assignment.chapter_id }
+  : { courseId: assignment.course_id });
 
 const assignmentController = {
   // GET /api/assignments
@@ -8,11 +16,35 @@ const assignmentController = {
     try {
       const supabase = getSupabaseClient();
       const { course_id, chapter_id } = req.query;
+
+      if (chapter_id) {
+        await entitlementService.assertAccess(supabase, req.user, { chapterId: chapter_id });
+      }
       
-      const assignments = await assignmentService.getAllAssignments(supabase, {
+      let assignments = await assignmentService.getAllAssignments(supabase, {
         courseId: course_id,
         chapterId: chapter_id
       });
+
+      // Per assignment, so free preview chapters stay visible in a course listing; staff see everything
+      if (!chapter_id && !await hasPermission(req, 'courses:access_all')) {
+        const decisions = new Map();
+        const visible = [];
+        for (const assignment of assignments) {
+          const resource = accessResourceFor(assignment);
+          const key = resource.chapterId || resource.courseId;
+          if (!key) {
+            continue;
+          }
+          if (!decisions.has(key)) {
+            decisions.set(key, await entitlementService.canAccess(supabase, req.user, resource));
+          }
+          if (decisions.get(key)) {
+            visible.push(assignment);
+          }
+        }
+        assignments = visible;
+      }
       
       res.status(200).json({
         success: true,
@@ -57,6 +89,13 @@ const assignmentController = {
         });
       }
 
+      // Check ownership before anything is uploaded for the assignment
+      const supabase = getSupabaseClient();
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      if (instructorId) {
+        await instructorService.assertOwnsAssignmentTarget(supabase, instructorId, { courseId: course_id, chapterId: chapter_id });
+      }
+
       let assignmentFileUrl = null;
 
       // Handle assignment file upload
@@ -103,8 +142,7 @@ const assignmentController = {
         dueDate: due_date
       };
 
-      const supabase = getSupabaseClient();
-      const assignment = await assignmentService.createAssignment(supabase, assignmentInput);
+      const assignment = await assignmentService.createAssignment(supabase, assignmentInput, { instructorId });
       
       res.status(201).json({
         success: true,
@@ -164,7 +202,8 @@ const assignmentController = {
       };
 
       const supabase = getSupabaseClient();
-      const assignment = await assignmentService.createAssignment(supabase, assignmentInput);
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const assignment = await assignmentService.createAssignment(supabase, assignmentInput, { instructorId });
       
       res.status(201).json({
         success: true,
@@ -193,6 +232,10 @@ const assignmentController = {
           }
         });
       }
+
+      if (assignment.chapter_id || assignment.course_id) {
+        await entitlementService.assertAccess(supabase, req.user, accessResourceFor(assignment));
+      }
       
       res.status(200).json({
         success: true,
@@ -209,6 +252,13 @@ const assignmentController = {
     try {
       const { id } = req.params;
       const updates = { ...req.body };
+      const supabase = getSupabaseClient();
+
+      // Check ownership before anything is uploaded for the assignment
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      if (instructorId) {
+        await instructorService.assertOwnsAssignment(supabase, instructorId, id);
+      }
 
       // Handle assignment file upload
       if (req.file) {
@@ -248,8 +298,7 @@ const assignmentController = {
       if (updates.max_score) updates.maxScore = parseFloat(updates.max_score);
       if (updates.due_date) updates.dueDate = updates.due_date;
       
-      const supabase = getSupabaseClient();
-      const assignment = await assignmentService.updateAssignment(supabase, id, updates);
+      const assignment = await assignmentService.updateAssignment(supabase, id, updates, { instructorId });
       
       res.status(200).json({
         success: true,
@@ -274,7 +323,8 @@ const assignmentController = {
       if (updates.assignment_file_url) updates.assignmentFileUrl = updates.assignment_file_url;
       
       const supabase = getSupabaseClient();
-      const assignment = await assignmentService.updateAssignment(supabase, id, updates);
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const assignment = await assignmentService.updateAssignment(supabase, id, updates, { instructorId });
       
       res.status(200).json({
         success: true,
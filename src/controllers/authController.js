@@ -1,7 +1,25 @@
 // src/controllers/authController.js
 const authService = require('../services/authService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const refreshTokenService = require('../services/refreshTokenService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const mfaService = require('../services/mfaService');
 const getSupabaseClient = require('../utils/supabaseClient');
 
+/**
+ * Collects the device details a new session is recorded with.
+ * @param {object} req - Express request.
+ * @returns {object} Device ID, name and platform from the body plus the request's IP and user agent.
+ */
+const getDeviceInfo = (req) => ({
+  deviceId: req.body.deviceId,
+  deviceName: req.body.deviceName,
+  platform: req.body.platform,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
 const authController = {
   // POST /api/auth/login
   login: async (req, res, next) => {
@@ -19,15 +37,21 @@ const authController = {
       }
 
       const supabase = getSupabaseClient();
-      const { user, token } = await authService.loginUser(supabase, email, password);
+      const result = await authService.loginUser(supabase, email, password, getDeviceInfo(req));
+
+      let message = 'Login successful';
+      if (result.mfaRequired) {
+        message = result.mfaSetupRequired
+          ? 'Two-factor authentication must be set up before you can continue.'
+          : 'Enter your two-factor authentication code to continue.';
+      } else if (result.mustChangePassword) {
+        message = 'Login successful. Please change your temporary password to continue.';
+      }
 
       res.status(200).json({
         success: true,
-        data: {
-          user,
-          token
-        },
-        message: 'Login successful'
+        data: result,
+        message
       });
     } catch (error) {
       next(error);
@@ -61,6 +85,18 @@ const authController = {
 
       await authService.changeUserPassword(req.supabase, req.user.user_id, oldPassword, newPassword);
 
+      // A temporary-password login only holds a restricted token, so swap it for a full session
+      if (req.token.scope === 'PASSWORD_CHANGE') {
+        await tokenRevocationService.revokeAccessToken(req.supabase, req.token, 'PASSWORD_CHANGED');
+        const session = await authService.createSession(req.supabase, req.user, getDeviceInfo(req));
+
+        return res.status(200).json({
+          success: true,
+          data: session,
+          message: 'Password changed successfully'
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: 'Password changed successfully'
@@ -70,6 +106,86 @@ const authController = {
     }
   },
 
+  // POST /api/auth/mfa/verify
+  verifyMfa: async (req, res, next) => {
+    try {
+      const { mfaToken, code } = req.body;
+
+      const supabase = getSupabaseClient();
+      const session = await authService.verifyMfaLogin(supabase, mfaToken, code, getDeviceInfo(req));
+
+      res.status(200).json({
+        success: true,
+        data: session,
+        message: session.mustChangePassword
+          ? 'Login successful. Please change your temporary password to continue.'
+          : 'Login successful'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/mfa/setup
+  setupMfa: async (req, res, next) => {
+    try {
+      const enrollment = await mfaService.startEnrollment(req.supabase, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: enrollment,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/mfa/enable
+  enableMfa: async (req, res, next) => {
+    try {
+      const { code } = req.body;
+
+      const recoveryCodes = await mfaService.enableMfa(req.supabase, req.user.user_id, code);
+
+      // An admin enrolling during login only holds a setup token, so finish the login now
+      if (req.token.scope === 'MFA_SETUP') {
+        await tokenRevocationService.revokeAccessToken(req.supabase, req.token, 'MFA_ENABLED');
+        const session = await authService.completeLogin(req.supabase, { ...req.user, mfa_enabled: true }, getDeviceInfo(req));
+
+        return res.status(200).json({
+          success: true,
+          data: { ...session, recoveryCodes },
+          message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { recoveryCodes },
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/mfa/disable
+  disableMfa: async (req, res, next) => {
+    try {
+      const { code } = req.body;
+
+      await mfaService.disableMfa(req.supabase, req.user, code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   // POST /api/auth/refresh
   refreshToken: async (req, res, next) => {
     try {
@@ -85,14 +201,122 @@ const authController = {
         });
       }
 
-      // Implement refresh token logic here
-      // For now, return an error as refresh tokens aren't implemented
-      res.status(501).json({
-        success: false,
-        error: {
-          code: 'NOT_IMPLEMENTED',
-          message: 'Refresh token functionality not implemented yet'
-        }
+      const supabase = getSupabaseClient();
+      const tokens = await authService.refreshAccessToken(supabase, refreshToken, { ipAddress: req.ip });
+
+      res.status(200).json({
+        success: true,
+        data: tokens,
+        message: 'Token refreshed successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/forgot-password
+  forgotPassword: async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      const supabase = getSupabaseClient();
+      await passwordResetService.requestPasswordReset(supabase, email, req.ip);
+
+      // Same response whether or not the account exists
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/reset-password
+  resetPassword: async (req, res, next) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      const supabase = getSupabaseClient();
+      await passwordResetService.resetPassword(supabase, token, newPassword);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password has been reset successfully. Please log in with your new password.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/magic-link
+  requestMagicLink: async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      const supabase = getSupabaseClient();
+      await emailVerificationService.requestMagicLink(supabase, email, req.ip);
+
+      // Same response whether or not the account exists
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a sign-in link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/magic-link/consume
+  consumeMagicLink: async (req, res, next) => {
+    try {
+      const { token } = req.body;
+
+      const supabase = getSupabaseClient();
+      const result = await authService.loginWithMagicLink(supabase, token, getDeviceInfo(req));
+
+      let message = 'Login successful';
+      if (result.mfaRequired) {
+        message = result.mfaSetupRequired
+          ? 'Two-factor authentication must be set up before you can continue.'
+          : 'Enter your two-factor authentication code to continue.';
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/verify-email/request
+  requestEmailVerification: async (req, res, next) => {
+    try {
+      await emailVerificationService.requestVerification(req.supabase, req.user, req.ip);
+
+      res.status(200).json({
+        success: true,
+        message: 'A verification link has been sent to your email address'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/auth/verify-email
+  verifyEmail: async (req, res, next) => {
+    try {
+      const { token } = req.body;
+
+      const supabase = getSupabaseClient();
+      await emailVerificationService.verifyEmail(supabase, token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email address verified successfully'
       });
     } catch (error) {
       next(error);
@@ -102,10 +326,16 @@ const authController = {
   // POST /api/auth/logout
   logout: async (req, res, next) => {
     try {
-      // In a stateless JWT system, logout is typically handled client-side
-      // by removing the token. However, we can implement token blacklisting
-      // if needed in the future.
-      
+      const { refreshToken } = req.body;
+
+      // Deny the access token that made this request for the rest of its lifetime
+      await tokenRevocationService.revokeAccessToken(req.supabase, req.token, 'LOGOUT');
+
+      // End the device's refresh token chain too, if the client sent it
+      if (refreshToken) {
+        await refreshTokenService.revokeToken(req.supabase, refreshToken, req.user.user_id, 'LOGOUT');
+      }
+
       res.status(200).json({
         success: true,
         message: 'Logout successful'
@@ -113,6 +343,20 @@ const authController = {
     } catch (error) {
       next(error);
     }
+  },
+
+  // POST /api/auth/logout-all
+  logoutAll: async (req, res, next) => {
+    try {
+      await tokenRevocationService.revokeAllForUser(req.supabase, req.user.user_id, 'LOGOUT_ALL');
+
+      res.status(200).json({
+        success: true,
+        message: 'Logged out from all devices'
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
@@ -0,0 +1,119 @@
+const bundleService = require('../services/bundleService');
+const getSupabaseClient = require('../utils/supabaseClient');
+const { hasPermission } = require('../middleware/permissionMiddleware');
+
+const bundleController = {
+  // GET /api/bundles
+  getBundles: async (req, res, next) => {
+    try {
+      const supabase = getSupabaseClient();
+
+      // Bundles that are not on sale yet are only listed for staff who manage them
+      const includeUnpublished = req.query.includeUnpublished === 'true' && await hasPermission(req, 'bundles:write');
+      const bundles = await bundleService.getBundles(supabase, { includeUnpublished });
+
+      res.status(200).json({
+        success: true,
+        data: bundles,
+        message: 'Bundles retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/bundles/:id
+  getBundleById: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const bundle = await bundleService.getBundleById(supabase, id);
+
+      if (!bundle || (!bundle.is_published && !await hasPermission(req, 'bundles:write'))) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'BUNDLE_NOT_FOUND',
+            message: 'Bundle not found'
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: bundle,
+        message: 'Bundle retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/bundles
+  createBundle: async (req, res, next) => {
+    try {
+      const { title, description, price, thumbnail_url, is_published, course_ids } = req.body;
+      const supabase = getSupabaseClient();
+
+      const bundle = await bundleService.createBundle(supabase, {
+        title,
+        description,
+        price,
+        thumbnail_url,
+        is_published,
+        course_ids
+      });
+
+      res.status(201).json({
+        success: true,
+        data: bundle,
+        message: 'Bundle created successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PUT /api/bundles/:id
+  updateBundle: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+
+      const updates = {};
+      ['title', 'description', 'price', 'thumbnail_url', 'is_published', 'course_ids'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+
+      const bundle = await bundleService.updateBundle(supabase, id, updates);
+
+      res.status(200).json({
+        success: true,
+        data: bundle,
+        message: 'Bundle updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/bundles/:id
+  deleteBundle: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      await bundleService.deleteBundle(supabase, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Bundle deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = bundleController;
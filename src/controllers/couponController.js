@@ -0,0 +1,135 @@
+const couponService = require('../services/couponService');
+const getSupabaseClient = require('../utils/supabaseClient');
+
+const couponController = {
+  // POST /api/coupons/validate
+  validateCoupon: async (req, res, next) => {
+    try {
+      const { code, courseId, purchaseId, bookingId, customerEmail } = req.body;
+      const supabase = getSupabaseClient();
+
+      const order = await couponService.resolveOrder(supabase, { courseId, purchaseId, bookingId });
+      const email = req.user ? req.user.email : (order.customerEmail || customerEmail);
+      const quote = await couponService.quote(supabase, code, order, email);
+
+      res.status(200).json({
+        success: true,
+        data: quote,
+        message: 'Coupon is valid'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/coupons
+  getCoupons: async (req, res, next) => {
+    try {
+      const supabase = getSupabaseClient();
+      const coupons = await couponService.getCoupons(supabase);
+
+      res.status(200).json({
+        success: true,
+        data: coupons,
+        message: 'Coupons retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/coupons/:id
+  getCouponById: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const coupon = await couponService.getCouponById(supabase, id);
+
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'COUPON_NOT_FOUND',
+            message: 'Coupon not found'
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: coupon,
+        message: 'Coupon retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/coupons/:id/redemptions
+  getRedemptions: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const redemptions = await couponService.getRedemptions(supabase, id);
+
+      res.status(200).json({
+        success: true,
+        data: redemptions,
+        message: 'Coupon redemptions retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/coupons
+  createCoupon: async (req, res, next) => {
+    try {
+      const supabase = getSupabaseClient();
+      const coupon = await couponService.createCoupon(supabase, req.body, req.user.user_id);
+
+      res.status(201).json({
+        success: true,
+        data: coupon,
+        message: 'Coupon created successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PUT /api/coupons/:id
+  updateCoupon: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const coupon = await couponService.updateCoupon(supabase, id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: coupon,
+        message: 'Coupon updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/coupons/:id
+  deleteCoupon: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      await couponService.deleteCoupon(supabase, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Coupon deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = couponController;
@@ -1,18 +1,55 @@
 const courseService = require('../services/courseService');
 const getSupabaseClient = require('../utils/supabaseClient');
 const { uploadImage, uploadVideo } = require('../utils/cloudinaryUploader');
+const { getInstructorScope } = require('../middleware/permissionMiddleware');
+const instructorService = require('../services/instructorService');
+const courseRevisionService = require('../services/courseRevisionService');
+const courseTransferService = require('../services/courseTransferService');
+const prerequisiteService = require('../services/prerequisiteService');
+const entitlementService = require('../services/entitlementService');
 
 const courseController = {
   // GET /api/courses
   getAllCourses: async (req, res, next) => {
     try {
       const supabase = getSupabaseClient();
-      const { isPublished = true } = req.query;
-      const courses = await courseService.getAllCourses(supabase, isPublished === 'true');
-      
+      const {
+        isPublished = 'true',
+        search,
+        category,
+        level,
+        instructor,
+        series,
+        minPrice,
+        maxPrice,
+        sort,
+        limit,
+        cursor
+      } = req.query;
+
+      const { courses, total, nextCursor } = await courseService.searchCourses(supabase, {
+        isPublished: isPublished === 'true',
+        search,
+        categoryId: category,
+        level,
+        instructorId: instructor,
+        series,
+        minPrice,
+        maxPrice,
+        sort,
+        limit,
+        cursor
+      });
+
       res.status(200).json({
         success: true,
         data: courses,
+        pagination: {
+          total,
+          count: courses.length,
+          nextCursor,
+          hasMore: nextCursor !== null
+        },
         message: 'Courses retrieved successfully'
       });
     } catch (error) {
@@ -30,10 +67,13 @@ const courseController = {
         category_id,
         instructor_id,
         duration_hours,
+        access_duration_days,
         level,
         is_published,
         video_series,
-        video_part
+        video_part,
+        publish_at,
+        unpublish_at
       } = req.body;
 
       if (!title) {
@@ -110,10 +150,13 @@ const courseController = {
         categoryId: category_id,
         instructorId: instructor_id,
         durationHours: duration_hours ? parseInt(duration_hours) : 0,
+        accessDurationDays: access_duration_days ? parseInt(access_duration_days) : null,
         level: level || 'BEGINNER',
         isPublished: is_published === 'true' || is_published === true,
         videoSeries: video_series,
-        videoPart: video_part ? parseInt(video_part) : 1
+        videoPart: video_part ? parseInt(video_part) : 1,
+        publishAt: publish_at,
+        unpublishAt: unpublish_at
       };
 
       console.log('Course input prepared:', courseInput);
@@ -293,6 +336,34 @@ const courseController = {
   },
   // --- END FIX ---
   
+  // GET /api/courses/mine
+  getMyCourses: async (req, res, next) => {
+    try {
+      const supabase = getSupabaseClient();
+      const instructor = await instructorService.getInstructorByUserId(supabase, req.user.user_id);
+
+      if (!instructor) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'NOT_AN_INSTRUCTOR',
+            message: 'Your account is not linked to an instructor profile'
+          }
+        });
+      }
+
+      const courses = await courseService.getCoursesByInstructor(supabase, instructor.instructor_id);
+
+      res.status(200).json({
+        success: true,
+        data: courses,
+        message: 'Instructor courses retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
   // GET /api/courses/:id
   getCourseById: async (req, res, next) => {
     try {
@@ -309,6 +380,23 @@ const courseController = {
           }
         });
       }
+
+      course.prerequisites = await prerequisiteService.getPrerequisites(supabase, id);
+
+      // Signed-in visitors also see which prerequisites they still have to finish
+      if (req.user && course.prerequisites.length > 0) {
+        course.prerequisiteStatus = await prerequisiteService.checkPrerequisites(supabase, req.user.user_id, id);
+      }
+
+      // Whether the visitor can watch it, so the client can show "Continue" instead of "Buy"
+      if (req.user) {
+        const access = await entitlementService.getAccess(supabase, req.user, { courseId: id });
+        course.access = {
+          allowed: access.allowed,
+          reason: access.reason,
+          expiresAt: access.entitlement ? access.entitlement.expires_at : null
+        };
+      }
       
       res.status(200).json({
         success: true,
@@ -325,6 +413,13 @@ const courseController = {
     try {
       const { id } = req.params;
       const updates = { ...req.body };
+      const supabase = getSupabaseClient();
+
+      // Check ownership before anything is uploaded for the course
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      if (instructorId) {
+        await instructorService.assertOwnsCourse(supabase, instructorId, id);
+      }
       
       let thumbnailUrl = null;
       let introVideoUrl = null;
@@ -377,10 +472,10 @@ const courseController = {
       // Convert string values to appropriate types
       if (updates.price) updates.price = parseFloat(updates.price);
       if (updates.duration_hours) updates.duration_hours = parseInt(updates.duration_hours);
+      if (updates.access_duration_days !== undefined) updates.access_duration_days = updates.access_duration_days ? parseInt(updates.access_duration_days) : null;
       if (updates.is_published) updates.isPublished = updates.is_published === 'true' || updates.is_published === true;
       
-      const supabase = getSupabaseClient();
-      const course = await courseService.updateCourse(supabase, id, updates);
+      const course = await courseService.updateCourse(supabase, id, updates, { instructorId });
       
       res.status(200).json({
         success: true,
@@ -424,6 +519,274 @@ const courseController = {
     } catch (error) {
       next(error);
     }
+  },
+
+  // POST /api/courses/:id/clone
+  cloneCourse: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { title, video_series, video_part } = req.body;
+      const supabase = getSupabaseClient();
+
+      const course = await courseService.cloneCourse(supabase, id, {
+        title,
+        videoSeries: video_series,
+        videoPart: video_part
+      });
+
+      res.status(201).json({
+        success: true,
+        data: course,
+        message: 'Course cloned successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/courses/:id/prerequisites
+  getPrerequisites: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const prerequisites = await prerequisiteService.getPrerequisites(supabase, id);
+
+      res.status(200).json({
+        success: true,
+        data: prerequisites,
+        message: 'Prerequisites retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PUT /api/courses/:id/prerequisites
+  setPrerequisites: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const instructorId = await getInstructorScope(req, 'courses:write');
+
+      const prerequisites = await prerequisiteService.setPrerequisites(supabase, id, req.body.prerequisites, { instructorId });
+
+      res.status(200).json({
+        success: true,
+        data: prerequisites,
+        message: 'Prerequisites updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/courses/:id/prerequisites/status
+  getPrerequisiteStatus: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const status = await prerequisiteService.checkPrerequisites(supabase, req.user.user_id, id);
+
+      res.status(200).json({
+        success: true,
+        data: status,
+        message: 'Prerequisite status retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/courses/:id/export
+  exportCourse: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const coursePackage = await courseTransferService.exportCourse(supabase, id);
+
+      res.setHeader('Content-Disposition', `attachment; filename="course-${id}.json"`);
+      res.status(200).json({
+        success: true,
+        data: coursePackage,
+        message: 'Course exported successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/courses/import
+  importCourse: async (req, res, next) => {
+    try {
+      const { package: coursePackage, dryRun, title, video_series, video_part } = req.body;
+      const supabase = getSupabaseClient();
+      const overrides = { title, videoSeries: video_series, videoPart: video_part };
+
+      if (dryRun) {
+        const { conflicts } = await courseTransferService.planImport(supabase, coursePackage, overrides);
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            canImport: !conflicts.some(conflict => conflict.blocking),
+            conflicts
+          },
+          message: 'Course package checked successfully'
+        });
+      }
+
+      const { course, conflicts } = await courseTransferService.importCourse(supabase, coursePackage, overrides);
+
+      res.status(201).json({
+        success: true,
+        data: { course, conflicts },
+        message: 'Course imported successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/courses/:id/draft
+  getDraft: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const draft = await courseRevisionService.getDraft(supabase, id, { instructorId });
+
+      res.status(200).json({
+        success: true,
+        data: draft,
+        message: 'Draft retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/courses/:id/draft
+  createDraft: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const draft = await courseRevisionService.createDraft(supabase, id, req.user.user_id, { instructorId });
+
+      res.status(201).json({
+        success: true,
+        data: draft,
+        message: 'Draft created successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PUT /api/courses/:id/draft
+  updateDraft: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const { course, chapters } = req.body;
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const draft = await courseRevisionService.updateDraft(supabase, id, { course, chapters }, { instructorId });
+
+      res.status(200).json({
+        success: true,
+        data: draft,
+        message: 'Draft updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/courses/:id/draft
+  discardDraft: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      await courseRevisionService.discardDraft(supabase, id, { instructorId });
+
+      res.status(200).json({
+        success: true,
+        message: 'Draft discarded successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/courses/:id/draft/publish
+  publishDraft: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const revision = await courseRevisionService.publishDraft(supabase, id, req.user.user_id);
+
+      res.status(200).json({
+        success: true,
+        data: revision,
+        message: 'Draft published successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/courses/:id/revisions
+  getRevisions: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const revisions = await courseRevisionService.getRevisions(supabase, id, { instructorId });
+
+      res.status(200).json({
+        success: true,
+        data: revisions,
+        message: 'Revisions retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/courses/:id/revisions/:revisionId
+  getRevisionById: async (req, res, next) => {
+    try {
+      const { id, revisionId } = req.params;
+      const supabase = getSupabaseClient();
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const revision = await courseRevisionService.getRevisionById(supabase, id, revisionId, { instructorId });
+
+      res.status(200).json({
+        success: true,
+        data: revision,
+        message: 'Revision retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/courses/:id/revisions/:revisionId/rollback
+  rollbackRevision: async (req, res, next) => {
+    try {
+      const { id, revisionId } = req.params;
+      const supabase = getSupabaseClient();
+      const revision = await courseRevisionService.rollback(supabase, id, revisionId, req.user.user_id);
+
+      res.status(200).json({
+        success: true,
+        data: revision,
+        message: 'Course rolled back successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 }
   
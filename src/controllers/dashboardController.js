@@ -1,4 +1,5 @@
 const getSupabaseClient = require('../utils/supabaseClient');
+const couponService = require('../services/couponService');
 
 const dashboardController = {
   // GET /
@@ -536,6 +537,32 @@ const dashboardController = {
       console.error('Upcoming mentorship sessions error:', error);
       next(error);
     }
+  },
+
+  // GET /api/dashboard/coupon-redemptions
+  getCouponRedemptions: async (req, res, next) => {
+    try {
+      const supabase = getSupabaseClient();
+      const { months } = req.query;
+
+      let since;
+      if (months) {
+        const monthsAgo = new Date();
+        monthsAgo.setMonth(monthsAgo.getMonth() - months);
+        since = monthsAgo.toISOString();
+      }
+
+      const stats = await couponService.getRedemptionStats(supabase, since);
+
+      res.status(200).json({
+        success: true,
+        data: stats,
+        message: 'Coupon redemptions retrieved successfully'
+      });
+    } catch (error) {
+      console.error('Coupon redemptions error:', error);
+      next(error);
+    }
   }
 };
 
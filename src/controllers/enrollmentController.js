@@ -1,5 +1,7 @@
 const enrollmentService = require('../services/enrollmentService');
 const getSupabaseClient = require('../utils/supabaseClient');
+const prerequisiteService = require('../services/prerequisiteService');
+const { hasPermission } = require('../middleware/permissionMiddleware');
 
 const enrollmentController = {
   // GET /api/enrollments
@@ -53,11 +55,17 @@ const enrollmentController = {
         });
       }
       
+      // Staff enrolling a student may override blocking prerequisites; they still get them back as warnings
+      const prerequisiteWarnings = await hasPermission(req, 'enrollments:write')
+        ? (await prerequisiteService.checkPrerequisites(supabase, user_id, course_id)).unmet
+        : await prerequisiteService.assertPrerequisitesMet(supabase, user_id, course_id);
+
       const enrollment = await enrollmentService.createEnrollment(supabase, user_id, course_id);
       
       res.status(201).json({
         success: true,
         data: enrollment,
+        warnings: prerequisiteWarnings,
         message: 'Enrollment created successfully'
       });
     } catch (error) {
@@ -0,0 +1,123 @@
+const entitlementService = require('../services/entitlementService');
+const getSupabaseClient = require('../utils/supabaseClient');
+
+const entitlementController = {
+  // GET /api/entitlements/me
+  getMyEntitlements: async (req, res, next) => {
+    try {
+      const supabase = getSupabaseClient();
+      const entitlements = await entitlementService.getActiveEntitlementsForUser(supabase, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: entitlements,
+        message: 'Your course access retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/entitlements/check
+  checkAccess: async (req, res, next) => {
+    try {
+      const { courseId, chapterId } = req.query;
+      const supabase = getSupabaseClient();
+      const access = await entitlementService.getAccess(supabase, req.user, chapterId ? { chapterId } : { courseId });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          allowed: access.allowed,
+          reason: access.reason,
+          courseId: access.courseId,
+          source: access.entitlement ? access.entitlement.source : null,
+          startsAt: access.entitlement ? access.entitlement.starts_at : null,
+          expiresAt: access.entitlement ? access.entitlement.expires_at : null
+        },
+        message: 'Access checked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/entitlements
+  getEntitlements: async (req, res, next) => {
+    try {
+      const { userId, email, courseId, source } = req.query;
+      const supabase = getSupabaseClient();
+      const entitlements = await entitlementService.getEntitlements(supabase, { userId, email, courseId, source });
+
+      res.status(200).json({
+        success: true,
+        data: entitlements,
+        message: 'Entitlements retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/entitlements
+  grantEntitlement: async (req, res, next) => {
+    try {
+      const { user_id, email, course_id, starts_at, expires_at, note } = req.body;
+      const supabase = getSupabaseClient();
+
+      const { data: course } = await supabase
+        .from('courses')
+        .select('course_id')
+        .eq('course_id', course_id)
+        .maybeSingle();
+
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'COURSE_NOT_FOUND',
+            message: 'Course not found'
+          }
+        });
+      }
+
+      const entitlement = await entitlementService.grant(supabase, {
+        userId: user_id,
+        email,
+        courseId: course_id,
+        source: 'ADMIN_GRANT',
+        startsAt: starts_at,
+        expiresAt: expires_at,
+        grantedBy: req.user.user_id,
+        note
+      });
+
+      res.status(201).json({
+        success: true,
+        data: entitlement,
+        message: 'Course access granted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/entitlements/:id
+  revokeEntitlement: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const entitlement = await entitlementService.revoke(supabase, id);
+
+      res.status(200).json({
+        success: true,
+        data: entitlement,
+        message: 'Course access revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = entitlementController;
@@ -3,6 +3,8 @@ const guestCoursePurchaseService = require('../services/guestCoursePurchaseServi
 const userService = require('../services/userService');
 const emailService = require('../services/emailService');
 const stripeService = require('../services/stripeService');
+const prerequisiteService = require('../services/prerequisiteService');
+const bundleService = require('../services/bundleService');
 const { body, validationResult } = require('express-validator');
 
 /**
@@ -63,7 +65,7 @@ const createGuestCoursePurchase = async (req, res) => {
     // Check if user exists and is blocked
     const { data: existingUser } = await supabase
       .from('users')
-      .select('is_active')
+      .select('user_id, is_active')
       .eq('email', customerEmail)
       .single();
 
@@ -77,6 +79,23 @@ const createGuestCoursePurchase = async (req, res) => {
       });
     }
 
+    // Buyers without an account cannot be checked; their prerequisites come back as warnings instead
+    const prerequisiteStatus = await prerequisiteService.checkPrerequisites(
+      supabase,
+      existingUser ? existingUser.user_id : null,
+      courseId
+    );
+    if (prerequisiteStatus.blocked) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PREREQUISITES_NOT_MET',
+          message: 'Complete the prerequisite courses before buying this course',
+          details: prerequisiteStatus.unmet
+        }
+      });
+    }
+
     // Create guest course purchase
     const purchaseData = {
       courseId,
@@ -102,6 +121,7 @@ const createGuestCoursePurchase = async (req, res) => {
         payment_status: purchase.payment_status,
         checkout_url: `/course-checkout/${purchase.purchase_id}` // Frontend checkout URL
       },
+      warnings: prerequisiteStatus.unmet,
       message: 'Guest course purchase created successfully. Redirecting to checkout...'
     });
   } catch (error) {
@@ -116,6 +136,114 @@ const createGuestCoursePurchase = async (req, res) => {
   }
 };
 
+/**
+ * Create a guest purchase of a course bundle (redirects to checkout)
+ */
+const createGuestBundlePurchase = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const supabase = getSupabaseClient();
+    const {
+      bundleId,
+      customerName,
+      customerEmail,
+      customerPhone
+    } = req.body;
+
+    const bundle = await bundleService.getBundleById(supabase, bundleId);
+
+    if (!bundle || !bundle.is_published) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BUNDLE_NOT_FOUND',
+          message: 'Bundle not found or not on sale'
+        }
+      });
+    }
+
+    // Check if user exists and is blocked
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('user_id, is_active')
+      .eq('email', customerEmail)
+      .single();
+
+    if (existingUser && !existingUser.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'USER_BLOCKED',
+          message: 'Your account has been blocked. Please contact support.'
+        }
+      });
+    }
+
+    const prerequisiteStatus = await prerequisiteService.checkPrerequisitesForCourses(
+      supabase,
+      existingUser ? existingUser.user_id : null,
+      bundle.courses.map(course => course.course_id)
+    );
+    if (prerequisiteStatus.blocked) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PREREQUISITES_NOT_MET',
+          message: 'Complete the prerequisite courses before buying this bundle',
+          details: prerequisiteStatus.unmet
+        }
+      });
+    }
+
+    const purchase = await guestCoursePurchaseService.createGuestCoursePurchase(supabase, {
+      bundleId,
+      customerName,
+      customerEmail,
+      customerPhone,
+      coursePrice: bundle.pricing.price
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        purchase_id: purchase.purchase_id,
+        bundle_id: bundleId,
+        bundle_title: bundle.title,
+        courses: bundle.courses.map(course => ({ course_id: course.course_id, title: course.title })),
+        customer_name: customerName,
+        customer_email: customerEmail,
+        customer_phone: customerPhone,
+        course_price: bundle.pricing.price,
+        pricing: bundle.pricing,
+        payment_status: purchase.payment_status,
+        checkout_url: `/course-checkout/${purchase.purchase_id}` // Frontend checkout URL
+      },
+      warnings: prerequisiteStatus.unmet,
+      message: 'Guest bundle purchase created successfully. Redirecting to checkout...'
+    });
+  } catch (error) {
+    console.error('Error creating guest bundle purchase:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Failed to create guest bundle purchase'
+      }
+    });
+  }
+};
+
 const createPaymentIntent = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -265,20 +393,25 @@ const updatePaymentStatus = async (req, res) => {
     // Send confirmation email if payment is successful
     if (paymentStatus === 'PAID') {
       try {
-        // Unlock all courses in the same series
-        console.log(`💳 PAYMENT CONFIRMED: Triggering series unlock for course ${purchase.course_id}, customer ${purchase.customer_email}`);
-        try {
-          await guestCoursePurchaseService.unlockSeriesCourses(
-            supabase, 
-            purchase.customer_email, 
-            purchase.course_id
-          );
-          console.log(`✅ SERIES UNLOCK: Successfully completed for course ${purchase.course_id}`);
-        } catch (seriesError) {
-          console.error('❌ SERIES UNLOCK: Error unlocking series courses:', seriesError);
-          // Continue with the rest of the process even if series unlocking fails
+        // Unlock all courses in the same series (bundle purchases were granted their courses already)
+        if (purchase.course_id) {
+          console.log(`💳 PAYMENT CONFIRMED: Triggering series unlock for course ${purchase.course_id}, customer ${purchase.customer_email}`);
+          try {
+            await guestCoursePurchaseService.unlockSeriesCourses(
+              supabase, 
+              purchase.customer_email, 
+              purchase.course_id
+            );
+            console.log(`✅ SERIES UNLOCK: Successfully completed for course ${purchase.course_id}`);
+          } catch (seriesError) {
+            console.error('❌ SERIES UNLOCK: Error unlocking series courses:', seriesError);
+            // Continue with the rest of the process even if series unlocking fails
+          }
         }
 
+        const purchasedTitle = purchase.course ? purchase.course.title : purchase.bundle.title;
+        const instructor = purchase.course ? purchase.course.instructor : null;
+
         // Create user account from guest purchase
         let userAccount = null;
         let isNewUser = false;
@@ -301,17 +434,18 @@ const updatePaymentStatus = async (req, res) => {
         await emailService.sendCoursePurchaseConfirmation({
           customerName: purchase.customer_name,
           customerEmail: purchase.customer_email,
-          courseTitle: purchase.course.title,
+          courseTitle: purchasedTitle,
           coursePrice: purchase.course_price,
           accessCode: purchase.access_code,
-          instructorName: purchase.course.instructor ? `${purchase.course.instructor.first_name} ${purchase.course.instructor.last_name}` : 'Course Instructor'
+          accessExpiresAt: purchase.access_expires_at,
+          instructorName: instructor ? `${instructor.first_name} ${instructor.last_name}` : 'Course Instructor'
         });
         console.log(`Course purchase confirmation email sent to: ${purchase.customer_email} (${isNewUser ? 'new' : 'existing'} user)`);
 
         // Send user credentials email ONLY for NEW users
         if (userAccount && userAccount.plainPassword) {
           try {
-            await emailService.sendUserCredentialsEmail(userAccount, purchase.course.title, purchase.access_code);
+            await emailService.sendUserCredentialsEmail(userAccount, purchasedTitle, purchase.access_code);
             console.log('User credentials email sent to:', userAccount.email);
           } catch (credentialsEmailError) {
             console.error('Error sending user credentials email:', credentialsEmailError);
@@ -319,11 +453,11 @@ const updatePaymentStatus = async (req, res) => {
         }
 
         // Send notification email to instructor (always)
-        if (purchase.course.instructor) {
-          await emailService.sendInstructorCoursePurchaseNotification(purchase.course.instructor.email, {
+        if (instructor) {
+          await emailService.sendInstructorCoursePurchaseNotification(instructor.email, {
             customerName: purchase.customer_name,
             customerEmail: purchase.customer_email,
-            courseTitle: purchase.course.title,
+            courseTitle: purchasedTitle,
             coursePrice: purchase.course_price
           });
         }
@@ -411,6 +545,17 @@ const getGuestCoursePurchaseByAccessCode = async (req, res) => {
         }
       });
     }
+
+    if (purchase.access_expires_at && new Date(purchase.access_expires_at) <= new Date()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_EXPIRED',
+          message: 'Access to this course has expired. Buy it again to renew your access.',
+          details: { expiresAt: purchase.access_expires_at }
+        }
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -590,7 +735,7 @@ const sendCredentials = async (req, res) => {
 
     // Send user credentials email (always send, whether new or existing user)
     try {
-      await emailService.sendUserCredentialsEmail(userAccount, purchase.course.title, purchase.access_code);
+      await emailService.sendUserCredentialsEmail(userAccount, purchase.course ? purchase.course.title : purchase.bundle.title, purchase.access_code);
       console.log('User credentials email sent to:', userAccount.email);
     } catch (emailError) {
       console.error('Error sending user credentials email:', emailError);
@@ -627,6 +772,7 @@ const sendCredentials = async (req, res) => {
 
 module.exports = {
   createGuestCoursePurchase,
+  createGuestBundlePurchase,
   createPaymentIntent,
   getGuestCoursePurchaseById,
   updatePaymentStatus,
@@ -201,7 +201,30 @@ const instructorController = {
     }
   },
 
-  // Get instructors by specialty
+  // Link the instructor to the user account they sign in with
+  linkAccount: async (req, res) => {
+    try {
+      const { instructorId } = req.params;
+      const { userId } = req.body;
+
+      const data = await instructorService.linkUserAccount(req.supabase, instructorId, userId);
+
+      res.json({
+        success: true,
+        data,
+        message: 'Instructor account linked successfully'
+      });
+    } catch (error) {
+      console.error('Error linking instructor account:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to link instructor account',
+        error: error.code || error.message
+      });
+    }
+  },
+
+    // Get instructors by specialty
   getInstructorsBySpecialty: async (req, res) => {
     try {
       const { specialty } = req.params;
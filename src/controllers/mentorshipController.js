@@ -1,6 +1,41 @@
 const getSupabaseClient = require('../utils/supabaseClient');
 const mentorshipService = require('../services/mentorshipService');
 
+/**
+ * Transform a slot row to match frontend format
+ */
+const transformSlot = (slot) => ({
+  slot_id: slot.slot_id,
+  mentor_id: slot.mentor_user_id,
+  date: new Date(slot.start_time).toISOString().split('T')[0],
+  time_slot: `${new Date(slot.start_time).toTimeString().split(' ')[0]} - ${new Date(slot.end_time).toTimeString().split(' ')[0]}`,
+  is_available: !slot.is_booked,
+  price: slot.price,
+  mentor: slot.mentor
+});
+
+/**
+ * Send a service error that carries its own status, or a generic 500
+ */
+const sendSlotError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_SERVER_ERROR',
+      message
+    }
+  });
+};
+
 /**
  * Get all mentorship requests (bookings)
  */
@@ -215,15 +250,7 @@ const getAllSlots = async (req, res) => {
     const slots = await mentorshipService.getAllMentorshipSlots(supabase);
     
     // Transform slots to match frontend format
-    const transformedSlots = slots.map(slot => ({
-      slot_id: slot.slot_id,
-      mentor_id: slot.mentor_user_id,
-      date: new Date(slot.start_time).toISOString().split('T')[0],
-      time_slot: `${new Date(slot.start_time).toTimeString().split(' ')[0]} - ${new Date(slot.end_time).toTimeString().split(' ')[0]}`,
-      is_available: !slot.is_booked,
-      price: slot.price,
-      mentor: slot.mentor
-    }));
+    const transformedSlots = slots.map(transformSlot);
     
     res.status(200).json({
       success: true,
@@ -242,6 +269,97 @@ const getAllSlots = async (req, res) => {
   }
 };
 
+/**
+ * Get the signed-in mentor's own slots, booked or not
+ */
+const getMySlots = async (req, res) => {
+  try {
+    const supabase = getSupabaseClient();
+    const slots = await mentorshipService.getAllMentorshipSlots(supabase, null, req.user.user_id);
+
+    res.status(200).json({
+      success: true,
+      data: slots.map(transformSlot),
+      message: 'Mentorship slots retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching own mentorship slots:', error);
+    sendSlotError(res, error, 'Failed to fetch mentorship slots');
+  }
+};
+
+/**
+ * Create a slot for the signed-in mentor
+ */
+const createMySlot = async (req, res) => {
+  try {
+    const supabase = getSupabaseClient();
+    const { start_time, end_time, price } = req.body;
+
+    const slot = await mentorshipService.createMentorshipSlot(supabase, {
+      mentorUserId: req.user.user_id,
+      startTime: start_time,
+      endTime: end_time,
+      price: price !== undefined ? parseFloat(price) : 0
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transformSlot(slot),
+      message: 'Mentorship slot created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating mentorship slot:', error);
+    sendSlotError(res, error, 'Failed to create mentorship slot');
+  }
+};
+
+/**
+ * Update one of the signed-in mentor's unbooked slots
+ */
+const updateMySlot = async (req, res) => {
+  try {
+    const supabase = getSupabaseClient();
+    const { slotId } = req.params;
+    const { start_time, end_time, price } = req.body;
+
+    const slot = await mentorshipService.updateMentorshipSlot(supabase, slotId, {
+      startTime: start_time,
+      endTime: end_time,
+      price: price !== undefined ? parseFloat(price) : undefined
+    }, { mentorUserId: req.user.user_id });
+
+    res.status(200).json({
+      success: true,
+      data: transformSlot(slot),
+      message: 'Mentorship slot updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating mentorship slot:', error);
+    sendSlotError(res, error, 'Failed to update mentorship slot');
+  }
+};
+
+/**
+ * Delete one of the signed-in mentor's unbooked slots
+ */
+const deleteMySlot = async (req, res) => {
+  try {
+    const supabase = getSupabaseClient();
+    const { slotId } = req.params;
+
+    await mentorshipService.deleteMentorshipSlot(supabase, slotId, { mentorUserId: req.user.user_id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Mentorship slot deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting mentorship slot:', error);
+    sendSlotError(res, error, 'Failed to delete mentorship slot');
+  }
+};
+
 /**
  * Delete mentorship request
  */
@@ -274,5 +392,9 @@ module.exports = {
   approveRequest,
   rejectRequest,
   getAllSlots,
+  getMySlots,
+  createMySlot,
+  updateMySlot,
+  deleteMySlot,
   deleteRequest
 };
\ No newline at end of file
@@ -1,29 +1,105 @@
 const getSupabaseClient = require('../utils/supabaseClient');
 const guestBookingService = require('../services/guestBookingService');
 const guestCoursePurchaseService = require('../services/guestCoursePurchaseService');
+const prerequisiteService = require('../services/prerequisiteService');
+const couponService = require('../services/couponService');
+const entitlementService = require('../services/entitlementService');
+const bundleService = require('../services/bundleService');
+
+// Send a coupon or pricing error in the usual error shape; returns false for unexpected errors
+const sendPricingError = (res, error) => {
+  if (!error.statusCode) {
+    return false;
+  }
+  res.status(error.statusCode).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message
+    }
+  });
+  return true;
+};
+
+// The user's unpaid payments for the same course or bundle, which a new intent replaces
+const findPendingPayments = async (supabase, userId, { courseId, bundleId }) => {
+  let query = supabase
+    .from('payments')
+    .select('payment_id, coupon_id')
+    .eq('user_id', userId)
+    .eq('status', 'pending');
+  query = bundleId ? query.eq('bundle_id', bundleId) : query.eq('course_id', courseId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch pending payments: ${error.message}`);
+  }
+  return data || [];
+};
+
+// Marks replaced payments failed, giving back their coupon reservations
+const supersedePendingPayments = async (supabase, payments) => {
+  if (payments.length === 0) {
+    return;
+  }
+
+  const { data: superseded, error } = await supabase
+    .from('payments')
+    .update({ status: 'failed' })
+    .in('payment_id', payments.map(payment => payment.payment_id))
+    .eq('status', 'pending')
+    .select('payment_id, coupon_id');
 
-// Create payment intent for course purchase
+  if (error) {
+    throw new Error(`Failed to replace pending payments: ${error.message}`);
+  }
+
+  for (const payment of (superseded || []).filter(row => row.coupon_id)) {
+    await couponService.settleRedemptions(supabase, 'COURSE_PAYMENT', payment.payment_id, 'RELEASED');
+  }
+};
+
+// Create payment intent for course or bundle purchase
 const createCoursePaymentIntent = async (req, res) => {
   try {
     const supabase = getSupabaseClient();
-    const { courseId, amount, currency = 'usd' } = req.body;
+    const { courseId, bundleId, amount, couponCode, currency = 'usd' } = req.body;
     const userId = req.user.user_id;
 
-    // Validate course exists
-    const { data: course, error: courseError } = await supabase
-      .from('courses')
-      .select('*')
-      .eq('course_id', courseId)
-      .single();
+    // A bundle is paid once at the bundle price and gives every member course
+    let course = null;
+    let bundle = null;
+    if (bundleId) {
+      bundle = await bundleService.getBundleById(supabase, bundleId);
 
-    if (courseError || !course) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: 'COURSE_NOT_FOUND',
-          message: 'Course not found'
-        }
-      });
+      if (!bundle || !bundle.is_published) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'BUNDLE_NOT_FOUND',
+            message: 'Bundle not found or not on sale'
+          }
+        });
+      }
+    } else {
+      // Validate course exists
+      const { data, error: courseError } = await supabase
+        .from('courses')
+        .select('*')
+        .eq('course_id', courseId)
+        .single();
+
+      if (courseError || !data) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'COURSE_NOT_FOUND',
+            message: 'Course not found'
+          }
+        });
+      }
+      course = data;
     }
 
     // Check if user is blocked
@@ -43,24 +119,88 @@ const createCoursePaymentIntent = async (req, res) => {
       });
     }
 
-    const { data: existingEnrollment } = await supabase
+    const courseIds = bundle ? bundle.courses.map(member => member.course_id) : [courseId];
+
+    const { data: existingEnrollments } = await supabase
       .from('enrollments')
-      .select('*')
+      .select('course_id')
       .eq('user_id', userId)
-      .eq('course_id', courseId)
-      .single();
+      .in('course_id', courseIds);
 
-    if (existingEnrollment) {
+    // Time-limited courses can be bought again to renew access; the new period starts when the current one ends.
+    // A bundle is only refused when it would not add anything the user does not already own for life
+    const { data: timeLimited } = await supabase
+      .from('courses')
+      .select('course_id')
+      .in('course_id', courseIds)
+      .not('access_duration_days', 'is', null);
+
+    const owned = new Set((existingEnrollments || []).map(enrollment => enrollment.course_id));
+    (timeLimited || []).forEach(limited => owned.delete(limited.course_id));
+
+    if (courseIds.length > 0 && courseIds.every(id => owned.has(id))) {
       return res.status(409).json({
         success: false,
         error: {
           code: 'ALREADY_ENROLLED',
-          message: 'User is already enrolled in this course'
+          message: bundle ? 'User is already enrolled in every course of this bundle' : 'User is already enrolled in this course'
+        }
+      });
+    }
+
+    const prerequisiteStatus = bundle
+      ? await prerequisiteService.checkPrerequisitesForCourses(supabase, userId, courseIds)
+      : await prerequisiteService.checkPrerequisites(supabase, userId, courseId);
+    if (prerequisiteStatus.blocked) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PREREQUISITES_NOT_MET',
+          message: bundle ? 'Complete the prerequisite courses before buying this bundle' : 'Complete the prerequisite courses before buying this course',
+          details: prerequisiteStatus.unmet
         }
       });
     }
 
-    const paymentIntentId = `pi_course_${courseId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Replaced only once the new intent is known to be valid, so a bad coupon or amount leaves them alone
+    const pendingPayments = await findPendingPayments(supabase, userId, { courseId, bundleId });
+
+    // The price comes from the course or bundle and the coupon, never from the client
+    const price = bundle ? bundle.pricing.price : Number(course.price || 0);
+    let pricing = { coupon: null, originalAmount: price, discountAmount: 0, finalAmount: price };
+    try {
+      if (couponCode) {
+        // Coupons for a single course do not apply to a bundle
+        const order = {
+          orderType: 'COURSE_PAYMENT',
+          courseId: bundle ? null : courseId,
+          amount: pricing.originalAmount,
+          replacesPaymentIds: pendingPayments.map(payment => payment.payment_id)
+        };
+        pricing = await couponService.quote(supabase, couponCode, order, req.user.email);
+      }
+    } catch (couponError) {
+      if (sendPricingError(res, couponError)) {
+        return;
+      }
+      throw couponError;
+    }
+
+    if (amount !== undefined && Number(amount) !== pricing.finalAmount) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'AMOUNT_MISMATCH',
+          message: bundle ? 'Payment amount does not match bundle price' : 'Payment amount does not match course price'
+        }
+      });
+    }
+
+    await supersedePendingPayments(supabase, pendingPayments);
+
+    const paymentIntentId = bundle
+      ? `pi_bundle_${bundleId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+      : `pi_course_${courseId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const clientSecret = `${paymentIntentId}_secret_${Math.random().toString(36).substr(2, 9)}`;
 
     // Store payment record in database
@@ -68,8 +208,11 @@ const createCoursePaymentIntent = async (req, res) => {
       .from('payments')
       .insert({
         user_id: userId,
-        course_id: courseId,
-        amount,
+        course_id: bundle ? null : courseId,
+        bundle_id: bundle ? bundleId : null,
+        amount: pricing.finalAmount,
+        discount_amount: pricing.discountAmount,
+        coupon_id: pricing.coupon ? pricing.coupon.coupon_id : null,
         currency: currency.toUpperCase(),
         payment_method: 'square',
         payment_intent_id: paymentIntentId,
@@ -89,15 +232,42 @@ const createCoursePaymentIntent = async (req, res) => {
       });
     }
 
+    if (pricing.coupon) {
+      try {
+        await couponService.reserveRedemption(supabase, pricing, {
+          orderType: 'COURSE_PAYMENT',
+          orderId: payment.payment_id,
+          customerEmail: req.user.email,
+          userId
+        });
+      } catch (couponError) {
+        // Someone else took the coupon's last use since it was quoted
+        await supabase.from('payments').delete().eq('payment_id', payment.payment_id);
+        if (sendPricingError(res, couponError)) {
+          return;
+        }
+        throw couponError;
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: {
         client_secret: clientSecret,
         payment_intent_id: paymentIntentId,
-        amount,
+        amount: pricing.finalAmount,
+        original_amount: pricing.originalAmount,
+        discount_amount: pricing.discountAmount,
+        coupon: pricing.coupon,
         currency: currency.toUpperCase(),
-        payment_id: payment.payment_id
+        payment_id: payment.payment_id,
+        ...(bundle && {
+          bundle_id: bundleId,
+          courses: bundle.courses.map(member => ({ course_id: member.course_id, title: member.title })),
+          pricing: bundle.pricing
+        })
       },
+      warnings: prerequisiteStatus.unmet,
       message: 'Payment intent created successfully'
     });
 
@@ -204,11 +374,33 @@ const confirmPayment = async (req, res) => {
       })
       .eq('payment_intent_id', paymentIntentId)
       .eq('user_id', userId)
+      // Only a pending payment can be confirmed, so replaying an old intent grants nothing again
+      .eq('status', 'pending')
       .select()
-      .single();
+      .maybeSingle();
 
     if (paymentError || !payment) {
-      console.error('Error updating payment status:', paymentError);
+      if (paymentError) {
+        console.error('Error updating payment status:', paymentError);
+      }
+
+      const { data: existingPayment } = await supabase
+        .from('payments')
+        .select('status')
+        .eq('payment_intent_id', paymentIntentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (existingPayment) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'PAYMENT_NOT_PENDING',
+            message: `Payment is already ${existingPayment.status}`
+          }
+        });
+      }
+
       return res.status(404).json({
         success: false,
         error: {
@@ -218,18 +410,33 @@ const confirmPayment = async (req, res) => {
       });
     }
 
-    // Handle course enrollment
-    if (payment.course_id) {
+    if (payment.coupon_id) {
+      try {
+        await couponService.settleRedemptions(supabase, 'COURSE_PAYMENT', payment.payment_id, 'REDEEMED');
+      } catch (couponError) {
+        // The payment went through; the redemption stays pending and still counts towards the limits
+        console.error('Error recording coupon redemption:', couponError);
+      }
+    }
+
+    // Handle course enrollment (a renewal finds the enrollment already there); a bundle enrolls in every member course
+    let courseIds = payment.course_id ? [payment.course_id] : [];
+    if (payment.bundle_id) {
+      const bundle = await bundleService.getBundleById(supabase, payment.bundle_id);
+      courseIds = bundle ? bundle.courses.map(member => member.course_id) : [];
+    }
+
+    const entitlements = [];
+    for (const courseId of courseIds) {
       const { error: enrollmentError } = await supabase
         .from('enrollments')
-        .insert({
+        .upsert({
           user_id: userId,
-          course_id: payment.course_id,
+          course_id: courseId,
           status: 'APPROVED',
           payment_status: 'paid',
-          requested_at: new Date().toISOString(),
           approved_at: new Date().toISOString()
-        });
+        }, { onConflict: 'user_id,course_id' });
 
       if (enrollmentError) {
         console.error('Error creating enrollment:', enrollmentError);
@@ -241,6 +448,24 @@ const confirmPayment = async (req, res) => {
           }
         });
       }
+
+      try {
+        entitlements.push(await entitlementService.grant(supabase, {
+          userId,
+          courseId,
+          source: payment.bundle_id ? 'BUNDLE' : (payment.coupon_id && Number(payment.amount) === 0 ? 'COUPON' : 'PURCHASE'),
+          sourceId: payment.payment_id
+        }));
+      } catch (entitlementError) {
+        console.error('Error granting course access:', entitlementError);
+        return res.status(500).json({
+          success: false,
+          error: {
+            code: 'ENTITLEMENT_CREATION_FAILED',
+            message: 'Payment completed but course access could not be granted'
+          }
+        });
+      }
     }
 
     // Handle mentorship booking
@@ -294,7 +519,11 @@ const confirmPayment = async (req, res) => {
           status: 'succeeded',
           amount: payment.amount,
           currency: payment.currency
-        }
+        },
+        accessExpiresAt: payment.course_id && entitlements[0] ? entitlements[0].expires_at : null,
+        ...(payment.bundle_id && {
+          courseAccess: entitlements.map(entitlement => ({ courseId: entitlement.course_id, accessExpiresAt: entitlement.expires_at }))
+        })
       },
       message: 'Payment confirmed and processed successfully'
     });
@@ -461,7 +690,7 @@ const handleStripeWebhook = async (req, res) => {
 const createGuestBookingPaymentIntent = async (req, res) => {
   try {
     console.log('Creating guest booking payment intent:', req.body);
-    const { bookingId, amount, currency = 'usd' } = req.body;
+    const { bookingId, amount, couponCode, currency = 'usd' } = req.body;
 
     // Validate required fields
     if (!bookingId) {
@@ -474,16 +703,6 @@ const createGuestBookingPaymentIntent = async (req, res) => {
       });
     }
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_AMOUNT',
-          message: 'Valid amount is required'
-        }
-      });
-    }
-
     const supabase = getSupabaseClient();
 
     // Validate guest booking exists
@@ -510,10 +729,30 @@ const createGuestBookingPaymentIntent = async (req, res) => {
       });
     }
 
+    let pricing;
+    try {
+      pricing = await couponService.applyToGuestOrder(supabase, 'GUEST_BOOKING', bookingId, couponCode);
+    } catch (couponError) {
+      if (sendPricingError(res, couponError)) {
+        return;
+      }
+      throw couponError;
+    }
+
+    if (amount !== undefined && Number(amount) !== pricing.finalAmount) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'AMOUNT_MISMATCH',
+          message: 'Payment amount does not match session price'
+        }
+      });
+    }
+
     let paymentIntent = {
       id: `pi_dev_${bookingId}_${Date.now()}`,
       client_secret: `pi_dev_${bookingId}_${Date.now()}_secret_${Math.random().toString(36).substr(2, 9)}`,
-      amount: Math.round(amount * 100),
+      amount: Math.round(pricing.finalAmount * 100),
       currency: currency.toLowerCase(),
       metadata: {
         bookingId,
@@ -528,7 +767,10 @@ const createGuestBookingPaymentIntent = async (req, res) => {
       data: {
         client_secret: paymentIntent.client_secret,
         payment_intent_id: paymentIntent.id,
-        amount,
+        amount: pricing.finalAmount,
+        original_amount: pricing.originalAmount,
+        discount_amount: pricing.discountAmount,
+        coupon: pricing.coupon,
         currency: currency.toUpperCase()
       },
       message: paymentIntent.id.startsWith('pi_dev_') ? 'Development payment intent created successfully' : 'Payment intent created successfully'
@@ -612,7 +854,7 @@ const createGuestCoursePaymentIntent = async (req, res) => {
     console.log('🔄 Creating guest course payment intent...');
     console.log('Request body:', req.body);
     
-    const { purchaseId, amount, currency = 'usd' } = req.body;
+    const { purchaseId, amount, couponCode, currency = 'usd' } = req.body;
 
     if (!purchaseId) {
       console.error('❌ Missing purchaseId in request');
@@ -645,11 +887,72 @@ const createGuestCoursePaymentIntent = async (req, res) => {
       });
     }
 
-    console.log('✅ Purchase validated, course price:', purchase.course_price, 'requested amount:', amount);
+    if (purchase.payment_status === 'PAID') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_PAID',
+          message: 'Course purchase is already paid'
+        }
+      });
+    }
+
+    // The purchase may have been created before the prerequisites or the buyer's progress changed
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('user_id')
+      .eq('email', purchase.customer_email)
+      .maybeSingle();
+
+    // Bundle purchases from createGuestBundlePurchase are paid here too, as long as the bundle is still on sale
+    let courseIds = [purchase.course_id];
+    let bundle = null;
+    if (purchase.bundle_id) {
+      bundle = await bundleService.getBundleById(supabase, purchase.bundle_id);
+
+      if (!bundle || !bundle.is_published) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'BUNDLE_NOT_FOUND',
+            message: 'Bundle not found or not on sale'
+          }
+        });
+      }
+      courseIds = bundle.courses.map(course => course.course_id);
+    }
+
+    const prerequisiteStatus = await prerequisiteService.checkPrerequisitesForCourses(
+      supabase,
+      existingUser ? existingUser.user_id : null,
+      courseIds
+    );
+    if (prerequisiteStatus.blocked) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PREREQUISITES_NOT_MET',
+          message: 'Complete the prerequisite courses before buying this course',
+          details: prerequisiteStatus.unmet
+        }
+      });
+    }
+
+    let pricing;
+    try {
+      pricing = await couponService.applyToGuestOrder(supabase, 'GUEST_COURSE_PURCHASE', purchaseId, couponCode);
+    } catch (couponError) {
+      if (sendPricingError(res, couponError)) {
+        return;
+      }
+      throw couponError;
+    }
+
+    console.log('✅ Purchase validated, course price:', pricing.finalAmount, 'requested amount:', amount);
 
     // Validate amount matches purchase
-    if (purchase.course_price !== amount) {
-      console.error('❌ Amount mismatch:', purchase.course_price, 'vs', amount);
+    if (amount !== undefined && Number(amount) !== pricing.finalAmount) {
+      console.error('❌ Amount mismatch:', pricing.finalAmount, 'vs', amount);
       return res.status(400).json({
         success: false,
         error: {
@@ -676,10 +979,19 @@ const createGuestCoursePaymentIntent = async (req, res) => {
       data: {
         client_secret: paymentIntent.client_secret,
         payment_intent_id: paymentIntent.id,
-        amount: amount,
+        amount: pricing.finalAmount,
+        original_amount: pricing.originalAmount,
+        discount_amount: pricing.discountAmount,
+        coupon: pricing.coupon,
         currency: currency.toUpperCase(),
-        payment_id: `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+        payment_id: `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        ...(bundle && {
+          bundle_id: bundle.bundle_id,
+          courses: bundle.courses.map(course => ({ course_id: course.course_id, title: course.title })),
+          pricing: bundle.pricing
+        })
       },
+      warnings: prerequisiteStatus.unmet,
       message: paymentIntent.id.startsWith('pi_dev_') ? 'Development course payment intent created successfully' : 'Course payment intent created successfully'
     });
 
@@ -0,0 +1,135 @@
+const seriesService = require('../services/seriesService');
+const getSupabaseClient = require('../utils/supabaseClient');
+const { hasPermission } = require('../middleware/permissionMiddleware');
+
+const seriesController = {
+  // GET /api/series
+  getSeries: async (req, res, next) => {
+    try {
+      const supabase = getSupabaseClient();
+
+      // Parts that are not live yet (and empty series) are only listed for staff who manage courses
+      const includeUnpublished = req.query.includeUnpublished === 'true' && await hasPermission(req, 'courses:write');
+      const series = await seriesService.getSeries(supabase, { includeUnpublished });
+
+      res.status(200).json({
+        success: true,
+        data: series,
+        message: 'Series retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/series/:id
+  getSeriesById: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const includeUnpublished = await hasPermission(req, 'courses:write');
+      const series = await seriesService.getSeriesById(supabase, id, { includeUnpublished });
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'SERIES_NOT_FOUND',
+            message: 'Series not found'
+          }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: series,
+        message: 'Series retrieved successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/series
+  createSeries: async (req, res, next) => {
+    try {
+      const { title, description, cover_image_url, course_ids } = req.body;
+      const supabase = getSupabaseClient();
+
+      const series = await seriesService.createSeries(supabase, {
+        title,
+        description,
+        cover_image_url,
+        course_ids
+      });
+
+      res.status(201).json({
+        success: true,
+        data: series,
+        message: 'Series created successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PUT /api/series/:id
+  updateSeries: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+
+      const updates = {};
+      ['title', 'description', 'cover_image_url'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+
+      const series = await seriesService.updateSeries(supabase, id, updates);
+
+      res.status(200).json({
+        success: true,
+        data: series,
+        message: 'Series updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PUT /api/series/:id/parts
+  setParts: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      const series = await seriesService.setParts(supabase, id, req.body.course_ids);
+
+      res.status(200).json({
+        success: true,
+        data: series,
+        message: 'Series parts updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/series/:id
+  deleteSeries: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const supabase = getSupabaseClient();
+      await seriesService.deleteSeries(supabase, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Series deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+};
+
+module.exports = seriesController;
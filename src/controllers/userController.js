@@ -3,6 +3,13 @@ const userService = require('../services/userService');
 const authService = require('../services/authService');
 const courseService = require('../services/courseService');
 const enrollmentService = require('../services/enrollmentService');
+const entitlementService = require('../services/entitlementService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const impersonationService = require('../services/impersonationService');
+const privacyService = require('../services/privacyService');
+const { hasPermission } = require('../middleware/permissionMiddleware');
 
 const userController = {
   // GET /api/users
@@ -107,45 +114,22 @@ const userController = {
                 .eq('enrollment_id', enrollmentId);
 
               if (updateError) throw updateError;
+
+              await entitlementService.grant(req.supabase, {
+                userId: req.user.user_id,
+                courseId: course.course_id,
+                source: 'ENROLLMENT',
+                sourceId: enrollmentId
+              });
             }
           }
         }
 
-        // Refresh approved courses after ensuring access (use uppercase status)
-        const { data: approvedEnrollments, error: approvedError } = await req.supabase
-          .from('enrollments')
-          .select(`
-            course_id,
-            courses (
-              course_id,
-              title,
-              description,
-              thumbnail_url,
-              is_published,
-              price,
-              level,
-              duration_hours,
-              instructor:instructor_id(
-                instructor_id,
-                first_name,
-                last_name,
-                email,
-                bio,
-                profile_image_url
-              ),
-              categories:category_id(
-                name,
-                slug,
-                description
-              )
-            )
-          `)
-          .eq('user_id', req.user.user_id)
-          .eq('status', 'APPROVED');
-
-        if (approvedError) throw approvedError;
-
-        approvedCourses = (approvedEnrollments || []).map(e => e.courses);
+        // Refresh approved courses after ensuring access
+        approvedCourses = await enrollmentService.getApprovedCoursesForUser(
+          req.supabase,
+          req.user.user_id
+        );
       } catch (ensureError) {
         console.error('Error ensuring approved enrollments for user in getCurrentUser:', ensureError);
       }
@@ -168,8 +152,8 @@ const userController = {
     try {
       const { id } = req.params;
       
-      // Check if user is admin or requesting their own data
-      if (req.user.role !== 'ADMIN' && req.user.user_id !== id) {
+      // Check if user may read other accounts or is requesting their own data
+      if (req.user.user_id !== id && !(await hasPermission(req, 'users:read'))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -276,6 +260,13 @@ const userController = {
 
             if (updateError) throw updateError;
 
+            await entitlementService.grant(req.supabase, {
+              userId: newUser.id,
+              courseId: course.course_id,
+              source: 'ENROLLMENT',
+              sourceId: enrollmentId
+            });
+
             grantedCount++;
           } else {
             alreadyApprovedCount++;
@@ -336,8 +327,21 @@ const userController = {
       // Remove sensitive fields that shouldn't be updated via this endpoint
       delete updateData.password_hash;
       delete updateData.salt;
+      delete updateData.mfa_secret;
+      delete updateData.mfa_last_used_step;
       delete updateData.user_id;
 
+      // Changing a role grants or removes permissions, so it needs its own permission
+      if (updateData.role !== undefined && !(await hasPermission(req, 'roles:assign'))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Insufficient permissions to change user roles'
+          }
+        });
+      }
+
       const { data: updatedUser, error } = await req.supabase
         .from('users')
         .update({
@@ -414,6 +418,299 @@ const userController = {
     } catch (error) {
       next(error);
     }
+  },
+
+  // POST /api/users/:id/unlock
+  unlockUser: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.unlockUserAccount(req.supabase, id);
+
+      res.status(200).json({
+        success: true,
+        data: user,
+        message: 'User account unlocked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/users/:id/force-logout
+  forceLogoutUser: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.getUserById(req.supabase, id);
+
+      await tokenRevocationService.revokeAllForUser(req.supabase, user.user_id, 'ADMIN_FORCE_LOGOUT');
+
+      res.status(200).json({
+        success: true,
+        message: 'User logged out from all devices'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/users/me/permissions
+  getMyPermissions: async (req, res, next) => {
+    try {
+      const permissions = await permissionService.getRolePermissions(req.supabase, req.user.role);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          role: req.user.role,
+          permissions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/users/me/sessions
+  getMySessions: async (req, res, next) => {
+    try {
+      const sessions = await sessionService.getActiveSessions(req.supabase, req.user.user_id);
+
+      res.status(200).json({
+        success: true,
+        data: sessions.map(session => ({
+          ...session,
+          current: session.session_id === req.token.sid
+        })),
+        meta: {
+          maxDevices: sessionService.getDeviceLimit(req.user)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/users/me/sessions/:sessionId
+  revokeMySession: async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+
+      await sessionService.revokeSession(req.supabase, req.user.user_id, sessionId, 'USER_SIGNED_OUT_DEVICE');
+
+      res.status(200).json({
+        success: true,
+        message: 'Device signed out successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/users/:id/sessions
+  getUserSessions: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const user = await userService.getUserById(req.supabase, id);
+      const sessions = await sessionService.getActiveSessions(req.supabase, user.user_id);
+
+      res.status(200).json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/users/:id/impersonate
+  impersonateUser: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason, durationMinutes } = req.body;
+
+      const { impersonation, targetUser } = await impersonationService.startImpersonation(req.supabase, req.user, id, {
+        reason,
+        durationMinutes,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+      const token = authService.generateAccessToken(targetUser, { impersonation });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          token,
+          expiresAt: impersonation.expires_at,
+          impersonation,
+          user: {
+            id: targetUser.user_id,
+            email: targetUser.email,
+            firstName: targetUser.first_name,
+            lastName: targetUser.last_name,
+            role: targetUser.role
+          }
+        },
+        message: 'Impersonation started. The token is read-only.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/users/impersonations
+  getImpersonations: async (req, res, next) => {
+    try {
+      const { adminUserId, targetUserId, limit } = req.query;
+
+      const impersonations = await impersonationService.getImpersonations(req.supabase, {
+        adminUserId,
+        targetUserId,
+        limit: limit ? parseInt(limit, 10) : undefined
+      });
+
+      res.status(200).json({
+        success: true,
+        data: impersonations
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/users/impersonations/:impersonationId
+  getImpersonationById: async (req, res, next) => {
+    try {
+      const { impersonationId } = req.params;
+
+      const impersonation = await impersonationService.getImpersonationById(req.supabase, impersonationId);
+
+      res.status(200).json({
+        success: true,
+        data: impersonation
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/users/impersonations/:impersonationId
+  endImpersonation: async (req, res, next) => {
+    try {
+      const { impersonationId } = req.params;
+
+      const impersonation = await impersonationService.endImpersonation(req.supabase, impersonationId, req.user.user_id);
+
+      res.status(200).json({
+        success: true,
+        data: impersonation,
+        message: 'Impersonation ended'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PUT /api/users/:id/device-limit
+  updateDeviceLimit: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { maxDevices } = req.body;
+
+      const user = await sessionService.setDeviceLimit(req.supabase, id, maxDevices === undefined ? null : maxDevices);
+
+      res.status(200).json({
+        success: true,
+        data: user,
+        message: 'Device limit updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/users/me/export
+  exportMyData: async (req, res, next) => {
+    try {
+      // Admins use GET /api/users/:id/export, so a download is never hidden inside an impersonation
+      if (req.impersonation) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'IMPERSONATION_READ_ONLY',
+            message: 'Personal data cannot be exported while impersonating'
+          }
+        });
+      }
+
+      const data = await privacyService.exportUserData(req.supabase, req.user.user_id);
+
+      res.setHeader('Content-Disposition', `attachment; filename="personal-data-${req.user.user_id}.json"`);
+      res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/users/me/erase
+  eraseMe: async (req, res, next) => {
+    try {
+      const { password } = req.body;
+
+      await privacyService.confirmErasure(req.supabase, req.user.user_id, password);
+      const erasure = await privacyService.eraseUser(req.supabase, req.user.user_id);
+
+      res.status(200).json({
+        success: true,
+        data: erasure,
+        message: 'Your account and personal data have been erased'
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/users/:id/export
+  exportUserData: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const data = await privacyService.exportUserData(req.supabase, id);
+
+      res.setHeader('Content-Disposition', `attachment; filename="personal-data-${id}.json"`);
+      res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/users/:id/erase
+  eraseUser: async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const erasure = await privacyService.eraseUser(req.supabase, id, {
+        requestedBy: req.user.user_id,
+        reason
+      });
+
+      res.status(200).json({
+        success: true,
+        data: erasure,
+        message: 'User personal data erased successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
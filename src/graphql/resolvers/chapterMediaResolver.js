@@ -1,7 +1,7 @@
 // src/graphql/resolvers/chapterMediaResolver.js
 const chapterMediaService = require('../../services/chapterMediaService'); // Import the Chapter Media Service
 const chapterService = require('../../services/chapterService'); // Import Chapter Service to get course ID for authorization
-const userChapterAccessService = require('../../services/userChapterAccessService'); // Import User Chapter Access Service
+const entitlementService = require('../../services/entitlementService'); // Import Entitlement Service for access checks
 
 const chapterMediaResolvers = {
   Query: {
@@ -24,10 +24,10 @@ const chapterMediaResolvers = {
       }
 
       // Check if the user has access to this chapter
-      const isUnlocked = await userChapterAccessService.isChapterUnlocked(
+      const isUnlocked = await entitlementService.canAccess(
         context.supabase,
-        context.user.user_id,
-        chapterId
+        context.user,
+        { chapterId }
       );
 
       if (!isUnlocked) {
@@ -56,10 +56,10 @@ const chapterMediaResolvers = {
       }
 
       // Check if the user has access to the chapter containing this media
-      const isUnlocked = await userChapterAccessService.isChapterUnlocked(
+      const isUnlocked = await entitlementService.canAccess(
         context.supabase,
-        context.user.user_id,
-        media.chapter_id
+        context.user,
+        { chapterId: media.chapter_id }
       );
 
       if (!isUnlocked) {
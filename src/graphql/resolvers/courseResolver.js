@@ -1,7 +1,7 @@
 // src/graphql/resolvers/chapterResolver.js
 const chapterService = require('../../services/chapterService'); // Import the Chapter Service
 const chapterMediaService = require('../../services/chapterMediaService'); // Import Chapter Media Service for nested queries
-const userChapterAccessService = require('../../services/userChapterAccessService'); // Import User Chapter Access Service
+const entitlementService = require('../../services/entitlementService'); // Import Entitlement Service for access checks
 
 const chapterResolvers = {
   Query: {
@@ -24,10 +24,10 @@ const chapterResolvers = {
       // Filter chapters based on user access
       const accessibleChapters = [];
       for (const chapter of allChapters) {
-        const isUnlocked = await userChapterAccessService.isChapterUnlocked(
+        const isUnlocked = await entitlementService.canAccess(
           context.supabase,
-          context.user.user_id,
-          chapter.chapter_id
+          context.user,
+          { chapterId: chapter.chapter_id }
         );
         if (isUnlocked) {
           accessibleChapters.push(chapter);
@@ -56,10 +56,10 @@ const chapterResolvers = {
       }
 
       // Check if the user has access to this chapter
-      const isUnlocked = await userChapterAccessService.isChapterUnlocked(
+      const isUnlocked = await entitlementService.canAccess(
         context.supabase,
-        context.user.user_id,
-        chapter.chapter_id
+        context.user,
+        { chapterId: chapter.chapter_id }
       );
 
       if (!isUnlocked) {
@@ -8,6 +8,8 @@ const { gql } = require('apollo-server-express');
 const userTypeDefs = gql`
   enum UserRole {
     STUDENT
+    INSTRUCTOR
+    SUPPORT
     ADMIN
   }
 
@@ -37,6 +37,12 @@ const errorHandler = (err, req, res, next) => {
   if (err.statusCode) {
     error.error.code = err.code || 'APPLICATION_ERROR';
     error.error.message = err.message;
+    if (err.details) {
+      error.error.details = err.details;
+    }
+    if (err.retryAfterSeconds) {
+      res.set('Retry-After', String(err.retryAfterSeconds));
+    }
     return res.status(err.statusCode).json(error);
   }
 
@@ -0,0 +1,104 @@
+// src/middleware/permissionMiddleware.js
+const getSupabaseClient = require('../utils/supabaseClient');
+const permissionService = require('../services/permissionService');
+const instructorService = require('../services/instructorService');
+
+/**
+ * Loads the permissions of the signed-in user's role onto req.permissions (once per request).
+ * @param {object} req - Express request, after authenticateToken.
+ * @returns {Promise<Array<string>>} Permission keys granted to the user.
+ */
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await permissionService.getRolePermissions(req.supabase || getSupabaseClient(), req.user.role);
+  }
+  return req.permissions;
+};
+
+/**
+ * Whether the signed-in user holds a permission. For checks that depend on the request
+ * (e.g. "own record or users:read") and so cannot be expressed as route middleware.
+ * @param {object} req - Express request, after authenticateToken.
+ * @param {string} permission - Permission key, e.g. 'users:read'.
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (req, permission) => {
+  if (!req.user) {
+    return false;
+  }
+  const permissions = await loadPermissions(req);
+  return permissions.includes(permission);
+};
+
+/**
+ * Resolves whose content the signed-in user may manage. Users holding the global permission
+ * are unrestricted (null); everyone else is limited to the courses of their linked instructor profile.
+ * @param {object} req - Express request, after authenticateToken.
+ * @param {string} globalPermission - Permission that lifts the restriction, e.g. 'courses:write'.
+ * @returns {Promise<string|null>} The caller's instructor ID, or null when unrestricted.
+ * @throws {Error} 403 NOT_AN_INSTRUCTOR if the user has no active instructor profile.
+ */
+const getInstructorScope = async (req, globalPermission) => {
+  if (await hasPermission(req, globalPermission)) {
+    return null;
+  }
+
+  if (req.instructor === undefined) {
+    req.instructor = await instructorService.getInstructorByUserId(req.supabase || getSupabaseClient(), req.user.user_id);
+  }
+
+  if (!req.instructor) {
+    const error = new Error('Your account is not linked to an instructor profile');
+    error.statusCode = 403;
+    error.code = 'NOT_AN_INSTRUCTOR';
+    throw error;
+  }
+
+  return req.instructor.instructor_id;
+};
+
+/**
+ * Allows the request if the user's role grants any of the given permissions.
+ * Must run after authenticateToken.
+ * @param {string|Array<string>} permissions - Permission key(s), e.g. 'courses:write'.
+ * @returns {Function} Express middleware.
+ */
+const requirePermission = (permissions) => {
+  const requiredPermissions = Array.isArray(permissions) ? permissions : [permissions];
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED',
+            message: 'Authentication required'
+          }
+        });
+      }
+
+      const granted = await loadPermissions(req);
+
+      if (!requiredPermissions.some(permission => granted.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Insufficient permissions'
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requirePermission,
+  hasPermission,
+  getInstructorScope
+};
@@ -1,6 +1,51 @@
 // src/middleware/restAuthMiddleware.js
 const jwt = require('jsonwebtoken');
 const getSupabaseClient = require('../utils/supabaseClient');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const impersonationService = require('../services/impersonationService');
+
+// Scoped tokens may only call the endpoints listed for their scope
+const TOKEN_SCOPES = {
+  PASSWORD_CHANGE: {
+    routes: ['/api/auth/change-password', '/api/auth/logout'],
+    code: 'PASSWORD_CHANGE_REQUIRED',
+    message: 'You must change your temporary password before continuing'
+  },
+  MFA_SETUP: {
+    routes: ['/api/auth/mfa/setup', '/api/auth/mfa/enable', '/api/auth/logout'],
+    code: 'MFA_SETUP_REQUIRED',
+    message: 'You must set up two-factor authentication before continuing'
+  }
+};
+
+const isScopeAllowed = (req, decoded) => {
+  if (!decoded.scope) {
+    return true;
+  }
+  const scope = TOKEN_SCOPES[decoded.scope];
+  return !!scope && scope.routes.includes(req.baseUrl + req.path);
+};
+
+// Impersonation tokens can look around but never change anything
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Flags the response and writes the request to the impersonation audit trail once it has been answered
+const markImpersonatedRequest = (req, res, decoded, supabase) => {
+  req.impersonation = {
+    impersonationId: decoded.imp,
+    impersonatorId: decoded.impBy
+  };
+  res.set('X-Impersonation-Id', decoded.imp);
+  res.set('X-Impersonated-By', decoded.impBy);
+
+  res.on('finish', () => {
+    impersonationService.logRequest(supabase, decoded.imp, {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode
+    });
+  });
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -19,6 +64,27 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!isScopeAllowed(req, decoded)) {
+      const scope = TOKEN_SCOPES[decoded.scope];
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: scope ? scope.code : 'FORBIDDEN',
+          message: scope ? scope.message : 'Token is not valid for this endpoint'
+        }
+      });
+    }
+    
+    if (decoded.imp && !READ_ONLY_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'IMPERSONATION_READ_ONLY',
+          message: 'Impersonation tokens are read-only'
+        }
+      });
+    }
     
     // Get Supabase client
     const supabase = getSupabaseClient();
@@ -41,9 +107,26 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Attach user and supabase to request
+    // Reject tokens revoked by logout or by a "log out everywhere" cut-off
+    if (await tokenRevocationService.isTokenRevoked(supabase, decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'TOKEN_REVOKED',
+          message: 'Authentication token has been revoked'
+        }
+      });
+    }
+
+    // Attach user, decoded token and supabase to request
     req.user = user;
+    req.token = decoded;
     req.supabase = supabase;
+
+    if (decoded.imp) {
+      markImpersonatedRequest(req, res, decoded, supabase);
+    }
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -111,6 +194,13 @@ const optionalAuth = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Scoped and impersonation tokens never count as a signed-in user on optional routes
+    if (decoded.scope || decoded.imp) {
+      req.user = null;
+      req.supabase = getSupabaseClient();
+      return next();
+    }
     
     // Get Supabase client
     const supabase = getSupabaseClient();
@@ -123,7 +213,10 @@ const optionalAuth = async (req, res, next) => {
       .eq('is_active', true)
       .single();
 
-    req.user = error || !user ? null : user;
+    const isRevoked = !error && user && await tokenRevocationService.isTokenRevoked(supabase, decoded, user);
+
+    req.user = error || !user || isRevoked ? null : user;
+    req.token = req.user ? decoded : null;
     req.supabase = supabase;
     next();
   } catch (error) {
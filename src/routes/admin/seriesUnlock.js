@@ -1,32 +1,50 @@
 const express = require('express');
 const getSupabaseClient = require('../../utils/supabaseClient');
-const courseService = require('../../services/courseService');
+const { body, param, query } = require('express-validator');
+const seriesUnlockService = require('../../services/seriesUnlockService');
 const { authenticateToken } = require('../../middleware/restAuthMiddleware');
+const { requirePermission } = require('../../middleware/permissionMiddleware');
+const { validate } = require('../../middleware/validation');
 
 const router = express.Router();
 
 /**
  * POST /api/admin/series-unlock/comprehensive-check
- * Manually trigger comprehensive series unlock check for all customers
- * This will ensure all customers who have purchased any part of a series
- * get access to all other parts of that series
+ * Reconcile series access: customers who have purchased any part of a series
+ * get access to all other published parts of that series.
+ * Body: { dryRun: true } only reports which customers would gain which parts;
+ * { seriesName } limits the check to one series. Every run is kept in the run history.
  */
-router.post('/comprehensive-check', authenticateToken, async (req, res) => {
+router.post('/comprehensive-check', authenticateToken, requirePermission('series:unlock'), [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+  body('seriesName').optional().isString().trim().notEmpty().withMessage('seriesName must be a non-empty string')
+], validate, async (req, res) => {
   try {
-    console.log('🔧 Admin triggered comprehensive series unlock check');
+    const { dryRun = false, seriesName } = req.body;
+    console.log(`🔧 Admin triggered series unlock ${dryRun ? 'dry run' : 'reconciliation'}`);
     
     const supabase = getSupabaseClient();
-    const result = await courseService.checkAndUnlockAllSeriesParts(supabase);
+    const run = await seriesUnlockService.runReconciliation(supabase, {
+      dryRun,
+      seriesName,
+      trigger: 'ADMIN',
+      triggeredBy: req.user.user_id
+    });
     
-    console.log('📊 Comprehensive unlock completed:', result);
+    console.log(`📊 Series unlock run ${run.run_id}: ${run.grants_applied}/${run.grants_planned} grants`);
     
     res.json({
       success: true,
-      message: 'Comprehensive series unlock check completed successfully',
+      message: dryRun
+        ? 'Series unlock dry run completed; nothing was changed'
+        : 'Comprehensive series unlock check completed successfully',
       data: {
-        customersProcessed: result.totalProcessed,
-        coursesUnlocked: result.totalUnlocked,
-        details: result.details || []
+        runId: run.run_id,
+        mode: run.mode,
+        customersProcessed: run.customers_checked,
+        coursesToUnlock: run.grants_planned,
+        coursesUnlocked: run.grants_applied,
+        details: run.changes || []
       }
     });
     
@@ -41,15 +59,81 @@ router.post('/comprehensive-check', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/series-unlock/runs
+ * List past reconciliation runs (dry runs included), newest first
+ */
+router.get('/runs', authenticateToken, requirePermission('series:unlock'), [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt()
+], validate, async (req, res) => {
+  try {
+    const supabase = getSupabaseClient();
+    const runs = await seriesUnlockService.getRuns(supabase, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: runs
+    });
+    
+  } catch (error) {
+    console.error('❌ Error getting series unlock runs:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get series unlock runs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/series-unlock/runs/:runId
+ * Get one run with the customers and courses it granted (or would have granted)
+ */
+router.get('/runs/:runId', authenticateToken, requirePermission('series:unlock'), [
+  param('runId').isUUID().withMessage('Run ID must be a valid UUID')
+], validate, async (req, res) => {
+  try {
+    const supabase = getSupabaseClient();
+    const run = await seriesUnlockService.getRunById(supabase, req.params.runId);
+
+    res.json({
+      success: true,
+      data: run
+    });
+    
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    console.error('❌ Error getting series unlock run:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get series unlock run',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/admin/series-unlock/status
  * Get current status of series access for all customers
  * This provides a summary without making any changes
  */
-router.get('/status', authenticateToken, async (req, res) => {
+router.get('/status', authenticateToken, requirePermission('series:unlock'), async (req, res) => {
   try {
     console.log('📊 Admin requested series unlock status');
     
+    const supabase = getSupabaseClient();
+
     // Get all customers with series purchases
     const { data: purchases, error: purchasesError } = await supabase
       .from('guest_course_purchases')
@@ -2,7 +2,8 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const assignmentController = require('../controllers/assignmentController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const { validate } = require('../middleware/validation');
 const multer = require('multer');
 
@@ -149,7 +150,7 @@ const upload = multer({
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden (admin only)
+ *         description: Forbidden (admin, or the instructor of the course)
  */
 // GET /api/assignments - Get all assignments
 router.get('/', 
@@ -164,7 +165,7 @@ router.get('/',
 
 router.post('/upload', 
   authenticateToken, 
-  requireRole('ADMIN'),
+  requirePermission(['courses:write', 'courses:write_own']),
   upload.single('assignment_file'),
   [
     body('title').notEmpty().withMessage('Title is required'),
@@ -219,11 +220,11 @@ router.post('/upload',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden (admin only)
+ *         description: Forbidden (admin, or the instructor of the course)
  */
 router.post('/', 
   authenticateToken, 
-  requireRole('ADMIN'),
+  requirePermission(['courses:write', 'courses:write_own']),
   [
     body('title').notEmpty().withMessage('Title is required'),
     body('description').optional().isString().withMessage('Description must be a string'),
@@ -307,7 +308,7 @@ router.get('/:id',
  */
 router.put('/:id/upload', 
   authenticateToken, 
-  requireRole('ADMIN'),
+  requirePermission(['courses:write', 'courses:write_own']),
   upload.single('assignment_file'),
   [
     param('id').isUUID().withMessage('Assignment ID must be a valid UUID'),
@@ -361,7 +362,7 @@ router.put('/:id/upload',
  */
 router.put('/:id', 
   authenticateToken, 
-  requireRole('ADMIN'),
+  requirePermission(['courses:write', 'courses:write_own']),
   [
     param('id').isUUID().withMessage('Assignment ID must be a valid UUID'),
     body('title').optional().notEmpty().withMessage('Title cannot be empty'),
@@ -397,7 +398,7 @@ router.put('/:id',
  */
 router.delete('/:id', 
   authenticateToken, 
-  requireRole('ADMIN'),
+  requirePermission('courses:delete'),
   [param('id').isUUID().withMessage('Assignment ID must be a valid UUID')], 
   validate, 
   assignmentController.deleteAssignment
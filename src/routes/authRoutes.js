@@ -1,5 +1,6 @@
 // src/routes/authRoutes.js
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/restAuthMiddleware');
@@ -7,6 +8,71 @@ const { validate } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Throttle password guessing per IP and email pair; successful logins don't count
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP+email pair to 10 failed logins per windowMs
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.ip}:${(req.body.email || '').toLowerCase()}`,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'TOO_MANY_REQUESTS',
+        message: 'Too many failed login attempts from this device, please try again later.'
+      }
+    });
+  }
+});
+
+// Limit reset emails per address, on top of the global per-IP limiter
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each email to 3 reset requests per windowMs
+  keyGenerator: (req) => (req.body.email || '').toLowerCase(),
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'TOO_MANY_REQUESTS',
+        message: 'Too many password reset requests for this email, please try again later.'
+      }
+    });
+  }
+});
+
+// Limit sign-in and verification emails per address, on top of the global per-IP limiter
+const emailLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each email to 5 link requests per windowMs
+  keyGenerator: (req) => (req.body.email || (req.user && req.user.email) || '').toLowerCase(),
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'TOO_MANY_REQUESTS',
+        message: 'Too many emails requested for this address, please try again later.'
+      }
+    });
+  }
+});
+
+// Throttle second-factor guessing per IP on top of the per-account lockout
+const mfaVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 failed codes per windowMs
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'TOO_MANY_REQUESTS',
+        message: 'Too many failed verification attempts from this device, please try again later.'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * components:
@@ -24,6 +90,15 @@ const router = express.Router();
  *         password:
  *           type: string
  *           description: User's password
+ *         deviceId:
+ *           type: string
+ *           description: Optional stable device identifier the refresh token is bound to
+ *         deviceName:
+ *           type: string
+ *           description: Optional human readable device name
+ *         platform:
+ *           type: string
+ *           description: Optional client platform shown in the session list (e.g. ios, android, web)
  *     LoginResponse:
  *       type: object
  *       properties:
@@ -36,7 +111,24 @@ const router = express.Router();
  *               $ref: '#/components/schemas/User'
  *             token:
  *               type: string
- *               description: JWT authentication token
+ *               nullable: true
+ *               description: JWT authentication token. Null while a second factor is required.
+ *             refreshToken:
+ *               type: string
+ *               nullable: true
+ *               description: Long-lived refresh token, rotated on every use. Null while a password change or a second factor is required.
+ *             mustChangePassword:
+ *               type: boolean
+ *               description: When true, the token may only be used to change the temporary password
+ *             mfaRequired:
+ *               type: boolean
+ *               description: When true, no session was issued yet. Complete the login with mfaToken.
+ *             mfaSetupRequired:
+ *               type: boolean
+ *               description: When true, the account must enroll an authenticator first (POST /api/auth/mfa/setup and /api/auth/mfa/enable using mfaToken as bearer token)
+ *             mfaToken:
+ *               type: string
+ *               description: Short-lived challenge token. Send it to POST /api/auth/mfa/verify, or use it as bearer token for setup when mfaSetupRequired is true.
  *         message:
  *           type: string
  *     ChangePasswordRequest:
@@ -52,6 +144,12 @@ const router = express.Router();
  *           type: string
  *           minLength: 6
  *           description: New password (minimum 6 characters)
+ *         deviceId:
+ *           type: string
+ *           description: Device identifier for the full session issued after a required password change
+ *         deviceName:
+ *           type: string
+ *           description: Human readable device name for that session
  */
 
 /**
@@ -78,17 +176,191 @@ const router = express.Router();
  *         description: Validation error
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account is signed in on the maximum number of devices (DEVICE_LIMIT_REACHED)
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts, retry after the delay in error.details.retryAfterSeconds
  */
-router.post('/login', [
+router.post('/login', loginLimiter, [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 1 }).trim()
+  body('password').isLength({ min: 1 }).trim(),
+  body('deviceId').optional().isString().isLength({ max: 255 }).trim(),
+  body('deviceName').optional().isString().isLength({ max: 255 }).trim(),
+  body('platform').optional().isString().isLength({ max: 50 }).trim()
 ], validate, authController.login);
 
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Complete a login with a second factor
+ *     description: Exchanges the mfaToken returned by login and a TOTP or recovery code for a session. Failed codes count towards the account lockout.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Challenge token returned by login
+ *               code:
+ *                 type: string
+ *                 description: 6 digit TOTP code or an unused recovery code
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       403:
+ *         description: Account is signed in on the maximum number of devices (DEVICE_LIMIT_REACHED)
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/mfa/verify', mfaVerifyLimiter, [
+  body('mfaToken').isLength({ min: 1 }).trim(),
+  body('code').isLength({ min: 6, max: 20 }).trim(),
+  body('deviceId').optional().isString().isLength({ max: 255 }).trim(),
+  body('deviceName').optional().isString().isLength({ max: 255 }).trim(),
+  body('platform').optional().isString().isLength({ max: 50 }).trim()
+], validate, authController.verifyMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor authentication setup
+ *     description: Generates a new TOTP secret. It only becomes active after POST /api/auth/mfa/enable. Also accepts the setup token returned by login.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI to render as a QR code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUri:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/mfa/setup', authenticateToken, authController.setupMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/enable:
+ *   post:
+ *     summary: Confirm and enable two-factor authentication
+ *     description: Activates the secret from setup and returns single-use recovery codes. When called with the setup token returned by login, the response also contains a new session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current 6 digit TOTP code
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/mfa/enable', authenticateToken, [
+  body('code').isLength({ min: 6, max: 6 }).trim(),
+  body('deviceId').optional().isString().isLength({ max: 255 }).trim(),
+  body('deviceName').optional().isString().isLength({ max: 255 }).trim(),
+  body('platform').optional().isString().isLength({ max: 50 }).trim()
+], validate, authController.enableMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not available for roles where two-factor authentication is mandatory (ADMIN, SUPPORT).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current TOTP code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid code or not enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Two-factor authentication is mandatory for this role
+ */
+router.post('/mfa/disable', authenticateToken, [
+  body('code').isLength({ min: 6, max: 20 }).trim()
+], validate, authController.disableMfa);
+
 /**
  * @swagger
  * /api/auth/change-password:
  *   post:
  *     summary: Change user password
+ *     description: Also accepts the restricted token returned by login when a temporary password must be changed. In that case the response contains a new access token and refresh token.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -108,7 +380,10 @@ router.post('/login', [
  */
 router.post('/change-password', authenticateToken, [
   body('oldPassword').isLength({ min: 1 }).trim(),
-  body('newPassword').isLength({ min: 6 }).trim()
+  body('newPassword').isLength({ min: 6 }).trim(),
+  body('deviceId').optional().isString().isLength({ max: 255 }).trim(),
+  body('deviceName').optional().isString().isLength({ max: 255 }).trim(),
+  body('platform').optional().isString().isLength({ max: 50 }).trim()
 ], validate, authController.changePassword);
 
 /**
@@ -116,6 +391,7 @@ router.post('/change-password', authenticateToken, [
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh authentication token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The presented refresh token is revoked; replaying it revokes every token issued from the same login.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -133,30 +409,274 @@ router.post('/change-password', authenticateToken, [
  *     responses:
  *       200:
  *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
  *       400:
  *         description: Validation error
  *       401:
- *         description: Invalid refresh token
- *       501:
- *         description: Not implemented
+ *         description: Invalid, expired or reused refresh token
  */
 router.post('/refresh', [
   body('refreshToken').isLength({ min: 1 }).trim()
 ], validate, authController.refreshToken);
 
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Emails a single-use reset link if an active account exists for the address. The response is the same either way.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many reset requests for this email
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], validate, forgotPasswordLimiter, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: Sets a new password and signs the user out on all devices. Reset tokens expire and can only be used once.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Reset token from the email
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post('/reset-password', [
+  body('token').isLength({ min: 1 }).trim(),
+  body('newPassword').isLength({ min: 6 }).trim()
+], validate, authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Request a passwordless sign-in link
+ *     description: |
+ *       Emails a single-use sign-in link if an active account exists for the address, including guest accounts
+ *       created by a course purchase or mentorship booking. The response is the same either way.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Sign-in link sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many links requested for this email
+ */
+router.post('/magic-link', [
+  body('email').isEmail().normalizeEmail()
+], validate, emailLinkLimiter, authController.requestMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/consume:
+ *   post:
+ *     summary: Sign in with a magic link
+ *     description: |
+ *       Redeems the token from a sign-in email. The email address is marked verified and a guest account becomes a
+ *       student account, so purchases made with the address can be accessed. Accounts with two-factor authentication
+ *       receive an MFA challenge as with password login.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the sign-in email
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *               platform:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or an MFA challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Link is invalid, expired or already used
+ *       403:
+ *         description: Account is signed in on the maximum number of devices (DEVICE_LIMIT_REACHED)
+ */
+router.post('/magic-link/consume', [
+  body('token').isLength({ min: 1 }).trim(),
+  body('deviceId').optional().isString().isLength({ max: 255 }).trim(),
+  body('deviceName').optional().isString().isLength({ max: 255 }).trim(),
+  body('platform').optional().isString().isLength({ max: 50 }).trim()
+], validate, authController.consumeMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/request:
+ *   post:
+ *     summary: Send a verification link to the current user's email address
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Email address is already verified
+ *       429:
+ *         description: Too many emails requested for this address
+ */
+router.post('/verify-email/request', authenticateToken, emailLinkLimiter, authController.requestEmailVerification);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with a verification token
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post('/verify-email', [
+  body('token').isLength({ min: 1 }).trim()
+], validate, authController.verifyEmail);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: User logout
+ *     description: Revokes the access token used for this request. If a refresh token is sent, every refresh token issued from the same login is revoked as well.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of this device
  *     responses:
  *       200:
  *         description: Logout successful
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, [
+  body('refreshToken').optional().isString().trim()
+], validate, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out from all devices
+ *     description: Revokes every access and refresh token issued to the current user.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices
+ *       401:
+ *         description: Unauthorized
  */
-router.post('/logout', authenticateToken, authController.logout);
+router.post('/logout-all', authenticateToken, authController.logoutAll);
 
 module.exports = router;
 
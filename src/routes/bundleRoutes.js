@@ -0,0 +1,67 @@
+// src/routes/bundleRoutes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const bundleController = require('../controllers/bundleController');
+const { authenticateToken, optionalAuth } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+const bundleFieldRules = [
+  body('description').optional({ nullable: true }).isString(),
+  body('thumbnail_url').optional({ nullable: true }).isURL().withMessage('thumbnail_url must be a URL'),
+  body('is_published').optional().isBoolean().withMessage('is_published must be a boolean').toBoolean(),
+  body('course_ids.*').isUUID().withMessage('Each course ID must be a valid UUID')
+];
+
+// GET /api/bundles - Bundles on sale, with their courses and savings (staff may add ?includeUnpublished=true)
+router.get('/', optionalAuth, bundleController.getBundles);
+
+// GET /api/bundles/:id - Get bundle by ID
+router.get('/:id',
+  optionalAuth,
+  param('id').isUUID().withMessage('Bundle ID must be a valid UUID'),
+  validate,
+  bundleController.getBundleById
+);
+
+// POST /api/bundles - Create a bundle (admin only)
+router.post('/',
+  authenticateToken,
+  requirePermission('bundles:write'),
+  [
+    body('title').trim().notEmpty().withMessage('Title is required'),
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('course_ids').isArray({ min: 2 }).withMessage('A bundle needs at least two courses'),
+    ...bundleFieldRules
+  ],
+  validate,
+  bundleController.createBundle
+);
+
+// PUT /api/bundles/:id - Update a bundle; course_ids replaces its courses (admin only)
+router.put('/:id',
+  authenticateToken,
+  requirePermission('bundles:write'),
+  [
+    param('id').isUUID().withMessage('Bundle ID must be a valid UUID'),
+    body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('course_ids').optional().isArray({ min: 2 }).withMessage('A bundle needs at least two courses'),
+    ...bundleFieldRules
+  ],
+  validate,
+  bundleController.updateBundle
+);
+
+// DELETE /api/bundles/:id - Delete a bundle (admin only)
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('bundles:write'),
+  param('id').isUUID().withMessage('Bundle ID must be a valid UUID'),
+  validate,
+  bundleController.deleteBundle
+);
+
+module.exports = router;
@@ -1,10 +1,19 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const chapterService = require('../services/chapterService');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const chapterMediaService = require('../services/chapterMediaService');
+const entitlementService = require('../services/entitlementService');
+const { authenticateToken, optionalAuth } = require('../middleware/restAuthMiddleware');
+const { requirePermission, getInstructorScope } = require('../middleware/permissionMiddleware');
 
 const router = express.Router();
 
+// Mark which chapters of a course the caller cannot open yet, so the outline can show them as locked
+const withLockState = async (req, courseId, chapters) => {
+  const access = await entitlementService.getAccess(req.supabase, req.user, { courseId });
+  return chapters.map(chapter => ({ ...chapter, is_locked: !access.allowed && !chapter.is_free_preview }));
+};
+
 /**
  * @swagger
  * /api/chapters:
@@ -57,7 +66,7 @@ const router = express.Router();
 router.get('/',
   authenticateToken,
   query('course_id').optional().isUUID().withMessage('Course ID must be a valid UUID'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -76,6 +85,7 @@ router.get('/',
 
       if (course_id) {
         chapters = await chapterService.getChaptersByCourse(req.supabase, course_id);
+        chapters = await withLockState(req, course_id, chapters);
       } else {
         // Get all chapters (admin only)
         chapters = await chapterService.getAllChapters(req.supabase);
@@ -86,14 +96,7 @@ router.get('/',
         data: chapters
       });
     } catch (error) {
-      console.error('Error fetching chapters:', error);
-      res.status(500).json({
-        success: false,
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'Failed to fetch chapters'
-        }
-      });
+      next(error);
     }
   }
 );
@@ -127,7 +130,7 @@ router.get('/',
 router.get('/course/:courseId',
   authenticateToken,
   param('courseId').isUUID().withMessage('Invalid course ID'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -142,21 +145,18 @@ router.get('/course/:courseId',
       }
 
       const { courseId } = req.params;
-      const chapters = await chapterService.getChaptersByCourse(req.supabase, courseId);
+      const chapters = await withLockState(
+        req,
+        courseId,
+        await chapterService.getChaptersByCourse(req.supabase, courseId)
+      );
 
       res.json({
         success: true,
         data: chapters
       });
     } catch (error) {
-      console.error('Error fetching chapters by course:', error);
-      res.status(500).json({
-        success: false,
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'Failed to fetch chapters for course'
-        }
-      });
+      next(error);
     }
   }
 );
@@ -165,10 +165,11 @@ router.get('/course/:courseId',
  * @swagger
  * /api/chapters/{chapterId}:
  *   get:
- *     summary: Get a specific chapter by ID
+ *     summary: Get a specific chapter by ID (free previews are open to everyone, other chapters need access to the course)
  *     tags: [Chapters]
  *     security:
  *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: chapterId
@@ -180,17 +181,17 @@ router.get('/course/:courseId',
  *     responses:
  *       200:
  *         description: Chapter retrieved successfully
- *       401:
- *         description: Unauthorized
+ *       403:
+ *         description: LOCKED - the caller cannot open this chapter; error.details.unlock says how to unlock it
  *       404:
  *         description: Chapter not found
  *       500:
  *         description: Server error
  */
 router.get('/:chapterId',
-  authenticateToken,
+  optionalAuth,
   param('chapterId').isUUID().withMessage('Invalid chapter ID'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -217,19 +218,72 @@ router.get('/:chapterId',
         });
       }
 
+      const access = await entitlementService.assertAccess(req.supabase, req.user, { chapterId });
+
       res.json({
         success: true,
-        data: chapter
+        data: { ...chapter, access: { reason: access.reason } }
       });
     } catch (error) {
-      console.error('Error fetching chapter:', error);
-      res.status(500).json({
-        success: false,
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'Failed to fetch chapter'
-        }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/chapters/{chapterId}/media:
+ *   get:
+ *     summary: Get the videos and documents of a chapter (same access rules as the chapter)
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: chapterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Chapter ID
+ *     responses:
+ *       200:
+ *         description: Chapter media retrieved successfully
+ *       403:
+ *         description: LOCKED - the caller cannot open this chapter; error.details.unlock says how to unlock it
+ *       404:
+ *         description: Chapter not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:chapterId/media',
+  optionalAuth,
+  param('chapterId').isUUID().withMessage('Invalid chapter ID'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid chapter ID',
+            details: errors.array()
+          }
+        });
+      }
+
+      const { chapterId } = req.params;
+      await entitlementService.assertAccess(req.supabase, req.user, { chapterId });
+      const media = await chapterMediaService.getChapterMediaByChapter(req.supabase, chapterId);
+
+      res.json({
+        success: true,
+        data: media
       });
+    } catch (error) {
+      next(error);
     }
   }
 );
@@ -238,7 +292,7 @@ router.get('/:chapterId',
  * @swagger
  * /api/chapters:
  *   post:
- *     summary: Create a new chapter (Admin only)
+ *     summary: Create a new chapter (Admin, or the course's instructor)
  *     tags: [Chapters]
  *     security:
  *       - bearerAuth: []
@@ -261,6 +315,9 @@ router.get('/:chapterId',
  *                 type: string
  *               order_index:
  *                 type: integer
+ *               is_free_preview:
+ *                 type: boolean
+ *                 description: Anyone can open the chapter without buying the course
  *     responses:
  *       201:
  *         description: Chapter created successfully
@@ -275,11 +332,12 @@ router.get('/:chapterId',
  */
 router.post('/',
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission(['courses:write', 'courses:write_own']),
   body('title').notEmpty().withMessage('Chapter title is required'),
   body('course_id').isUUID().withMessage('Valid course ID is required'),
   body('description').optional().isString(),
   body('order_index').optional().isInt({ min: 0 }).withMessage('Order index must be a non-negative integer'),
+  body('is_free_preview').optional().isBoolean().withMessage('is_free_preview must be a boolean').toBoolean(),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -294,16 +352,18 @@ router.post('/',
         });
       }
 
-      const { title, course_id, description, order_index } = req.body;
+      const { title, course_id, description, order_index, is_free_preview } = req.body;
       
       const chapterData = {
         title,
         courseId: course_id,
         description,
-        orderIndex: order_index
+        orderIndex: order_index,
+        isFreePreview: is_free_preview
       };
 
-      const newChapter = await chapterService.createChapter(req.supabase, chapterData);
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const newChapter = await chapterService.createChapter(req.supabase, chapterData, { instructorId });
       
       res.status(201).json({
         success: true,
@@ -312,6 +372,15 @@ router.post('/',
       });
     } catch (error) {
       console.error('Error creating chapter:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
       res.status(500).json({
         success: false,
         error: {
@@ -327,7 +396,7 @@ router.post('/',
  * @swagger
  * /api/chapters/{chapterId}:
  *   put:
- *     summary: Update a chapter (Admin only)
+ *     summary: Update a chapter (Admin, or the course's instructor)
  *     tags: [Chapters]
  *     security:
  *       - bearerAuth: []
@@ -352,6 +421,8 @@ router.post('/',
  *                 type: string
  *               order_index:
  *                 type: integer
+ *               is_free_preview:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Chapter updated successfully
@@ -368,11 +439,12 @@ router.post('/',
  */
 router.put('/:chapterId',
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission(['courses:write', 'courses:write_own']),
   param('chapterId').isUUID().withMessage('Invalid chapter ID'),
   body('title').optional().notEmpty().withMessage('Chapter title cannot be empty'),
   body('description').optional().isString(),
   body('order_index').optional().isInt({ min: 0 }).withMessage('Order index must be a non-negative integer'),
+  body('is_free_preview').optional().isBoolean().withMessage('is_free_preview must be a boolean').toBoolean(),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -390,7 +462,8 @@ router.put('/:chapterId',
       const { chapterId } = req.params;
       const updateData = req.body;
 
-      const updatedChapter = await chapterService.updateChapter(req.supabase, chapterId, updateData);
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const updatedChapter = await chapterService.updateChapter(req.supabase, chapterId, updateData, { instructorId });
       
       if (!updatedChapter) {
         return res.status(404).json({
@@ -409,6 +482,15 @@ router.put('/:chapterId',
       });
     } catch (error) {
       console.error('Error updating chapter:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
       res.status(500).json({
         success: false,
         error: {
@@ -450,7 +532,7 @@ router.put('/:chapterId',
  */
 router.delete('/:chapterId',
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('courses:delete'),
   param('chapterId').isUUID().withMessage('Invalid chapter ID'),
   async (req, res) => {
     try {
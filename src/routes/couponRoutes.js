@@ -0,0 +1,96 @@
+// src/routes/couponRoutes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const couponController = require('../controllers/couponController');
+const { authenticateToken, optionalAuth } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+const couponFieldRules = [
+  body('description').optional({ nullable: true }).isString(),
+  body('course_id').optional({ nullable: true }).isUUID().withMessage('course_id must be a valid UUID'),
+  body('max_redemptions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('max_redemptions must be a positive integer').toInt(),
+  body('max_redemptions_per_customer').optional({ nullable: true }).isInt({ min: 1 }).withMessage('max_redemptions_per_customer must be a positive integer').toInt(),
+  body('valid_from').optional({ nullable: true }).isISO8601().withMessage('valid_from must be an ISO 8601 date'),
+  body('valid_until').optional({ nullable: true }).isISO8601().withMessage('valid_until must be an ISO 8601 date'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean()
+];
+
+// POST /api/coupons/validate - Check a code against a course, guest purchase or guest booking and price it
+router.post('/validate',
+  optionalAuth,
+  [
+    body('code').trim().notEmpty().withMessage('Coupon code is required'),
+    body('courseId').optional().isUUID().withMessage('Course ID must be a valid UUID'),
+    body('purchaseId').optional().isUUID().withMessage('Purchase ID must be a valid UUID'),
+    body('bookingId').optional().isUUID().withMessage('Booking ID must be a valid UUID'),
+    body('customerEmail').optional().isEmail().normalizeEmail().withMessage('Customer email must be a valid email address'),
+    body().custom(value => [value.courseId, value.purchaseId, value.bookingId].filter(Boolean).length === 1)
+      .withMessage('Exactly one of courseId, purchaseId or bookingId is required')
+  ],
+  validate,
+  couponController.validateCoupon
+);
+
+// GET /api/coupons - List coupons with their usage (admin only)
+router.get('/', authenticateToken, requirePermission('coupons:read'), couponController.getCoupons);
+
+// GET /api/coupons/:id - Get coupon by ID (admin only)
+router.get('/:id',
+  authenticateToken,
+  requirePermission('coupons:read'),
+  param('id').isUUID().withMessage('Coupon ID must be a valid UUID'),
+  validate,
+  couponController.getCouponById
+);
+
+// GET /api/coupons/:id/redemptions - Orders the coupon was used on (admin only)
+router.get('/:id/redemptions',
+  authenticateToken,
+  requirePermission('coupons:read'),
+  param('id').isUUID().withMessage('Coupon ID must be a valid UUID'),
+  validate,
+  couponController.getRedemptions
+);
+
+// POST /api/coupons - Create a coupon; without course_id it applies to every order (admin only)
+router.post('/',
+  authenticateToken,
+  requirePermission('coupons:write'),
+  [
+    body('code').trim().matches(/^[A-Za-z0-9_-]{3,50}$/).withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+    body('discount_type').isIn(['PERCENT', 'FIXED']).withMessage('discount_type must be PERCENT or FIXED'),
+    body('discount_value').isFloat({ gt: 0 }).withMessage('discount_value must be greater than 0').toFloat(),
+    ...couponFieldRules
+  ],
+  validate,
+  couponController.createCoupon
+);
+
+// PUT /api/coupons/:id - Update a coupon (admin only)
+router.put('/:id',
+  authenticateToken,
+  requirePermission('coupons:write'),
+  [
+    param('id').isUUID().withMessage('Coupon ID must be a valid UUID'),
+    body('code').optional().trim().matches(/^[A-Za-z0-9_-]{3,50}$/).withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+    body('discount_type').optional().isIn(['PERCENT', 'FIXED']).withMessage('discount_type must be PERCENT or FIXED'),
+    body('discount_value').optional().isFloat({ gt: 0 }).withMessage('discount_value must be greater than 0').toFloat(),
+    ...couponFieldRules
+  ],
+  validate,
+  couponController.updateCoupon
+);
+
+// DELETE /api/coupons/:id - Delete a coupon that was never used (admin only)
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('coupons:write'),
+  param('id').isUUID().withMessage('Coupon ID must be a valid UUID'),
+  validate,
+  couponController.deleteCoupon
+);
+
+module.exports = router;
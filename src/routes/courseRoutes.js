@@ -1,9 +1,10 @@
 // src/routes/courseRoutes.js
 const express = require('express');
 const courseController = require('../controllers/courseController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken, optionalAuth } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const { imageUpload, videoUpload } = require('../utils/cloudinaryUploader');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
 const multer = require('multer');
 
@@ -18,17 +19,32 @@ const multipleUpload = upload.fields([
 
 // --- ALL SPECIFIC 'GET' ROUTES MUST COME BEFORE DYNAMIC ':id' ROUTE ---
 
-// GET /api/courses - Get all courses
-router.get('/', courseController.getAllCourses);
+// GET /api/courses - Search the catalog with filters and sorting; paged by cursor only when limit or cursor is given
+router.get('/',
+  [
+    query('search').optional().isString().trim().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+    query('category').optional().isUUID().withMessage('Category must be a valid UUID'),
+    query('level').optional().isIn(['BEGINNER', 'INTERMEDIATE', 'ADVANCED']).withMessage('Level must be BEGINNER, INTERMEDIATE, or ADVANCED'),
+    query('instructor').optional().isUUID().withMessage('Instructor must be a valid UUID'),
+    query('series').optional().isString().trim(),
+    query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a positive number').toFloat(),
+    query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a positive number').toFloat(),
+    query('sort').optional().isIn(['newest', 'price_asc', 'price_desc', 'popular']).withMessage('Sort must be newest, price_asc, price_desc, or popular'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+    query('cursor').optional().isString()
+  ],
+  validate,
+  courseController.getAllCourses
+);
 
 // GET /api/courses/categories - Get all categories
 router.get('/categories', courseController.getCategories);
 
 // POST /api/courses/categories - Create new category (admin only)
-router.post('/categories', authenticateToken, requireRole('ADMIN'), courseController.createCategory);
+router.post('/categories', authenticateToken, requirePermission('courses:write'), courseController.createCategory);
 
 // DELETE /api/courses/categories/:id - Delete category (admin only)
-router.delete('/categories/:id', authenticateToken, requireRole('ADMIN'), courseController.deleteCategory);
+router.delete('/categories/:id', authenticateToken, requirePermission('courses:delete'), courseController.deleteCategory);
 
 // GET /api/courses/video-series - Get all video series
 router.get('/video-series', courseController.getVideoSeries);
@@ -36,6 +52,9 @@ router.get('/video-series', courseController.getVideoSeries);
 // GET /api/courses/series/:seriesName - Get courses by series name
 router.get('/series/:seriesName', courseController.getCoursesBySeries);
 
+// GET /api/courses/mine - Courses taught by the signed-in instructor
+router.get('/mine', authenticateToken, requirePermission('courses:write_own'), courseController.getMyCourses);
+
 // --- FIX ---
 // GET /api/courses/stats - This route is added to fix the 'invalid uuid' error.
 // It must be defined BEFORE the '/:id' route.
@@ -43,12 +62,12 @@ router.get('/stats', courseController.getCourseStats);
 // --- END FIX ---
 
 // GET /api/courses/:id - Get course by ID (This must be the last 'GET' route)
-router.get('/:id', courseController.getCourseById);
+router.get('/:id', optionalAuth, courseController.getCourseById);
 
 // POST /api/courses - Create new course (admin only) with file uploads
 router.post('/',
   authenticateToken,
-  requireRole('ADMIN'),
+  requirePermission('courses:write'),
   multipleUpload,
   [
     body('title').notEmpty().withMessage('Title is required'),
@@ -56,17 +75,22 @@ router.post('/',
     body('price').optional().isNumeric().withMessage('Price must be a number'),
     body('category_id').optional().isUUID().withMessage('Category ID must be a valid UUID'),
     body('duration_hours').optional().isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
+    body('access_duration_days').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('access_duration_days must be a positive integer'),
     body('level').optional().isIn(['BEGINNER', 'INTERMEDIATE', 'ADVANCED']).withMessage('Level must be BEGINNER, INTERMEDIATE, or ADVANCED'),
-    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean')
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean'),
+    body('publish_at').optional({ values: 'falsy' }).isISO8601().withMessage('publish_at must be an ISO 8601 date'),
+    body('unpublish_at').optional({ values: 'falsy' }).isISO8601().withMessage('unpublish_at must be an ISO 8601 date')
+      .custom((value, { req }) => !req.body.publish_at || new Date(value) > new Date(req.body.publish_at))
+      .withMessage('unpublish_at must be after publish_at')
   ],
   validate,
   courseController.createCourse
 );
 
-// PUT /api/courses/:id - Update course (admin only) with file uploads
+// PUT /api/courses/:id - Update course (admin, or the course's instructor) with file uploads
 router.put('/:id',
   authenticateToken,
-  requireRole('ADMIN'),
+  requirePermission(['courses:write', 'courses:write_own']),
   multipleUpload,
   [
     param('id').isUUID().withMessage('Course ID must be a valid UUID'),
@@ -75,14 +99,183 @@ router.put('/:id',
     body('price').optional().isNumeric().withMessage('Price must be a number'),
     body('category_id').optional().isUUID().withMessage('Category ID must be a valid UUID'),
     body('duration_hours').optional().isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
+    body('access_duration_days').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('access_duration_days must be a positive integer'),
     body('level').optional().isIn(['BEGINNER', 'INTERMEDIATE', 'ADVANCED']).withMessage('Level must be BEGINNER, INTERMEDIATE, or ADVANCED'),
-    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean')
+    body('is_published').optional().isBoolean().withMessage('is_published must be a boolean'),
+    body('publish_at').optional({ values: 'falsy' }).isISO8601().withMessage('publish_at must be an ISO 8601 date'),
+    body('unpublish_at').optional({ values: 'falsy' }).isISO8601().withMessage('unpublish_at must be an ISO 8601 date')
+      .custom((value, { req }) => !req.body.publish_at || new Date(value) > new Date(req.body.publish_at))
+      .withMessage('unpublish_at must be after publish_at')
   ],
   validate,
   courseController.updateCourse
 );
 
+// POST /api/courses/:id/clone - Copy a course with its chapters, media, quizzes and assignments, outside any series unless one is given (admin only)
+router.post('/:id/clone',
+  authenticateToken,
+  requirePermission('courses:write'),
+  [
+    param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+    body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+    body('video_series').optional({ nullable: true }).isString().trim(),
+    body('video_part')
+      .if(body('video_series').notEmpty())
+      .isInt({ min: 1 }).withMessage('video_part is required with video_series and must be a positive integer').toInt()
+  ],
+  validate,
+  courseController.cloneCourse
+);
+
+// GET /api/courses/:id/prerequisites - Courses that must be completed before this one
+router.get('/:id/prerequisites',
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.getPrerequisites
+);
+
+// GET /api/courses/:id/prerequisites/status - Which prerequisites the signed-in user has not met yet
+router.get('/:id/prerequisites/status',
+  authenticateToken,
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.getPrerequisiteStatus
+);
+
+// PUT /api/courses/:id/prerequisites - Replace the course's prerequisites (admin, or the course's instructor)
+router.put('/:id/prerequisites',
+  authenticateToken,
+  requirePermission(['courses:write', 'courses:write_own']),
+  [
+    param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+    body('prerequisites').isArray().withMessage('prerequisites must be an array'),
+    body('prerequisites.*.courseId').isUUID().withMessage('courseId must be a valid UUID'),
+    body('prerequisites.*.minQuizScore').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('minQuizScore must be between 0 and 100').toFloat(),
+    body('prerequisites.*.enforcement').optional().isIn(['WARN', 'BLOCK']).withMessage('enforcement must be WARN or BLOCK')
+  ],
+  validate,
+  courseController.setPrerequisites
+);
+
+// GET /api/courses/:id/export - Download the course as a portable JSON package (admin only)
+router.get('/:id/export',
+  authenticateToken,
+  requirePermission('courses:write'),
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.exportCourse
+);
+
+// POST /api/courses/import - Recreate a course from a package; dryRun only reports conflicts (admin only)
+router.post('/import',
+  authenticateToken,
+  requirePermission('courses:write'),
+  [
+    body('package').isObject().withMessage('package must be a course package object'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+    body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+    body('video_series').optional({ nullable: true }).isString().trim(),
+    body('video_part').optional().isInt({ min: 1 }).withMessage('video_part must be a positive integer').toInt()
+  ],
+  validate,
+  courseController.importCourse
+);
+
+// --- DRAFTS AND REVISIONS ---
+// Content edits go to a draft copy; students keep seeing the live course until the draft is published
+
+// GET /api/courses/:id/draft - Preview the open draft (admin, or the course's instructor)
+router.get('/:id/draft',
+  authenticateToken,
+  requirePermission(['courses:write', 'courses:write_own']),
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.getDraft
+);
+
+// POST /api/courses/:id/draft - Open a draft copied from the live course
+router.post('/:id/draft',
+  authenticateToken,
+  requirePermission(['courses:write', 'courses:write_own']),
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.createDraft
+);
+
+// PUT /api/courses/:id/draft - Edit the draft's course fields, chapters and media
+router.put('/:id/draft',
+  authenticateToken,
+  requirePermission(['courses:write', 'courses:write_own']),
+  [
+    param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+    body('course').optional().isObject().withMessage('course must be an object'),
+    body('course.price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('course.level').optional().isIn(['BEGINNER', 'INTERMEDIATE', 'ADVANCED']).withMessage('Level must be BEGINNER, INTERMEDIATE, or ADVANCED'),
+    body('course.category_id').optional({ nullable: true }).isUUID().withMessage('Category ID must be a valid UUID'),
+    body('chapters').optional().isArray().withMessage('chapters must be an array'),
+    body('chapters.*.title').notEmpty().withMessage('Every chapter needs a title'),
+    body('chapters.*.order_index').isInt({ min: 0 }).withMessage('Chapter order_index must be a positive integer').toInt(),
+    body('chapters.*.media').optional().isArray().withMessage('Chapter media must be an array'),
+    body('chapters.*.media.*.media_type').isIn(['VIDEO', 'DOCUMENT']).withMessage('media_type must be VIDEO or DOCUMENT'),
+    body('chapters.*.media.*.cloudinary_url').isURL().withMessage('cloudinary_url must be a URL'),
+    body('chapters.*.media.*.order_index').isInt({ min: 0 }).withMessage('Media order_index must be a positive integer').toInt()
+  ],
+  validate,
+  courseController.updateDraft
+);
+
+// DELETE /api/courses/:id/draft - Discard the draft
+router.delete('/:id/draft',
+  authenticateToken,
+  requirePermission(['courses:write', 'courses:write_own']),
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.discardDraft
+);
+
+// POST /api/courses/:id/draft/publish - Make the draft live in one transaction (admin only)
+router.post('/:id/draft/publish',
+  authenticateToken,
+  requirePermission('courses:publish'),
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.publishDraft
+);
+
+// GET /api/courses/:id/revisions - Revision history, newest first
+router.get('/:id/revisions',
+  authenticateToken,
+  requirePermission(['courses:write', 'courses:write_own']),
+  param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+  validate,
+  courseController.getRevisions
+);
+
+// GET /api/courses/:id/revisions/:revisionId - One revision with its content
+router.get('/:id/revisions/:revisionId',
+  authenticateToken,
+  requirePermission(['courses:write', 'courses:write_own']),
+  [
+    param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+    param('revisionId').isUUID().withMessage('Revision ID must be a valid UUID')
+  ],
+  validate,
+  courseController.getRevisionById
+);
+
+// POST /api/courses/:id/revisions/:revisionId/rollback - Republish an earlier revision (admin only)
+router.post('/:id/revisions/:revisionId/rollback',
+  authenticateToken,
+  requirePermission('courses:publish'),
+  [
+    param('id').isUUID().withMessage('Course ID must be a valid UUID'),
+    param('revisionId').isUUID().withMessage('Revision ID must be a valid UUID')
+  ],
+  validate,
+  courseController.rollbackRevision
+);
+
 // DELETE /api/courses/:id - Delete course (admin only)
-router.delete('/:id', authenticateToken, requireRole('ADMIN'), courseController.deleteCourse);
+router.delete('/:id', authenticateToken, requirePermission('courses:delete'), courseController.deleteCourse);
 
 module.exports = router;
\ No newline at end of file
@@ -2,17 +2,21 @@ const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
 const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 
 // Dashboard stats endpoint
-router.get('/stats', authenticateToken, dashboardController.getDashboardStats);
+router.get('/stats', authenticateToken, requirePermission('dashboard:read'), dashboardController.getDashboardStats);
 
 // Recent enrollments endpoint
-router.get('/recent-enrollments', authenticateToken, dashboardController.getRecentEnrollments);
+router.get('/recent-enrollments', authenticateToken, requirePermission('dashboard:read'), dashboardController.getRecentEnrollments);
 
 // Upcoming mentorship sessions endpoint
-router.get('/upcoming-mentorship', authenticateToken, dashboardController.getUpcomingMentorshipSessions);
+router.get('/upcoming-mentorship', authenticateToken, requirePermission('dashboard:read'), dashboardController.getUpcomingMentorshipSessions);
 
 // Revenue overview endpoint
-router.get('/revenue-overview', authenticateToken, dashboardController.getRevenueOverview);
+router.get('/revenue-overview', authenticateToken, requirePermission('payments:read'), dashboardController.getRevenueOverview);
+
+// Coupon redemptions endpoint
+router.get('/coupon-redemptions', authenticateToken, requirePermission('payments:read'), dashboardController.getCouponRedemptions);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const enrollmentController = require('../controllers/enrollmentController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const { validate } = require('../middleware/validation');
 
 const router = express.Router();
@@ -9,7 +10,7 @@ const router = express.Router();
 // GET /api/enrollments - Get all enrollments (admin only)
 router.get('/', 
   authenticateToken, 
-  requireRole(['ADMIN']),
+  requirePermission('enrollments:read'),
   enrollmentController.getAllEnrollments
 );
 
@@ -53,7 +54,7 @@ router.get('/:id',
 // PUT /api/enrollments/:id/status - Update enrollment status (admin only)
 router.put('/:id/status',
   authenticateToken,
-  requireRole(['ADMIN']),
+  requirePermission('enrollments:write'),
   [
     param('id').isUUID().withMessage('Valid enrollment ID is required'),
     body('status').isIn(['pending', 'approved', 'rejected']).withMessage('Valid status is required'),
@@ -66,7 +67,7 @@ router.put('/:id/status',
 // DELETE /api/enrollments/:id - Delete enrollment (admin only)
 router.delete('/:id',
   authenticateToken,
-  requireRole(['ADMIN']),
+  requirePermission('enrollments:delete'),
   [
     param('id').isUUID().withMessage('Valid enrollment ID is required')
   ],
@@ -0,0 +1,70 @@
+// src/routes/entitlementRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const entitlementController = require('../controllers/entitlementController');
+const entitlementService = require('../services/entitlementService');
+const { authenticateToken, optionalAuth } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// GET /api/entitlements/me - Courses the signed-in user can currently watch, and why
+router.get('/me', authenticateToken, entitlementController.getMyEntitlements);
+
+// GET /api/entitlements/check - Whether the visitor can open a course or chapter
+router.get('/check',
+  optionalAuth,
+  [
+    query('courseId').optional().isUUID().withMessage('Course ID must be a valid UUID'),
+    query('chapterId').optional().isUUID().withMessage('Chapter ID must be a valid UUID'),
+    query().custom(value => [value.courseId, value.chapterId].filter(Boolean).length === 1)
+      .withMessage('Exactly one of courseId or chapterId is required')
+  ],
+  validate,
+  entitlementController.checkAccess
+);
+
+// GET /api/entitlements - List entitlements by user, email, course or source (admin only)
+router.get('/',
+  authenticateToken,
+  requirePermission('entitlements:read'),
+  [
+    query('userId').optional().isUUID().withMessage('User ID must be a valid UUID'),
+    query('email').optional().isEmail().withMessage('Email must be a valid email address'),
+    query('courseId').optional().isUUID().withMessage('Course ID must be a valid UUID'),
+    query('source').optional().isIn(entitlementService.ENTITLEMENT_SOURCES).withMessage('Unknown entitlement source')
+  ],
+  validate,
+  entitlementController.getEntitlements
+);
+
+// POST /api/entitlements - Give a user or email access to a course (admin only)
+router.post('/',
+  authenticateToken,
+  requirePermission('entitlements:write'),
+  [
+    body('course_id').isUUID().withMessage('course_id must be a valid UUID'),
+    body('user_id').optional().isUUID().withMessage('user_id must be a valid UUID'),
+    body('email').optional().isEmail().withMessage('email must be a valid email address'),
+    body().custom(value => !!(value.user_id || value.email)).withMessage('user_id or email is required'),
+    body('starts_at').optional({ nullable: true }).isISO8601().withMessage('starts_at must be an ISO 8601 date'),
+    body('expires_at').optional({ nullable: true }).isISO8601().withMessage('expires_at must be an ISO 8601 date'),
+    body().custom(value => !value.starts_at || !value.expires_at || new Date(value.expires_at) > new Date(value.starts_at))
+      .withMessage('expires_at must be after starts_at'),
+    body('note').optional({ nullable: true }).isString()
+  ],
+  validate,
+  entitlementController.grantEntitlement
+);
+
+// DELETE /api/entitlements/:id - Revoke an entitlement; the record is kept for the history (admin only)
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('entitlements:write'),
+  param('id').isUUID().withMessage('Entitlement ID must be a valid UUID'),
+  validate,
+  entitlementController.revokeEntitlement
+);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const {
   createGuestBooking,
   getGuestBookingById,
@@ -177,7 +178,7 @@ router.put('/:bookingId/payment', [
  *       500:
  *         description: Internal server error
  */
-router.get('/', authenticateToken, requireRole('ADMIN'), getAllGuestBookings);
+router.get('/', authenticateToken, requirePermission('mentorship:read'), getAllGuestBookings);
 
 /**
  * @swagger
@@ -221,7 +222,7 @@ router.get('/', authenticateToken, requireRole('ADMIN'), getAllGuestBookings);
 router.put('/:bookingId/status', [
   body('bookingStatus').isIn(['PENDING', 'CONFIRMED', 'COMPLETED', 'CANCELLED']).withMessage('Invalid booking status'),
   validate
-], authenticateToken, requireRole('ADMIN'), updateBookingStatus);
+], authenticateToken, requirePermission('mentorship:write'), updateBookingStatus);
 
 /**
  * @swagger
@@ -246,6 +247,6 @@ router.put('/:bookingId/status', [
  *       500:
  *         description: Internal server error
  */
-router.delete('/:bookingId', authenticateToken, requireRole('ADMIN'), deleteGuestBooking);
+router.delete('/:bookingId', authenticateToken, requirePermission('mentorship:delete'), deleteGuestBooking);
 
 module.exports = router; 
\ No newline at end of file
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const {
   createGuestCoursePurchase,
+  createGuestBundlePurchase,
   createPaymentIntent,
   getGuestCoursePurchaseById,
   updatePaymentStatus,
@@ -14,7 +15,8 @@ const {
   getPurchaseStats,
   sendCredentials
 } = require('../controllers/guestCoursePurchaseController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 
 // Validation middleware
 const validateGuestCoursePurchase = [
@@ -24,6 +26,13 @@ const validateGuestCoursePurchase = [
   body('customerPhone').optional().isMobilePhone().withMessage('Customer phone must be a valid phone number')
 ];
 
+const validateGuestBundlePurchase = [
+  body('bundleId').isUUID().withMessage('Bundle ID must be a valid UUID'),
+  body('customerName').trim().isLength({ min: 2, max: 255 }).withMessage('Customer name must be between 2 and 255 characters'),
+  body('customerEmail').isEmail().normalizeEmail().withMessage('Customer email must be a valid email address'),
+  body('customerPhone').optional().isMobilePhone().withMessage('Customer phone must be a valid phone number')
+];
+
 const validatePaymentStatus = [
   body('paymentStatus').isIn(['PENDING', 'PAID', 'FAILED', 'REFUNDED', 'CANCELLED']).withMessage('Invalid payment status'),
   body('paymentMethod').optional().isString().withMessage('Payment method must be a string'),
@@ -36,14 +45,15 @@ const validatePaymentIntent = [
 ];
 
 // Admin routes (authentication required) - Must come before parameter routes
-router.get('/', authenticateToken, requireRole('ADMIN'), getAllGuestCoursePurchases);
-router.get('/stats/overview', authenticateToken, requireRole('ADMIN'), getPurchaseStats);
+router.get('/', authenticateToken, requirePermission('purchases:read'), getAllGuestCoursePurchases);
+router.get('/stats/overview', authenticateToken, requirePermission('purchases:read'), getPurchaseStats);
 
 // Authenticated user routes (must come before parameter routes)
 router.get('/my-courses', authenticateToken, getMyPurchasedCourses);
 
 // Public routes (no authentication required)
 router.post('/', validateGuestCoursePurchase, createGuestCoursePurchase);
+router.post('/bundle', validateGuestBundlePurchase, createGuestBundlePurchase);
 router.post('/create-payment-intent', validatePaymentIntent, createPaymentIntent);
 router.get('/access/:accessCode', getGuestCoursePurchaseByAccessCode);
 router.get('/:purchaseId', getGuestCoursePurchaseById);
@@ -53,7 +63,7 @@ router.put('/:purchaseId/payment', validatePaymentStatus, updatePaymentStatus);
 // router.get('/email/:email', getPurchasedCoursesByEmail);
 
 // Admin routes (authentication required)
-router.delete('/:purchaseId', authenticateToken, requireRole('ADMIN'), deleteGuestCoursePurchase);
-router.post('/:purchaseId/send-credentials', authenticateToken, requireRole('ADMIN'), sendCredentials);
+router.delete('/:purchaseId', authenticateToken, requirePermission('purchases:delete'), deleteGuestCoursePurchase);
+router.post('/:purchaseId/send-credentials', authenticateToken, requirePermission('purchases:write'), sendCredentials);
 
 module.exports = router;
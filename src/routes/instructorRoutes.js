@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const instructorController = require('../controllers/instructorController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validation');
 
 // Public routes
 router.get('/', instructorController.getAllInstructors);
@@ -9,8 +12,19 @@ router.get('/:instructorId', instructorController.getInstructorById);
 router.get('/specialty/:specialty', instructorController.getInstructorsBySpecialty);
 
 // Protected routes (admin only)
-router.post('/', authenticateToken, requireRole('ADMIN'), instructorController.createInstructor);
-router.put('/:instructorId', authenticateToken, requireRole('ADMIN'), instructorController.updateInstructor);
-router.delete('/:instructorId', authenticateToken, requireRole('ADMIN'), instructorController.deleteInstructor);
+router.post('/', authenticateToken, requirePermission('instructors:write'), instructorController.createInstructor);
+router.put('/:instructorId', authenticateToken, requirePermission('instructors:write'), instructorController.updateInstructor);
+router.delete('/:instructorId', authenticateToken, requirePermission('instructors:delete'), instructorController.deleteInstructor);
+
+// Linking a sign-in account also makes it an INSTRUCTOR, so it needs roles:assign as well
+router.put('/:instructorId/account',
+  authenticateToken,
+  requirePermission('instructors:write'),
+  requirePermission('roles:assign'),
+  param('instructorId').isUUID().withMessage('Invalid instructor ID'),
+  body('userId').isUUID().withMessage('Valid user ID is required'),
+  validate,
+  instructorController.linkAccount
+);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,12 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validation');
 const {
   getAllRequests,
   getRequestById,
   approveRequest,
   rejectRequest,
   getAllSlots,
+  getMySlots,
+  createMySlot,
+  updateMySlot,
+  deleteMySlot,
   deleteRequest
 } = require('../controllers/mentorshipController');
 
@@ -31,7 +38,7 @@ const {
  *       403:
  *         description: Forbidden - Admin access required
  */
-router.get('/requests', authenticateToken, requireRole(['ADMIN']), getAllRequests);
+router.get('/requests', authenticateToken, requirePermission('mentorship:read'), getAllRequests);
 
 /**
  * @swagger
@@ -54,7 +61,7 @@ router.get('/requests', authenticateToken, requireRole(['ADMIN']), getAllRequest
  *       404:
  *         description: Request not found
  */
-router.get('/requests/:id', authenticateToken, requireRole(['ADMIN']), getRequestById);
+router.get('/requests/:id', authenticateToken, requirePermission('mentorship:read'), getRequestById);
 
 /**
  * @swagger
@@ -96,7 +103,7 @@ router.get('/requests/:id', authenticateToken, requireRole(['ADMIN']), getReques
  *       400:
  *         description: Validation error
  */
-router.put('/requests/:id/approve', authenticateToken, requireRole(['ADMIN']), approveRequest);
+router.put('/requests/:id/approve', authenticateToken, requirePermission('mentorship:write'), approveRequest);
 
 /**
  * @swagger
@@ -126,7 +133,7 @@ router.put('/requests/:id/approve', authenticateToken, requireRole(['ADMIN']), a
  *       200:
  *         description: Request rejected successfully
  */
-router.put('/requests/:id/reject', authenticateToken, requireRole(['ADMIN']), rejectRequest);
+router.put('/requests/:id/reject', authenticateToken, requirePermission('mentorship:write'), rejectRequest);
 
 /**
  * @swagger
@@ -147,7 +154,7 @@ router.put('/requests/:id/reject', authenticateToken, requireRole(['ADMIN']), re
  *       200:
  *         description: Request deleted successfully
  */
-router.delete('/requests/:id', authenticateToken, requireRole(['ADMIN']), deleteRequest);
+router.delete('/requests/:id', authenticateToken, requirePermission('mentorship:delete'), deleteRequest);
 
 /**
  * @swagger
@@ -161,7 +168,143 @@ router.delete('/requests/:id', authenticateToken, requireRole(['ADMIN']), delete
  *       200:
  *         description: Mentorship slots retrieved successfully
  */
-router.get('/slots', authenticateToken, requireRole(['ADMIN']), getAllSlots);
+router.get('/slots', authenticateToken, requirePermission('mentorship:read'), getAllSlots);
+
+/**
+ * @swagger
+ * /api/mentorship/my-slots:
+ *   get:
+ *     summary: Get the signed-in mentor's own slots
+ *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mentorship slots retrieved successfully
+ *       403:
+ *         description: Forbidden - Instructor access required
+ *   post:
+ *     summary: Create a slot for the signed-in mentor
+ *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - start_time
+ *               - end_time
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *               price:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Mentorship slot created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Instructor access required
+ */
+router.get('/my-slots', authenticateToken, requirePermission('mentorship:slots_own'), getMySlots);
+
+router.post('/my-slots',
+  authenticateToken,
+  requirePermission('mentorship:slots_own'),
+  [
+    body('start_time').isISO8601().withMessage('Start time must be a valid date'),
+    body('end_time').isISO8601().withMessage('End time must be a valid date')
+      .custom((value, { req }) => new Date(value) > new Date(req.body.start_time)).withMessage('End time must be after start time'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number')
+  ],
+  validate,
+  createMySlot
+);
+
+/**
+ * @swagger
+ * /api/mentorship/my-slots/{slotId}:
+ *   put:
+ *     summary: Update one of the signed-in mentor's unbooked slots
+ *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               end_time:
+ *                 type: string
+ *                 format: date-time
+ *               price:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Mentorship slot updated successfully
+ *       404:
+ *         description: Slot not found or not owned by the mentor
+ *       409:
+ *         description: Slot is already booked
+ *   delete:
+ *     summary: Delete one of the signed-in mentor's unbooked slots
+ *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Mentorship slot deleted successfully
+ *       404:
+ *         description: Slot not found or not owned by the mentor
+ *       409:
+ *         description: Slot is already booked
+ */
+router.put('/my-slots/:slotId',
+  authenticateToken,
+  requirePermission('mentorship:slots_own'),
+  [
+    param('slotId').isUUID().withMessage('Invalid slot ID'),
+    body('start_time').optional().isISO8601().withMessage('Start time must be a valid date'),
+    body('end_time').optional().isISO8601().withMessage('End time must be a valid date'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number')
+  ],
+  validate,
+  updateMySlot
+);
+
+router.delete('/my-slots/:slotId',
+  authenticateToken,
+  requirePermission('mentorship:slots_own'),
+  param('slotId').isUUID().withMessage('Invalid slot ID'),
+  validate,
+  deleteMySlot
+);
 
 /**
  * @swagger
@@ -11,7 +11,8 @@ const {
   getPaymentStats,
   handleStripeWebhook
 } = require('../controllers/paymentController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const { body, validationResult } = require('express-validator');
 
 // Validation middleware
@@ -39,11 +40,49 @@ const validatePaymentIntent = [
   }
 ];
 
+// Course and guest orders are priced on the server; amount is only checked against that price
+const validatePricedPaymentIntent = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a number'),
+  body('couponCode')
+    .optional()
+    .isString()
+    .trim(),
+  body('currency')
+    .optional()
+    .isIn(['USD', 'EUR', 'GBP', 'INR', 'usd', 'eur', 'gbp', 'inr'])
+    .withMessage('Currency must be USD, EUR, GBP, or INR (case insensitive)'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+    next();
+  }
+];
+
+// Either a course or a bundle is bought
 const validateCoursePayment = [
   body('courseId')
+    .if(body('bundleId').not().exists())
     .isUUID()
-    .withMessage('Course ID must be a valid UUID'),
-  ...validatePaymentIntent
+    .withMessage('Course ID or bundle ID must be a valid UUID'),
+  body('bundleId')
+    .optional()
+    .isUUID()
+    .withMessage('Bundle ID must be a valid UUID')
+    .custom((value, { req }) => req.body.courseId === undefined)
+    .withMessage('Send either courseId or bundleId, not both'),
+  ...validatePricedPaymentIntent
 ];
 
 const validateMentorshipPayment = [
@@ -57,14 +96,14 @@ const validateGuestBookingPayment = [
   body('bookingId')
     .isUUID()
     .withMessage('Booking ID must be a valid UUID'),
-  ...validatePaymentIntent
+  ...validatePricedPaymentIntent
 ];
 
 const validateGuestCoursePayment = [
   body('purchaseId')
     .isUUID()
     .withMessage('Purchase ID must be a valid UUID'),
-  ...validatePaymentIntent
+  ...validatePricedPaymentIntent
 ];
 
 const validateGuestBookingConfirmation = [
@@ -150,6 +189,10 @@ const validatePaymentConfirmation = [
  *           type: string
  *           format: uuid
  *           nullable: true
+ *         bundle_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
  *         amount:
  *           type: number
  *         currency:
@@ -175,7 +218,7 @@ const validatePaymentConfirmation = [
  * @swagger
  * /api/payments/course/intent:
  *   post:
- *     summary: Create payment intent for course purchase
+ *     summary: Create payment intent for course or bundle purchase
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -185,18 +228,21 @@ const validatePaymentConfirmation = [
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - courseId
- *               - amount
  *             properties:
  *               courseId:
  *                 type: string
  *                 format: uuid
- *                 description: ID of the course to purchase
+ *                 description: ID of the course to purchase (or send bundleId)
+ *               bundleId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: ID of the bundle to purchase, priced at the bundle price; confirming enrolls in every member course
  *               amount:
  *                 type: number
- *                 minimum: 0.01
- *                 description: Payment amount
+ *                 description: Expected amount; rejected if it differs from the server-side price
+ *               couponCode:
+ *                 type: string
+ *                 description: Coupon code to apply
  *               currency:
  *                 type: string
  *                 enum: [USD, EUR, GBP, INR]
@@ -217,11 +263,13 @@ const validatePaymentConfirmation = [
  *                 message:
  *                   type: string
  *       400:
- *         description: Validation error
+ *         description: Validation error, amount mismatch or coupon not usable
+ *       403:
+ *         description: Prerequisites not met
  *       404:
- *         description: Course not found
+ *         description: Course, bundle or coupon not found
  *       409:
- *         description: User already enrolled in course
+ *         description: User already enrolled in the course, or in every course of the bundle
  */
 router.post('/course/intent', authenticateToken, validateCoursePayment, createCoursePaymentIntent);
 
@@ -414,7 +462,7 @@ router.get('/history', authenticateToken, getPaymentHistory);
  *       403:
  *         description: Admin access required
  */
-router.get('/stats', authenticateToken, requireRole('ADMIN'), getPaymentStats);
+router.get('/stats', authenticateToken, requirePermission('payments:read'), getPaymentStats);
 
 /**
  * @swagger
@@ -451,7 +499,6 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), handle
  *             type: object
  *             required:
  *               - bookingId
- *               - amount
  *             properties:
  *               bookingId:
  *                 type: string
@@ -459,7 +506,10 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), handle
  *                 description: Guest booking ID
  *               amount:
  *                 type: number
- *                 description: Payment amount
+ *                 description: Expected amount; rejected if it differs from the server-side price
+ *               couponCode:
+ *                 type: string
+ *                 description: Coupon code to apply
  *               currency:
  *                 type: string
  *                 default: usd
@@ -475,6 +525,7 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), handle
  *         description: Internal server error
  */
 router.post('/guest-booking-intent', validateGuestBookingPayment, createGuestBookingPaymentIntent);
+// purchaseId may be a course purchase or a bundle purchase from POST /api/guest-course-purchases/bundle
 router.post('/guest-course-payment-intent', validateGuestCoursePayment, createGuestCoursePaymentIntent);
 
 /**
@@ -1,8 +1,10 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission, getInstructorScope } = require('../middleware/permissionMiddleware');
 const { validate } = require('../middleware/validation');
 const quizService = require('../services/quizService');
+const entitlementService = require('../services/entitlementService');
 
 const router = express.Router();
 
@@ -25,7 +27,7 @@ const router = express.Router();
  */
 router.get('/',
   authenticateToken,
-  requireRole(['ADMIN']),
+  requirePermission('courses:write'),
   async (req, res) => {
     try {
       const quizzes = await quizService.getAllQuizzes(req.supabase);
@@ -50,7 +52,7 @@ router.get('/',
  * @swagger
  * /api/quizzes:
  *   post:
- *     summary: Create a new quiz (Admin only)
+ *     summary: Create a new quiz (Admin, or the course's instructor)
  *     tags: [Quizzes]
  *     security:
  *       - bearerAuth: []
@@ -86,7 +88,7 @@ router.get('/',
  */
 router.post('/',
   authenticateToken,
-  requireRole(['ADMIN']),
+  requirePermission(['courses:write', 'courses:write_own']),
   [
     body('title').notEmpty().withMessage('Quiz title is required'),
     body('chapter_id').isUUID().withMessage('Valid chapter ID is required'),
@@ -97,12 +99,13 @@ router.post('/',
     try {
       const { title, description, chapter_id, questions_data } = req.body;
       
+      const instructorId = await getInstructorScope(req, 'courses:write');
       const quiz = await quizService.createQuiz(req.supabase, {
         title,
         description,
         chapterId: chapter_id,
         questionsData: questions_data
-      });
+      }, { instructorId });
 
       res.status(201).json({
         success: true,
@@ -110,6 +113,15 @@ router.post('/',
       });
     } catch (error) {
       console.error('Error creating quiz:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
       res.status(500).json({
         success: false,
         error: {
@@ -124,7 +136,7 @@ router.post('/',
  * @swagger
  * /api/quizzes/course/{courseId}:
  *   get:
- *     summary: Get all quizzes for a specific course
+ *     summary: Get all quizzes for a specific course (without access to the course, only those of free preview chapters)
  *     tags: [Quizzes]
  *     security:
  *       - bearerAuth: []
@@ -157,21 +169,19 @@ router.get('/course/:courseId',
   authenticateToken,
   param('courseId').isUUID().withMessage('Invalid course ID'),
   validate,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const { courseId } = req.params;
+      const access = await entitlementService.getAccess(req.supabase, req.user, { courseId });
       const quizzes = await quizService.getQuizzesByCourse(req.supabase, courseId);
       
+      // Without access to the course, only the quizzes of free preview chapters are listed
       res.status(200).json({
         success: true,
-        data: quizzes
+        data: access.allowed ? quizzes : quizzes.filter(quiz => quiz.chapters && quiz.chapters.is_free_preview)
       });
     } catch (error) {
-      console.error('Error fetching quizzes by course:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to fetch quizzes'
-      });
+      next(error);
     }
   }
 );
@@ -197,6 +207,8 @@ router.get('/course/:courseId',
  *         description: Quizzes retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: LOCKED - the caller cannot open the chapter; error.details.unlock says how to unlock it
  *       404:
  *         description: Chapter not found
  */
@@ -204,9 +216,10 @@ router.get('/chapter/:chapterId',
   authenticateToken,
   param('chapterId').isUUID().withMessage('Invalid chapter ID'),
   validate,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const { chapterId } = req.params;
+      await entitlementService.assertAccess(req.supabase, req.user, { chapterId });
       const quizzes = await quizService.getQuizzesByChapter(req.supabase, chapterId);
       
       res.status(200).json({
@@ -214,14 +227,7 @@ router.get('/chapter/:chapterId',
         data: quizzes
       });
     } catch (error) {
-      console.error('Error fetching quizzes by chapter:', error);
-      res.status(500).json({
-        success: false,
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'Failed to fetch quizzes'
-        }
-      });
+      next(error);
     }
   }
 );
@@ -247,6 +253,8 @@ router.get('/chapter/:chapterId',
  *         description: Quiz retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: LOCKED - the caller cannot open the chapter; error.details.unlock says how to unlock it
  *       404:
  *         description: Quiz not found
  */
@@ -254,7 +262,7 @@ router.get('/chapter/:chapterId',
  * @swagger
  * /api/quizzes/{quizId}:
  *   put:
- *     summary: Update a quiz (Admin only)
+ *     summary: Update a quiz (Admin, or the course's instructor)
  *     tags: [Quizzes]
  *     security:
  *       - bearerAuth: []
@@ -293,7 +301,7 @@ router.get('/chapter/:chapterId',
  */
 router.put('/:quizId',
   authenticateToken,
-  requireRole(['ADMIN']),
+  requirePermission(['courses:write', 'courses:write_own']),
   param('quizId').isUUID().withMessage('Invalid quiz ID'),
   validate,
   async (req, res) => {
@@ -305,7 +313,8 @@ router.put('/:quizId',
       if (req.body.description !== undefined) updates.description = req.body.description;
       if (req.body.questions_data !== undefined) updates.questionsData = req.body.questions_data;
 
-      const quiz = await quizService.updateQuiz(req.supabase, quizId, updates);
+      const instructorId = await getInstructorScope(req, 'courses:write');
+      const quiz = await quizService.updateQuiz(req.supabase, quizId, updates, { instructorId });
 
       res.status(200).json({
         success: true,
@@ -313,6 +322,15 @@ router.put('/:quizId',
       });
     } catch (error) {
       console.error('Error updating quiz:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
       res.status(500).json({
         success: false,
         error: {
@@ -351,7 +369,7 @@ router.put('/:quizId',
  */
 router.delete('/:quizId',
   authenticateToken,
-  requireRole(['ADMIN']),
+  requirePermission('courses:delete'),
   param('quizId').isUUID().withMessage('Invalid quiz ID'),
   validate,
   async (req, res) => {
@@ -379,7 +397,7 @@ router.get('/:quizId',
   authenticateToken,
   param('quizId').isUUID().withMessage('Invalid quiz ID'),
   validate,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const { quizId } = req.params;
       const quiz = await quizService.getQuizById(req.supabase, quizId);
@@ -393,18 +411,14 @@ router.get('/:quizId',
         });
       }
 
+      await entitlementService.assertAccess(req.supabase, req.user, { chapterId: quiz.chapter_id });
+
       res.status(200).json({
         success: true,
         data: quiz
       });
     } catch (error) {
-      console.error('Error fetching quiz:', error);
-      res.status(500).json({
-        success: false,
-        error: {
-          message: 'Failed to fetch quiz'
-        }
-      });
+      next(error);
     }
   }
 );
@@ -452,11 +466,23 @@ router.post('/:quizId/attempts',
   param('quizId').isUUID().withMessage('Invalid quiz ID'),
   body('answers_data').notEmpty().withMessage('Answers data is required'),
   validate,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const { quizId } = req.params;
       const { answers_data } = req.body;
       const userId = req.user.user_id;
+
+      const quiz = await quizService.getQuizById(req.supabase, quizId);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Quiz not found'
+          }
+        });
+      }
+      await entitlementService.assertAccess(req.supabase, req.user, { chapterId: quiz.chapter_id });
       
       const attempt = await quizService.createQuizAttempt(req.supabase, {
         quiz_id: quizId,
@@ -469,14 +495,7 @@ router.post('/:quizId/attempts',
         data: attempt
       });
     } catch (error) {
-      console.error('Error creating quiz attempt:', error);
-      res.status(500).json({
-        success: false,
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'Failed to submit quiz attempt'
-        }
-      });
+      next(error);
     }
   }
 );
@@ -0,0 +1,76 @@
+// src/routes/seriesRoutes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const seriesController = require('../controllers/seriesController');
+const { authenticateToken, optionalAuth } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+const seriesFieldRules = [
+  body('description').optional({ nullable: true }).isString(),
+  body('cover_image_url').optional({ nullable: true }).isURL().withMessage('cover_image_url must be a URL')
+];
+
+// GET /api/series - Series with their live parts in order (staff may add ?includeUnpublished=true)
+router.get('/', optionalAuth, seriesController.getSeries);
+
+// GET /api/series/:id - Get series by ID
+router.get('/:id',
+  optionalAuth,
+  param('id').isUUID().withMessage('Series ID must be a valid UUID'),
+  validate,
+  seriesController.getSeriesById
+);
+
+// POST /api/series - Create a series; course_ids become Part 1, Part 2, ... (admin only)
+router.post('/',
+  authenticateToken,
+  requirePermission('courses:write'),
+  [
+    body('title').trim().notEmpty().withMessage('Title is required'),
+    body('course_ids').optional().isArray().withMessage('course_ids must be an array'),
+    body('course_ids.*').isUUID().withMessage('Each course ID must be a valid UUID'),
+    ...seriesFieldRules
+  ],
+  validate,
+  seriesController.createSeries
+);
+
+// PUT /api/series/:id - Update or rename a series; its courses follow the new title (admin only)
+router.put('/:id',
+  authenticateToken,
+  requirePermission('courses:write'),
+  [
+    param('id').isUUID().withMessage('Series ID must be a valid UUID'),
+    body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+    ...seriesFieldRules
+  ],
+  validate,
+  seriesController.updateSeries
+);
+
+// PUT /api/series/:id/parts - Set the parts and their order; courses left out leave the series (admin only)
+router.put('/:id/parts',
+  authenticateToken,
+  requirePermission('courses:write'),
+  [
+    param('id').isUUID().withMessage('Series ID must be a valid UUID'),
+    body('course_ids').isArray().withMessage('course_ids must be an array'),
+    body('course_ids.*').isUUID().withMessage('Each course ID must be a valid UUID')
+  ],
+  validate,
+  seriesController.setParts
+);
+
+// DELETE /api/series/:id - Delete a series; its courses are kept outside any series (admin only)
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('courses:write'),
+  param('id').isUUID().withMessage('Series ID must be a valid UUID'),
+  validate,
+  seriesController.deleteSeries
+);
+
+module.exports = router;
@@ -2,11 +2,37 @@ const express = require('express');
 const multer = require('multer');
 const { body, param, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission, hasPermission, getInstructorScope } = require('../middleware/permissionMiddleware');
+const instructorService = require('../services/instructorService');
 const { validate } = require('../middleware/validation');
 const submissionService = require('../services/submissionService');
 const { documentUpload, uploadDocument } = require('../utils/cloudinaryUploader');
 
 
+/**
+ * Whether the signed-in user is the instructor of the course a submission belongs to.
+ * @param {object} req - Express request, after authenticateToken.
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<boolean>}
+ */
+const teachesSubmission = async (req, submissionId) => {
+  if (!(await hasPermission(req, 'submissions:grade_own'))) {
+    return false;
+  }
+  const instructor = await instructorService.getInstructorByUserId(req.supabase, req.user.user_id);
+  if (!instructor) {
+    return false;
+  }
+  try {
+    await instructorService.assertOwnsSubmission(req.supabase, instructor.instructor_id, submissionId);
+    return true;
+  } catch (error) {
+    if (error.statusCode) {
+      return false;
+    }
+    throw error;
+  }
+};
 
 const router = express.Router();
 
@@ -61,7 +87,7 @@ const upload = multer({
  *         required: false
  *         schema:
  *           type: boolean
- *         description: Get all submissions (admin only)
+ *         description: Get all submissions (admin only; instructors get the submissions for their own courses)
  *     responses:
  *       200:
  *         description: Submissions retrieved successfully
@@ -81,11 +107,10 @@ router.get('/',
     try {
       const { assignment_id, admin } = req.query;
       const userId = req.user.user_id;
-      const userRole = req.user.role;
       
-      // If admin flag is true, check if user is admin and get all submissions
+      // If admin flag is true, check if user may review submissions and get all submissions
       if (admin === 'true') {
-        if (userRole !== 'ADMIN') {
+        if (!(await hasPermission(req, 'submissions:read')) && !(await hasPermission(req, 'submissions:grade_own'))) {
           return res.status(403).json({
             success: false,
             error: {
@@ -95,8 +120,9 @@ router.get('/',
           });
         }
         
-        // Get all submissions across all assignments using service
-        const submissions = await submissionService.getAllSubmissions(req.supabase);
+        // Get all submissions across all assignments using service; instructors only see their own courses
+        const instructorId = await getInstructorScope(req, 'submissions:read');
+        const submissions = await submissionService.getAllSubmissions(req.supabase, { instructorId });
         
         // Transform data to match expected format
         const transformedSubmissions = submissions.map(submission => ({
@@ -149,6 +175,15 @@ router.get('/',
       });
     } catch (error) {
       console.error('Error fetching submissions:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
       res.status(500).json({
         success: false,
         error: {
@@ -302,8 +337,8 @@ router.get('/:submissionId',
         });
       }
       
-      // Check if user owns this submission or is admin
-      if (submission.user_id !== userId && req.user.role !== 'admin') {
+      // Check if user owns this submission, may review submissions or teaches the course
+      if (submission.user_id !== userId && !(await hasPermission(req, 'submissions:read')) && !(await teachesSubmission(req, submissionId))) {
         return res.status(403).json({
           success: false,
           error: {
@@ -334,7 +369,7 @@ router.get('/:submissionId',
  * @swagger
  * /api/submissions/{submissionId}/grade:
  *   put:
- *     summary: Grade a submission (Admin only)
+ *     summary: Grade a submission (Admin, or the instructor of the assignment's course)
  *     tags: [Submissions]
  *     security:
  *       - bearerAuth: []
@@ -373,31 +408,23 @@ router.get('/:submissionId',
  */
 router.put('/:submissionId/grade',
   authenticateToken,
+  requirePermission(['submissions:grade', 'submissions:grade_own']),
   param('submissionId').isUUID().withMessage('Invalid submission ID'),
   body('grade').isNumeric().withMessage('Grade must be a number'),
   body('feedback').optional().isString().withMessage('Feedback must be a string'),
   validate,
   async (req, res) => {
     try {
-      // Check if user is admin
-      if (req.user.role !== 'ADMIN') {
-        return res.status(403).json({
-          success: false,
-          error: {
-            code: 'FORBIDDEN',
-            message: 'Admin access required'
-          }
-        });
-      }
-
       const { submissionId } = req.params;
       const { grade, feedback } = req.body;
       
+      const instructorId = await getInstructorScope(req, 'submissions:grade');
       const gradedSubmission = await submissionService.gradeSubmission(
         req.supabase, 
         submissionId, 
         grade, 
-        feedback || null
+        feedback || null,
+        { instructorId }
       );
       
       res.status(200).json({
@@ -406,6 +433,15 @@ router.put('/:submissionId/grade',
       });
     } catch (error) {
       console.error('Error grading submission:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
       res.status(500).json({
         success: false,
         error: {
@@ -2,7 +2,8 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const uploadController = require('../controllers/uploadController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const { validate } = require('../middleware/validation');
 const { videoUpload, imageUpload, documentUpload } = require('../utils/cloudinaryUploader');
 
@@ -108,7 +109,7 @@ const router = express.Router();
 // Fix video upload route
 router.post("/video", 
   authenticateToken, 
-  requireRole("ADMIN"), // Changed from "admin" to "ADMIN"
+  requirePermission('uploads:write'),
   videoUpload.single("video"), 
   uploadController.uploadVideoFile
 );
@@ -116,7 +117,7 @@ router.post("/video",
 // Fix image upload route
 router.post("/image", 
   authenticateToken, 
-  requireRole(["ADMIN", "STUDENT"]), // Changed from ["admin", "student"] to ["ADMIN", "STUDENT"]
+  requirePermission('uploads:image'),
   imageUpload.single("image"), 
   uploadController.uploadImageFile
 );
@@ -124,14 +125,14 @@ router.post("/image",
 // Fix other routes
 router.post("/multiple", 
   authenticateToken, 
-  requireRole("ADMIN"), // Changed from "admin" to "ADMIN"
+  requirePermission('uploads:write'),
   imageUpload.array("files", 10),
   uploadController.uploadMultipleFiles
 );
 
 router.delete('/:publicId', 
   authenticateToken, 
-  requireRole('ADMIN'), // Changed from 'admin' to 'ADMIN'
+  requirePermission('uploads:delete'),
   [
     param('publicId').isString().trim(),
     query('resourceType').optional().isIn(['auto', 'image', 'video', 'raw'])
@@ -142,13 +143,13 @@ router.delete('/:publicId',
 
 router.post('/video/chunked', 
   authenticateToken, 
-  requireRole('ADMIN'), // Changed from 'admin' to 'ADMIN'
+  requirePermission('uploads:write'),
   uploadController.uploadVideoChunked
 );
 
 router.get('/stats', 
   authenticateToken, 
-  requireRole('ADMIN'), // Changed from 'admin' to 'ADMIN'
+  requirePermission('uploads:read'),
   uploadController.getUploadStats
 );
 
@@ -2,7 +2,8 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const userController = require('../controllers/userController');
-const { authenticateToken, requireRole } = require('../middleware/restAuthMiddleware');
+const { authenticateToken } = require('../middleware/restAuthMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 const { validate } = require('../middleware/validation');
 
 const router = express.Router();
@@ -29,11 +30,16 @@ const router = express.Router();
  *           description: User's last name
  *         role:
  *           type: string
- *           enum: [STUDENT, ADMIN]
+ *           enum: [STUDENT, INSTRUCTOR, SUPPORT, ADMIN]
  *           description: User's role
  *         is_active:
  *           type: boolean
  *           description: Whether the user account is active
+ *         verified_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the user proved they own the email address (verification link, magic link or password reset)
  *         created_at:
  *           type: string
  *           format: date-time
@@ -62,7 +68,7 @@ const router = express.Router();
  *           description: User's last name
  *         role:
  *           type: string
- *           enum: [STUDENT, ADMIN]
+ *           enum: [STUDENT, INSTRUCTOR, SUPPORT, ADMIN]
  *           description: User's role
  *     UpdateUserRequest:
  *       type: object
@@ -103,7 +109,7 @@ const router = express.Router();
  *         name: role
  *         schema:
  *           type: string
- *           enum: [STUDENT, ADMIN]
+ *           enum: [STUDENT, INSTRUCTOR, SUPPORT, ADMIN]
  *         description: Filter by user role
  *     responses:
  *       200:
@@ -136,10 +142,10 @@ const router = express.Router();
  *         description: Forbidden (admin only)
  */
 // Fix line 138 - Change 'admin' to 'ADMIN'
-router.get('/', authenticateToken, requireRole('ADMIN'), [
+router.get('/', authenticateToken, requirePermission('users:read'), [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('role').optional().isIn(['STUDENT', 'ADMIN'])
+  query('role').optional().isIn(['STUDENT', 'INSTRUCTOR', 'SUPPORT', 'ADMIN'])
 ], validate, userController.getAllUsers);
 
 /**
@@ -167,6 +173,280 @@ router.get('/', authenticateToken, requireRole('ADMIN'), [
  */
 router.get('/me', authenticateToken, userController.getCurrentUser);
 
+/**
+ * @swagger
+ * /api/users/me/permissions:
+ *   get:
+ *     summary: List the permissions granted to the current user's role
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role and permission keys (e.g. courses:write)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: string
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/permissions', authenticateToken, userController.getMyPermissions);
+
+/**
+ * @swagger
+ * /api/users/me/sessions:
+ *   get:
+ *     summary: List the devices the current user is signed in on
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       session_id:
+ *                         type: string
+ *                       device_id:
+ *                         type: string
+ *                       device_name:
+ *                         type: string
+ *                       platform:
+ *                         type: string
+ *                       ip_address:
+ *                         type: string
+ *                       user_agent:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_seen_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: True for the session making this request
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     maxDevices:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Concurrent device limit for this account, null if unlimited
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/sessions', authenticateToken, userController.getMySessions);
+
+/**
+ * @swagger
+ * /api/users/me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of the current user's devices
+ *     description: Revokes the session's refresh token and every access token issued for it.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Device signed out successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/me/sessions/:sessionId', authenticateToken, [
+  param('sessionId').isUUID()
+], validate, userController.revokeMySession);
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Download a copy of the current user's personal data
+ *     description: >
+ *       Returns a JSON document, sent as a file attachment, with the profile, enrollments, guest purchases
+ *       and bookings made with the account's email, payments, video and chapter progress, quiz attempts,
+ *       submissions, mentorship bookings and signed-in devices.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Personal data export
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not available with an impersonation token
+ */
+router.get('/me/export', authenticateToken, userController.exportMyData);
+
+/**
+ * @swagger
+ * /api/users/me/erase:
+ *   post:
+ *     summary: Erase the current user's account and personal data
+ *     description: >
+ *       Anonymizes the account, deletes learning activity and signs out every device. Payments and the
+ *       amounts and transaction references of guest purchases are kept for accounting, without name,
+ *       email or phone. Accounts with a password must confirm it. Staff accounts cannot erase themselves.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confirm
+ *             properties:
+ *               confirm:
+ *                 type: string
+ *                 enum: [ERASE]
+ *                 description: Must be the word ERASE
+ *               password:
+ *                 type: string
+ *                 description: Current password, required unless the account signs in by magic link only
+ *     responses:
+ *       200:
+ *         description: Account erased
+ *       400:
+ *         description: Validation error, or the account is a staff account
+ *       401:
+ *         description: Unauthorized or wrong password
+ */
+router.post('/me/erase', authenticateToken, [
+  body('confirm').equals('ERASE').withMessage('Type ERASE to confirm'),
+  body('password').optional().isString()
+], validate, userController.eraseMe);
+
+/**
+ * @swagger
+ * /api/users/impersonations:
+ *   get:
+ *     summary: Audit trail of admin impersonations, newest first (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminUserId
+ *         schema:
+ *           type: string
+ *         description: Only impersonations started by this admin
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: string
+ *         description: Only impersonations of this user
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Impersonations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get('/impersonations', authenticateToken, requirePermission('users:impersonate'), [
+  query('adminUserId').optional().isUUID(),
+  query('targetUserId').optional().isUUID(),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], validate, userController.getImpersonations);
+
+/**
+ * @swagger
+ * /api/users/impersonations/{impersonationId}:
+ *   get:
+ *     summary: One impersonation with every request made during it (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: impersonationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impersonation retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: Impersonation not found
+ *   delete:
+ *     summary: End an impersonation before it expires (admin only)
+ *     description: Tokens issued for the impersonation are rejected from then on.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: impersonationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: Impersonation not found or already ended
+ */
+router.get('/impersonations/:impersonationId', authenticateToken, requirePermission('users:impersonate'), [
+  param('impersonationId').isUUID()
+], validate, userController.getImpersonationById);
+
+router.delete('/impersonations/:impersonationId', authenticateToken, requirePermission('users:impersonate'), [
+  param('impersonationId').isUUID()
+], validate, userController.endImpersonation);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -239,11 +519,11 @@ router.get('/:id', authenticateToken, [
  *         description: Forbidden (admin only)
  */
 // Fix line 240 - Change 'admin' to 'ADMIN'
-router.post('/', authenticateToken, requireRole('ADMIN'), [
+router.post('/', authenticateToken, requirePermission('users:write'), [
 body('email').isEmail().normalizeEmail(),
 body('firstName').isLength({ min: 1 }).trim(),
 body('lastName').isLength({ min: 1 }).trim(),
-body('role').isIn(['STUDENT', 'ADMIN'])
+body('role').isIn(['STUDENT', 'INSTRUCTOR', 'SUPPORT', 'ADMIN'])
 ], validate, userController.createUser);
 
 /**
@@ -313,7 +593,7 @@ router.put('/me', authenticateToken, [
  *                 format: email
  *               role:
  *                 type: string
- *                 enum: [STUDENT, ADMIN]
+ *                 enum: [STUDENT, INSTRUCTOR, SUPPORT, ADMIN]
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -327,22 +607,280 @@ router.put('/me', authenticateToken, [
  *         description: User not found
  */
 // Fix line 327 - Change 'admin' to 'ADMIN'
-router.put('/:id', authenticateToken, requireRole('ADMIN'), [
+router.put('/:id', authenticateToken, requirePermission('users:write'), [
   param('id').isUUID(),
   body('firstName').optional().isLength({ min: 1 }).trim(),
   body('lastName').optional().isLength({ min: 1 }).trim(),
   body('email').optional().isEmail().normalizeEmail(),
-  body('role').optional().isIn(['STUDENT', 'ADMIN'])
+  body('role').optional().isIn(['STUDENT', 'INSTRUCTOR', 'SUPPORT', 'ADMIN'])
 ], validate, userController.updateUser);
 
 // Fix line 374 - Change 'admin' to 'ADMIN'
-router.put('/:id/status', authenticateToken, requireRole('ADMIN'), [
+router.put('/:id/status', authenticateToken, requirePermission('users:write'), [
   param('id').isUUID(),
   body('isActive').isBoolean()
 ], validate, userController.updateUserStatus);
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user locked out by failed logins (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.post('/:id/unlock', authenticateToken, requirePermission('users:sessions'), [
+  param('id').isUUID()
+], validate, userController.unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/force-logout:
+ *   post:
+ *     summary: Force logout a user from all devices (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User logged out from all devices
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.post('/:id/force-logout', authenticateToken, requirePermission('users:sessions'), [
+  param('id').isUUID()
+], validate, userController.forceLogoutUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List the devices a user is signed in on (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions', authenticateToken, requirePermission('users:sessions'), [
+  param('id').isUUID()
+], validate, userController.getUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/device-limit:
+ *   put:
+ *     summary: Cap the number of devices a user can be signed in on at once (admin only)
+ *     description: The limit applies to new logins; existing sessions are kept. Send null to fall back to the default (MAX_DEVICES_PER_ACCOUNT).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               maxDevices:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Device limit updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/device-limit', authenticateToken, requirePermission('users:sessions'), [
+  param('id').isUUID(),
+  body('maxDevices').optional({ nullable: true }).isInt({ min: 1, max: 100 }).toInt()
+], validate, userController.updateDeviceLimit);
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: View the app as a user through a read-only, time-boxed token (admin only)
+ *     description: |
+ *       Returns an access token for the user that only allows GET requests and expires after
+ *       durationMinutes (default IMPERSONATION_TTL_MINUTES, at most 60). Responses to requests made with it carry
+ *       X-Impersonation-Id and X-Impersonated-By headers, and every request is recorded in the audit trail.
+ *       Only STUDENT and INSTRUCTOR accounts can be impersonated.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the account is being viewed, e.g. a support ticket reference
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 60
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *       400:
+ *         description: Validation error, or the account cannot be impersonated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/impersonate', authenticateToken, requirePermission('users:impersonate'), [
+  param('id').isUUID(),
+  body('reason').trim().notEmpty().isLength({ max: 500 }),
+  body('durationMinutes').optional().isInt({ min: 1, max: 60 }).toInt()
+], validate, userController.impersonateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/export:
+ *   get:
+ *     summary: Download a copy of a user's personal data (admin only)
+ *     description: Same document as GET /api/users/me/export, for answering access requests made through support.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Personal data export
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/export', authenticateToken, requirePermission('users:privacy'), [
+  param('id').isUUID()
+], validate, userController.exportUserData);
+
+/**
+ * @swagger
+ * /api/users/{id}/erase:
+ *   post:
+ *     summary: Erase a user's account and personal data (admin only)
+ *     description: Same erasure as POST /api/users/me/erase, recorded with the admin and the reason.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the account is being erased, e.g. a support ticket reference
+ *     responses:
+ *       200:
+ *         description: Account erased
+ *       400:
+ *         description: Validation error, or the account is a staff account
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account already erased
+ */
+router.post('/:id/erase', authenticateToken, requirePermission('users:privacy'), [
+  param('id').isUUID(),
+  body('reason').trim().notEmpty().isLength({ max: 500 })
+], validate, userController.eraseUser);
+
 // Fix line 404 - Change 'admin' to 'ADMIN'
-router.delete('/:id', authenticateToken, requireRole('ADMIN'), [
+router.delete('/:id', authenticateToken, requirePermission('users:delete'), [
   param('id').isUUID()
 ], validate, userController.deleteUser);
 
@@ -1,15 +1,22 @@
 // src/services/assignmentService.js
+const instructorService = require('./instructorService');
 
 const assignmentService = {
   /**
    * Creates a new assignment in the database.
    * @param {object} supabase - The Supabase client instance.
    * @param {object} assignmentInput - The input data for the new assignment.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Only allows adding assignments to courses taught by this instructor.
    * @returns {Promise<object>} The newly created assignment object.
    * @throws {Error} If the assignment creation fails.
    */
-  createAssignment: async (supabase, assignmentInput) => {
+  createAssignment: async (supabase, assignmentInput, options = {}) => {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsAssignmentTarget(supabase, options.instructorId, assignmentInput);
+      }
+
       const { data, error } = await supabase
         .from('assignments')
         .insert([
@@ -116,11 +123,17 @@ const assignmentService = {
    * @param {object} supabase - The Supabase client instance.
    * @param {string} id - The UUID of the assignment to update.
    * @param {object} updates - An object containing the fields to update.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the update to assignments in courses taught by this instructor.
    * @returns {Promise<object>} The updated assignment object.
    * @throws {Error} If the assignment update fails.
    */
-  updateAssignment: async (supabase, id, updates) => {
+  updateAssignment: async (supabase, id, updates, options = {}) => {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsAssignment(supabase, options.instructorId, id);
+      }
+
       const updateData = {};
       
       // Map frontend field names to database column names
@@ -1,8 +1,15 @@
 // src/services/authService.js
 const bcrypt = require('bcryptjs'); // For password hashing
 const jwt = require('jsonwebtoken'); // For JWT token generation
+const crypto = require('crypto'); // For unique token identifiers
 const emailSender = require('../utils/emailSender'); // For sending emails
 const passwordHasher = require('../utils/passwordHasher'); // For consistent hashing
+const refreshTokenService = require('./refreshTokenService'); // For rotating refresh tokens
+const loginAttemptService = require('./loginAttemptService'); // For brute-force protection
+const mfaService = require('./mfaService'); // For TOTP two-factor authentication
+const tokenRevocationService = require('./tokenRevocationService'); // For single-use challenge tokens
+const sessionService = require('./sessionService'); // For per-device session tracking
+const emailVerificationService = require('./emailVerificationService'); // For magic-link sign in
 
 const JWT_SECRET = process.env.JWT_SECRET; // Ensure this is loaded from .env
 
@@ -11,6 +18,35 @@ if (!JWT_SECRET) {
   process.exit(1); // Exit if critical env var is missing
 }
 
+/**
+ * Builds the 401 error returned for a wrong email or password.
+ * @param {string} message - Error message.
+ * @returns {Error}
+ */
+const invalidCredentialsError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = 'INVALID_CREDENTIALS';
+  return error;
+};
+
+/**
+ * Picks the user fields returned to the client after login.
+ * @param {object} user - User row from the 'public.users' table.
+ * @returns {object} Sanitized user object.
+ */
+const toSessionUser = (user) => ({
+  id: user.user_id,
+  email: user.email,
+  first_name: user.first_name,
+  last_name: user.last_name,
+  role: user.role,
+  isActive: user.is_active,
+  mustChangePassword: !!user.must_change_password,
+  mfaEnabled: !!user.mfa_enabled,
+  emailVerified: !!user.verified_at,
+});
+
 const authService = {
   /**
    * Creates a new user account in Supabase Auth and sends login credentials via email.
@@ -25,7 +61,7 @@ const authService = {
   createUserAndSendCredentials: async (supabase, email, first_name, last_name, role) => {
     try {
       // 1. Generate a temporary password
-      const tempPassword = Math.random().toString(36).slice(-8); // Generate an 8-char random string
+      const tempPassword = passwordHasher.generateTemporaryPassword();
       const { hashedPassword, salt } = await passwordHasher.hashPassword(tempPassword);
 
       // 2. Create user in Supabase Auth (this handles the actual auth.users table)
@@ -48,6 +84,7 @@ const authService = {
       last_name: last_name,
             role,
             is_active: true,
+            must_change_password: true, // Temporary password must be replaced on first login
           },
         ])
         .select()
@@ -69,7 +106,7 @@ const authService = {
         Email: ${email}
         Temporary Password: ${tempPassword}
 
-        Please log in and change your password immediately for security reasons.
+        You will be asked to choose a new password when you first log in.
 
         Best regards,
         The Detailers University Team
@@ -95,60 +132,174 @@ const authService = {
   },
 
   /**
-   * Authenticates a user and generates a JWT.
+   * Signs a short-lived access token for a user row.
+   * @param {object} user - User row from the 'public.users' table.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.scope] - Restricts the token to a subset of endpoints (e.g. 'PASSWORD_CHANGE').
+   * @param {string} [options.sessionId] - Session the token belongs to, so signing the device out also cuts it off.
+   * @param {object} [options.impersonation] - Impersonation record from impersonationService; makes the token read-only
+   *   and valid until the record's expires_at.
+   * @returns {string} Signed JWT.
+   */
+  generateAccessToken: (user, options = {}) => {
+    const payload = {
+      id: user.user_id,        // ✅ Uses 'id' (not 'userId')
+      email: user.email,
+      role: user.role,
+      isActive: user.is_active,
+    };
+
+    if (options.sessionId) {
+      payload.sid = options.sessionId;
+    }
+
+    // Impersonation tokens act as the user but remember the admin behind them
+    if (options.impersonation) {
+      payload.imp = options.impersonation.impersonation_id;
+      payload.impBy = options.impersonation.admin_user_id;
+      const expiresIn = Math.max(1, Math.floor((new Date(options.impersonation.expires_at).getTime() - Date.now()) / 1000));
+      return jwt.sign(payload, JWT_SECRET, { expiresIn, jwtid: crypto.randomUUID() });
+    }
+
+    // Scoped tokens are only good for finishing one step, so they expire quickly
+    if (options.scope) {
+      payload.scope = options.scope;
+      return jwt.sign(payload, JWT_SECRET, { expiresIn: '15m', jwtid: crypto.randomUUID() });
+    }
+
+    // jwtid lets a single token be revoked on logout
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: '1h', jwtid: crypto.randomUUID() }); // Token expires in 1 hour
+  },
+
+  /**
+   * Starts a full session for a user: a session record for the device, an access token and a refresh token.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row from the 'public.users' table.
+   * @param {object} [device] - Optional device the session is bound to.
+   * @param {string} [device.deviceId] - Client supplied device identifier.
+   * @param {string} [device.deviceName] - Human readable device name.
+   * @param {string} [device.platform] - Client platform (e.g. 'ios', 'android', 'web').
+   * @param {string} [device.ipAddress] - IP address of the request.
+   * @param {string} [device.userAgent] - User agent of the request.
+   * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>} JWT, refresh token and session ID.
+   */
+  createSession: async (supabase, user, device = {}) => {
+    const expiresAt = refreshTokenService.getExpiryDate();
+    const session = await sessionService.createSession(supabase, user, device, expiresAt);
+
+    const token = authService.generateAccessToken(user, { sessionId: session.session_id });
+    const { refreshToken } = await refreshTokenService.issueToken(supabase, user.user_id, {
+      familyId: session.session_id,
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      expiresAt
+    });
+
+    return { token, refreshToken, sessionId: session.session_id };
+  },
+
+  /**
+   * Finishes a login once every factor has been checked.
+   * Users still on a temporary password only get a PASSWORD_CHANGE scoped token and no refresh token.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row from the 'public.users' table.
+   * @param {object} [device] - Optional device the refresh token is bound to.
+   * @returns {Promise<{user: object, token: string, refreshToken: string|null, sessionId?: string, mustChangePassword: boolean, mfaRequired: boolean}>}
+   */
+  completeLogin: async (supabase, user, device = {}) => {
+    if (user.must_change_password) {
+      return {
+        user: toSessionUser(user),
+        token: authService.generateAccessToken(user, { scope: 'PASSWORD_CHANGE' }),
+        refreshToken: null,
+        mustChangePassword: true,
+        mfaRequired: false,
+      };
+    }
+
+    const { token, refreshToken, sessionId } = await authService.createSession(supabase, user, device);
+
+    return {
+      user: toSessionUser(user),
+      token,
+      refreshToken,
+      sessionId,
+      mustChangePassword: false,
+      mfaRequired: false,
+    };
+  },
+
+  /**
+   * Builds the login result for a user who still has to pass a second factor. No session is issued yet.
+   * @param {object} user - User row from the 'public.users' table.
+   * @returns {object} MFA challenge carrying an MFA_PENDING, or for admins without MFA an MFA_SETUP, token.
+   */
+  createMfaChallenge: (user) => ({
+    user: toSessionUser(user),
+    token: null,
+    refreshToken: null,
+    mustChangePassword: !!user.must_change_password,
+    mfaRequired: true,
+    mfaSetupRequired: !user.mfa_enabled,
+    mfaToken: authService.generateAccessToken(user, { scope: user.mfa_enabled ? 'MFA_PENDING' : 'MFA_SETUP' }),
+  }),
+
+  /**
+   * Authenticates a user and generates a JWT plus a refresh token.
+   * When a second factor is required, no session is issued yet: the result carries an mfaToken instead.
+   * With MFA enabled it must be completed at /api/auth/mfa/verify; an admin without MFA gets an
+   * MFA_SETUP scoped token that can only enroll an authenticator.
    * @param {object} supabase - The Supabase client instance.
    * @param {string} email - User's email.
    * @param {string} password - User's plain text password.
-   * @returns {Promise<{user: object, token: string}>} User object and JWT.
+   * @param {object} [device] - Optional device the refresh token is bound to.
+   * @param {string} [device.deviceId] - Client supplied device identifier.
+   * @param {string} [device.deviceName] - Human readable device name.
+   * @returns {Promise<object>} User object and tokens, or an MFA challenge.
    */
-  loginUser: async (supabase, email, password) => {
+  loginUser: async (supabase, email, password, device = {}) => {
     try {
       // 1. Fetch user from our 'public.users' table
       const { data: user, error: fetchError } = await supabase
         .from('users')
-        .select('user_id, email, password_hash, salt, first_name, last_name, role, is_active')
+        .select('user_id, email, password_hash, salt, first_name, last_name, role, is_active, must_change_password, failed_login_attempts, last_failed_login_at, locked_until, mfa_enabled, max_devices, verified_at')
         .eq('email', email)
         .single();
 
       if (fetchError || !user) {
-        throw new Error('Invalid credentials or user not found.');
+        throw invalidCredentialsError('Invalid credentials or user not found.');
       }
 
       if (!user.is_active) {
         throw new Error('Your account is currently inactive. Please contact support.');
       }
 
-      // 2. Compare provided password with stored hash
+      // 2. Refuse attempts while the account is locked or throttled
+      loginAttemptService.assertCanAttempt(user);
+
+      // 3. Compare provided password with stored hash
       // Around line 122 - Fix the login function
       // Line 122 - FIXED
-      const isMatch = await passwordHasher.comparePassword(password, user.password_hash);
+      // Accounts claimed through a magic link have no password until the user sets one
+      const isMatch = !!user.password_hash && await passwordHasher.comparePassword(password, user.password_hash);
       
       
       if (!isMatch) {
-        throw new Error('Invalid credentials.');
+        await loginAttemptService.recordFailedAttempt(supabase, user);
+        throw invalidCredentialsError('Invalid credentials.');
       }
 
-      // 3. Generate JWT
-      const payload = {
-        id: user.user_id,        // ✅ Uses 'id' (not 'userId')
-        email: user.email,
-        role: user.role,
-        isActive: user.is_active,
-      };
-      const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' }); // Token expires in 1 hour
+      if (user.failed_login_attempts || user.locked_until) {
+        await loginAttemptService.resetFailedAttempts(supabase, user.user_id);
+      }
 
-      // Return sanitized user object and token
-      return {
-        user: {
-          id: user.user_id,
-          email: user.email,
-          first_name: user.first_name,
-      last_name: user.last_name,
-          role: user.role,
-          isActive: user.is_active,
-        },
-        token,
-      };
+      // 4. Hold back the session until the second factor is checked
+      if (mfaService.isMfaRequired(user)) {
+        return authService.createMfaChallenge(user);
+      }
+
+      // 5. Generate JWT and refresh token
+      return await authService.completeLogin(supabase, user, device);
 
     } catch (error) {
       console.error('Error in loginUser:', error);
@@ -156,6 +307,156 @@ const authService = {
     }
   },
 
+  /**
+   * Signs a user in with a magic link from their email instead of a password.
+   * Lockouts and the second factor still apply.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} magicLinkToken - The raw token from the email.
+   * @param {object} [device] - Optional device the refresh token is bound to.
+   * @returns {Promise<object>} User object and tokens, or an MFA challenge.
+   * @throws {Error} 401 INVALID_MAGIC_LINK if the link cannot be used, or 423 ACCOUNT_LOCKED / 429 LOGIN_THROTTLED.
+   */
+  loginWithMagicLink: async (supabase, magicLinkToken, device = {}) => {
+    try {
+      // Inactive accounts are refused by consumeMagicLink itself
+      const user = await emailVerificationService.consumeMagicLink(supabase, magicLinkToken);
+
+      // A link does not get round a lockout started by failed password attempts
+      loginAttemptService.assertCanAttempt(user);
+
+      // The user never saw a temporary password on this path, so they are not held at the change-password step.
+      // Stored, since the MFA step reloads the user
+      if (user.must_change_password) {
+        const { error: updateError } = await supabase
+          .from('users')
+          .update({ must_change_password: false })
+          .eq('user_id', user.user_id);
+
+        if (updateError) {
+          console.error('Error clearing must_change_password after magic link sign in:', updateError);
+          throw new Error(`Failed to sign in: ${updateError.message}`);
+        }
+        user.must_change_password = false;
+      }
+
+      if (mfaService.isMfaRequired(user)) {
+        return authService.createMfaChallenge(user);
+      }
+
+      return await authService.completeLogin(supabase, user, device);
+    } catch (error) {
+      console.error('Error in loginWithMagicLink:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Completes an MFA challenge started by loginUser.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} mfaToken - The MFA_PENDING token returned by loginUser.
+   * @param {string} code - TOTP code or recovery code.
+   * @param {object} [device] - Optional device the refresh token is bound to.
+   * @returns {Promise<object>} User object and tokens, as returned by completeLogin.
+   * @throws {Error} If the challenge token or the code is invalid.
+   */
+  verifyMfaLogin: async (supabase, mfaToken, code, device = {}) => {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(mfaToken, JWT_SECRET);
+      } catch (jwtError) {
+        decoded = null;
+      }
+
+      if (!decoded || decoded.scope !== 'MFA_PENDING') {
+        const error = new Error('MFA challenge is invalid or has expired. Please log in again.');
+        error.statusCode = 401;
+        error.code = 'INVALID_MFA_TOKEN';
+        throw error;
+      }
+
+      const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('*')
+        .eq('user_id', decoded.id)
+        .eq('is_active', true)
+        .single();
+
+      if (fetchError || !user || await tokenRevocationService.isTokenRevoked(supabase, decoded, user)) {
+        const error = new Error('MFA challenge is invalid or has expired. Please log in again.');
+        error.statusCode = 401;
+        error.code = 'INVALID_MFA_TOKEN';
+        throw error;
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      loginAttemptService.assertCanAttempt(user);
+
+      if (!(await mfaService.verifyCode(supabase, user, code))) {
+        await loginAttemptService.recordFailedAttempt(supabase, user);
+        const error = new Error('Invalid authentication code.');
+        error.statusCode = 401;
+        error.code = 'INVALID_MFA_CODE';
+        throw error;
+      }
+
+      // The challenge can only be completed once
+      await tokenRevocationService.revokeAccessToken(supabase, decoded, 'MFA_COMPLETED');
+
+      if (user.failed_login_attempts || user.locked_until) {
+        await loginAttemptService.resetFailedAttempts(supabase, user.user_id);
+      }
+
+      return await authService.completeLogin(supabase, user, device);
+    } catch (error) {
+      console.error('Error in verifyMfaLogin:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Exchanges a refresh token for a new access token and a rotated refresh token.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} refreshToken - The raw refresh token presented by the client.
+   * @param {object} [requestInfo] - Details of the request, recorded as the session's last activity.
+   * @param {string} [requestInfo.ipAddress] - IP address of the request.
+   * @returns {Promise<{token: string, refreshToken: string}>} New JWT and refresh token.
+   * @throws {Error} If the refresh token is invalid or the user is no longer active.
+   */
+  refreshAccessToken: async (supabase, refreshToken, requestInfo = {}) => {
+    try {
+      const rotation = await refreshTokenService.rotateToken(supabase, refreshToken);
+
+      const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('user_id, email, role, is_active')
+        .eq('user_id', rotation.userId)
+        .single();
+
+      if (fetchError || !user || !user.is_active) {
+        await refreshTokenService.revokeFamily(supabase, rotation.record.family_id, 'USER_INACTIVE');
+        const error = new Error('User not found or inactive');
+        error.statusCode = 401;
+        error.code = 'INVALID_USER';
+        throw error;
+      }
+
+      const sessionId = rotation.record.family_id;
+      await sessionService.touchSession(supabase, sessionId, {
+        ipAddress: requestInfo.ipAddress,
+        expiresAt: rotation.record.expires_at
+      });
+
+      return {
+        token: authService.generateAccessToken(user, { sessionId }),
+        refreshToken: rotation.refreshToken,
+      };
+    } catch (error) {
+      console.error('Error in refreshAccessToken:', error);
+      throw error;
+    }
+  },
+
   /**
    * Changes a user's password.
    * @param {object} supabase - The Supabase client instance.
@@ -179,6 +480,9 @@ const authService = {
 
       // 2. Verify old password
       // Line 177 - FIXED  
+      if (!user.password_hash) {
+        throw new Error('This account has no password yet. Use "Forgot password" to set one.');
+      }
       const isMatch = await passwordHasher.comparePassword(oldPassword, user.password_hash);
       if (!isMatch) {
         throw new Error('Incorrect old password.');
@@ -190,7 +494,7 @@ const authService = {
       // 4. Update password in 'public.users' table
       const { error: updateError } = await supabase
         .from('users')
-        .update({ password_hash: hashedPassword, salt: salt })
+        .update({ password_hash: hashedPassword, salt: salt, must_change_password: false })
         .eq('user_id', userId);
 
       if (updateError) {
@@ -0,0 +1,373 @@
+// src/services/bundleService.js
+const entitlementService = require('./entitlementService');
+
+const BUNDLE_SELECT = `
+  bundle_id,
+  title,
+  description,
+  price,
+  thumbnail_url,
+  is_published,
+  created_at,
+  updated_at,
+  bundle_courses(
+    position,
+    course:courses(course_id, title, price, thumbnail_url, level, video_series, video_part, is_published)
+  )
+`;
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @param {Array<string>} [details] - Extra information passed through to the response.
+ * @returns {Error}
+ */
+const bundleError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Flattens the bundle_courses join into an ordered course list and adds the pricing summary:
+ * what the courses cost one by one and how much the bundle saves against that.
+ * @param {object} bundle - Bundle row selected with BUNDLE_SELECT.
+ * @returns {object}
+ */
+const withPricing = (bundle) => {
+  const { bundle_courses: members, ...rest } = bundle;
+  const courses = (members || [])
+    .sort((a, b) => a.position - b.position)
+    .map(member => member.course)
+    .filter(Boolean);
+
+  const individualTotal = courses.reduce((sum, course) => sum + Number(course.price || 0), 0);
+  const price = Number(bundle.price);
+  const savings = Math.max(0, individualTotal - price);
+
+  return {
+    ...rest,
+    courses,
+    pricing: {
+      price,
+      individualTotal,
+      savings,
+      savingsPercent: individualTotal > 0 ? Math.round((savings / individualTotal) * 100) : 0
+    }
+  };
+};
+
+/**
+ * Replaces the member courses of a bundle, keeping the given order.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} bundleId - The UUID of the bundle.
+ * @param {Array<string>} courseIds - The member course IDs.
+ * @returns {Promise<void>}
+ */
+const replaceMembers = async (supabase, bundleId, courseIds) => {
+  if (new Set(courseIds).size !== courseIds.length) {
+    throw bundleError(400, 'INVALID_BUNDLE', 'A course can only be in a bundle once');
+  }
+
+  const { data: courses, error: coursesError } = await supabase
+    .from('courses')
+    .select('course_id')
+    .in('course_id', courseIds);
+
+  if (coursesError) {
+    console.error('Error checking bundle courses:', coursesError);
+    throw new Error(`Failed to save bundle courses: ${coursesError.message}`);
+  }
+
+  const missing = courseIds.filter(id => !courses.some(course => course.course_id === id));
+  if (missing.length > 0) {
+    throw bundleError(400, 'INVALID_BUNDLE', 'Some bundle courses do not exist', missing);
+  }
+
+  const { error: deleteError } = await supabase
+    .from('bundle_courses')
+    .delete()
+    .eq('bundle_id', bundleId);
+
+  if (deleteError) {
+    console.error('Error clearing bundle courses:', deleteError);
+    throw new Error(`Failed to save bundle courses: ${deleteError.message}`);
+  }
+
+  const { error: insertError } = await supabase
+    .from('bundle_courses')
+    .insert(courseIds.map((courseId, position) => ({ bundle_id: bundleId, course_id: courseId, position })));
+
+  if (insertError) {
+    console.error('Error storing bundle courses:', insertError);
+    throw new Error(`Failed to save bundle courses: ${insertError.message}`);
+  }
+};
+
+const bundleService = {
+  /**
+   * Lists bundles with their courses and savings.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [options] - Optional settings.
+   * @param {boolean} [options.includeUnpublished=false] - Also return bundles that are not on sale.
+   * @returns {Promise<Array<object>>}
+   */
+  getBundles: async (supabase, options = {}) => {
+    try {
+      let query = supabase
+        .from('course_bundles')
+        .select(BUNDLE_SELECT)
+        .order('created_at', { ascending: false });
+
+      if (!options.includeUnpublished) {
+        query = query.eq('is_published', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching bundles:', error);
+        throw new Error(`Failed to fetch bundles: ${error.message}`);
+      }
+
+      return (data || []).map(withPricing);
+    } catch (error) {
+      console.error('Error in getBundles:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Gets one bundle with its courses and savings.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} bundleId - The UUID of the bundle.
+   * @returns {Promise<object|null>} The bundle, or null if it does not exist.
+   */
+  getBundleById: async (supabase, bundleId) => {
+    try {
+      const { data, error } = await supabase
+        .from('course_bundles')
+        .select(BUNDLE_SELECT)
+        .eq('bundle_id', bundleId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching bundle:', error);
+        throw new Error(`Failed to fetch bundle: ${error.message}`);
+      }
+
+      return data ? withPricing(data) : null;
+    } catch (error) {
+      console.error('Error in getBundleById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a bundle.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} bundleData - title, description, price, thumbnail_url, is_published and course_ids.
+   * @returns {Promise<object>} The created bundle.
+   * @throws {Error} 400 INVALID_BUNDLE if a course does not exist.
+   */
+  createBundle: async (supabase, bundleData) => {
+    try {
+      const { course_ids: courseIds, ...fields } = bundleData;
+
+      const { data: bundle, error } = await supabase
+        .from('course_bundles')
+        .insert(fields)
+        .select('bundle_id')
+        .single();
+
+      if (error) {
+        console.error('Error creating bundle:', error);
+        throw new Error(`Failed to create bundle: ${error.message}`);
+      }
+
+      try {
+        await replaceMembers(supabase, bundle.bundle_id, courseIds);
+      } catch (membersError) {
+        await supabase.from('course_bundles').delete().eq('bundle_id', bundle.bundle_id);
+        throw membersError;
+      }
+
+      return await bundleService.getBundleById(supabase, bundle.bundle_id);
+    } catch (error) {
+      console.error('Error in createBundle:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a bundle. Passing course_ids replaces its member courses.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} bundleId - The UUID of the bundle.
+   * @param {object} updates - Fields to change.
+   * @returns {Promise<object>} The updated bundle.
+   * @throws {Error} 404 BUNDLE_NOT_FOUND, or 400 INVALID_BUNDLE if a course does not exist.
+   */
+  updateBundle: async (supabase, bundleId, updates) => {
+    try {
+      const { course_ids: courseIds, ...fields } = updates;
+
+      const { data, error } = await supabase
+        .from('course_bundles')
+        .update(fields)
+        .eq('bundle_id', bundleId)
+        .select('bundle_id');
+
+      if (error) {
+        console.error('Error updating bundle:', error);
+        throw new Error(`Failed to update bundle: ${error.message}`);
+      }
+      if (!data || data.length === 0) {
+        throw bundleError(404, 'BUNDLE_NOT_FOUND', 'Bundle not found');
+      }
+
+      if (courseIds) {
+        await replaceMembers(supabase, bundleId, courseIds);
+      }
+
+      return await bundleService.getBundleById(supabase, bundleId);
+    } catch (error) {
+      console.error('Error in updateBundle:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a bundle that was never bought. Bundles with purchases can only be unpublished.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} bundleId - The UUID of the bundle.
+   * @returns {Promise<void>}
+   * @throws {Error} 404 BUNDLE_NOT_FOUND, or 409 BUNDLE_HAS_PURCHASES.
+   */
+  deleteBundle: async (supabase, bundleId) => {
+    try {
+      const [
+        { count, error: purchasesError },
+        { count: paymentCount, error: paymentsError }
+      ] = await Promise.all([
+        supabase
+          .from('guest_course_purchases')
+          .select('purchase_id', { count: 'exact', head: true })
+          .eq('bundle_id', bundleId),
+        supabase
+          .from('payments')
+          .select('payment_id', { count: 'exact', head: true })
+          .eq('bundle_id', bundleId)
+      ]);
+
+      if (purchasesError || paymentsError) {
+        console.error('Error checking bundle purchases:', purchasesError || paymentsError);
+        throw new Error(`Failed to delete bundle: ${(purchasesError || paymentsError).message}`);
+      }
+      if (count > 0 || paymentCount > 0) {
+        throw bundleError(409, 'BUNDLE_HAS_PURCHASES', 'This bundle has been bought; unpublish it instead');
+      }
+
+      const { data, error } = await supabase
+        .from('course_bundles')
+        .delete()
+        .eq('bundle_id', bundleId)
+        .select('bundle_id');
+
+      if (error) {
+        console.error('Error deleting bundle:', error);
+        throw new Error(`Failed to delete bundle: ${error.message}`);
+      }
+      if (!data || data.length === 0) {
+        throw bundleError(404, 'BUNDLE_NOT_FOUND', 'Bundle not found');
+      }
+    } catch (error) {
+      console.error('Error in deleteBundle:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Gives the buyer of a paid bundle purchase every member course. Each course gets its own
+   * zero-priced PAID purchase pointing back at the bundle, the same way series unlocks are
+   * recorded, so the bundle price is only counted once in revenue. Courses the customer already
+   * owns are skipped, which also makes repeated calls for the same purchase harmless.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} purchase - The paid guest_course_purchases row for the bundle.
+   * @param {function(): string} generateAccessCode - Creates the access code of each course purchase.
+   * @returns {Promise<Array<object>>} The course purchases created.
+   */
+  grantBundleCourses: async (supabase, purchase, generateAccessCode) => {
+    try {
+      const bundle = await bundleService.getBundleById(supabase, purchase.bundle_id);
+      if (!bundle) {
+        console.error(`Bundle ${purchase.bundle_id} of purchase ${purchase.purchase_id} no longer exists`);
+        return [];
+      }
+
+      const granted = [];
+
+      for (const course of bundle.courses) {
+        const { data: owned } = await supabase
+          .from('guest_course_purchases')
+          .select('purchase_id')
+          .eq('customer_email', purchase.customer_email)
+          .eq('course_id', course.course_id)
+          .eq('payment_status', 'PAID')
+          .limit(1);
+
+        if (!owned || owned.length === 0) {
+          const { data: coursePurchase, error: insertError } = await supabase
+            .from('guest_course_purchases')
+            .insert({
+              course_id: course.course_id,
+              bundle_id: bundle.bundle_id,
+              customer_name: purchase.customer_name,
+              customer_email: purchase.customer_email,
+              customer_phone: purchase.customer_phone,
+              course_price: 0,
+              access_code: generateAccessCode(),
+              payment_status: 'PAID',
+              payment_method: 'BUNDLE',
+              transaction_id: `bundle_${purchase.purchase_id}_${course.course_id}`
+            })
+            .select()
+            .single();
+
+          if (insertError) {
+            console.error(`Error granting bundle course ${course.course_id}:`, insertError);
+            continue;
+          }
+          granted.push(coursePurchase);
+        }
+
+        // Keyed by the bundle purchase, so refunding the bundle takes every course back.
+        // Without an end date on the bundle purchase, each course's own access duration applies
+        try {
+          await entitlementService.grant(supabase, {
+            email: purchase.customer_email,
+            courseId: course.course_id,
+            source: 'BUNDLE',
+            sourceId: purchase.purchase_id,
+            expiresAt: purchase.access_expires_at || undefined
+          });
+        } catch (entitlementError) {
+          console.error(`Error granting bundle course ${course.course_id}:`, entitlementError);
+        }
+      }
+
+      console.log(`Bundle "${bundle.title}" granted ${granted.length} courses to ${purchase.customer_email}.`);
+      return granted;
+    } catch (error) {
+      console.error('Error in grantBundleCourses:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = bundleService;
@@ -1,4 +1,27 @@
 // src/services/chapterMediaService.js
+const courseRevisionService = require('./courseRevisionService');
+
+/**
+ * Refuses the edit while the course the chapter belongs to has an open draft.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {object} match - Either { chapterId } or { mediaId }.
+ * @returns {Promise<void>}
+ */
+const assertMediaEditable = async (supabase, { chapterId, mediaId }) => {
+  const query = chapterId
+    ? supabase.from('chapters').select('course_id').eq('chapter_id', chapterId)
+    : supabase.from('chapter_media').select('chapters(course_id)').eq('media_id', mediaId);
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    console.error('Error fetching chapter media course:', error);
+    throw new Error(`Failed to fetch chapter: ${error.message}`);
+  }
+  const courseId = data && (chapterId ? data.course_id : data.chapters && data.chapters.course_id);
+  if (courseId) {
+    await courseRevisionService.assertNoOpenDraft(supabase, courseId);
+  }
+};
 
 const chapterMediaService = {
   /**
@@ -10,6 +33,8 @@ const chapterMediaService = {
    */
   createChapterMedia: async (supabase, mediaInput) => {
     try {
+      await assertMediaEditable(supabase, { chapterId: mediaInput.chapterId });
+
       const { data, error } = await supabase
         .from('chapter_media')
         .insert([
@@ -98,6 +123,8 @@ const chapterMediaService = {
    */
   updateChapterMedia: async (supabase, id, updates) => {
     try {
+      await assertMediaEditable(supabase, { mediaId: id });
+
       const updateData = {};
       if (updates.mediaType !== undefined) updateData.media_type = updates.mediaType;
       if (updates.cloudinaryUrl !== undefined) updateData.cloudinary_url = updates.cloudinaryUrl;
@@ -132,6 +159,8 @@ const chapterMediaService = {
    */
   deleteChapterMedia: async (supabase, id) => {
     try {
+      await assertMediaEditable(supabase, { mediaId: id });
+
       const { error } = await supabase
         .from('chapter_media')
         .delete()
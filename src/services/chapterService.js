@@ -1,15 +1,46 @@
 // src/services/chapterService.js
+const instructorService = require('./instructorService');
+const courseRevisionService = require('./courseRevisionService');
+
+/**
+ * Refuses the edit while the chapter's course has an open draft.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} chapterId - The UUID of the chapter.
+ * @returns {Promise<void>}
+ */
+const assertChapterEditable = async (supabase, chapterId) => {
+  const { data, error } = await supabase
+    .from('chapters')
+    .select('course_id')
+    .eq('chapter_id', chapterId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching chapter course:', error);
+    throw new Error(`Failed to fetch chapter: ${error.message}`);
+  }
+  if (data) {
+    await courseRevisionService.assertNoOpenDraft(supabase, data.course_id);
+  }
+};
 
 const chapterService = {
   /**
    * Creates a new chapter in the database.
    * @param {object} supabase - The Supabase client instance.
-   * @param {object} chapterInput - The input data for the new chapter (courseId, title, description, orderIndex).
+   * @param {object} chapterInput - The input data for the new chapter (courseId, title, description, orderIndex, isFreePreview).
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Only allows adding chapters to courses taught by this instructor.
    * @returns {Promise<object>} The newly created chapter object.
    * @throws {Error} If the chapter creation fails.
    */
-  createChapter: async (supabase, chapterInput) => {
+  createChapter: async (supabase, chapterInput, options = {}) => {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsCourse(supabase, options.instructorId, chapterInput.courseId);
+      }
+      await courseRevisionService.assertNoOpenDraft(supabase, chapterInput.courseId);
+
       const { data, error } = await supabase
         .from('chapters')
         .insert([
@@ -18,6 +49,7 @@ const chapterService = {
             title: chapterInput.title,
             description: chapterInput.description,
             order_index: chapterInput.orderIndex,
+            is_free_preview: chapterInput.isFreePreview || false,
           },
         ])
         .select()
@@ -90,16 +122,24 @@ const chapterService = {
    * Updates an existing chapter in the database.
    * @param {object} supabase - The Supabase client instance.
    * @param {string} id - The UUID of the chapter to update.
-   * @param {object} updates - An object containing the fields to update (title, description, orderIndex).
+   * @param {object} updates - An object containing the fields to update (title, description, orderIndex, is_free_preview).
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the update to chapters of courses taught by this instructor.
    * @returns {Promise<object>} The updated chapter object.
    * @throws {Error} If the chapter update fails.
    */
-  updateChapter: async (supabase, id, updates) => {
+  updateChapter: async (supabase, id, updates, options = {}) => {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsChapter(supabase, options.instructorId, id);
+      }
+      await assertChapterEditable(supabase, id);
+
       const updateData = {};
       if (updates.title !== undefined) updateData.title = updates.title;
       if (updates.description !== undefined) updateData.description = updates.description;
       if (updates.orderIndex !== undefined) updateData.order_index = updates.orderIndex;
+      if (updates.is_free_preview !== undefined) updateData.is_free_preview = updates.is_free_preview;
 
       const { data, error } = await supabase
         .from('chapters')
@@ -128,6 +168,8 @@ const chapterService = {
    */
   deleteChapter: async (supabase, id) => {
     try {
+      await assertChapterEditable(supabase, id);
+
       const { error } = await supabase
         .from('chapters')
         .delete()
@@ -0,0 +1,744 @@
+// src/services/couponService.js
+
+const DISCOUNT_TYPES = ['PERCENT', 'FIXED'];
+
+// What was bought, and which column of coupon_redemptions points at it
+const ORDER_TYPES = {
+  COURSE_PAYMENT: 'payment_id',
+  GUEST_COURSE_PURCHASE: 'purchase_id',
+  GUEST_BOOKING: 'guest_booking_id'
+};
+
+// Reservations that are not released yet count towards the limits
+const ACTIVE_REDEMPTION_STATUSES = ['PENDING', 'REDEEMED'];
+
+// Checkouts not paid within this time give their coupon reservation back
+const COUPON_RESERVATION_TTL_MINUTES = parseInt(process.env.COUPON_RESERVATION_TTL_MINUTES || '60', 10);
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discount_type',
+  'discount_value',
+  'course_id',
+  'max_redemptions',
+  'max_redemptions_per_customer',
+  'valid_from',
+  'valid_until',
+  'is_active'
+];
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const couponError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Rounds a money amount to cents.
+ * @param {number} amount
+ * @returns {number}
+ */
+const toCents = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Codes are matched case-insensitively and stored upper case.
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Keeps only the coupon columns a caller may set, normalizing the code.
+ * @param {object} input - Request body fields.
+ * @returns {object}
+ */
+const pickCouponFields = (input) => {
+  const fields = {};
+  COUPON_FIELDS.forEach(field => {
+    if (input[field] !== undefined) {
+      fields[field] = input[field];
+    }
+  });
+  if (fields.code !== undefined) {
+    fields.code = normalizeCode(fields.code);
+  }
+  return fields;
+};
+
+/**
+ * Validates a coupon's discount and validity window as a whole, after an update is merged in.
+ * @param {object} coupon - The coupon fields.
+ * @returns {void}
+ * @throws {Error} 400 INVALID_COUPON.
+ */
+const assertCouponShape = (coupon) => {
+  if (!DISCOUNT_TYPES.includes(coupon.discount_type)) {
+    throw couponError(400, 'INVALID_COUPON', 'discount_type must be PERCENT or FIXED');
+  }
+  if (coupon.discount_type === 'PERCENT' && Number(coupon.discount_value) > 100) {
+    throw couponError(400, 'INVALID_COUPON', 'A percentage discount cannot exceed 100');
+  }
+  if (coupon.valid_from && coupon.valid_until && new Date(coupon.valid_until) <= new Date(coupon.valid_from)) {
+    throw couponError(400, 'INVALID_COUPON', 'valid_until must be after valid_from');
+  }
+};
+
+const couponService = {
+  /**
+   * Lists coupons with how often each has been redeemed.
+   * @param {object} supabase - The Supabase client instance.
+   * @returns {Promise<Array<object>>}
+   */
+  getCoupons: async (supabase) => {
+    try {
+      const { data, error } = await supabase
+        .from('coupons')
+        .select('*, course:courses(course_id, title), coupon_redemptions(status)')
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching coupons:', error);
+        throw new Error(`Failed to fetch coupons: ${error.message}`);
+      }
+
+      return (data || []).map(({ coupon_redemptions: redemptions, ...coupon }) => ({
+        ...coupon,
+        redeemed_count: redemptions.filter(redemption => redemption.status === 'REDEEMED').length,
+        pending_count: redemptions.filter(redemption => redemption.status === 'PENDING').length
+      }));
+    } catch (error) {
+      console.error('Error in getCoupons:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Gets a coupon by ID.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} couponId - The UUID of the coupon.
+   * @returns {Promise<object|null>}
+   */
+  getCouponById: async (supabase, couponId) => {
+    try {
+      const { data, error } = await supabase
+        .from('coupons')
+        .select('*, course:courses(course_id, title)')
+        .eq('coupon_id', couponId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching coupon:', error);
+        throw new Error(`Failed to fetch coupon: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getCouponById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a coupon.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} couponData - The coupon fields; course_id null makes it apply to every order.
+   * @param {string} createdBy - The UUID of the admin creating it.
+   * @returns {Promise<object>} The created coupon.
+   * @throws {Error} 400 INVALID_COUPON, or 409 COUPON_CODE_TAKEN.
+   */
+  createCoupon: async (supabase, couponData, createdBy) => {
+    try {
+      const fields = pickCouponFields(couponData);
+      assertCouponShape(fields);
+
+      const { data, error } = await supabase
+        .from('coupons')
+        .insert({ ...fields, created_by: createdBy })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw couponError(409, 'COUPON_CODE_TAKEN', `The code ${fields.code} is already in use`);
+        }
+        console.error('Error creating coupon:', error);
+        throw new Error(`Failed to create coupon: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in createCoupon:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a coupon. Redemptions already made keep the discount they were given.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} couponId - The UUID of the coupon.
+   * @param {object} updates - Fields to change.
+   * @returns {Promise<object>} The updated coupon.
+   * @throws {Error} 404 COUPON_NOT_FOUND, 400 INVALID_COUPON, or 409 COUPON_CODE_TAKEN.
+   */
+  updateCoupon: async (supabase, couponId, updates) => {
+    try {
+      const existing = await couponService.getCouponById(supabase, couponId);
+      if (!existing) {
+        throw couponError(404, 'COUPON_NOT_FOUND', 'Coupon not found');
+      }
+
+      const fields = pickCouponFields(updates);
+      assertCouponShape({ ...existing, ...fields });
+
+      const { data, error } = await supabase
+        .from('coupons')
+        .update(fields)
+        .eq('coupon_id', couponId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw couponError(409, 'COUPON_CODE_TAKEN', `The code ${fields.code} is already in use`);
+        }
+        console.error('Error updating coupon:', error);
+        throw new Error(`Failed to update coupon: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in updateCoupon:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a coupon that was never used. Used coupons are deactivated instead so their
+   * redemptions stay reportable.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} couponId - The UUID of the coupon.
+   * @returns {Promise<void>}
+   * @throws {Error} 404 COUPON_NOT_FOUND, or 409 COUPON_HAS_REDEMPTIONS.
+   */
+  deleteCoupon: async (supabase, couponId) => {
+    try {
+      const { count, error: countError } = await supabase
+        .from('coupon_redemptions')
+        .select('redemption_id', { count: 'exact', head: true })
+        .eq('coupon_id', couponId);
+
+      if (countError) {
+        console.error('Error checking coupon redemptions:', countError);
+        throw new Error(`Failed to delete coupon: ${countError.message}`);
+      }
+      if (count > 0) {
+        throw couponError(409, 'COUPON_HAS_REDEMPTIONS', 'This coupon has been used; deactivate it instead');
+      }
+
+      const { data, error } = await supabase
+        .from('coupons')
+        .delete()
+        .eq('coupon_id', couponId)
+        .select('coupon_id');
+
+      if (error) {
+        console.error('Error deleting coupon:', error);
+        throw new Error(`Failed to delete coupon: ${error.message}`);
+      }
+      if (!data || data.length === 0) {
+        throw couponError(404, 'COUPON_NOT_FOUND', 'Coupon not found');
+      }
+    } catch (error) {
+      console.error('Error in deleteCoupon:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lists the redemptions of a coupon, newest first.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} couponId - The UUID of the coupon.
+   * @returns {Promise<Array<object>>}
+   */
+  getRedemptions: async (supabase, couponId) => {
+    try {
+      const { data, error } = await supabase
+        .from('coupon_redemptions')
+        .select('*')
+        .eq('coupon_id', couponId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching coupon redemptions:', error);
+        throw new Error(`Failed to fetch coupon redemptions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in getRedemptions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Works out the list price of an order on the server. Guest purchases and bookings store the
+   * discounted price, so the discount given earlier is added back.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} order - Exactly one of courseId, purchaseId or bookingId.
+   * @param {string} [order.courseId] - A course bought by a signed-in user.
+   * @param {string} [order.purchaseId] - A guest course or bundle purchase.
+   * @param {string} [order.bookingId] - A guest mentorship booking.
+   * @returns {Promise<{orderType: string, courseId: string|null, amount: number, customerEmail: string|null}>}
+   * @throws {Error} 404 ORDER_NOT_FOUND.
+   */
+  resolveOrder: async (supabase, order) => {
+    try {
+      if (order.courseId) {
+        const { data: course } = await supabase
+          .from('courses')
+          .select('course_id, price')
+          .eq('course_id', order.courseId)
+          .maybeSingle();
+
+        if (!course) {
+          throw couponError(404, 'ORDER_NOT_FOUND', 'Course not found');
+        }
+        return { orderType: 'COURSE_PAYMENT', courseId: course.course_id, amount: toCents(course.price || 0), customerEmail: null };
+      }
+
+      if (order.purchaseId) {
+        const { data: purchase } = await supabase
+          .from('guest_course_purchases')
+          .select('course_id, course_price, discount_amount, customer_email')
+          .eq('purchase_id', order.purchaseId)
+          .maybeSingle();
+
+        if (!purchase) {
+          throw couponError(404, 'ORDER_NOT_FOUND', 'Course purchase not found');
+        }
+        return {
+          orderType: 'GUEST_COURSE_PURCHASE',
+          courseId: purchase.course_id,
+          amount: toCents(Number(purchase.course_price) + Number(purchase.discount_amount || 0)),
+          customerEmail: purchase.customer_email
+        };
+      }
+
+      if (order.bookingId) {
+        const { data: booking } = await supabase
+          .from('guest_bookings')
+          .select('session_price, discount_amount, customer_email')
+          .eq('guest_booking_id', order.bookingId)
+          .maybeSingle();
+
+        if (!booking) {
+          throw couponError(404, 'ORDER_NOT_FOUND', 'Guest booking not found');
+        }
+        return {
+          orderType: 'GUEST_BOOKING',
+          courseId: null,
+          amount: toCents(Number(booking.session_price) + Number(booking.discount_amount || 0)),
+          customerEmail: booking.customer_email
+        };
+      }
+
+      throw couponError(400, 'ORDER_NOT_FOUND', 'A course, purchase or booking is required');
+    } catch (error) {
+      console.error('Error in resolveOrder:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks a code against an order and computes the discounted price. Nothing is reserved;
+   * reserveRedemption does that once the payment is being set up.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} code - The coupon code as entered.
+   * @param {object} order - The resolved order (see resolveOrder).
+   * @param {Array<string>} [order.replacesPaymentIds] - Pending payments the new one will replace; their
+   *   reservations are released once it is created, so they do not count towards the limits here.
+   * @param {string} [customerEmail] - Used for the per-customer limit.
+   * @returns {Promise<{coupon: object, originalAmount: number, discountAmount: number, finalAmount: number}>}
+   * @throws {Error} 404 COUPON_NOT_FOUND, or 400 with COUPON_INACTIVE, COUPON_NOT_STARTED, COUPON_EXPIRED,
+   *   COUPON_NOT_APPLICABLE, COUPON_USAGE_LIMIT_REACHED or COUPON_CUSTOMER_LIMIT_REACHED.
+   */
+  quote: async (supabase, code, order, customerEmail) => {
+    try {
+      const { data: coupon, error } = await supabase
+        .from('coupons')
+        .select('*')
+        .eq('code', normalizeCode(code))
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching coupon by code:', error);
+        throw new Error(`Failed to check coupon: ${error.message}`);
+      }
+      if (!coupon) {
+        throw couponError(404, 'COUPON_NOT_FOUND', 'This coupon code does not exist');
+      }
+
+      const now = new Date();
+      if (!coupon.is_active) {
+        throw couponError(400, 'COUPON_INACTIVE', 'This coupon is no longer active');
+      }
+      if (coupon.valid_from && new Date(coupon.valid_from) > now) {
+        throw couponError(400, 'COUPON_NOT_STARTED', 'This coupon is not valid yet');
+      }
+      if (coupon.valid_until && new Date(coupon.valid_until) <= now) {
+        throw couponError(400, 'COUPON_EXPIRED', 'This coupon has expired');
+      }
+      if (coupon.course_id && coupon.course_id !== order.courseId) {
+        throw couponError(400, 'COUPON_NOT_APPLICABLE', 'This coupon does not apply to this purchase');
+      }
+
+      const replaced = order.replacesPaymentIds || [];
+      const countRedemptions = (query) => (replaced.length > 0
+        ? query.or(`payment_id.is.null,payment_id.not.in.(${replaced.join(',')})`)
+        : query);
+
+      if (coupon.max_redemptions !== null) {
+        const { count, error: countError } = await countRedemptions(supabase
+          .from('coupon_redemptions')
+          .select('redemption_id', { count: 'exact', head: true })
+          .eq('coupon_id', coupon.coupon_id)
+          .in('status', ACTIVE_REDEMPTION_STATUSES));
+
+        if (countError) {
+          console.error('Error counting coupon redemptions:', countError);
+          throw new Error(`Failed to check coupon: ${countError.message}`);
+        }
+        if (count >= coupon.max_redemptions) {
+          throw couponError(400, 'COUPON_USAGE_LIMIT_REACHED', 'This coupon has been used up');
+        }
+      }
+
+      if (coupon.max_redemptions_per_customer !== null && customerEmail) {
+        const { count, error: countError } = await countRedemptions(supabase
+          .from('coupon_redemptions')
+          .select('redemption_id', { count: 'exact', head: true })
+          .eq('coupon_id', coupon.coupon_id)
+          .eq('customer_email', customerEmail.toLowerCase())
+          .in('status', ACTIVE_REDEMPTION_STATUSES));
+
+        if (countError) {
+          console.error('Error counting customer coupon redemptions:', countError);
+          throw new Error(`Failed to check coupon: ${countError.message}`);
+        }
+        if (count >= coupon.max_redemptions_per_customer) {
+          throw couponError(400, 'COUPON_CUSTOMER_LIMIT_REACHED', 'You have already used this coupon');
+        }
+      }
+
+      const originalAmount = toCents(order.amount);
+      const discountAmount = coupon.discount_type === 'PERCENT'
+        ? toCents(originalAmount * Number(coupon.discount_value) / 100)
+        : Math.min(toCents(coupon.discount_value), originalAmount);
+
+      return {
+        coupon: {
+          coupon_id: coupon.coupon_id,
+          code: coupon.code,
+          description: coupon.description,
+          discount_type: coupon.discount_type,
+          discount_value: Number(coupon.discount_value)
+        },
+        originalAmount,
+        discountAmount,
+        finalAmount: toCents(originalAmount - discountAmount)
+      };
+    } catch (error) {
+      console.error('Error in quote:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Records a PENDING redemption for an order. The limits are checked again inside
+   * reserve_coupon_redemption with the coupon row locked, so two customers cannot both take
+   * the last use of a coupon.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} quote - The result of quote().
+   * @param {object} order - Who is buying what.
+   * @param {string} order.orderType - COURSE_PAYMENT, GUEST_COURSE_PURCHASE or GUEST_BOOKING.
+   * @param {string} order.orderId - The payment, purchase or booking ID.
+   * @param {string} order.customerEmail - The customer's email.
+   * @param {string} [order.userId] - The signed-in user, if any.
+   * @returns {Promise<object>} The redemption.
+   * @throws {Error} 400 COUPON_USAGE_LIMIT_REACHED or COUPON_CUSTOMER_LIMIT_REACHED.
+   */
+  reserveRedemption: async (supabase, quote, order) => {
+    try {
+      const { data, error } = await supabase.rpc('reserve_coupon_redemption', {
+        p_coupon_id: quote.coupon.coupon_id,
+        p_customer_email: order.customerEmail.toLowerCase(),
+        p_user_id: order.userId || null,
+        p_order_type: order.orderType,
+        p_order_id: order.orderId,
+        p_original_amount: quote.originalAmount,
+        p_discount_amount: quote.discountAmount,
+        p_final_amount: quote.finalAmount
+      });
+
+      if (error) {
+        // The function names the limit that was hit in the hint
+        if (error.hint === 'COUPON_USAGE_LIMIT_REACHED') {
+          throw couponError(400, 'COUPON_USAGE_LIMIT_REACHED', 'This coupon has been used up');
+        }
+        if (error.hint === 'COUPON_CUSTOMER_LIMIT_REACHED') {
+          throw couponError(400, 'COUPON_CUSTOMER_LIMIT_REACHED', 'You have already used this coupon');
+        }
+        console.error('Error reserving coupon redemption:', error);
+        throw new Error(`Failed to apply coupon: ${error.message}`);
+      }
+
+      return Array.isArray(data) ? data[0] : data;
+    } catch (error) {
+      console.error('Error in reserveRedemption:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Moves the pending redemptions of an order to a final status.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} orderType - COURSE_PAYMENT, GUEST_COURSE_PURCHASE or GUEST_BOOKING.
+   * @param {string} orderId - The payment, purchase or booking ID.
+   * @param {string} status - REDEEMED once paid, RELEASED when the order is abandoned or repriced.
+   * @returns {Promise<Array<object>>} The redemptions that changed.
+   */
+  settleRedemptions: async (supabase, orderType, orderId, status) => {
+    try {
+      const update = { status };
+      if (status === 'REDEEMED') {
+        update.redeemed_at = new Date().toISOString();
+      }
+
+      const { data, error } = await supabase
+        .from('coupon_redemptions')
+        .update(update)
+        .eq(ORDER_TYPES[orderType], orderId)
+        .eq('status', 'PENDING')
+        .select('redemption_id, coupon_id, discount_amount');
+
+      if (error) {
+        console.error('Error settling coupon redemptions:', error);
+        throw new Error(`Failed to settle coupon redemptions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in settleRedemptions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Releases reservations of checkouts that were abandoned for longer than
+   * COUPON_RESERVATION_TTL_MINUTES, so they stop counting towards the coupon's limits. The unpaid
+   * order loses its discount with it: a course payment is marked failed and a guest purchase or
+   * booking goes back to its full price, so it cannot be paid at the discounted amount later.
+   * @param {object} supabase - The Supabase client instance.
+   * @returns {Promise<Array<object>>} The redemptions that were released.
+   */
+  releaseStaleReservations: async (supabase) => {
+    try {
+      const cutoff = new Date(Date.now() - COUPON_RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+
+      const { data: released, error } = await supabase
+        .from('coupon_redemptions')
+        .update({ status: 'RELEASED' })
+        .eq('status', 'PENDING')
+        .lt('created_at', cutoff)
+        .select('redemption_id, order_type, payment_id, purchase_id, guest_booking_id');
+
+      if (error) {
+        console.error('Error releasing stale coupon reservations:', error);
+        throw new Error(`Failed to release coupon reservations: ${error.message}`);
+      }
+
+      for (const redemption of released || []) {
+        if (redemption.order_type === 'COURSE_PAYMENT' && redemption.payment_id) {
+          await supabase
+            .from('payments')
+            .update({ status: 'failed' })
+            .eq('payment_id', redemption.payment_id)
+            .eq('status', 'pending');
+          continue;
+        }
+
+        const isPurchase = redemption.order_type === 'GUEST_COURSE_PURCHASE';
+        const orderId = isPurchase ? redemption.purchase_id : redemption.guest_booking_id;
+        if (!orderId) {
+          continue;
+        }
+
+        const table = isPurchase ? 'guest_course_purchases' : 'guest_bookings';
+        const idColumn = isPurchase ? 'purchase_id' : 'guest_booking_id';
+        const priceColumn = isPurchase ? 'course_price' : 'session_price';
+
+        const { data: order } = await supabase
+          .from(table)
+          .select(`${priceColumn}, discount_amount`)
+          .eq(idColumn, orderId)
+          .eq('payment_status', 'PENDING')
+          .maybeSingle();
+
+        if (order && Number(order.discount_amount) > 0) {
+          await supabase
+            .from(table)
+            .update({
+              [priceColumn]: toCents(Number(order[priceColumn]) + Number(order.discount_amount)),
+              discount_amount: 0,
+              coupon_id: null
+            })
+            .eq(idColumn, orderId)
+            .eq('payment_status', 'PENDING');
+        }
+      }
+
+      if (released && released.length > 0) {
+        console.log(`Released ${released.length} coupon reservations of abandoned checkouts.`);
+      }
+      return released || [];
+    } catch (error) {
+      console.error('Error in releaseStaleReservations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Applies a code to a guest purchase or booking, or takes a previous discount off again when
+   * no code is given. The stored price becomes the amount due and the discount is kept next to it.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} orderType - GUEST_COURSE_PURCHASE or GUEST_BOOKING.
+   * @param {string} orderId - The purchase or booking ID.
+   * @param {string} [code] - The coupon code, if any.
+   * @returns {Promise<{originalAmount: number, discountAmount: number, finalAmount: number, coupon: object|null}>}
+   */
+  applyToGuestOrder: async (supabase, orderType, orderId, code) => {
+    try {
+      const isPurchase = orderType === 'GUEST_COURSE_PURCHASE';
+      const order = await couponService.resolveOrder(supabase, isPurchase ? { purchaseId: orderId } : { bookingId: orderId });
+
+      const storePricing = async (pricing) => {
+        const { error } = await supabase
+          .from(isPurchase ? 'guest_course_purchases' : 'guest_bookings')
+          .update({
+            [isPurchase ? 'course_price' : 'session_price']: pricing.finalAmount,
+            discount_amount: pricing.discountAmount,
+            coupon_id: pricing.coupon ? pricing.coupon.coupon_id : null
+          })
+          .eq(isPurchase ? 'purchase_id' : 'guest_booking_id', orderId);
+
+        if (error) {
+          console.error('Error storing order discount:', error);
+          throw new Error(`Failed to apply coupon: ${error.message}`);
+        }
+      };
+
+      // Requesting a new payment intent reprices the order from scratch
+      await couponService.settleRedemptions(supabase, orderType, orderId, 'RELEASED');
+      const fullPrice = { coupon: null, originalAmount: order.amount, discountAmount: 0, finalAmount: order.amount };
+
+      if (!code) {
+        await storePricing(fullPrice);
+        return fullPrice;
+      }
+
+      try {
+        const pricing = await couponService.quote(supabase, code, order, order.customerEmail);
+        await couponService.reserveRedemption(supabase, pricing, {
+          orderType,
+          orderId,
+          customerEmail: order.customerEmail
+        });
+        await storePricing(pricing);
+        return pricing;
+      } catch (pricingError) {
+        // A rejected code must not leave an earlier discount on the order without its reservation
+        await couponService.settleRedemptions(supabase, orderType, orderId, 'RELEASED');
+        await storePricing(fullPrice);
+        throw pricingError;
+      }
+    } catch (error) {
+      console.error('Error in applyToGuestOrder:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Summarizes coupon use for the dashboard: redemption count, discount given and the revenue
+   * still taken on discounted orders, overall and per coupon.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} [since] - ISO date; only redemptions from then on are counted.
+   * @returns {Promise<object>}
+   */
+  getRedemptionStats: async (supabase, since) => {
+    try {
+      let query = supabase
+        .from('coupon_redemptions')
+        .select('coupon_id, order_type, discount_amount, final_amount, redeemed_at, coupon:coupons(code)')
+        .eq('status', 'REDEEMED');
+
+      if (since) {
+        query = query.gte('redeemed_at', since);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching coupon redemption stats:', error);
+        throw new Error(`Failed to fetch coupon stats: ${error.message}`);
+      }
+
+      const byCoupon = new Map();
+      const totals = { redemptions: 0, discountTotal: 0, revenueTotal: 0 };
+
+      (data || []).forEach(redemption => {
+        const discount = Number(redemption.discount_amount);
+        const revenue = Number(redemption.final_amount);
+        totals.redemptions += 1;
+        totals.discountTotal += discount;
+        totals.revenueTotal += revenue;
+
+        if (!byCoupon.has(redemption.coupon_id)) {
+          byCoupon.set(redemption.coupon_id, {
+            couponId: redemption.coupon_id,
+            code: redemption.coupon ? redemption.coupon.code : null,
+            redemptions: 0,
+            discountTotal: 0,
+            revenueTotal: 0
+          });
+        }
+        const entry = byCoupon.get(redemption.coupon_id);
+        entry.redemptions += 1;
+        entry.discountTotal += discount;
+        entry.revenueTotal += revenue;
+      });
+
+      return {
+        redemptions: totals.redemptions,
+        discountTotal: toCents(totals.discountTotal),
+        revenueTotal: toCents(totals.revenueTotal),
+        coupons: [...byCoupon.values()]
+          .map(entry => ({ ...entry, discountTotal: toCents(entry.discountTotal), revenueTotal: toCents(entry.revenueTotal) }))
+          .sort((a, b) => b.redemptions - a.redemptions)
+      };
+    } catch (error) {
+      console.error('Error in getRedemptionStats:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = couponService;
@@ -0,0 +1,594 @@
+// src/services/courseRevisionService.js
+const crypto = require('crypto');
+const instructorService = require('./instructorService');
+
+// Course columns carried by a revision. Visibility is not among them: publishing always makes the course live.
+// Neither is series membership, which belongs to /api/series and would otherwise be reverted by a publish
+const COURSE_SNAPSHOT_FIELDS = [
+  'title',
+  'description',
+  'thumbnail_url',
+  'intro_video_url',
+  'price',
+  'category_id',
+  'instructor_id',
+  'duration_hours',
+  'level'
+];
+
+const COURSE_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED'];
+const MEDIA_TYPES = ['VIDEO', 'DOCUMENT'];
+
+const REVISION_COLUMNS = 'revision_id, course_id, status, revision_number, rolled_back_from, created_by, created_at, updated_at, published_by, published_at';
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @param {object} [details] - Extra data for the client.
+ * @returns {Error}
+ */
+const revisionError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Reads the live course, its chapters and their media in the shape stored in revisions.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} courseId - The UUID of the course.
+ * @returns {Promise<{course: object, chapters: Array<object>}>}
+ * @throws {Error} 404 COURSE_NOT_FOUND if the course does not exist.
+ */
+const readLiveContent = async (supabase, courseId) => {
+  const { data: course, error: courseError } = await supabase
+    .from('courses')
+    .select(COURSE_SNAPSHOT_FIELDS.join(', '))
+    .eq('course_id', courseId)
+    .maybeSingle();
+
+  if (courseError) {
+    console.error('Error reading course for revision:', courseError);
+    throw new Error(`Failed to read course: ${courseError.message}`);
+  }
+  if (!course) {
+    throw revisionError(404, 'COURSE_NOT_FOUND', 'Course not found');
+  }
+
+  const { data: chapters, error: chaptersError } = await supabase
+    .from('chapters')
+    .select(`
+      chapter_id, title, description, order_index, is_unlocked_by_default, is_free_preview,
+      media:chapter_media(media_id, media_type, cloudinary_url, file_name, description, order_index)
+    `)
+    .eq('course_id', courseId)
+    .order('order_index', { ascending: true });
+
+  if (chaptersError) {
+    console.error('Error reading chapters for revision:', chaptersError);
+    throw new Error(`Failed to read chapters: ${chaptersError.message}`);
+  }
+
+  return {
+    course,
+    chapters: (chapters || []).map(chapter => ({
+      ...chapter,
+      media: (chapter.media || []).sort((a, b) => a.order_index - b.order_index)
+    }))
+  };
+};
+
+/**
+ * Checks that a set of order indexes has no duplicates.
+ * @param {Array<object>} items - Chapters or media.
+ * @param {string} label - What the items are, for the error message.
+ * @throws {Error} 400 INVALID_DRAFT on a duplicate.
+ */
+const assertUniqueOrder = (items, label) => {
+  const seen = new Set();
+  for (const item of items) {
+    if (!Number.isInteger(item.order_index)) {
+      throw revisionError(400, 'INVALID_DRAFT', `Every ${label} needs an integer order_index`);
+    }
+    if (seen.has(item.order_index)) {
+      throw revisionError(400, 'INVALID_DRAFT', `Two ${label}s share order_index ${item.order_index}`);
+    }
+    seen.add(item.order_index);
+  }
+};
+
+/**
+ * Turns draft content from a client into a snapshot. IDs of chapters and media that do not exist
+ * in this course are replaced with fresh ones, so a draft can never overwrite another course's content.
+ * @param {object} content - Draft content ({course, chapters}).
+ * @param {object} live - Current live content from readLiveContent.
+ * @param {object} [options] - Optional settings.
+ * @param {boolean} [options.keepInstructor] - Ignore instructor_id changes (instructor-scoped callers).
+ * @returns {{course: object, chapters: Array<object>}}
+ * @throws {Error} 400 INVALID_DRAFT if the content is not valid.
+ */
+const normalizeContent = (content, live, options = {}) => {
+  const course = { ...live.course };
+  for (const field of COURSE_SNAPSHOT_FIELDS) {
+    if (content.course && content.course[field] !== undefined) {
+      course[field] = content.course[field];
+    }
+  }
+  if (options.keepInstructor) {
+    course.instructor_id = live.course.instructor_id;
+  }
+
+  if (!course.title) {
+    throw revisionError(400, 'INVALID_DRAFT', 'Course title is required');
+  }
+  if (course.level && !COURSE_LEVELS.includes(course.level)) {
+    throw revisionError(400, 'INVALID_DRAFT', 'Level must be BEGINNER, INTERMEDIATE, or ADVANCED');
+  }
+
+  if (content.chapters === undefined) {
+    return { course, chapters: live.chapters };
+  }
+  if (!Array.isArray(content.chapters)) {
+    throw revisionError(400, 'INVALID_DRAFT', 'chapters must be an array');
+  }
+
+  const liveChapters = new Map(live.chapters.map(chapter => [chapter.chapter_id, chapter]));
+
+  const chapters = content.chapters.map((chapter) => {
+    if (!chapter || !chapter.title) {
+      throw revisionError(400, 'INVALID_DRAFT', 'Every chapter needs a title');
+    }
+
+    const liveChapter = liveChapters.get(chapter.chapter_id);
+    const liveMediaIds = new Set(liveChapter ? liveChapter.media.map(media => media.media_id) : []);
+    const media = (chapter.media || []).map((item) => {
+      if (!item || !MEDIA_TYPES.includes(item.media_type) || !item.cloudinary_url) {
+        throw revisionError(400, 'INVALID_DRAFT', 'Every media item needs a media_type of VIDEO or DOCUMENT and a cloudinary_url');
+      }
+      return {
+        media_id: liveMediaIds.has(item.media_id) ? item.media_id : crypto.randomUUID(),
+        media_type: item.media_type,
+        cloudinary_url: item.cloudinary_url,
+        file_name: item.file_name || null,
+        description: item.description || null,
+        order_index: item.order_index
+      };
+    });
+    assertUniqueOrder(media, 'media item');
+
+    return {
+      chapter_id: liveChapter ? chapter.chapter_id : crypto.randomUUID(),
+      title: chapter.title,
+      description: chapter.description || null,
+      order_index: chapter.order_index,
+      is_unlocked_by_default: chapter.is_unlocked_by_default !== false,
+      is_free_preview: chapter.is_free_preview !== undefined
+        ? chapter.is_free_preview === true
+        : !!(liveChapter && liveChapter.is_free_preview),
+      media
+    };
+  });
+  assertUniqueOrder(chapters, 'chapter');
+
+  return { course, chapters };
+};
+
+/**
+ * Checks that an instructor-scoped caller teaches the course.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} courseId - The UUID of the course.
+ * @param {object} options - Options passed to the service method.
+ */
+const assertScope = async (supabase, courseId, options) => {
+  if (options.instructorId) {
+    await instructorService.assertOwnsCourse(supabase, options.instructorId, courseId);
+  }
+};
+
+const courseRevisionService = {
+  /**
+   * Retrieves the open draft of a course, including its content.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts access to a course taught by this instructor.
+   * @returns {Promise<object>} The draft revision with its snapshot.
+   * @throws {Error} 404 DRAFT_NOT_FOUND if the course has no open draft.
+   */
+  getDraft: async (supabase, courseId, options = {}) => {
+    try {
+      await assertScope(supabase, courseId, options);
+
+      const { data, error } = await supabase
+        .from('course_revisions')
+        .select(`${REVISION_COLUMNS}, snapshot`)
+        .eq('course_id', courseId)
+        .eq('status', 'DRAFT')
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching course draft:', error);
+        throw new Error(`Failed to fetch draft: ${error.message}`);
+      }
+      if (!data) {
+        throw revisionError(404, 'DRAFT_NOT_FOUND', 'This course has no open draft');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getDraft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Opens a draft holding a copy of the live course, its chapters and media. The first draft of a
+   * course also records the live content as published revision 1, so it can be rolled back to.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {string} userId - The UUID of the user opening the draft.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the draft to a course taught by this instructor.
+   * @returns {Promise<object>} The new draft revision with its snapshot.
+   * @throws {Error} 404 COURSE_NOT_FOUND, or 409 DRAFT_EXISTS if a draft is already open.
+   */
+  createDraft: async (supabase, courseId, userId, options = {}) => {
+    try {
+      await assertScope(supabase, courseId, options);
+
+      const { data: revisions, error: fetchError } = await supabase
+        .from('course_revisions')
+        .select('revision_id, status')
+        .eq('course_id', courseId)
+        .in('status', ['DRAFT', 'PUBLISHED']);
+
+      if (fetchError) {
+        console.error('Error fetching course revisions:', fetchError);
+        throw new Error(`Failed to open draft: ${fetchError.message}`);
+      }
+      if (revisions.some(revision => revision.status === 'DRAFT')) {
+        throw revisionError(409, 'DRAFT_EXISTS', 'This course already has an open draft');
+      }
+
+      const snapshot = await readLiveContent(supabase, courseId);
+
+      if (revisions.length === 0) {
+        const { error: baselineError } = await supabase
+          .from('course_revisions')
+          .insert({
+            course_id: courseId,
+            status: 'PUBLISHED',
+            revision_number: 1,
+            snapshot,
+            created_by: userId,
+            published_by: userId,
+            published_at: new Date().toISOString()
+          });
+
+        if (baselineError) {
+          console.error('Error recording initial course revision:', baselineError);
+          throw new Error(`Failed to open draft: ${baselineError.message}`);
+        }
+      }
+
+      const { data: draft, error } = await supabase
+        .from('course_revisions')
+        .insert({
+          course_id: courseId,
+          status: 'DRAFT',
+          snapshot,
+          created_by: userId
+        })
+        .select(`${REVISION_COLUMNS}, snapshot`)
+        .single();
+
+      if (error) {
+        // The partial unique index on open drafts catches two drafts opened at the same time
+        if (error.code === '23505') {
+          throw revisionError(409, 'DRAFT_EXISTS', 'This course already has an open draft');
+        }
+        console.error('Error creating course draft:', error);
+        throw new Error(`Failed to open draft: ${error.message}`);
+      }
+
+      console.log(`Draft ${draft.revision_id} opened for course ${courseId}.`);
+      return draft;
+    } catch (error) {
+      console.error('Error in createDraft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replaces the content of the open draft. Course fields that are left out keep their draft value;
+   * when chapters are sent they replace the draft's chapter list, including media.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {object} content - New draft content.
+   * @param {object} [content.course] - Course fields (title, description, price, level, ...).
+   * @param {Array<object>} [content.chapters] - Chapters with their media, in the shape returned by getDraft.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the edit to a course taught by this instructor.
+   * @returns {Promise<object>} The updated draft revision with its snapshot.
+   * @throws {Error} 404 DRAFT_NOT_FOUND, or 400 INVALID_DRAFT if the content is not valid.
+   */
+  updateDraft: async (supabase, courseId, content, options = {}) => {
+    try {
+      const draft = await courseRevisionService.getDraft(supabase, courseId, options);
+      const live = await readLiveContent(supabase, courseId);
+
+      // Chapters and media added earlier in this draft keep their IDs too
+      const known = {
+        course: draft.snapshot.course,
+        chapters: [...live.chapters, ...draft.snapshot.chapters.filter(
+          chapter => !live.chapters.some(liveChapter => liveChapter.chapter_id === chapter.chapter_id)
+        )]
+      };
+      const snapshot = normalizeContent(content, known, { keepInstructor: !!options.instructorId });
+      if (content.chapters === undefined) {
+        snapshot.chapters = draft.snapshot.chapters;
+      }
+
+      const { data, error } = await supabase
+        .from('course_revisions')
+        .update({ snapshot })
+        .eq('revision_id', draft.revision_id)
+        .eq('status', 'DRAFT')
+        .select(`${REVISION_COLUMNS}, snapshot`)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error updating course draft:', error);
+        throw new Error(`Failed to update draft: ${error.message}`);
+      }
+      if (!data) {
+        throw revisionError(404, 'DRAFT_NOT_FOUND', 'This course has no open draft');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in updateDraft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Throws the open draft away without touching the live course.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the discard to a course taught by this instructor.
+   * @returns {Promise<void>}
+   * @throws {Error} 404 DRAFT_NOT_FOUND if the course has no open draft.
+   */
+  discardDraft: async (supabase, courseId, options = {}) => {
+    try {
+      await assertScope(supabase, courseId, options);
+
+      const { data, error } = await supabase
+        .from('course_revisions')
+        .update({ status: 'DISCARDED' })
+        .eq('course_id', courseId)
+        .eq('status', 'DRAFT')
+        .select('revision_id');
+
+      if (error) {
+        console.error('Error discarding course draft:', error);
+        throw new Error(`Failed to discard draft: ${error.message}`);
+      }
+      if (!data || data.length === 0) {
+        throw revisionError(404, 'DRAFT_NOT_FOUND', 'This course has no open draft');
+      }
+    } catch (error) {
+      console.error('Error in discardDraft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Publishes the open draft. The course row, chapters and media are replaced in one database
+   * transaction (publish_course_revision), so students never see a half-applied draft. Chapters and
+   * media missing from the draft are deleted, unless a chapter already holds student progress,
+   * attempts or submissions; then nothing is published.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {string} userId - The UUID of the user publishing.
+   * @returns {Promise<object>} The published revision.
+   * @throws {Error} 404 DRAFT_NOT_FOUND if the course has no open draft, or 409 CHAPTER_HAS_LEARNER_DATA
+   *   if the draft drops chapters students have worked on.
+   */
+  publishDraft: async (supabase, courseId, userId) => {
+    try {
+      const draft = await courseRevisionService.getDraft(supabase, courseId);
+
+      const { data, error } = await supabase.rpc('publish_course_revision', {
+        p_revision_id: draft.revision_id,
+        p_published_by: userId
+      });
+
+      if (error) {
+        // Raised by the function when the draft was published or discarded in the meantime
+        if (error.code === 'P0002') {
+          throw revisionError(404, 'DRAFT_NOT_FOUND', 'This course has no open draft');
+        }
+        if (error.hint === 'CHAPTER_HAS_LEARNER_DATA') {
+          throw revisionError(409, 'CHAPTER_HAS_LEARNER_DATA', 'The draft removes chapters that students have already worked on', {
+            chapterIds: (error.details || '').split(',').filter(Boolean)
+          });
+        }
+        console.error('Error publishing course draft:', error);
+        throw new Error(`Failed to publish draft: ${error.message}`);
+      }
+
+      const revision = Array.isArray(data) ? data[0] : data;
+      console.log(`Course ${courseId} published as revision ${revision.revision_number}.`);
+      return revision;
+    } catch (error) {
+      console.error('Error in publishDraft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Refuses edits to live content while a draft is open, since publishing the draft would overwrite them.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {Array<string>} [columns] - Course columns being changed; edits outside the revision content are always allowed.
+   * @returns {Promise<void>}
+   * @throws {Error} 409 DRAFT_OPEN if the course has an open draft.
+   */
+  assertNoOpenDraft: async (supabase, courseId, columns) => {
+    if (columns && !columns.some((column) => COURSE_SNAPSHOT_FIELDS.includes(column))) {
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('course_revisions')
+      .select('revision_id')
+      .eq('course_id', courseId)
+      .eq('status', 'DRAFT')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error checking for an open course draft:', error);
+      throw new Error(`Failed to check for an open draft: ${error.message}`);
+    }
+    if (data) {
+      throw revisionError(409, 'DRAFT_OPEN', 'This course has an open draft; edit the draft or discard it first');
+    }
+  },
+
+  /**
+   * Lists the revisions of a course, newest first, without their content.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts access to a course taught by this instructor.
+   * @returns {Promise<Array<object>>} Published revisions and the open draft, if any.
+   */
+  getRevisions: async (supabase, courseId, options = {}) => {
+    try {
+      await assertScope(supabase, courseId, options);
+
+      const { data, error } = await supabase
+        .from('course_revisions')
+        .select(`
+          ${REVISION_COLUMNS},
+          author:users!course_revisions_created_by_fkey(user_id, first_name, last_name),
+          publisher:users!course_revisions_published_by_fkey(user_id, first_name, last_name)
+        `)
+        .eq('course_id', courseId)
+        .in('status', ['DRAFT', 'PUBLISHED'])
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching course revisions:', error);
+        throw new Error(`Failed to fetch revisions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in getRevisions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves one revision of a course including its content.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {string} revisionId - The UUID of the revision.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts access to a course taught by this instructor.
+   * @returns {Promise<object>} The revision with its snapshot.
+   * @throws {Error} 404 REVISION_NOT_FOUND if it does not exist.
+   */
+  getRevisionById: async (supabase, courseId, revisionId, options = {}) => {
+    try {
+      await assertScope(supabase, courseId, options);
+
+      const { data, error } = await supabase
+        .from('course_revisions')
+        .select(`${REVISION_COLUMNS}, snapshot`)
+        .eq('course_id', courseId)
+        .eq('revision_id', revisionId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching course revision:', error);
+        throw new Error(`Failed to fetch revision: ${error.message}`);
+      }
+      if (!data) {
+        throw revisionError(404, 'REVISION_NOT_FOUND', 'Revision not found');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getRevisionById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Makes an earlier published revision live again. Its content is published as a new revision,
+   * so the history keeps every version that was ever live.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {string} revisionId - The UUID of the published revision to return to.
+   * @param {string} userId - The UUID of the user rolling back.
+   * @returns {Promise<object>} The newly published revision.
+   * @throws {Error} 404 REVISION_NOT_FOUND, 400 INVALID_REVISION if it was never published,
+   *   or 409 DRAFT_EXISTS while a draft is open.
+   */
+  rollback: async (supabase, courseId, revisionId, userId) => {
+    try {
+      const target = await courseRevisionService.getRevisionById(supabase, courseId, revisionId);
+      if (target.status !== 'PUBLISHED') {
+        throw revisionError(400, 'INVALID_REVISION', 'Only published revisions can be rolled back to');
+      }
+
+      const { data: draft, error } = await supabase
+        .from('course_revisions')
+        .insert({
+          course_id: courseId,
+          status: 'DRAFT',
+          snapshot: target.snapshot,
+          rolled_back_from: target.revision_id,
+          created_by: userId
+        })
+        .select('revision_id')
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw revisionError(409, 'DRAFT_EXISTS', 'Publish or discard the open draft before rolling back');
+        }
+        console.error('Error creating rollback revision:', error);
+        throw new Error(`Failed to roll back: ${error.message}`);
+      }
+
+      try {
+        const revision = await courseRevisionService.publishDraft(supabase, courseId, userId);
+        console.log(`Course ${courseId} rolled back to revision ${target.revision_number}.`);
+        return revision;
+      } catch (publishError) {
+        await supabase
+          .from('course_revisions')
+          .update({ status: 'DISCARDED' })
+          .eq('revision_id', draft.revision_id);
+        throw publishError;
+      }
+    } catch (error) {
+      console.error('Error in rollback:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = courseRevisionService;
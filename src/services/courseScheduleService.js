@@ -0,0 +1,157 @@
+// src/services/courseScheduleService.js
+const getSupabaseClient = require('../utils/supabaseClient');
+const courseService = require('./courseService');
+
+const COURSE_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.COURSE_SCHEDULER_INTERVAL_SECONDS || '60', 10);
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+const courseScheduleService = {
+  /**
+   * Publishes courses whose publish_at has passed and runs the series unlock for new series parts.
+   * Courses already flagged is_published (set by hand or by a draft publish) while publish_at was
+   * still ahead went live through the schedule too, so they are picked up the same way. Each course
+   * is claimed with a conditional update, so when several instances run the scheduler only one of
+   * them publishes a course and unlocks it for the series' customers.
+   * @param {object} supabase - The Supabase client instance.
+   * @returns {Promise<Array<object>>} The courses that were published.
+   */
+  publishDueCourses: async (supabase) => {
+    try {
+      const now = new Date().toISOString();
+
+      const { data: dueCourses, error } = await supabase
+        .from('courses')
+        .select('course_id, title, video_series, publish_at, unpublish_at')
+        .lte('publish_at', now);
+
+      if (error) {
+        console.error('Error fetching courses due for publishing:', error);
+        throw new Error(`Failed to fetch scheduled courses: ${error.message}`);
+      }
+
+      const published = [];
+
+      for (const course of dueCourses || []) {
+        // A course whose window already closed is skipped; unpublishExpiredCourses clears it
+        if (course.unpublish_at && new Date(course.unpublish_at) <= new Date(now)) {
+          continue;
+        }
+
+        // Clearing publish_at means a later manual unpublish is not undone by the next run
+        const { data: claimed, error: claimError } = await supabase
+          .from('courses')
+          .update({ is_published: true, publish_at: null })
+          .eq('course_id', course.course_id)
+          .eq('publish_at', course.publish_at)
+          .select('course_id');
+
+        if (claimError) {
+          console.error(`Error publishing scheduled course ${course.course_id}:`, claimError);
+          continue;
+        }
+        if (!claimed || claimed.length === 0) {
+          continue;
+        }
+
+        console.log(`Scheduled course "${course.title}" published.`);
+        published.push(course);
+
+        if (course.video_series) {
+          try {
+            await courseService.unlockNewCourseForExistingCustomers(supabase, course.course_id, course.video_series, 'COURSE_PUBLISHED');
+          } catch (unlockError) {
+            // The course is live either way; the admin series unlock can be re-run for it
+            console.error(`Error unlocking scheduled course ${course.course_id} for series customers:`, unlockError);
+          }
+        }
+      }
+
+      return published;
+    } catch (error) {
+      console.error('Error in publishDueCourses:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Unpublishes courses whose unpublish_at has passed.
+   * @param {object} supabase - The Supabase client instance.
+   * @returns {Promise<Array<object>>} The courses that were unpublished.
+   */
+  unpublishExpiredCourses: async (supabase) => {
+    try {
+      const { data, error } = await supabase
+        .from('courses')
+        .update({ is_published: false, publish_at: null, unpublish_at: null })
+        .lte('unpublish_at', new Date().toISOString())
+        .select('course_id, title');
+
+      if (error) {
+        console.error('Error unpublishing expired courses:', error);
+        throw new Error(`Failed to unpublish courses: ${error.message}`);
+      }
+
+      (data || []).forEach(course => console.log(`Scheduled course "${course.title}" unpublished.`));
+      return data || [];
+    } catch (error) {
+      console.error('Error in unpublishExpiredCourses:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Applies every schedule change that is due. Runs that overlap a slow previous run are skipped.
+   * @param {object} [supabase] - The Supabase client instance, defaults to the service client.
+   * @returns {Promise<{published: number, unpublished: number}|null>} Counts, or null when skipped.
+   */
+  runDueChanges: async (supabase = getSupabaseClient()) => {
+    if (runInProgress) {
+      return null;
+    }
+
+    runInProgress = true;
+    try {
+      const unpublished = await courseScheduleService.unpublishExpiredCourses(supabase);
+      const published = await courseScheduleService.publishDueCourses(supabase);
+      return { published: published.length, unpublished: unpublished.length };
+    } finally {
+      runInProgress = false;
+    }
+  },
+
+  /**
+   * Starts checking the course schedule every COURSE_SCHEDULER_INTERVAL_SECONDS.
+   * Set COURSE_SCHEDULER_ENABLED=false on instances that should not run it.
+   * @returns {void}
+   */
+  start: () => {
+    if (schedulerTimer || process.env.COURSE_SCHEDULER_ENABLED === 'false') {
+      return;
+    }
+
+    schedulerTimer = setInterval(() => {
+      courseScheduleService.runDueChanges().catch(error => {
+        console.error('Course scheduler run failed:', error);
+      });
+    }, COURSE_SCHEDULER_INTERVAL_SECONDS * 1000);
+
+    // The timer alone should not keep the process alive during shutdown
+    schedulerTimer.unref();
+    console.log(`Course scheduler started (every ${COURSE_SCHEDULER_INTERVAL_SECONDS}s).`);
+  },
+
+  /**
+   * Stops the schedule checks started by start().
+   * @returns {void}
+   */
+  stop: () => {
+    if (schedulerTimer) {
+      clearInterval(schedulerTimer);
+      schedulerTimer = null;
+    }
+  }
+};
+
+module.exports = courseScheduleService;
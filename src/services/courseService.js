@@ -1,4 +1,115 @@
 // src/services/courseService.js
+const instructorService = require('./instructorService');
+const seriesService = require('./seriesService');
+const courseRevisionService = require('./courseRevisionService');
+
+// Catalog sort orders. course_id breaks ties so cursors stay stable between pages
+const COURSE_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  price_asc: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  popular: { column: 'enrollment_count', ascending: false }
+};
+
+// Every course column except search_vector, which only backs full-text search and is not sent to clients
+const COURSE_COLUMNS = [
+  'course_id', 'title', 'description', 'thumbnail_url', 'intro_video_url', 'price', 'category_id',
+  'instructor_id', 'duration_hours', 'access_duration_days', 'level', 'is_published', 'publish_at',
+  'unpublish_at', 'video_series', 'video_part', 'series_id', 'enrollment_count', 'created_at', 'updated_at'
+].join(', ');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_COURSE_PAGE_SIZE = 20;
+const MAX_COURSE_PAGE_SIZE = 100;
+
+/**
+ * Encodes the position after a course for the given sort as an opaque cursor.
+ * @param {object} course - The last course of a page.
+ * @param {string} sort - Key of COURSE_SORTS.
+ * @returns {string} Base64url encoded cursor.
+ */
+const encodeCourseCursor = (course, sort) => Buffer
+  .from(JSON.stringify({ s: sort, v: course[COURSE_SORTS[sort].column], id: course.course_id }))
+  .toString('base64url');
+
+/**
+ * Decodes a cursor from encodeCourseCursor.
+ * @param {string} cursor - Cursor from a previous page.
+ * @param {string} sort - Sort of the current request; a cursor from another sort is rejected.
+ * @returns {{v: any, id: string}}
+ * @throws {Error} 400 INVALID_CURSOR if the cursor is malformed or was issued for another sort.
+ */
+const decodeCourseCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (parseError) {
+    decoded = null;
+  }
+
+  // Both values end up in a PostgREST filter string, so only a UUID and a plain date or number get through
+  const validValue = decoded && (COURSE_SORTS[sort].column === 'created_at'
+    ? typeof decoded.v === 'string' && !Number.isNaN(Date.parse(decoded.v)) && !/[,()]/.test(decoded.v)
+    : typeof decoded.v === 'number' && Number.isFinite(decoded.v));
+
+  if (!decoded || decoded.s !== sort || typeof decoded.id !== 'string' || !UUID_PATTERN.test(decoded.id) || !validValue) {
+    const error = new Error('Invalid pagination cursor');
+    error.statusCode = 400;
+    error.code = 'INVALID_CURSOR';
+    throw error;
+  }
+
+  return decoded;
+};
+
+/**
+ * Restricts a courses query to courses that are live right now. A publish_at in the past counts as
+ * published even before the scheduler has flipped is_published, and a course is hidden from its
+ * unpublish_at on, so listings follow the schedule to the second.
+ * @param {object} query - Supabase query on courses.
+ * @returns {object} The filtered query.
+ */
+const applyLiveWindow = (query) => {
+  const now = new Date().toISOString();
+  return query
+    .or(`and(publish_at.is.null,is_published.eq.true),publish_at.lte.${now}`)
+    .or(`unpublish_at.is.null,unpublish_at.gt.${now}`);
+};
+
+/**
+ * Applies the catalog filters shared by the page query and the total count.
+ * @param {object} query - Supabase query on courses.
+ * @param {object} filters - See courseService.searchCourses.
+ * @returns {object} The filtered query.
+ */
+const applyCourseFilters = (query, filters) => {
+  if (filters.isPublished) {
+    query = applyLiveWindow(query);
+  }
+  if (filters.search) {
+    query = query.textSearch('search_vector', filters.search, { type: 'websearch', config: 'english' });
+  }
+  if (filters.categoryId) {
+    query = query.eq('category_id', filters.categoryId);
+  }
+  if (filters.level) {
+    query = query.eq('level', filters.level);
+  }
+  if (filters.instructorId) {
+    query = query.eq('instructor_id', filters.instructorId);
+  }
+  if (filters.series) {
+    query = query.eq('video_series', filters.series);
+  }
+  if (filters.minPrice !== undefined) {
+    query = query.gte('price', filters.minPrice);
+  }
+  if (filters.maxPrice !== undefined) {
+    query = query.lte('price', filters.maxPrice);
+  }
+  return query;
+};
 
 const courseService = {
   /**
@@ -21,11 +132,19 @@ const courseService = {
         category_id: courseInput.categoryId,
         instructor_id: courseInput.instructorId,
         duration_hours: courseInput.durationHours || 0,
+        access_duration_days: courseInput.accessDurationDays || null,
         level: courseInput.level || 'BEGINNER',
         is_published: courseInput.isPublished || false,
         video_series: courseInput.videoSeries,
         video_part: courseInput.videoPart || 1,
+        publish_at: courseInput.publishAt || null,
+        unpublish_at: courseInput.unpublishAt || null,
       };
+
+      // A scheduled course stays unpublished until the scheduler publishes it at publish_at
+      if (insertData.publish_at && new Date(insertData.publish_at) > new Date()) {
+        insertData.is_published = false;
+      }
       
       console.log('Insert data prepared:', insertData);
       
@@ -33,7 +152,7 @@ const courseService = {
         .from('courses')
         .insert([insertData])
         .select(`
-          *,
+          ${COURSE_COLUMNS},
           categories:category_id(name, slug),
           instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
         `)
@@ -50,18 +169,17 @@ const courseService = {
         throw new Error(`Failed to create course: ${error.message}`);
       }
       
+      // A scheduled series part is unlocked by the course scheduler once it goes live
+      const isScheduled = data.publish_at && new Date(data.publish_at) > new Date();
+
       // If the course belongs to a series, perform comprehensive series unlock
-      if (data.video_series) {
+      if (data.video_series && !isScheduled) {
         try {
-          console.log(`🔄 SERIES UNLOCK: New course "${data.title}" added to series "${data.video_series}", performing comprehensive series check...`);
+          console.log(`🔄 SERIES UNLOCK: New course "${data.title}" added to series "${data.video_series}", reconciling series access...`);
           
-          // First, unlock the new course for existing customers in this series
+          // Grants the new part, and any other part of the series a customer is still missing
           await courseService.unlockNewCourseForExistingCustomers(supabase, data.course_id, data.video_series);
           
-          // Then, perform a comprehensive check to ensure all customers have access to all series parts
-          console.log('🔍 Running comprehensive series unlock check for all customers...');
-          await courseService.checkAndUnlockAllSeriesParts(supabase);
-          
         } catch (unlockError) {
           console.error('Error in comprehensive series unlock:', unlockError);
           // Don't throw error here as course creation was successful
@@ -80,7 +198,7 @@ const courseService = {
    * Retrieves all courses from the database.
    * Can filter by published status.
    * @param {object} supabase - The Supabase client instance.
-   * @param {boolean} [isPublished=true] - Optional. If true, only returns published courses.
+   * @param {boolean} [isPublished=true] - Optional. If true, only returns courses that are live now (see applyLiveWindow).
    * @returns {Promise<Array<object>>} An array of course objects.
    * @throws {Error} If fetching courses fails.
    */
@@ -89,13 +207,13 @@ const courseService = {
       let query = supabase
         .from('courses')
         .select(`
-          *,
+          ${COURSE_COLUMNS},
           categories:category_id(name, slug, description),
           instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
         `);
 
       if (isPublished) {
-        query = query.eq('is_published', true);
+        query = applyLiveWindow(query);
       }
 
       const { data, error } = await query.order('created_at', { ascending: false });
@@ -112,6 +230,111 @@ const courseService = {
     }
   },
 
+  /**
+   * Searches the course catalog with filters, sorting and cursor pagination. Pages are only cut
+   * when a limit or cursor is given; without either every matching course is returned, as the
+   * catalog did before it could be paged.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [filters] - Optional filters and paging.
+   * @param {boolean} [filters.isPublished=true] - Only published courses.
+   * @param {string} [filters.search] - Full-text search over title and description (web search syntax).
+   * @param {string} [filters.categoryId] - Only courses in this category.
+   * @param {string} [filters.level] - BEGINNER, INTERMEDIATE or ADVANCED.
+   * @param {string} [filters.instructorId] - Only courses taught by this instructor.
+   * @param {string} [filters.series] - Only parts of this video series.
+   * @param {number} [filters.minPrice] - Lowest price, inclusive.
+   * @param {number} [filters.maxPrice] - Highest price, inclusive.
+   * @param {string} [filters.sort='newest'] - newest, price_asc, price_desc or popular.
+   * @param {number} [filters.limit] - Page size, at most 100 (20 when only a cursor is given).
+   * @param {string} [filters.cursor] - nextCursor of the previous page.
+   * @returns {Promise<{courses: Array<object>, total: number, nextCursor: string|null}>}
+   * @throws {Error} 400 INVALID_CURSOR, or if fetching courses fails.
+   */
+  searchCourses: async (supabase, filters = {}) => {
+    try {
+      const options = { isPublished: true, ...filters };
+      const sort = COURSE_SORTS[options.sort] ? options.sort : 'newest';
+      const { column, ascending } = COURSE_SORTS[sort];
+      const paginate = !!(options.limit || options.cursor);
+      const limit = Math.min(options.limit || DEFAULT_COURSE_PAGE_SIZE, MAX_COURSE_PAGE_SIZE);
+
+      let query = applyCourseFilters(
+        supabase
+          .from('courses')
+          .select(`
+            ${COURSE_COLUMNS},
+            categories:category_id(name, slug, description),
+            instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
+          `),
+        options
+      );
+
+      if (options.cursor) {
+        const { v, id } = decodeCourseCursor(options.cursor, sort);
+        const operator = ascending ? 'gt' : 'lt';
+        query = query.or(`${column}.${operator}.${JSON.stringify(v)},and(${column}.eq.${JSON.stringify(v)},course_id.${operator}.${id})`);
+      }
+
+      let pageQuery = query
+        .order(column, { ascending })
+        .order('course_id', { ascending });
+      if (paginate) {
+        // One extra row tells whether there is a next page without a second query
+        pageQuery = pageQuery.limit(limit + 1);
+      }
+
+      const countQuery = applyCourseFilters(
+        supabase.from('courses').select('course_id', { count: 'exact', head: true }),
+        options
+      );
+
+      const [{ data, error }, { count, error: countError }] = await Promise.all([pageQuery, countQuery]);
+
+      if (error || countError) {
+        console.error('Error searching courses:', error || countError);
+        throw new Error(`Failed to fetch courses: ${(error || countError).message}`);
+      }
+
+      const courses = paginate ? data.slice(0, limit) : data;
+      const nextCursor = paginate && data.length > limit ? encodeCourseCursor(courses[courses.length - 1], sort) : null;
+
+      return { courses, total: count || 0, nextCursor };
+    } catch (error) {
+      console.error('Error in searchCourses service:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves every course taught by an instructor, published or not.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @returns {Promise<Array<object>>} An array of course objects.
+   * @throws {Error} If fetching courses fails.
+   */
+  getCoursesByInstructor: async (supabase, instructorId) => {
+    try {
+      const { data, error } = await supabase
+        .from('courses')
+        .select(`
+          ${COURSE_COLUMNS},
+          categories:category_id(name, slug, description),
+          instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
+        `)
+        .eq('instructor_id', instructorId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching instructor courses:', error);
+        throw new Error(`Failed to fetch courses: ${error.message}`);
+      }
+      return data;
+    } catch (error) {
+      console.error('Error in getCoursesByInstructor service:', error);
+      throw error;
+    }
+  },
+
   /**
    * Retrieves a single course by its ID.
    * @param {object} supabase - The Supabase client instance.
@@ -124,7 +347,7 @@ const courseService = {
       const { data, error } = await supabase
         .from('courses')
         .select(`
-          *,
+          ${COURSE_COLUMNS},
           categories:category_id(name, slug, description),
           instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
         `)
@@ -147,11 +370,17 @@ const courseService = {
    * @param {object} supabase - The Supabase client instance.
    * @param {string} id - The UUID of the course to update.
    * @param {object} updates - An object containing the fields to update.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the update to a course taught by this instructor.
    * @returns {Promise<object>} The updated course object.
    * @throws {Error} If the course update fails.
    */
-  updateCourse: async (supabase, id, updates) => {
+  updateCourse: async (supabase, id, updates, options = {}) => {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsCourse(supabase, options.instructorId, id);
+      }
+
       const updateData = {};
       
       // Map frontend field names to database column names
@@ -161,17 +390,26 @@ const courseService = {
       if (updates.introVideoUrl !== undefined) updateData.intro_video_url = updates.introVideoUrl;
       if (updates.price !== undefined) updateData.price = updates.price;
       if (updates.category_id !== undefined) updateData.category_id = updates.category_id;
-      if (updates.instructor_id !== undefined) updateData.instructor_id = updates.instructor_id;
+      // Instructors cannot hand their course over to someone else
+      if (updates.instructor_id !== undefined && !options.instructorId) updateData.instructor_id = updates.instructor_id;
       if (updates.duration_hours !== undefined) updateData.duration_hours = updates.duration_hours;
+      // Changing the duration only affects access granted from now on
+      if (updates.access_duration_days !== undefined) updateData.access_duration_days = updates.access_duration_days;
       if (updates.level !== undefined) updateData.level = updates.level;
       if (updates.isPublished !== undefined) updateData.is_published = updates.isPublished;
+      if (updates.publish_at !== undefined) updateData.publish_at = updates.publish_at || null;
+      if (updates.unpublish_at !== undefined) updateData.unpublish_at = updates.unpublish_at || null;
+      if (updateData.publish_at && new Date(updateData.publish_at) > new Date()) {
+        updateData.is_published = false;
+      }
+      await courseRevisionService.assertNoOpenDraft(supabase, id, Object.keys(updateData));
 
       const { data, error } = await supabase
         .from('courses')
         .update(updateData)
         .eq('course_id', id)
         .select(`
-          *,
+          ${COURSE_COLUMNS},
           categories:category_id(name, slug, description),
           instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
         `)
@@ -213,6 +451,217 @@ const courseService = {
     }
   },
 
+  /**
+   * Copies a course with its chapters (keeping order_index), chapter media, quizzes and assignments
+   * into a new unpublished course. Enrollments, progress and submissions are not copied. If any step
+   * fails the partial copy is deleted again.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course to copy.
+   * @param {object} [overrides] - Optional values for the new course.
+   * @param {string} [overrides.title] - Title of the copy, defaults to "<title> (Copy)".
+   * @param {string|null} [overrides.videoSeries] - Series of the copy; by default the copy is in no series.
+   * @param {number} [overrides.videoPart] - Part number of the copy within its series, required with videoSeries.
+   * @returns {Promise<object>} The new course with counts of what was copied.
+   * @throws {Error} 404 COURSE_NOT_FOUND if the course does not exist, 409 SERIES_PART_TAKEN if the
+   * series already has that part, or if copying fails.
+   */
+  cloneCourse: async (supabase, courseId, overrides = {}) => {
+    let newCourseId = null;
+
+    try {
+      const videoSeries = overrides.videoSeries ? overrides.videoSeries.trim() : null;
+      const videoPart = videoSeries ? overrides.videoPart : null;
+
+      const source = await courseService.getCourseById(supabase, courseId);
+      if (!source) {
+        const error = new Error('Course not found');
+        error.statusCode = 404;
+        error.code = 'COURSE_NOT_FOUND';
+        throw error;
+      }
+
+      // A series holds one course per part
+      if (videoSeries) {
+        const { data: existingParts, error: partError } = await supabase
+          .from('courses')
+          .select('course_id')
+          .eq('video_series', videoSeries)
+          .eq('video_part', videoPart)
+          .limit(1);
+
+        if (partError) {
+          console.error('Error checking series part for clone:', partError);
+          throw new Error(`Failed to clone course: ${partError.message}`);
+        }
+
+        if (existingParts && existingParts.length > 0) {
+          const error = new Error(`Part ${videoPart} of "${videoSeries}" already exists`);
+          error.statusCode = 409;
+          error.code = 'SERIES_PART_TAKEN';
+          throw error;
+        }
+      }
+
+      const { data: newCourse, error: courseError } = await supabase
+        .from('courses')
+        .insert({
+          title: overrides.title || `${source.title} (Copy)`,
+          description: source.description,
+          thumbnail_url: source.thumbnail_url,
+          intro_video_url: source.intro_video_url,
+          price: source.price,
+          category_id: source.category_id,
+          instructor_id: source.instructor_id,
+          duration_hours: source.duration_hours,
+          access_duration_days: source.access_duration_days,
+          level: source.level,
+          is_published: false,
+          video_series: videoSeries,
+          video_part: videoPart
+        })
+        .select('course_id')
+        .single();
+
+      if (courseError) {
+        console.error('Error creating course copy:', courseError);
+        throw new Error(`Failed to clone course: ${courseError.message}`);
+      }
+      newCourseId = newCourse.course_id;
+
+      const { data: chapters, error: chaptersError } = await supabase
+        .from('chapters')
+        .select('chapter_id, title, description, order_index, is_unlocked_by_default, is_free_preview, chapter_media(media_type, cloudinary_url, file_name, description, order_index)')
+        .eq('course_id', courseId)
+        .order('order_index', { ascending: true });
+
+      if (chaptersError) {
+        console.error('Error fetching chapters to clone:', chaptersError);
+        throw new Error(`Failed to clone course: ${chaptersError.message}`);
+      }
+
+      // Old chapter ID -> new chapter ID, matched through order_index which is unique per course
+      const chapterIdMap = new Map();
+      let mediaCount = 0;
+
+      if (chapters.length > 0) {
+        const { data: newChapters, error: insertChaptersError } = await supabase
+          .from('chapters')
+          .insert(chapters.map(chapter => ({
+            course_id: newCourseId,
+            title: chapter.title,
+            description: chapter.description,
+            order_index: chapter.order_index,
+            is_unlocked_by_default: chapter.is_unlocked_by_default,
+            is_free_preview: chapter.is_free_preview
+          })))
+          .select('chapter_id, order_index');
+
+        if (insertChaptersError) {
+          console.error('Error cloning chapters:', insertChaptersError);
+          throw new Error(`Failed to clone chapters: ${insertChaptersError.message}`);
+        }
+
+        const newChapterByOrder = new Map(newChapters.map(chapter => [chapter.order_index, chapter.chapter_id]));
+        chapters.forEach(chapter => chapterIdMap.set(chapter.chapter_id, newChapterByOrder.get(chapter.order_index)));
+
+        const media = chapters.flatMap(chapter => (chapter.chapter_media || []).map(item => ({
+          ...item,
+          chapter_id: chapterIdMap.get(chapter.chapter_id)
+        })));
+
+        if (media.length > 0) {
+          const { error: mediaError } = await supabase
+            .from('chapter_media')
+            .insert(media);
+
+          if (mediaError) {
+            console.error('Error cloning chapter media:', mediaError);
+            throw new Error(`Failed to clone chapter media: ${mediaError.message}`);
+          }
+        }
+        mediaCount = media.length;
+      }
+
+      const oldChapterIds = [...chapterIdMap.keys()];
+      let quizCount = 0;
+
+      if (oldChapterIds.length > 0) {
+        const { data: quizzes, error: quizzesError } = await supabase
+          .from('quizzes')
+          .select('chapter_id, title, description, questions_data')
+          .in('chapter_id', oldChapterIds);
+
+        if (quizzesError) {
+          console.error('Error fetching quizzes to clone:', quizzesError);
+          throw new Error(`Failed to clone quizzes: ${quizzesError.message}`);
+        }
+
+        if (quizzes.length > 0) {
+          const { error: insertQuizzesError } = await supabase
+            .from('quizzes')
+            .insert(quizzes.map(quiz => ({ ...quiz, chapter_id: chapterIdMap.get(quiz.chapter_id) })));
+
+          if (insertQuizzesError) {
+            console.error('Error cloning quizzes:', insertQuizzesError);
+            throw new Error(`Failed to clone quizzes: ${insertQuizzesError.message}`);
+          }
+        }
+        quizCount = quizzes.length;
+      }
+
+      // Assignments hang off either the course or one of its chapters
+      let assignmentsQuery = supabase
+        .from('assignments')
+        .select('course_id, chapter_id, title, description, deadline, assignment_file_url, max_score, due_date, is_published');
+      assignmentsQuery = oldChapterIds.length > 0
+        ? assignmentsQuery.or(`course_id.eq.${courseId},chapter_id.in.(${oldChapterIds.join(',')})`)
+        : assignmentsQuery.eq('course_id', courseId);
+
+      const { data: assignments, error: assignmentsError } = await assignmentsQuery;
+
+      if (assignmentsError) {
+        console.error('Error fetching assignments to clone:', assignmentsError);
+        throw new Error(`Failed to clone assignments: ${assignmentsError.message}`);
+      }
+
+      if (assignments.length > 0) {
+        const { error: insertAssignmentsError } = await supabase
+          .from('assignments')
+          .insert(assignments.map(assignment => ({
+            ...assignment,
+            course_id: assignment.course_id ? newCourseId : null,
+            chapter_id: assignment.chapter_id ? chapterIdMap.get(assignment.chapter_id) : null
+          })));
+
+        if (insertAssignmentsError) {
+          console.error('Error cloning assignments:', insertAssignmentsError);
+          throw new Error(`Failed to clone assignments: ${insertAssignmentsError.message}`);
+        }
+      }
+
+      console.log(`Course ${courseId} cloned into ${newCourseId}.`);
+
+      const clone = await courseService.getCourseById(supabase, newCourseId);
+      return {
+        ...clone,
+        cloned: {
+          fromCourseId: courseId,
+          chapters: chapterIdMap.size,
+          media: mediaCount,
+          quizzes: quizCount,
+          assignments: assignments.length
+        }
+      };
+    } catch (error) {
+      console.error('Error in cloneCourse service:', error);
+      if (newCourseId) {
+        // Chapters, media, quizzes and assignments of the partial copy cascade with it
+        await supabase.from('courses').delete().eq('course_id', newCourseId);
+      }
+      throw error;
+    }
+  },
+
   /**
    * Retrieves all categories from the database.
    * @param {object} supabase - The Supabase client instance.
@@ -297,34 +746,15 @@ const courseService = {
   },
 
   /**
-   * Retrieves all unique video series names from the database.
+   * Retrieves the titles of the series that have at least one live course.
    * @param {object} supabase - The Supabase client instance.
-   * @returns {Promise<Array<string>>} An array of unique video series names.
-   * @throws {Error} If fetching video series fails.
+   * @returns {Promise<Array<string>>} Series titles in alphabetical order.
+   * @throws {Error} If fetching series fails.
    */
   getVideoSeries: async (supabase) => {
     try {
-      console.log('Fetching video series from database...');
-      
-      const { data, error } = await supabase
-        .from('courses')
-        .select('video_series')
-        .not('video_series', 'is', null)
-        .not('video_series', 'eq', '')
-        .order('video_series', { ascending: true });
-
-      if (error) {
-        console.error('Error fetching video series:', error);
-        throw new Error(`Failed to fetch video series: ${error.message}`);
-      }
-
-      console.log('Raw video series data:', data);
-
-      // Extract unique video series names
-      const uniqueSeries = [...new Set(data.map(course => course.video_series))];
-      console.log('Unique video series:', uniqueSeries);
-      
-      return uniqueSeries;
+      const series = await seriesService.getSeries(supabase);
+      return series.map(item => item.title);
     } catch (error) {
       console.error('Error in getVideoSeries service:', error);
       throw error;
@@ -332,34 +762,35 @@ const courseService = {
   },
 
   /**
-   * Retrieves all courses for a specific video series.
+   * Retrieves the live courses of a specific video series, in part order.
    * @param {object} supabase - The Supabase client instance.
-   * @param {string} seriesName - The name of the video series.
+   * @param {string} seriesName - The title of the series.
    * @returns {Promise<Array<object>>} An array of course objects for the series.
    * @throws {Error} If fetching courses fails.
    */
   getCoursesBySeries: async (supabase, seriesName) => {
     try {
-      console.log(`Fetching courses for series: ${seriesName}`);
-      
-      const { data, error } = await supabase
-        .from('courses')
-        .select(`
-          *,
-          categories:category_id(name, slug, description),
-          instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
-        `)
-        .eq('video_series', seriesName)
-        .eq('is_published', true)
-        .not('video_part', 'is', null)
-        .order('video_part', { ascending: true });
+      const series = await seriesService.getSeriesByTitle(supabase, seriesName);
+      if (!series) {
+        return [];
+      }
+
+      const { data, error } = await applyLiveWindow(
+        supabase
+          .from('courses')
+          .select(`
+            ${COURSE_COLUMNS},
+            categories:category_id(name, slug, description),
+            instructor:instructor_id(instructor_id, first_name, last_name, email, bio, specialties, experience_years, profile_image_url)
+          `)
+          .eq('series_id', series.series_id)
+      ).order('video_part', { ascending: true });
 
       if (error) {
         console.error('Error fetching courses by series:', error);
         throw new Error(`Failed to fetch courses for series: ${error.message}`);
       }
 
-      console.log(`Found ${data.length} courses for series: ${seriesName}`);
       return data;
     } catch (error) {
       console.error('Error in getCoursesBySeries service:', error);
@@ -368,319 +799,24 @@ const courseService = {
   },
 
   /**
-   * Unlocks a new course for existing customers who have purchased other courses in the same series
+   * Unlocks a new series part for customers who bought other parts of the series, by running
+   * the series unlock reconciliation for that series. The run is recorded in the run history.
    * @param {object} supabase - The Supabase client instance
-   * @param {string} newCourseId - The ID of the newly created course
+   * @param {string} newCourseId - The ID of the new series part, granted even before it is published
    * @param {string} videoSeries - The video series name
+   * @param {string} [trigger='COURSE_CREATED'] - What started the unlock, for the run history
+   * @returns {Promise<object>} The recorded run
    */
-  unlockNewCourseForExistingCustomers: async (supabase, newCourseId, videoSeries) => {
-    try {
-      console.log(`🔍 RETROACTIVE UNLOCK: Finding customers who own other courses in series "${videoSeries}"`);
-      
-      // Find all customers who have purchased other courses in this series
-      const { data: existingCustomers, error: customersError } = await supabase
-        .from('guest_course_purchases')
-        .select(`
-          customer_email,
-          customer_name,
-          customer_phone,
-          courses!inner(
-            course_id,
-            title,
-            video_series
-          )
-        `)
-        .eq('payment_status', 'PAID')
-        .eq('courses.video_series', videoSeries)
-        .neq('courses.course_id', newCourseId); // Exclude the new course itself
-
-      if (customersError) {
-        console.error('Error finding existing customers:', customersError);
-        throw customersError;
-      }
-
-      if (!existingCustomers || existingCustomers.length === 0) {
-        console.log('📭 RETROACTIVE UNLOCK: No existing customers found in this series');
-        return;
-      }
-
-      // Get unique customers (remove duplicates)
-      const uniqueCustomers = existingCustomers.reduce((acc, purchase) => {
-        const key = purchase.customer_email;
-        if (!acc[key]) {
-          acc[key] = {
-            email: purchase.customer_email,
-            name: purchase.customer_name,
-            phone: purchase.customer_phone
-          };
-        }
-        return acc;
-      }, {});
-
-      const customerList = Object.values(uniqueCustomers);
-      console.log(`👥 RETROACTIVE UNLOCK: Found ${customerList.length} unique customers to unlock`);
-
-      // Get the new course details
-      const { data: newCourse, error: courseError } = await supabase
-        .from('courses')
-        .select('title')
-        .eq('course_id', newCourseId)
-        .single();
-
-      if (courseError) {
-        console.error('Error fetching new course details:', courseError);
-        throw courseError;
-      }
-
-      let unlockedCount = 0;
-
-      // Create free purchase records for each customer
-      for (const customer of customerList) {
-        try {
-          // Check if customer already has access to this course
-          const { data: existingAccess, error: accessError } = await supabase
-            .from('guest_course_purchases')
-            .select('purchase_id')
-            .eq('customer_email', customer.email)
-            .eq('course_id', newCourseId)
-            .eq('payment_status', 'PAID');
-
-          if (accessError) {
-            console.error(`Error checking existing access for ${customer.email}:`, accessError);
-            continue;
-          }
-
-          if (existingAccess && existingAccess.length > 0) {
-            console.log(`⏭️  RETROACTIVE UNLOCK: ${customer.email} already has access to "${newCourse.title}"`);
-            continue;
-          }
-
-          // Create free purchase record
-          const { error: insertError } = await supabase
-            .from('guest_course_purchases')
-            .insert({
-              course_id: newCourseId,
-              customer_email: customer.email,
-              customer_name: customer.name,
-              customer_phone: customer.phone,
-              course_price: 0,
-              payment_status: 'PAID',
-              payment_method: 'SERIES_UNLOCK',
-              created_at: new Date().toISOString()
-            });
-
-          if (insertError) {
-            console.error(`Error creating free purchase for ${customer.email}:`, insertError);
-            continue;
-          }
-
-          console.log(`🎉 RETROACTIVE UNLOCK: Unlocked "${newCourse.title}" for ${customer.email}`);
-          unlockedCount++;
-
-          // Try to unlock chapters if user account exists
-          try {
-            const { data: userData } = await supabase
-              .from('users')
-              .select('user_id')
-              .eq('email', customer.email)
-              .single();
-
-            if (userData) {
-              const userChapterAccessService = require('./userChapterAccessService');
-              await userChapterAccessService.unlockAllChaptersForCourse(
-                supabase,
-                userData.user_id,
-                newCourseId
-              );
-              console.log(`✅ RETROACTIVE UNLOCK: Chapters unlocked for user ${userData.user_id}`);
-            }
-          } catch (chapterError) {
-            console.log(`⚠️  RETROACTIVE UNLOCK: Could not unlock chapters for ${customer.email} (user account may not exist)`);
-          }
-
-        } catch (customerError) {
-          console.error(`Error processing customer ${customer.email}:`, customerError);
-          continue;
-        }
-      }
-
-      console.log(`🏁 RETROACTIVE UNLOCK COMPLETED: ${unlockedCount} customers unlocked for "${newCourse.title}" in series "${videoSeries}"`);;
-
-    } catch (error) {
-      console.error('Error in unlockNewCourseForExistingCustomers:', error);
-      throw error;
-    }
-  },
-
-  /**
-   * Comprehensive function to check all existing purchases and unlock missing series parts
-   * This ensures that users who purchased any part of a series have access to all available parts
-   * @param {object} supabase - The Supabase client instance
-   */
-  checkAndUnlockAllSeriesParts: async (supabase) => {
+  unlockNewCourseForExistingCustomers: async (supabase, newCourseId, videoSeries, trigger = 'COURSE_CREATED') => {
     try {
-      console.log('🔍 COMPREHENSIVE SERIES CHECK: Starting full series unlock verification...');
-      
-      // Get all unique customers who have made purchases
-      const { data: allCustomers, error: customersError } = await supabase
-        .from('guest_course_purchases')
-        .select(`
-          customer_email,
-          customer_name,
-          customer_phone,
-          courses!inner(
-            course_id,
-            title,
-            video_series,
-            video_part
-          )
-        `)
-        .eq('payment_status', 'PAID')
-        .not('courses.video_series', 'is', null)
-        .not('courses.video_series', 'eq', '');
-
-      if (customersError) {
-        console.error('Error fetching customers:', customersError);
-        throw customersError;
-      }
-
-      if (!allCustomers || allCustomers.length === 0) {
-        console.log('📭 No customers with series purchases found.');
-        return { totalProcessed: 0, totalUnlocked: 0 };
-      }
-
-      // Group customers by email and their purchased series
-      const customerSeriesMap = new Map();
-      
-      allCustomers.forEach(purchase => {
-        const email = purchase.customer_email;
-        const series = purchase.courses.video_series;
-        
-        if (!customerSeriesMap.has(email)) {
-          customerSeriesMap.set(email, {
-            name: purchase.customer_name,
-            phone: purchase.customer_phone,
-            series: new Set()
-          });
-        }
-        
-        customerSeriesMap.get(email).series.add(series);
+      const seriesUnlockService = require('./seriesUnlockService');
+      return await seriesUnlockService.runReconciliation(supabase, {
+        seriesName: videoSeries,
+        courseId: newCourseId,
+        trigger
       });
-
-      console.log(`👥 Found ${customerSeriesMap.size} unique customers with series purchases`);
-      
-      let totalUnlocked = 0;
-      let totalProcessed = 0;
-
-      // For each customer, check all series they've purchased
-      for (const [email, customerData] of customerSeriesMap) {
-        console.log(`\n🔍 Checking customer: ${email}`);
-        totalProcessed++;
-        
-        for (const series of customerData.series) {
-          console.log(`  📚 Checking series: "${series}"`);
-          
-          // Get all courses in this series
-          const { data: allSeriesCourses, error: seriesError } = await supabase
-            .from('courses')
-            .select('course_id, title, video_part')
-            .eq('video_series', series)
-            .eq('is_published', true)
-            .order('video_part', { ascending: true });
-
-          if (seriesError) {
-            console.error(`Error fetching courses for series "${series}":`, seriesError);
-            continue;
-          }
-
-          if (!allSeriesCourses || allSeriesCourses.length === 0) {
-            console.log(`    ⚠️  No published courses found in series "${series}"`);
-            continue;
-          }
-
-          // Get courses this customer already has access to in this series
-          const { data: customerAccess, error: accessError } = await supabase
-            .from('guest_course_purchases')
-            .select('course_id')
-            .eq('customer_email', email)
-            .eq('payment_status', 'PAID')
-            .in('course_id', allSeriesCourses.map(c => c.course_id));
-
-          if (accessError) {
-            console.error(`Error checking customer access for ${email}:`, accessError);
-            continue;
-          }
-
-          const accessedCourseIds = new Set(customerAccess?.map(a => a.course_id) || []);
-          const missingCourses = allSeriesCourses.filter(course => !accessedCourseIds.has(course.course_id));
-
-          if (missingCourses.length === 0) {
-            console.log(`    ✅ Customer already has access to all ${allSeriesCourses.length} courses in "${series}"`);
-            continue;
-          }
-
-          console.log(`    🔓 Unlocking ${missingCourses.length} missing courses in "${series}"`);
-          
-          // Unlock missing courses
-          for (const course of missingCourses) {
-            try {
-              const { error: insertError } = await supabase
-                .from('guest_course_purchases')
-                .insert({
-                  course_id: course.course_id,
-                  customer_email: email,
-                  customer_name: customerData.name,
-                  customer_phone: customerData.phone,
-                  course_price: 0,
-                  payment_status: 'PAID',
-                  payment_method: 'SERIES_UNLOCK',
-                  created_at: new Date().toISOString()
-                });
-
-              if (insertError) {
-                console.error(`      ❌ Error unlocking "${course.title}" for ${email}:`, insertError);
-                continue;
-              }
-
-              console.log(`      🎉 Unlocked: "${course.title}" (Part ${course.video_part})`);
-              totalUnlocked++;
-
-              // Try to unlock chapters if user account exists
-              try {
-                const { data: userData } = await supabase
-                  .from('users')
-                  .select('user_id')
-                  .eq('email', email)
-                  .single();
-
-                if (userData) {
-                  await courseService.unlockChaptersForUser(
-                    supabase,
-                    userData.user_id,
-                    course.course_id
-                  );
-                  console.log(`      📖 Chapters unlocked for user ${userData.user_id}`);
-                }
-              } catch (chapterError) {
-                console.log(`      ⚠️  Could not unlock chapters for ${email} (user account may not exist)`);
-              }
-
-            } catch (courseError) {
-              console.error(`      ❌ Error processing course "${course.title}":`, courseError);
-              continue;
-            }
-          }
-        }
-      }
-
-      console.log(`\n🏁 COMPREHENSIVE SERIES CHECK COMPLETED:`);
-      console.log(`   👥 Customers processed: ${totalProcessed}`);
-      console.log(`   🔓 Total courses unlocked: ${totalUnlocked}`);
-      
-      return { totalProcessed, totalUnlocked };
-
     } catch (error) {
-      console.error('Error in checkAndUnlockAllSeriesParts:', error);
+      console.error('Error in unlockNewCourseForExistingCustomers:', error);
       throw error;
     }
   }
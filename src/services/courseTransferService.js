@@ -0,0 +1,462 @@
+// src/services/courseTransferService.js
+const courseService = require('./courseService');
+
+// Packages are plain JSON so they can be moved between Supabase projects and kept in version control
+const PACKAGE_FORMAT = 'detailers-university/course';
+const PACKAGE_VERSION = 1;
+
+const COURSE_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED'];
+const MEDIA_TYPES = ['VIDEO', 'DOCUMENT'];
+
+const ASSIGNMENT_FIELDS = 'title, description, deadline, assignment_file_url, max_score, due_date, is_published';
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @param {Array<object>} [details] - Problems found, passed through to the response.
+ * @returns {Error}
+ */
+const transferError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Copies the importable columns of an assignment, so a package cannot set IDs or foreign keys.
+ * @param {object} assignment - Assignment from a package.
+ * @returns {object}
+ */
+const pickAssignment = (assignment) => ({
+  title: assignment.title,
+  description: assignment.description || null,
+  deadline: assignment.deadline || null,
+  assignment_file_url: assignment.assignment_file_url || null,
+  max_score: assignment.max_score !== undefined ? assignment.max_score : 100,
+  due_date: assignment.due_date || null,
+  is_published: assignment.is_published !== false
+});
+
+/**
+ * Checks the structure of a course package.
+ * @param {object} coursePackage - The parsed package.
+ * @returns {Array<string>} Problems found; empty when the package is valid.
+ */
+const validatePackage = (coursePackage) => {
+  const problems = [];
+
+  if (!coursePackage || typeof coursePackage !== 'object') {
+    return ['Package must be a JSON object'];
+  }
+  if (coursePackage.format !== PACKAGE_FORMAT) {
+    problems.push(`format must be "${PACKAGE_FORMAT}"`);
+  }
+  if (!coursePackage.course || !coursePackage.course.title) {
+    problems.push('course.title is required');
+  }
+  if (coursePackage.course && coursePackage.course.level && !COURSE_LEVELS.includes(coursePackage.course.level)) {
+    problems.push('course.level must be BEGINNER, INTERMEDIATE, or ADVANCED');
+  }
+  if (coursePackage.category && !coursePackage.category.slug) {
+    problems.push('category.slug is required when a category is included');
+  }
+  if (!Array.isArray(coursePackage.chapters)) {
+    problems.push('chapters must be an array');
+    return problems;
+  }
+
+  const chapterOrder = new Set();
+  coursePackage.chapters.forEach((chapter, index) => {
+    const path = `chapters[${index}]`;
+    if (!chapter.title) {
+      problems.push(`${path}.title is required`);
+    }
+    if (!Number.isInteger(chapter.order_index)) {
+      problems.push(`${path}.order_index must be an integer`);
+    } else if (chapterOrder.has(chapter.order_index)) {
+      problems.push(`${path}.order_index ${chapter.order_index} is used by another chapter`);
+    }
+    chapterOrder.add(chapter.order_index);
+
+    const mediaOrder = new Set();
+    (chapter.media || []).forEach((media, mediaIndex) => {
+      if (!MEDIA_TYPES.includes(media.media_type) || !media.cloudinary_url) {
+        problems.push(`${path}.media[${mediaIndex}] needs a media_type of VIDEO or DOCUMENT and a cloudinary_url`);
+      }
+      if (!Number.isInteger(media.order_index) || mediaOrder.has(media.order_index)) {
+        problems.push(`${path}.media[${mediaIndex}].order_index must be a unique integer`);
+      }
+      mediaOrder.add(media.order_index);
+    });
+
+    (chapter.quizzes || []).forEach((quiz, quizIndex) => {
+      if (!quiz.title || quiz.questions_data === undefined) {
+        problems.push(`${path}.quizzes[${quizIndex}] needs a title and questions_data`);
+      }
+    });
+
+    (chapter.assignments || []).forEach((assignment, assignmentIndex) => {
+      if (!assignment.title) {
+        problems.push(`${path}.assignments[${assignmentIndex}].title is required`);
+      }
+    });
+  });
+
+  (coursePackage.assignments || []).forEach((assignment, index) => {
+    if (!assignment.title) {
+      problems.push(`assignments[${index}].title is required`);
+    }
+  });
+
+  return problems;
+};
+
+const courseTransferService = {
+  /**
+   * Serializes a course into a versioned package. IDs are left out; the category and instructor
+   * are referenced by slug and email so they can be matched in another project.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @returns {Promise<object>} The course package.
+   * @throws {Error} 404 COURSE_NOT_FOUND if the course does not exist.
+   */
+  exportCourse: async (supabase, courseId) => {
+    try {
+      const course = await courseService.getCourseById(supabase, courseId);
+      if (!course) {
+        throw transferError(404, 'COURSE_NOT_FOUND', 'Course not found');
+      }
+
+      const { data: chapters, error: chaptersError } = await supabase
+        .from('chapters')
+        .select(`
+          title, description, order_index, is_unlocked_by_default, is_free_preview,
+          media:chapter_media(media_type, cloudinary_url, file_name, description, order_index),
+          quizzes(title, description, questions_data),
+          assignments(${ASSIGNMENT_FIELDS})
+        `)
+        .eq('course_id', courseId)
+        .order('order_index', { ascending: true });
+
+      if (chaptersError) {
+        console.error('Error fetching chapters for export:', chaptersError);
+        throw new Error(`Failed to export course: ${chaptersError.message}`);
+      }
+
+      const { data: courseAssignments, error: assignmentsError } = await supabase
+        .from('assignments')
+        .select(ASSIGNMENT_FIELDS)
+        .eq('course_id', courseId);
+
+      if (assignmentsError) {
+        console.error('Error fetching assignments for export:', assignmentsError);
+        throw new Error(`Failed to export course: ${assignmentsError.message}`);
+      }
+
+      return {
+        format: PACKAGE_FORMAT,
+        version: PACKAGE_VERSION,
+        exportedAt: new Date().toISOString(),
+        course: {
+          title: course.title,
+          description: course.description,
+          thumbnail_url: course.thumbnail_url,
+          intro_video_url: course.intro_video_url,
+          price: course.price,
+          duration_hours: course.duration_hours,
+          level: course.level,
+          video_series: course.video_series,
+          video_part: course.video_part
+        },
+        category: course.categories
+          ? { name: course.categories.name, slug: course.categories.slug, description: course.categories.description }
+          : null,
+        instructor: course.instructor
+          ? { email: course.instructor.email, first_name: course.instructor.first_name, last_name: course.instructor.last_name }
+          : null,
+        chapters: chapters.map(chapter => ({
+          ...chapter,
+          media: (chapter.media || []).sort((a, b) => a.order_index - b.order_index)
+        })),
+        assignments: courseAssignments || []
+      };
+    } catch (error) {
+      console.error('Error in exportCourse:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks a package against this project without writing anything.
+   * Blocking conflicts stop an import; the others describe how the import resolves them.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} coursePackage - The package from exportCourse.
+   * @param {object} [overrides] - Values replacing the package's own.
+   * @param {string} [overrides.title] - Title of the imported course.
+   * @param {string|null} [overrides.videoSeries] - Series of the imported course.
+   * @param {number} [overrides.videoPart] - Part number within the series.
+   * @returns {Promise<{course: object, categoryId: string|null, instructorId: string|null, conflicts: Array<object>}>}
+   * @throws {Error} 400 INVALID_PACKAGE or 400 UNSUPPORTED_PACKAGE_VERSION.
+   */
+  planImport: async (supabase, coursePackage, overrides = {}) => {
+    try {
+      const problems = validatePackage(coursePackage);
+      if (problems.length > 0) {
+        throw transferError(400, 'INVALID_PACKAGE', 'Course package is not valid', problems);
+      }
+      if (coursePackage.version !== PACKAGE_VERSION) {
+        throw transferError(400, 'UNSUPPORTED_PACKAGE_VERSION', `Package version ${coursePackage.version} is not supported (expected ${PACKAGE_VERSION})`);
+      }
+
+      const course = {
+        ...coursePackage.course,
+        title: overrides.title || coursePackage.course.title,
+        video_series: overrides.videoSeries !== undefined ? overrides.videoSeries : coursePackage.course.video_series,
+        video_part: overrides.videoPart !== undefined ? overrides.videoPart : coursePackage.course.video_part
+      };
+      const conflicts = [];
+      let categoryId = null;
+      let instructorId = null;
+
+      if (coursePackage.category) {
+        const { slug, name } = coursePackage.category;
+        const { data: categories, error } = await supabase
+          .from('categories')
+          .select('category_id, name, slug')
+          .or(`slug.eq.${JSON.stringify(slug)},name.eq.${JSON.stringify(name || '')}`);
+
+        if (error) {
+          console.error('Error matching category for import:', error);
+          throw new Error(`Failed to check category: ${error.message}`);
+        }
+
+        const bySlug = categories.find(category => category.slug === slug);
+        const byName = categories.find(category => category.name === name);
+        if (bySlug) {
+          categoryId = bySlug.category_id;
+          conflicts.push({ type: 'CATEGORY_SLUG_EXISTS', blocking: false, slug, resolution: 'Existing category is used' });
+        } else if (byName) {
+          conflicts.push({ type: 'CATEGORY_NAME_TAKEN', blocking: true, name, existingSlug: byName.slug, message: 'Another category already uses this name with a different slug' });
+        }
+      }
+
+      if (coursePackage.instructor && coursePackage.instructor.email) {
+        const { data: instructor, error } = await supabase
+          .from('instructors')
+          .select('instructor_id')
+          .eq('email', coursePackage.instructor.email)
+          .maybeSingle();
+
+        if (error) {
+          console.error('Error matching instructor for import:', error);
+          throw new Error(`Failed to check instructor: ${error.message}`);
+        }
+
+        if (instructor) {
+          instructorId = instructor.instructor_id;
+        } else {
+          conflicts.push({ type: 'INSTRUCTOR_NOT_FOUND', blocking: false, email: coursePackage.instructor.email, resolution: 'Course is imported without an instructor' });
+        }
+      }
+
+      if (course.video_series) {
+        // Older data can hold the same part twice, so look for any match rather than exactly one
+        const { data: existingParts, error } = await supabase
+          .from('courses')
+          .select('course_id, title')
+          .eq('video_series', course.video_series)
+          .eq('video_part', course.video_part)
+          .limit(1);
+
+        if (error) {
+          console.error('Error checking series part for import:', error);
+          throw new Error(`Failed to check series: ${error.message}`);
+        }
+
+        const existingPart = existingParts && existingParts[0];
+        if (existingPart) {
+          conflicts.push({
+            type: 'SERIES_PART_TAKEN',
+            blocking: true,
+            videoSeries: course.video_series,
+            videoPart: course.video_part,
+            existingCourseId: existingPart.course_id,
+            message: `Part ${course.video_part} of "${course.video_series}" already exists; import with another videoPart or videoSeries`
+          });
+        }
+      }
+
+      const { data: sameTitle, error: titleError } = await supabase
+        .from('courses')
+        .select('course_id')
+        .eq('title', course.title)
+        .limit(1);
+
+      if (titleError) {
+        console.error('Error checking course title for import:', titleError);
+        throw new Error(`Failed to check course title: ${titleError.message}`);
+      }
+      if (sameTitle.length > 0) {
+        conflicts.push({ type: 'COURSE_TITLE_EXISTS', blocking: false, title: course.title, resolution: 'A second course with this title is created' });
+      }
+
+      return { course, categoryId, instructorId, conflicts };
+    } catch (error) {
+      console.error('Error in planImport:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Recreates a course from a package as a new unpublished course with fresh IDs. Nothing is
+   * written while the package has blocking conflicts. If a step fails the partial import, and a
+   * category created for it, are deleted again.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} coursePackage - The package from exportCourse.
+   * @param {object} [overrides] - See planImport.
+   * @returns {Promise<{course: object, conflicts: Array<object>}>} The imported course and the non-blocking conflicts.
+   * @throws {Error} 400 INVALID_PACKAGE, 400 UNSUPPORTED_PACKAGE_VERSION, or 409 IMPORT_CONFLICT with the conflicts as details.
+   */
+  importCourse: async (supabase, coursePackage, overrides = {}) => {
+    let newCourseId = null;
+    let newCategoryId = null;
+
+    try {
+      const plan = await courseTransferService.planImport(supabase, coursePackage, overrides);
+
+      if (plan.conflicts.some(conflict => conflict.blocking)) {
+        throw transferError(409, 'IMPORT_CONFLICT', 'Course package conflicts with existing data', plan.conflicts);
+      }
+
+      let { categoryId } = plan;
+      if (coursePackage.category && !categoryId) {
+        const { data: category, error } = await supabase
+          .from('categories')
+          .insert({
+            name: coursePackage.category.name || coursePackage.category.slug,
+            slug: coursePackage.category.slug,
+            description: coursePackage.category.description || null
+          })
+          .select('category_id')
+          .single();
+
+        if (error) {
+          console.error('Error creating category for import:', error);
+          throw new Error(`Failed to import category: ${error.message}`);
+        }
+        categoryId = category.category_id;
+        newCategoryId = categoryId;
+      }
+
+      const { data: newCourse, error: courseError } = await supabase
+        .from('courses')
+        .insert({
+          title: plan.course.title,
+          description: plan.course.description || null,
+          thumbnail_url: plan.course.thumbnail_url || null,
+          intro_video_url: plan.course.intro_video_url || null,
+          price: plan.course.price || 0,
+          category_id: categoryId,
+          instructor_id: plan.instructorId,
+          duration_hours: plan.course.duration_hours || 0,
+          level: plan.course.level || 'BEGINNER',
+          is_published: false,
+          video_series: plan.course.video_series || null,
+          video_part: plan.course.video_part || 1
+        })
+        .select('course_id')
+        .single();
+
+      if (courseError) {
+        console.error('Error creating imported course:', courseError);
+        throw new Error(`Failed to import course: ${courseError.message}`);
+      }
+      newCourseId = newCourse.course_id;
+
+      const courseAssignments = (coursePackage.assignments || []).map(assignment => ({ ...pickAssignment(assignment), course_id: newCourseId }));
+
+      if (coursePackage.chapters.length > 0) {
+        const { data: newChapters, error: chaptersError } = await supabase
+          .from('chapters')
+          .insert(coursePackage.chapters.map(chapter => ({
+            course_id: newCourseId,
+            title: chapter.title,
+            description: chapter.description || null,
+            order_index: chapter.order_index,
+            is_unlocked_by_default: chapter.is_unlocked_by_default !== false,
+            is_free_preview: chapter.is_free_preview === true
+          })))
+          .select('chapter_id, order_index');
+
+        if (chaptersError) {
+          console.error('Error importing chapters:', chaptersError);
+          throw new Error(`Failed to import chapters: ${chaptersError.message}`);
+        }
+
+        const chapterIdByOrder = new Map(newChapters.map(chapter => [chapter.order_index, chapter.chapter_id]));
+        const media = [];
+        const quizzes = [];
+        const chapterAssignments = [];
+
+        coursePackage.chapters.forEach((chapter) => {
+          const chapterId = chapterIdByOrder.get(chapter.order_index);
+          (chapter.media || []).forEach(item => media.push({
+            chapter_id: chapterId,
+            media_type: item.media_type,
+            cloudinary_url: item.cloudinary_url,
+            file_name: item.file_name || null,
+            description: item.description || null,
+            order_index: item.order_index
+          }));
+          (chapter.quizzes || []).forEach(quiz => quizzes.push({
+            chapter_id: chapterId,
+            title: quiz.title,
+            description: quiz.description || null,
+            questions_data: quiz.questions_data
+          }));
+          (chapter.assignments || []).forEach(assignment => chapterAssignments.push({ ...pickAssignment(assignment), chapter_id: chapterId }));
+        });
+
+        for (const [table, rows] of [['chapter_media', media], ['quizzes', quizzes], ['assignments', chapterAssignments]]) {
+          if (rows.length === 0) {
+            continue;
+          }
+          const { error } = await supabase.from(table).insert(rows);
+          if (error) {
+            console.error(`Error importing ${table}:`, error);
+            throw new Error(`Failed to import ${table}: ${error.message}`);
+          }
+        }
+      }
+
+      if (courseAssignments.length > 0) {
+        const { error } = await supabase.from('assignments').insert(courseAssignments);
+        if (error) {
+          console.error('Error importing course assignments:', error);
+          throw new Error(`Failed to import assignments: ${error.message}`);
+        }
+      }
+
+      console.log(`Course package "${plan.course.title}" imported as ${newCourseId}.`);
+      const course = await courseService.getCourseById(supabase, newCourseId);
+      return { course, conflicts: plan.conflicts };
+    } catch (error) {
+      console.error('Error in importCourse:', error);
+      if (newCourseId) {
+        await supabase.from('courses').delete().eq('course_id', newCourseId);
+      }
+      if (newCategoryId) {
+        await supabase.from('categories').delete().eq('category_id', newCategoryId);
+      }
+      throw error;
+    }
+  }
+};
+
+module.exports = courseTransferService;
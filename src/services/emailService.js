@@ -523,6 +523,7 @@ class EmailService {
         courseTitle,
         coursePrice,
         accessCode,
+        accessExpiresAt,
         instructorName,
         first_name,
         last_name
@@ -564,7 +565,7 @@ class EmailService {
                 <p><strong>Course:</strong> ${courseTitle}</p>
                 <p><strong>Instructor:</strong> ${instructorName}</p>
                 <p><strong>Price:</strong> $${coursePrice}</p>
-                <p><strong>Access:</strong> Lifetime access</p>
+                <p><strong>Access:</strong> ${accessExpiresAt ? `Until ${new Date(accessExpiresAt).toUTCString()}` : 'Lifetime access'}</p>
               </div>
               
               <h3>Your Access Code:</h3>
@@ -582,7 +583,7 @@ class EmailService {
                 <li>Complete course content with video lessons</li>
                 <li>Downloadable resources and materials</li>
                 <li>Certificate of completion</li>
-                <li>Lifetime access to course updates</li>
+                <li>${accessExpiresAt ? 'Access to course updates while your access lasts' : 'Lifetime access to course updates'}</li>
               </ul>
               
               <p>If you have any questions or need support, please don't hesitate to contact us.</p>
@@ -811,6 +812,441 @@ class EmailService {
       throw error;
     }
   }
+
+  /**
+   * Send password reset link email
+   */
+  async sendPasswordResetEmail(resetData) {
+    try {
+      // Check if email service is configured
+      if (!this.transporter) {
+        console.log('Email service not configured. Skipping password reset email.');
+        return { messageId: 'email_disabled' };
+      }
+
+      const {
+        email,
+        first_name,
+        resetUrl,
+        resetToken,
+        expiresInMinutes
+      } = resetData;
+
+      const subject = 'Reset Your University Password';
+      
+      const htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Reset Your Password</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px; }
+            .content { padding: 20px; }
+            .button { display: inline-block; padding: 12px 24px; background: #ff6b35; color: white; text-decoration: none; border-radius: 6px; margin: 10px 0; }
+            .warning { background: #fff5f5; padding: 15px; border-radius: 6px; margin: 15px 0; border-left: 4px solid #f56565; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
+            .code { font-family: monospace; background: #edf2f7; padding: 8px 12px; border-radius: 4px; font-size: 14px; word-break: break-all; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔐 Password Reset Request</h1>
+            </div>
+            
+            <div class="content">
+              <p>Dear ${first_name},</p>
+              
+              <p>We received a request to reset the password for your account. Click the button below to choose a new password:</p>
+              
+              <a href="${resetUrl}" class="button">Reset Password</a>
+              
+              <p>If the button does not work, enter this reset code in the app:</p>
+              <p><span class="code">${resetToken}</span></p>
+              
+              <div class="warning">
+                <h3>⚠️ Important Security Notice:</h3>
+                <ul>
+                  <li>This link expires in ${expiresInMinutes} minutes and can only be used once</li>
+                  <li>Resetting your password will sign you out on all devices</li>
+                  <li>If you did not request a password reset, you can safely ignore this email</li>
+                </ul>
+              </div>
+              
+              <p>Best regards,<br>The University Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'noreply@university.com',
+        to: email,
+        subject: subject,
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Password reset email sent:', result.messageId);
+      return result;
+      
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send account lockout notification email
+   */
+  async sendAccountLockoutEmail(lockoutData) {
+    try {
+      // Check if email service is configured
+      if (!this.transporter) {
+        console.log('Email service not configured. Skipping account lockout email.');
+        return { messageId: 'email_disabled' };
+      }
+
+      const {
+        email,
+        first_name,
+        lockedUntil,
+        lockoutMinutes
+      } = lockoutData;
+
+      const subject = 'Your University Account Has Been Temporarily Locked';
+      
+      const htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Account Temporarily Locked</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #fff5f5; padding: 20px; text-align: center; border-radius: 8px; border-left: 4px solid #f56565; }
+            .content { padding: 20px; }
+            .details { background: #f8f9fa; padding: 15px; border-radius: 6px; margin: 15px 0; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Temporarily Locked</h1>
+            </div>
+            
+            <div class="content">
+              <p>Dear ${first_name},</p>
+              
+              <p>We noticed several failed login attempts on your account, so we have locked it for ${lockoutMinutes} minutes to keep it safe.</p>
+              
+              <div class="details">
+                <p><strong>Locked until:</strong> ${new Date(lockedUntil).toUTCString()}</p>
+              </div>
+              
+              <p><strong>What should I do?</strong></p>
+              <ul>
+                <li>If this was you, wait until the lock expires and try again</li>
+                <li>If you forgot your password, use "Forgot password" in the app to reset it</li>
+                <li>If this was not you, reset your password as soon as the lock expires and contact support</li>
+              </ul>
+              
+              <p>Best regards,<br>The University Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'noreply@university.com',
+        to: email,
+        subject: subject,
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Account lockout email sent:', result.messageId);
+      return result;
+      
+    } catch (error) {
+      console.error('Error sending account lockout email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send email address verification link
+   */
+  async sendEmailVerificationEmail(verificationData) {
+    try {
+      // Check if email service is configured
+      if (!this.transporter) {
+        console.log('Email service not configured. Skipping email verification email.');
+        return { messageId: 'email_disabled' };
+      }
+
+      const {
+        email,
+        first_name,
+        verificationUrl,
+        verificationToken,
+        expiresInHours
+      } = verificationData;
+
+      const subject = 'Confirm Your Email Address';
+      
+      const htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Confirm Your Email Address</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px; }
+            .content { padding: 20px; }
+            .button { display: inline-block; padding: 12px 24px; background: #ff6b35; color: white; text-decoration: none; border-radius: 6px; margin: 10px 0; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
+            .code { font-family: monospace; background: #edf2f7; padding: 8px 12px; border-radius: 4px; font-size: 14px; word-break: break-all; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✉️ Confirm Your Email</h1>
+            </div>
+            
+            <div class="content">
+              <p>Dear ${first_name || 'there'},</p>
+              
+              <p>Please confirm that this email address belongs to you:</p>
+              
+              <a href="${verificationUrl}" class="button">Confirm Email</a>
+              
+              <p>If the button does not work, enter this code in the app:</p>
+              <p><span class="code">${verificationToken}</span></p>
+              
+              <p>This link expires in ${expiresInHours} hours. If you did not create an account, you can safely ignore this email.</p>
+              
+              <p>Best regards,<br>The University Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'noreply@university.com',
+        to: email,
+        subject: subject,
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Email verification email sent:', result.messageId);
+      return result;
+      
+    } catch (error) {
+      console.error('Error sending email verification email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send passwordless sign-in link email
+   */
+  async sendMagicLinkEmail(magicLinkData) {
+    try {
+      // Check if email service is configured
+      if (!this.transporter) {
+        console.log('Email service not configured. Skipping magic link email.');
+        return { messageId: 'email_disabled' };
+      }
+
+      const {
+        email,
+        first_name,
+        magicLinkUrl,
+        magicLinkToken,
+        expiresInMinutes
+      } = magicLinkData;
+
+      const subject = 'Your University Sign-In Link';
+      
+      const htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Your Sign-In Link</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px; }
+            .content { padding: 20px; }
+            .button { display: inline-block; padding: 12px 24px; background: #ff6b35; color: white; text-decoration: none; border-radius: 6px; margin: 10px 0; }
+            .warning { background: #fff5f5; padding: 15px; border-radius: 6px; margin: 15px 0; border-left: 4px solid #f56565; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
+            .code { font-family: monospace; background: #edf2f7; padding: 8px 12px; border-radius: 4px; font-size: 14px; word-break: break-all; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔑 Sign In to Your Account</h1>
+            </div>
+            
+            <div class="content">
+              <p>Dear ${first_name || 'there'},</p>
+              
+              <p>Use the button below to sign in. You do not need a password, and any courses or sessions you purchased with this email will be waiting for you.</p>
+              
+              <a href="${magicLinkUrl}" class="button">Sign In</a>
+              
+              <p>If the button does not work, enter this code in the app:</p>
+              <p><span class="code">${magicLinkToken}</span></p>
+              
+              <div class="warning">
+                <h3>⚠️ Important Security Notice:</h3>
+                <ul>
+                  <li>This link expires in ${expiresInMinutes} minutes and can only be used once</li>
+                  <li>Never share this link - anyone who has it can sign in as you</li>
+                  <li>If you did not request it, you can safely ignore this email</li>
+                </ul>
+              </div>
+              
+              <p>Best regards,<br>The University Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'noreply@university.com',
+        to: email,
+        subject: subject,
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Magic link email sent:', result.messageId);
+      return result;
+      
+    } catch (error) {
+      console.error('Error sending magic link email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send warning that time-limited course access is about to end
+   */
+  async sendAccessExpiryWarning(expiryData) {
+    try {
+      // Check if email service is configured
+      if (!this.transporter) {
+        console.log('Email service not configured. Skipping access expiry warning email.');
+        return { messageId: 'email_disabled' };
+      }
+
+      const {
+        email,
+        first_name,
+        courseTitle,
+        expiresAt
+      } = expiryData;
+
+      const daysLeft = Math.max(1, Math.ceil((new Date(expiresAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+      const subject = `Your access to ${courseTitle} ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+      
+      const htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Course Access Ending Soon</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #fffaf0; padding: 20px; text-align: center; border-radius: 8px; border-left: 4px solid #ed8936; }
+            .content { padding: 20px; }
+            .details { background: #f8f9fa; padding: 15px; border-radius: 6px; margin: 15px 0; }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>⏳ Your Course Access Is Ending Soon</h1>
+            </div>
+            
+            <div class="content">
+              <p>Dear ${first_name || 'there'},</p>
+              
+              <p>Your access to <strong>${courseTitle}</strong> ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.</p>
+              
+              <div class="details">
+                <p><strong>Access ends:</strong> ${new Date(expiresAt).toUTCString()}</p>
+              </div>
+              
+              <p><strong>Want to keep learning?</strong></p>
+              <ul>
+                <li>Buy the course again before your access ends and the new period is added on top of the time you have left</li>
+                <li>Your progress is kept, so you can pick up where you left off</li>
+              </ul>
+              
+              <p>Best regards,<br>The University Team</p>
+            </div>
+            
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'noreply@university.com',
+        to: email,
+        subject: subject,
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Access expiry warning email sent:', result.messageId);
+      return result;
+      
+    } catch (error) {
+      console.error('Error sending access expiry warning email:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,303 @@
+// src/services/emailVerificationService.js
+const crypto = require('crypto');
+const emailService = require('./emailService');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10);
+const EMAIL_VERIFICATION_URL = process.env.EMAIL_VERIFICATION_URL || 'https://detailersuniversity.com/verify-email';
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES || '15', 10);
+const MAGIC_LINK_URL = process.env.MAGIC_LINK_URL || 'https://detailersuniversity.com/magic-link';
+
+const TOKEN_PURPOSES = {
+  VERIFY_EMAIL: 'VERIFY_EMAIL',
+  MAGIC_LINK: 'MAGIC_LINK'
+};
+
+/**
+ * Hashes a raw email token. Only the hash is stored so a database leak cannot be used to sign in.
+ * @param {string} token - The raw token.
+ * @returns {string} Hex encoded SHA-256 hash of the token.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Stores a new single-use token for a user. Earlier unused tokens with the same purpose stop working.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} userId - The UUID of the user.
+ * @param {string} purpose - One of TOKEN_PURPOSES.
+ * @param {number} ttlMs - Lifetime of the token in milliseconds.
+ * @param {string} [requestedIp] - IP address the request came from.
+ * @returns {Promise<string>} The raw token to put in the email.
+ */
+const issueToken = async (supabase, userId, purpose, ttlMs, requestedIp) => {
+  const { error: invalidateError } = await supabase
+    .from('email_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (invalidateError) {
+    console.error('Error invalidating previous email tokens:', invalidateError);
+    throw new Error(`Failed to issue email token: ${invalidateError.message}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const { error: insertError } = await supabase
+    .from('email_tokens')
+    .insert({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + ttlMs).toISOString(),
+      requested_ip: requestedIp || null
+    });
+
+  if (insertError) {
+    console.error('Error storing email token:', insertError);
+    throw new Error(`Failed to issue email token: ${insertError.message}`);
+  }
+
+  return token;
+};
+
+/**
+ * Marks a token as used, so two concurrent requests cannot both redeem it.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} token - The raw token from the email.
+ * @param {string} purpose - One of TOKEN_PURPOSES.
+ * @returns {Promise<string|null>} The owner's user ID, or null if the token is unknown, used or expired.
+ */
+const consumeToken = async (supabase, token, purpose) => {
+  const { data: consumed, error } = await supabase
+    .from('email_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id');
+
+  if (error) {
+    console.error('Error consuming email token:', error);
+    throw new Error(`Failed to verify email token: ${error.message}`);
+  }
+
+  return consumed && consumed.length > 0 ? consumed[0].user_id : null;
+};
+
+const emailVerificationService = {
+  /**
+   * Records that a user has proven they own their email address. Already verified users keep their original date.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @returns {Promise<void>}
+   */
+  markVerified: async (supabase, userId) => {
+    try {
+      const { error } = await supabase
+        .from('users')
+        .update({ verified_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('verified_at', null);
+
+      if (error) {
+        console.error('Error marking email as verified:', error);
+        throw new Error(`Failed to verify email: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('Error in markVerified:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Emails the signed-in user a link that confirms their address.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row of the signed-in user.
+   * @param {string} [requestedIp] - IP address the request came from.
+   * @returns {Promise<void>}
+   * @throws {Error} 409 EMAIL_ALREADY_VERIFIED if there is nothing to verify.
+   */
+  requestVerification: async (supabase, user, requestedIp) => {
+    try {
+      if (user.verified_at) {
+        const error = new Error('Your email address is already verified.');
+        error.statusCode = 409;
+        error.code = 'EMAIL_ALREADY_VERIFIED';
+        throw error;
+      }
+
+      const verificationToken = await issueToken(
+        supabase,
+        user.user_id,
+        TOKEN_PURPOSES.VERIFY_EMAIL,
+        EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+        requestedIp
+      );
+
+      await emailService.sendEmailVerificationEmail({
+        email: user.email,
+        first_name: user.first_name,
+        verificationToken,
+        verificationUrl: `${EMAIL_VERIFICATION_URL}?token=${verificationToken}`,
+        expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+      });
+
+      console.log(`Email verification sent to user ${user.user_id}.`);
+    } catch (error) {
+      console.error('Error in requestVerification:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirms an email address with a token from a verification email.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} verificationToken - The raw token from the email.
+   * @returns {Promise<string>} The UUID of the verified user.
+   * @throws {Error} 400 INVALID_VERIFICATION_TOKEN if the token is invalid, expired or already used.
+   */
+  verifyEmail: async (supabase, verificationToken) => {
+    try {
+      const userId = await consumeToken(supabase, verificationToken, TOKEN_PURPOSES.VERIFY_EMAIL);
+
+      if (!userId) {
+        const error = new Error('Verification link is invalid or has expired.');
+        error.statusCode = 400;
+        error.code = 'INVALID_VERIFICATION_TOKEN';
+        throw error;
+      }
+
+      await emailVerificationService.markVerified(supabase, userId);
+      console.log(`Email of user ${userId} verified.`);
+      return userId;
+    } catch (error) {
+      console.error('Error in verifyEmail:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Emails a single-use sign-in link to the account with this email, including guest accounts
+   * created by a purchase or booking. Unknown and inactive accounts are silently ignored so the
+   * endpoint cannot be used to probe emails.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} email - The email the link was requested for.
+   * @param {string} [requestedIp] - IP address the request came from.
+   * @returns {Promise<void>}
+   */
+  requestMagicLink: async (supabase, email, requestedIp) => {
+    try {
+      const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('user_id, email, first_name, is_active')
+        .eq('email', email)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error('Error fetching user for magic link:', fetchError);
+        throw new Error(`Failed to request sign-in link: ${fetchError.message}`);
+      }
+
+      if (!user || !user.is_active) {
+        console.log(`Magic link requested for unknown or inactive account: ${email}`);
+        return;
+      }
+
+      const magicLinkToken = await issueToken(
+        supabase,
+        user.user_id,
+        TOKEN_PURPOSES.MAGIC_LINK,
+        MAGIC_LINK_TTL_MINUTES * 60 * 1000,
+        requestedIp
+      );
+
+      // Unknown emails never reach this point, so a 500 here would confirm the account exists
+      try {
+        await emailService.sendMagicLinkEmail({
+          email: user.email,
+          first_name: user.first_name,
+          magicLinkToken,
+          magicLinkUrl: `${MAGIC_LINK_URL}?token=${magicLinkToken}`,
+          expiresInMinutes: MAGIC_LINK_TTL_MINUTES
+        });
+      } catch (sendError) {
+        console.error(`Failed to send magic link to user ${user.user_id}:`, sendError);
+        return;
+      }
+
+      console.log(`Magic link sent to user ${user.user_id}.`);
+    } catch (error) {
+      console.error('Error in requestMagicLink:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Redeems a sign-in link. Following the link proves the email is theirs, so the address is marked
+   * verified and a guest account is turned into a passwordless student account that can sign in.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} magicLinkToken - The raw token from the email.
+   * @returns {Promise<object>} The user row to sign in.
+   * @throws {Error} 401 INVALID_MAGIC_LINK if the token is invalid, expired, used, or the account is inactive.
+   */
+  consumeMagicLink: async (supabase, magicLinkToken) => {
+    try {
+      const invalidLinkError = () => {
+        const error = new Error('Sign-in link is invalid or has expired.');
+        error.statusCode = 401;
+        error.code = 'INVALID_MAGIC_LINK';
+        return error;
+      };
+
+      const userId = await consumeToken(supabase, magicLinkToken, TOKEN_PURPOSES.MAGIC_LINK);
+      if (!userId) {
+        throw invalidLinkError();
+      }
+
+      const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error('Error fetching user for magic link:', fetchError);
+        throw new Error(`Failed to sign in: ${fetchError.message}`);
+      }
+      if (!user) {
+        throw invalidLinkError();
+      }
+
+      const verifiedAt = user.verified_at || new Date().toISOString();
+      const updates = { verified_at: verifiedAt };
+      if (user.role === 'GUEST') {
+        updates.role = 'STUDENT';
+      }
+
+      const { data: claimedUser, error: updateError } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('user_id', userId)
+        .select('*')
+        .single();
+
+      if (updateError) {
+        console.error('Error claiming account with magic link:', updateError);
+        throw new Error(`Failed to sign in: ${updateError.message}`);
+      }
+
+      if (user.role === 'GUEST') {
+        console.log(`Guest account ${userId} claimed through magic link.`);
+      }
+      return claimedUser;
+    } catch (error) {
+      console.error('Error in consumeMagicLink:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = emailVerificationService;
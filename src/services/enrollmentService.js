@@ -1,4 +1,5 @@
 // src/services/enrollmentService.js
+const entitlementService = require('./entitlementService');
 
 const enrollmentService = {
   /**
@@ -143,18 +144,22 @@ const enrollmentService = {
         throw new Error(`Failed to update enrollment status: ${error.message}`);
       }
 
-      // If enrollment is approved, unlock all chapters for the user
-      if (newStatus === 'approved' && data) {
+      // An approved enrollment grants the course; moving it away from approved takes that back
+      if (data) {
         try {
-          const userChapterAccessService = require('./userChapterAccessService');
-          await userChapterAccessService.unlockAllChaptersForCourse(
-            supabase,
-            data.user_id,
-            data.course_id
-          );
-          console.log(`✅ All chapters unlocked for user ${data.user_id} in course ${data.course_id} after enrollment approval`);
-        } catch (chapterError) {
-          console.error('Error unlocking chapters after enrollment approval:', chapterError);
+          if (normalized === 'APPROVED') {
+            await entitlementService.grant(supabase, {
+              userId: data.user_id,
+              courseId: data.course_id,
+              source: 'ENROLLMENT',
+              sourceId: data.enrollment_id
+            });
+            console.log(`✅ Access to course ${data.course_id} granted to user ${data.user_id} after enrollment approval`);
+          } else {
+            await entitlementService.revokeBySource(supabase, data.enrollment_id);
+          }
+        } catch (entitlementError) {
+          console.error('Error updating course access after enrollment status change:', entitlementError);
           // Don't throw error here as enrollment update was successful
         }
       }
@@ -167,54 +172,81 @@ const enrollmentService = {
   },
 
   /**
-   * Retrieves all courses a specific user is enrolled in and has 'approved' status.
+   * Retrieves the courses a user can currently open, whichever way the access was given
+   * (enrollment, purchase, bundle, series or admin grant). Built from the user's entitlements,
+   * so expired and revoked access is left out.
    * @param {object} supabase - The Supabase client instance.
    * @param {string} userId - The UUID of the user.
-   * @returns {Promise<Array<object>>} An array of course objects the user is approved for.
-   * @throws {Error} If fetching approved courses fails.
+   * @returns {Promise<Array<object>>} An array of course objects the user has access to.
+   * @throws {Error} If fetching the courses fails.
    */
   getApprovedCoursesForUser: async (supabase, userId) => {
     try {
+      const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('user_id, email')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (userError) {
+        console.error('Error fetching user for approved courses:', userError);
+        throw new Error(`Failed to fetch user's approved courses: ${userError.message}`);
+      }
+      if (!user) {
+        return [];
+      }
+
+      // Newest first; the first entitlement seen for a course stands for it
+      const entitlements = await entitlementService.getActiveEntitlementsForUser(supabase, user);
+      const byCourse = new Map();
+      for (const entitlement of entitlements) {
+        if (!byCourse.has(entitlement.course_id)) {
+          byCourse.set(entitlement.course_id, entitlement);
+        }
+      }
+      if (byCourse.size === 0) {
+        return [];
+      }
+
       const { data, error } = await supabase
-        .from('enrollments')
+        .from('courses')
         .select(`
-          *,
-          course:courses(
-            course_id,
-            title,
-            description,
-            thumbnail_url,
-            price,
-            duration_hours,
-            level,
-            video_series,
-            video_part,
-            intro_video_url,
-            created_at,
-            instructor:instructors(
-              instructor_id,
-              first_name,
-      last_name,
-              email
-            )
+          course_id,
+          title,
+          description,
+          thumbnail_url,
+          price,
+          duration_hours,
+          level,
+          video_series,
+          video_part,
+          intro_video_url,
+          created_at,
+          instructor:instructors(
+            instructor_id,
+            first_name,
+            last_name,
+            email
           )
         `)
-        .eq('user_id', userId)
-        .eq('status', 'APPROVED')
-        .order('created_at', { ascending: false });
+        .in('course_id', [...byCourse.keys()]);
   
       if (error) {
         console.error('Error fetching approved courses for user:', error);
         throw new Error(`Failed to fetch user's approved courses: ${error.message}`);
       }
-      
-      // Return only the course data with enrollment info
-      return data.map(enrollment => ({
-        ...enrollment.course,
-        enrollment_id: enrollment.enrollment_id,
-        enrolled_at: enrollment.created_at,
-        is_enrolled: true
-      }));
+
+      const courses = new Map(data.map(course => [course.course_id, course]));
+      return [...byCourse.values()]
+        .filter(entitlement => courses.has(entitlement.course_id))
+        .map(entitlement => ({
+          ...courses.get(entitlement.course_id),
+          enrollment_id: entitlement.source === 'ENROLLMENT' ? entitlement.source_id : null,
+          enrolled_at: entitlement.starts_at,
+          access_source: entitlement.source,
+          access_expires_at: entitlement.expires_at,
+          is_enrolled: true
+        }));
     } catch (error) {
       console.error('Error in getApprovedCoursesForUser service:', error);
       throw error;
@@ -240,6 +272,7 @@ const enrollmentService = {
         console.error('Error deleting enrollment:', error);
         throw new Error(`Failed to delete enrollment: ${error.message}`);
       }
+      await entitlementService.revokeBySource(supabase, enrollmentId);
       console.log(`Enrollment ${enrollmentId} deleted successfully.`);
     } catch (error) {
       console.error('Error in deleteEnrollment service:', error);
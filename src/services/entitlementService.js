@@ -0,0 +1,744 @@
+// src/services/entitlementService.js
+const permissionService = require('./permissionService');
+const emailService = require('./emailService');
+
+// How a customer came to own a course; every path that gives access records one of these
+const ENTITLEMENT_SOURCES = ['PURCHASE', 'ENROLLMENT', 'SERIES_GRANT', 'BUNDLE', 'ADMIN_GRANT', 'COUPON'];
+
+// Staff holding this permission can open every course without an entitlement
+const ACCESS_ALL_PERMISSION = 'courses:access_all';
+
+// Holders of time-limited access are emailed this many days before it ends
+const ACCESS_EXPIRY_WARNING_DAYS = parseInt(process.env.ACCESS_EXPIRY_WARNING_DAYS || '7', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ENTITLEMENT_SELECT = `
+  *,
+  course:courses(course_id, title, thumbnail_url, video_series, video_part)
+`;
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @param {object} [details] - Extra information passed through to the response.
+ * @returns {Error}
+ */
+const entitlementError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Whether an entitlement is in force at the given moment.
+ * @param {object} entitlement - An entitlements row.
+ * @param {Date} now - The moment to check.
+ * @returns {boolean}
+ */
+const isInForce = (entitlement, now) => !entitlement.revoked_at
+  && new Date(entitlement.starts_at) <= now
+  && (!entitlement.expires_at || new Date(entitlement.expires_at) > now);
+
+/**
+ * Limits a query to the entitlements of a user: those linked to the account and those granted
+ * to its email address before the account existed (guest purchases).
+ * @param {object} query - A Supabase query on entitlements.
+ * @param {object} user - The user, with user_id and email.
+ * @returns {object} The filtered query.
+ */
+const ownedBy = (query, user) => {
+  if (user.user_id && user.email) {
+    return query.or(`user_id.eq.${user.user_id},customer_email.eq."${user.email}"`);
+  }
+  return user.user_id ? query.eq('user_id', user.user_id) : query.eq('customer_email', user.email);
+};
+
+const entitlementService = {
+  ENTITLEMENT_SOURCES,
+
+  /**
+   * The entitlement source of a paid guest_course_purchases row.
+   * @param {object} purchase - The purchase row.
+   * @returns {string} One of ENTITLEMENT_SOURCES.
+   */
+  sourceForPurchase: (purchase) => {
+    if (purchase.payment_method === 'SERIES_UNLOCK') {
+      return 'SERIES_GRANT';
+    }
+    if (purchase.payment_method === 'BUNDLE') {
+      return 'BUNDLE';
+    }
+    if (purchase.coupon_id && Number(purchase.course_price) === 0) {
+      return 'COUPON';
+    }
+    return 'PURCHASE';
+  },
+
+  /**
+   * Records that a customer may watch a course. Grants are keyed by course, source and source
+   * record, so granting again for the same purchase or enrollment refreshes the existing row
+   * (and lifts an earlier revocation) instead of adding another.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} grant - What to grant.
+   * @param {string} [grant.userId] - The UUID of the user; looked up by email when omitted.
+   * @param {string} [grant.email] - The customer's email, for buyers without an account yet.
+   * @param {string} grant.courseId - The UUID of the course.
+   * @param {string} grant.source - One of ENTITLEMENT_SOURCES.
+   * @param {string} [grant.sourceId] - The purchase, payment or enrollment that gave the access.
+   * @param {string} [grant.startsAt] - When access begins, defaults to now.
+   * @param {string|null} [grant.expiresAt] - When access ends, null for lifetime access. When omitted,
+   *   the course's access_duration_days decides (see getAccessExpiry); admin grants default to lifetime.
+   * @param {string} [grant.grantedBy] - The UUID of the admin who granted it.
+   * @param {string} [grant.note] - Why it was granted.
+   * @returns {Promise<object>} The entitlement.
+   */
+  grant: async (supabase, grant) => {
+    try {
+      if (!ENTITLEMENT_SOURCES.includes(grant.source)) {
+        throw entitlementError(400, 'INVALID_ENTITLEMENT', `Unknown entitlement source: ${grant.source}`);
+      }
+      if (!grant.userId && !grant.email) {
+        throw entitlementError(400, 'INVALID_ENTITLEMENT', 'An entitlement needs a user or an email address');
+      }
+
+      let userId = grant.userId || null;
+      let email = grant.email || null;
+
+      if (!userId) {
+        const { data: user } = await supabase
+          .from('users')
+          .select('user_id')
+          .eq('email', email)
+          .maybeSingle();
+        userId = user ? user.user_id : null;
+      } else if (!email) {
+        const { data: user } = await supabase
+          .from('users')
+          .select('email')
+          .eq('user_id', userId)
+          .maybeSingle();
+        email = user ? user.email : null;
+      }
+
+      let expiresAt = grant.expiresAt;
+      if (expiresAt === undefined && grant.source !== 'ADMIN_GRANT') {
+        let existing = null;
+        if (grant.sourceId) {
+          const { data } = await supabase
+            .from('entitlements')
+            .select('expires_at')
+            .eq('course_id', grant.courseId)
+            .eq('source', grant.source)
+            .eq('source_id', grant.sourceId)
+            .maybeSingle();
+          existing = data;
+        }
+
+        // Granting again for the same purchase or enrollment keeps the window it already has, even
+        // once it has run out: only a new purchase or enrollment buys a new window
+        expiresAt = existing
+          ? existing.expires_at
+          : await entitlementService.getAccessExpiry(supabase, { user_id: userId, email }, grant.courseId);
+      }
+
+      const row = {
+        user_id: userId,
+        customer_email: email,
+        course_id: grant.courseId,
+        source: grant.source,
+        source_id: grant.sourceId || null,
+        starts_at: grant.startsAt || new Date().toISOString(),
+        expires_at: expiresAt || null,
+        revoked_at: null,
+        granted_by: grant.grantedBy || null,
+        note: grant.note || null
+      };
+
+      // Grants without a source record (admin grants) are never merged
+      const query = row.source_id
+        ? supabase.from('entitlements').upsert(row, { onConflict: 'course_id,source,source_id' })
+        : supabase.from('entitlements').insert(row);
+
+      const { data, error } = await query.select().single();
+
+      if (error) {
+        console.error('Error storing entitlement:', error);
+        throw new Error(`Failed to grant access: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in grant:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Works out when access bought or approved now should end. Courses without access_duration_days
+   * are lifetime. For time-limited courses the days are added to the end of the holder's current
+   * access, so renewing before it runs out extends the window instead of starting over.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} holder - Who gets the access, with user_id and/or email.
+   * @param {string} courseId - The UUID of the course.
+   * @returns {Promise<string|null>} The end of access as an ISO string, or null for lifetime access.
+   */
+  getAccessExpiry: async (supabase, holder, courseId) => {
+    try {
+      const { data: course, error: courseError } = await supabase
+        .from('courses')
+        .select('access_duration_days')
+        .eq('course_id', courseId)
+        .maybeSingle();
+
+      if (courseError) {
+        console.error('Error fetching course access duration:', courseError);
+        throw new Error(`Failed to work out access expiry: ${courseError.message}`);
+      }
+      if (!course || !course.access_duration_days) {
+        return null;
+      }
+
+      const now = new Date();
+      let from = now;
+
+      if (holder.user_id || holder.email) {
+        const { data: current, error } = await ownedBy(
+          supabase.from('entitlements').select('starts_at, expires_at, revoked_at').eq('course_id', courseId),
+          holder
+        ).is('revoked_at', null);
+
+        if (error) {
+          console.error('Error fetching current access for renewal:', error);
+          throw new Error(`Failed to work out access expiry: ${error.message}`);
+        }
+
+        (current || [])
+          .filter(entitlement => entitlement.expires_at && isInForce(entitlement, now))
+          .forEach(entitlement => {
+            if (new Date(entitlement.expires_at) > from) {
+              from = new Date(entitlement.expires_at);
+            }
+          });
+      }
+
+      return new Date(from.getTime() + course.access_duration_days * DAY_MS).toISOString();
+    } catch (error) {
+      console.error('Error in getAccessExpiry:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Grants the course of a paid guest purchase to its buyer, with the source derived from how
+   * the purchase was made (bought, series unlock, bundle or free through a coupon). The end of a
+   * time-limited window is written back to the purchase's access_expires_at.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} purchase - The paid guest_course_purchases row.
+   * @returns {Promise<object>} The entitlement.
+   */
+  grantForPurchase: async (supabase, purchase) => {
+    const entitlement = await entitlementService.grant(supabase, {
+      email: purchase.customer_email,
+      courseId: purchase.course_id,
+      source: entitlementService.sourceForPurchase(purchase),
+      sourceId: purchase.purchase_id,
+      expiresAt: purchase.access_expires_at || undefined
+    });
+
+    if (entitlement.expires_at && entitlement.expires_at !== purchase.access_expires_at) {
+      const { error } = await supabase
+        .from('guest_course_purchases')
+        .update({ access_expires_at: entitlement.expires_at })
+        .eq('purchase_id', purchase.purchase_id);
+
+      if (error) {
+        // The entitlement is what access checks read; the purchase column is informational
+        console.error('Error recording access expiry on purchase:', error);
+      }
+    }
+
+    return entitlement;
+  },
+
+  /**
+   * Grants the courses of many paid guest purchases at once, for bulk jobs such as the series
+   * unlock reconciliation. Same rules as grantForPurchase, in two queries instead of two per purchase.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {Array<object>} purchases - Paid guest_course_purchases rows.
+   * @returns {Promise<Array<object>>} The entitlements.
+   */
+  grantForPurchases: async (supabase, purchases) => {
+    try {
+      if (purchases.length === 0) {
+        return [];
+      }
+
+      const emails = [...new Set(purchases.map(purchase => purchase.customer_email))];
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('user_id, email')
+        .in('email', emails);
+
+      if (usersError) {
+        console.error('Error fetching users for entitlements:', usersError);
+        throw new Error(`Failed to grant access: ${usersError.message}`);
+      }
+
+      const userIds = new Map((users || []).map(user => [user.email, user.user_id]));
+
+      // These are courses the customers do not have yet, so a time-limited one simply starts now
+      const courseIds = [...new Set(purchases.map(purchase => purchase.course_id))];
+      const { data: courses, error: coursesError } = await supabase
+        .from('courses')
+        .select('course_id, access_duration_days')
+        .in('course_id', courseIds);
+
+      if (coursesError) {
+        console.error('Error fetching course access durations:', coursesError);
+        throw new Error(`Failed to grant access: ${coursesError.message}`);
+      }
+
+      const durations = new Map((courses || []).map(course => [course.course_id, course.access_duration_days]));
+      const now = new Date();
+      const expiryFor = (purchase) => {
+        if (purchase.access_expires_at) {
+          return purchase.access_expires_at;
+        }
+        const days = durations.get(purchase.course_id);
+        return days ? new Date(now.getTime() + days * DAY_MS).toISOString() : null;
+      };
+
+      const { data, error } = await supabase
+        .from('entitlements')
+        .upsert(purchases.map(purchase => ({
+          user_id: userIds.get(purchase.customer_email) || null,
+          customer_email: purchase.customer_email,
+          course_id: purchase.course_id,
+          source: entitlementService.sourceForPurchase(purchase),
+          source_id: purchase.purchase_id,
+          starts_at: now.toISOString(),
+          expires_at: expiryFor(purchase),
+          revoked_at: null
+        })), { onConflict: 'course_id,source,source_id' })
+        .select();
+
+      if (error) {
+        console.error('Error storing entitlements:', error);
+        throw new Error(`Failed to grant access: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in grantForPurchases:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revokes the entitlements that came from a purchase, payment or enrollment,
+   * e.g. after a refund or when an enrollment is rejected.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} sourceId - The UUID of the source record.
+   * @returns {Promise<Array<object>>} The revoked entitlements.
+   */
+  revokeBySource: async (supabase, sourceId) => {
+    try {
+      const { data, error } = await supabase
+        .from('entitlements')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('source_id', sourceId)
+        .is('revoked_at', null)
+        .select();
+
+      if (error) {
+        console.error('Error revoking entitlements:', error);
+        throw new Error(`Failed to revoke access: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in revokeBySource:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revokes one entitlement.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} entitlementId - The UUID of the entitlement.
+   * @returns {Promise<object>} The revoked entitlement.
+   * @throws {Error} 404 ENTITLEMENT_NOT_FOUND.
+   */
+  revoke: async (supabase, entitlementId) => {
+    try {
+      const { data, error } = await supabase
+        .from('entitlements')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('entitlement_id', entitlementId)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error revoking entitlement:', error);
+        throw new Error(`Failed to revoke access: ${error.message}`);
+      }
+      if (!data) {
+        throw entitlementError(404, 'ENTITLEMENT_NOT_FOUND', 'Entitlement not found');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in revoke:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lists entitlements for the admin, newest first.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [filters] - Optional filters.
+   * @param {string} [filters.userId] - Only this user's entitlements (including those granted to their email).
+   * @param {string} [filters.email] - Only entitlements granted to this email.
+   * @param {string} [filters.courseId] - Only entitlements to this course.
+   * @param {string} [filters.source] - Only entitlements from this source.
+   * @returns {Promise<Array<object>>} Entitlements, each with is_active.
+   */
+  getEntitlements: async (supabase, filters = {}) => {
+    try {
+      let query = supabase
+        .from('entitlements')
+        .select(ENTITLEMENT_SELECT)
+        .order('created_at', { ascending: false });
+
+      if (filters.userId) {
+        const { data: user } = await supabase
+          .from('users')
+          .select('user_id, email')
+          .eq('user_id', filters.userId)
+          .maybeSingle();
+        query = ownedBy(query, user || { user_id: filters.userId });
+      }
+      if (filters.email) {
+        query = query.eq('customer_email', filters.email);
+      }
+      if (filters.courseId) {
+        query = query.eq('course_id', filters.courseId);
+      }
+      if (filters.source) {
+        query = query.eq('source', filters.source);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching entitlements:', error);
+        throw new Error(`Failed to fetch entitlements: ${error.message}`);
+      }
+
+      const now = new Date();
+      return (data || []).map(entitlement => ({ ...entitlement, is_active: isInForce(entitlement, now) }));
+    } catch (error) {
+      console.error('Error in getEntitlements:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lists the entitlements currently in force for a user.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - The user, with user_id and email.
+   * @returns {Promise<Array<object>>}
+   */
+  getActiveEntitlementsForUser: async (supabase, user) => {
+    try {
+      const { data, error } = await ownedBy(
+        supabase.from('entitlements').select(ENTITLEMENT_SELECT),
+        user
+      )
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching user entitlements:', error);
+        throw new Error(`Failed to fetch entitlements: ${error.message}`);
+      }
+
+      const now = new Date();
+      return (data || []).filter(entitlement => isInForce(entitlement, now));
+    } catch (error) {
+      console.error('Error in getActiveEntitlementsForUser:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Decides whether a user may open a course or a chapter, and why. This is the one place access
+   * is decided: staff with courses:access_all see everything, instructors see the courses they
+   * teach, chapters marked is_free_preview are open to everyone, and otherwise the user needs an
+   * entitlement to the course that has started, has not expired and was not revoked.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object|null} user - The signed-in user (user_id, email, role), or null.
+   * @param {object} resource - What is being opened: { courseId } or { chapterId }.
+   * @returns {Promise<{allowed: boolean, reason: string, courseId: string, entitlement: object|null}>}
+   *   reason is STAFF, INSTRUCTOR, FREE_PREVIEW, ENTITLED, NOT_SIGNED_IN, NOT_STARTED, EXPIRED or NO_ENTITLEMENT.
+   * @throws {Error} 404 COURSE_NOT_FOUND or CHAPTER_NOT_FOUND.
+   */
+  getAccess: async (supabase, user, resource) => {
+    try {
+      let courseId = resource.courseId;
+      let instructorId = null;
+      let freePreview = false;
+
+      if (resource.chapterId) {
+        const { data: chapter, error: chapterError } = await supabase
+          .from('chapters')
+          .select('course_id, is_free_preview, course:courses(instructor_id)')
+          .eq('chapter_id', resource.chapterId)
+          .maybeSingle();
+
+        if (chapterError) {
+          console.error('Error fetching chapter for access check:', chapterError);
+          throw new Error(`Failed to check access: ${chapterError.message}`);
+        }
+        if (!chapter) {
+          throw entitlementError(404, 'CHAPTER_NOT_FOUND', 'Chapter not found');
+        }
+        courseId = chapter.course_id;
+        instructorId = chapter.course ? chapter.course.instructor_id : null;
+        freePreview = !!chapter.is_free_preview;
+      } else {
+        const { data: course, error: courseError } = await supabase
+          .from('courses')
+          .select('course_id, instructor_id')
+          .eq('course_id', courseId)
+          .maybeSingle();
+
+        if (courseError) {
+          console.error('Error fetching course for access check:', courseError);
+          throw new Error(`Failed to check access: ${courseError.message}`);
+        }
+        if (!course) {
+          throw entitlementError(404, 'COURSE_NOT_FOUND', 'Course not found');
+        }
+        instructorId = course.instructor_id;
+      }
+
+      const decision = (allowed, reason, entitlement = null) => ({ allowed, reason, courseId, entitlement });
+
+      if (user && user.role && await permissionService.roleHasPermission(supabase, user.role, ACCESS_ALL_PERMISSION)) {
+        return decision(true, 'STAFF');
+      }
+      if (user && instructorId) {
+        const { data: teaches } = await supabase
+          .from('instructors')
+          .select('instructor_id')
+          .eq('instructor_id', instructorId)
+          .eq('user_id', user.user_id)
+          .eq('is_active', true)
+          .maybeSingle();
+        if (teaches) {
+          return decision(true, 'INSTRUCTOR');
+        }
+      }
+      if (freePreview) {
+        return decision(true, 'FREE_PREVIEW');
+      }
+      if (!user) {
+        return decision(false, 'NOT_SIGNED_IN');
+      }
+
+      const { data: entitlements, error } = await ownedBy(
+        supabase.from('entitlements').select('*').eq('course_id', courseId),
+        user
+      ).is('revoked_at', null);
+
+      if (error) {
+        console.error('Error fetching entitlements for access check:', error);
+        throw new Error(`Failed to check access: ${error.message}`);
+      }
+
+      const now = new Date();
+      const current = entitlements.find(entitlement => isInForce(entitlement, now));
+      if (current) {
+        return decision(true, 'ENTITLED', current);
+      }
+
+      // Explain the closest miss so the client can offer a renewal or show the start date
+      const upcoming = entitlements.find(entitlement => new Date(entitlement.starts_at) > now);
+      if (upcoming) {
+        return decision(false, 'NOT_STARTED', upcoming);
+      }
+      const expired = entitlements
+        .filter(entitlement => entitlement.expires_at)
+        .sort((a, b) => new Date(b.expires_at) - new Date(a.expires_at))[0];
+      if (expired) {
+        return decision(false, 'EXPIRED', expired);
+      }
+
+      return decision(false, 'NO_ENTITLEMENT');
+    } catch (error) {
+      console.error('Error in getAccess:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether a user may open a course or a chapter. See getAccess for the rules.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object|null} user - The signed-in user (user_id, email, role), or null.
+   * @param {object} resource - What is being opened: { courseId } or { chapterId }.
+   * @returns {Promise<boolean>}
+   */
+  canAccess: async (supabase, user, resource) => {
+    const access = await entitlementService.getAccess(supabase, user, resource);
+    return access.allowed;
+  },
+
+  /**
+   * Checks access like getAccess and throws when it is denied, for routes that serve course
+   * content. The error tells the client how the content can be unlocked: by signing in, buying
+   * the course, renewing expired access or waiting for access that has not started yet.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object|null} user - The signed-in user (user_id, email, role), or null.
+   * @param {object} resource - What is being opened: { courseId } or { chapterId }.
+   * @returns {Promise<object>} The access decision, when allowed.
+   * @throws {Error} 403 LOCKED with details { reason, courseId, chapterId, unlock }, or 404 as getAccess.
+   */
+  assertAccess: async (supabase, user, resource) => {
+    const access = await entitlementService.getAccess(supabase, user, resource);
+    if (access.allowed) {
+      return access;
+    }
+
+    const { data: course } = await supabase
+      .from('courses')
+      .select('course_id, title, price, access_duration_days')
+      .eq('course_id', access.courseId)
+      .maybeSingle();
+
+    const purchase = {
+      courseId: access.courseId,
+      courseTitle: course ? course.title : null,
+      price: course ? Number(course.price || 0) : null,
+      accessDurationDays: course ? course.access_duration_days : null
+    };
+    const unlockBy = {
+      NOT_SIGNED_IN: { action: 'SIGN_IN', message: 'Sign in with the account that owns this course, or buy it', ...purchase },
+      NO_ENTITLEMENT: { action: 'PURCHASE', message: 'Buy this course to unlock it', ...purchase },
+      EXPIRED: { action: 'RENEW', message: 'Your access has ended. Buy the course again to renew it', expiredAt: access.entitlement && access.entitlement.expires_at, ...purchase },
+      NOT_STARTED: { action: 'WAIT', message: 'Your access has not started yet', availableAt: access.entitlement && access.entitlement.starts_at }
+    };
+
+    throw entitlementError(403, 'LOCKED', resource.chapterId ? 'This chapter is locked' : 'This course is locked', {
+      reason: access.reason,
+      courseId: access.courseId,
+      chapterId: resource.chapterId || null,
+      unlock: unlockBy[access.reason]
+    });
+  },
+
+  /**
+   * Emails holders whose time-limited access ends within ACCESS_EXPIRY_WARNING_DAYS, once per
+   * entitlement. Holders who already renewed, or have other access to the course that lasts
+   * longer, are not warned. Each entitlement is claimed with a conditional update first, so
+   * several instances running the scheduler send a single email.
+   * @param {object} supabase - The Supabase client instance.
+   * @returns {Promise<Array<object>>} The entitlements whose holders were warned.
+   */
+  warnExpiringAccess: async (supabase) => {
+    try {
+      const now = new Date();
+      const warnUntil = new Date(now.getTime() + ACCESS_EXPIRY_WARNING_DAYS * DAY_MS);
+
+      const { data: expiring, error } = await supabase
+        .from('entitlements')
+        .select('*, course:courses(course_id, title)')
+        .is('revoked_at', null)
+        .is('expiry_warning_sent_at', null)
+        .gt('expires_at', now.toISOString())
+        .lte('expires_at', warnUntil.toISOString())
+        .lte('starts_at', now.toISOString());
+
+      if (error) {
+        console.error('Error fetching expiring entitlements:', error);
+        throw new Error(`Failed to fetch expiring access: ${error.message}`);
+      }
+
+      const warned = [];
+
+      for (const entitlement of expiring || []) {
+        const { data: claimed, error: claimError } = await supabase
+          .from('entitlements')
+          .update({ expiry_warning_sent_at: now.toISOString() })
+          .eq('entitlement_id', entitlement.entitlement_id)
+          .is('expiry_warning_sent_at', null)
+          .select('entitlement_id');
+
+        if (claimError) {
+          console.error(`Error claiming entitlement ${entitlement.entitlement_id} for expiry warning:`, claimError);
+          continue;
+        }
+        if (!claimed || claimed.length === 0) {
+          continue;
+        }
+
+        try {
+          const { data: user } = entitlement.user_id
+            ? await supabase
+              .from('users')
+              .select('user_id, email, first_name')
+              .eq('user_id', entitlement.user_id)
+              .maybeSingle()
+            : { data: null };
+          const holder = { user_id: entitlement.user_id, email: user ? user.email : entitlement.customer_email };
+
+          const { data: others, error: othersError } = await ownedBy(
+            supabase.from('entitlements').select('*').eq('course_id', entitlement.course_id),
+            holder
+          )
+            .is('revoked_at', null)
+            .neq('entitlement_id', entitlement.entitlement_id);
+
+          if (othersError) {
+            throw new Error(`Failed to check other access: ${othersError.message}`);
+          }
+
+          const continues = (others || []).some(other => (!other.expires_at || new Date(other.expires_at) > new Date(entitlement.expires_at))
+            && new Date(other.starts_at) <= new Date(entitlement.expires_at));
+          if (continues) {
+            continue;
+          }
+
+          await emailService.sendAccessExpiryWarning({
+            email: holder.email,
+            first_name: user ? user.first_name : null,
+            courseTitle: entitlement.course ? entitlement.course.title : 'your course',
+            expiresAt: entitlement.expires_at
+          });
+          warned.push(entitlement);
+        } catch (warningError) {
+          console.error(`Error warning about expiring entitlement ${entitlement.entitlement_id}:`, warningError);
+          // Release the claim so the next run tries again
+          await supabase
+            .from('entitlements')
+            .update({ expiry_warning_sent_at: null })
+            .eq('entitlement_id', entitlement.entitlement_id);
+        }
+      }
+
+      return warned;
+    } catch (error) {
+      console.error('Error in warnExpiringAccess:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = entitlementService;
@@ -1,4 +1,5 @@
 // src/services/guestBookingService.js
+const couponService = require('./couponService');
 
 const guestBookingService = {
   /**
@@ -196,7 +197,23 @@ const guestBookingService = {
         updateData.meeting_link = `https://meet.google.com/${Math.random().toString(36).substr(2, 9)}-${Math.random().toString(36).substr(2, 4)}`;
       }
 
-      return await guestBookingService.updateGuestBooking(supabase, bookingId, updateData);
+      const booking = await guestBookingService.updateGuestBooking(supabase, bookingId, updateData);
+
+      if (booking && booking.coupon_id && ['PAID', 'FAILED', 'CANCELLED'].includes(paymentStatus)) {
+        try {
+          await couponService.settleRedemptions(
+            supabase,
+            'GUEST_BOOKING',
+            bookingId,
+            paymentStatus === 'PAID' ? 'REDEEMED' : 'RELEASED'
+          );
+        } catch (couponError) {
+          // The booking is updated either way; a pending redemption still counts towards the limits
+          console.error('Error settling coupon redemption:', couponError);
+        }
+      }
+
+      return booking;
     } catch (error) {
       console.error('Error in updatePaymentStatus service:', error);
       throw error;
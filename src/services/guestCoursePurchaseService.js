@@ -8,6 +8,7 @@ class GuestCoursePurchaseService {
     try {
       const {
         courseId,
+        bundleId,
         customerName,
         customerEmail,
         customerPhone,
@@ -20,7 +21,8 @@ class GuestCoursePurchaseService {
       const { data, error } = await supabase
         .from('guest_course_purchases')
         .insert({
-          course_id: courseId,
+          course_id: courseId || null,
+          bundle_id: bundleId || null,
           customer_name: customerName,
           customer_email: customerEmail,
           customer_phone: customerPhone,
@@ -42,6 +44,11 @@ class GuestCoursePurchaseService {
               last_name,
               email
             )
+          ),
+          bundle:course_bundles(
+            bundle_id,
+            title,
+            price
           )
         `)
         .single();
@@ -79,6 +86,11 @@ class GuestCoursePurchaseService {
               last_name,
               email
             )
+          ),
+          bundle:course_bundles(
+            bundle_id,
+            title,
+            price
           )
         `)
         .order('created_at', { ascending: false });
@@ -126,6 +138,11 @@ class GuestCoursePurchaseService {
               last_name,
               email
             )
+          ),
+          bundle:course_bundles(
+            bundle_id,
+            title,
+            price
           )
         `)
         .eq('purchase_id', purchaseId)
@@ -164,6 +181,11 @@ class GuestCoursePurchaseService {
               last_name,
               email
             )
+          ),
+          bundle:course_bundles(
+            bundle_id,
+            title,
+            price
           )
         `)
         .eq('access_code', accessCode)
@@ -183,53 +205,86 @@ class GuestCoursePurchaseService {
   }
 
   /**
-   * Get purchased courses by customer email
+   * Get the courses an email address can currently open, from its entitlements. Purchase
+   * details (purchase_id, access_code) are filled in where the access came from a guest purchase.
    */
   async getPurchasedCoursesByEmail(supabase, customerEmail) {
     try {
-      const { data, error } = await supabase
-        .from('guest_course_purchases')
+      const entitlementService = require('./entitlementService');
+      const entitlements = await entitlementService.getActiveEntitlementsForUser(supabase, { email: customerEmail });
+
+      // Newest first; the first entitlement seen for a course stands for it
+      const byCourse = new Map();
+      for (const entitlement of entitlements) {
+        if (!byCourse.has(entitlement.course_id)) {
+          byCourse.set(entitlement.course_id, entitlement);
+        }
+      }
+      if (byCourse.size === 0) {
+        return [];
+      }
+
+      const { data: courses, error } = await supabase
+        .from('courses')
         .select(`
-          *,
-          course:courses(
-            course_id,
-            title,
-            description,
-            thumbnail_url,
-            price,
-            duration_hours,
-            level,
-            video_series,
-            video_part,
-            intro_video_url,
-            created_at,
-            instructor:instructors(
-              instructor_id,
-              first_name,
-              last_name,
-              email
-            )
-              
+          course_id,
+          title,
+          description,
+          thumbnail_url,
+          price,
+          duration_hours,
+          level,
+          video_series,
+          video_part,
+          intro_video_url,
+          created_at,
+          instructor:instructors(
+            instructor_id,
+            first_name,
+            last_name,
+            email
           )
         `)
-        .eq('customer_email', customerEmail)
-        .eq('payment_status', 'PAID')
-        .eq('is_active', true)
-        .order('created_at', { ascending: false });
+        .in('course_id', [...byCourse.keys()]);
 
       if (error) {
         console.error('Error fetching purchased courses by email:', error);
         throw error;
       }
 
-      // Return only the course data with purchase info
-      return data.map(purchase => ({
-        ...purchase.course,
-        purchase_id: purchase.purchase_id,
-        access_code: purchase.access_code,
-        purchased_at: purchase.created_at,
-        is_purchased: true
-      }));
+      const sourceIds = [...byCourse.values()].map(entitlement => entitlement.source_id).filter(Boolean);
+      let purchases = [];
+      if (sourceIds.length > 0) {
+        const { data: purchaseRows, error: purchaseError } = await supabase
+          .from('guest_course_purchases')
+          .select('purchase_id, access_code')
+          .in('purchase_id', sourceIds);
+
+        if (purchaseError) {
+          console.error('Error fetching purchases for purchased courses:', purchaseError);
+          throw purchaseError;
+        }
+        purchases = purchaseRows || [];
+      }
+
+      // Return the course data with purchase info
+      const courseById = new Map(courses.map(course => [course.course_id, course]));
+      const purchaseById = new Map(purchases.map(purchase => [purchase.purchase_id, purchase]));
+      return [...byCourse.values()]
+        .filter(entitlement => courseById.has(entitlement.course_id))
+        .map(entitlement => {
+          const purchase = purchaseById.get(entitlement.source_id);
+          return {
+            ...courseById.get(entitlement.course_id),
+            purchase_id: purchase ? purchase.purchase_id : null,
+            access_code: purchase ? purchase.access_code : null,
+            purchased_at: entitlement.starts_at,
+            access_source: entitlement.source,
+            access_expires_at: entitlement.expires_at,
+            is_expired: false,
+            is_purchased: true
+          };
+        });
     } catch (error) {
       console.error('Error in getPurchasedCoursesByEmail:', error);
       throw error;
@@ -272,6 +327,11 @@ class GuestCoursePurchaseService {
               last_name,
               email
             )
+          ),
+          bundle:course_bundles(
+            bundle_id,
+            title,
+            price
           )
         `)
         .single();
@@ -281,30 +341,53 @@ class GuestCoursePurchaseService {
         throw error;
       }
 
-      // If payment is completed, unlock all chapters for the user and series courses
-      if (paymentStatus === 'PAID' && data) {
+      if (data && data.coupon_id && ['PAID', 'FAILED', 'CANCELLED'].includes(paymentStatus)) {
+        try {
+          const couponService = require('./couponService');
+          await couponService.settleRedemptions(
+            supabase,
+            'GUEST_COURSE_PURCHASE',
+            purchaseId,
+            paymentStatus === 'PAID' ? 'REDEEMED' : 'RELEASED'
+          );
+        } catch (couponError) {
+          console.error('Error settling coupon redemption:', couponError);
+          // Don't throw error here as payment update was successful
+        }
+      }
+
+      // Refunded or cancelled purchases take the access they gave away again
+      if (['REFUNDED', 'CANCELLED'].includes(paymentStatus) && data) {
         try {
-          const userChapterAccessService = require('./userChapterAccessService');
-          
-          // Get or create user account for guest purchase
-          const { data: userData } = await supabase
-            .from('users')
-            .select('user_id')
-            .eq('email', data.customer_email)
-            .single();
-
-          if (userData) {
-            await userChapterAccessService.unlockAllChaptersForCourse(
-              supabase, 
-              userData.user_id, 
-              data.course_id
-            );
-            console.log(`✅ All chapters unlocked for user ${userData.user_id} in course ${data.course_id}`);
-          } else {
-            console.log(`⚠️ User account not found for email ${data.customer_email}, chapters will be unlocked when account is created`);
-          }
-        } catch (chapterError) {
-          console.error('Error unlocking chapters after payment completion:', chapterError);
+          const entitlementService = require('./entitlementService');
+          await entitlementService.revokeBySource(supabase, purchaseId);
+        } catch (entitlementError) {
+          console.error('Error revoking course access after payment change:', entitlementError);
+          // Don't throw error here as payment update was successful
+        }
+      }
+
+      // A paid bundle grants each of its courses; there is no single course to unlock
+      if (paymentStatus === 'PAID' && data && !data.course_id) {
+        try {
+          const bundleService = require('./bundleService');
+          await bundleService.grantBundleCourses(supabase, data, () => this.generateAccessCode());
+        } catch (bundleError) {
+          console.error('Error granting bundle courses after payment completion:', bundleError);
+          // Don't throw error here as payment update was successful
+        }
+      }
+
+      // If payment is completed, grant the course and unlock the rest of its series
+      if (paymentStatus === 'PAID' && data && data.course_id) {
+        try {
+          const entitlementService = require('./entitlementService');
+          // Granted to the email, so a buyer who signs up later is covered too
+          const entitlement = await entitlementService.grantForPurchase(supabase, data);
+          data.access_expires_at = entitlement.expires_at;
+          console.log(`✅ Access to course ${data.course_id} granted to ${data.customer_email}`);
+        } catch (entitlementError) {
+          console.error('Error granting course access after payment completion:', entitlementError);
           // Don't throw error here as payment update was successful
         }
 
@@ -440,30 +523,13 @@ class GuestCoursePurchaseService {
 
         console.log(`🎉 SERIES UNLOCK: Successfully unlocked course: ${course.title}`);
         
-        // Unlock chapters for this series course
         try {
-          const userChapterAccessService = require('./userChapterAccessService');
-          
-          // Get or create user account for guest purchase
-          const { data: userData } = await supabase
-            .from('users')
-            .select('user_id')
-            .eq('email', customerEmail)
-            .single();
-
-          if (userData) {
-            await userChapterAccessService.unlockAllChaptersForCourse(
-              supabase, 
-              userData.user_id, 
-              course.course_id
-            );
-            console.log(`✅ SERIES UNLOCK: All chapters unlocked for user ${userData.user_id} in course ${course.course_id}`);
-          } else {
-            console.log(`⚠️ SERIES UNLOCK: User account not found for email ${customerEmail}, chapters will be unlocked when account is created`);
-          }
-        } catch (chapterError) {
-          console.error(`❌ SERIES UNLOCK: Error unlocking chapters for course ${course.title}:`, chapterError);
-          // Don't fail the series unlock if chapter unlocking fails
+          const entitlementService = require('./entitlementService');
+          await entitlementService.grantForPurchase(supabase, newPurchase);
+          console.log(`✅ SERIES UNLOCK: Access to ${course.title} granted to ${customerEmail}`);
+        } catch (entitlementError) {
+          console.error(`❌ SERIES UNLOCK: Error granting access to course ${course.title}:`, entitlementError);
+          // Don't fail the series unlock if the grant fails
         }
         
         return newPurchase;
@@ -534,6 +600,11 @@ class GuestCoursePurchaseService {
               last_name,
               email
             )
+          ),
+          bundle:course_bundles(
+            bundle_id,
+            title,
+            price
           )
         `)
         .single();
@@ -565,6 +636,9 @@ class GuestCoursePurchaseService {
         throw error;
       }
 
+      const entitlementService = require('./entitlementService');
+      await entitlementService.revokeBySource(supabase, purchaseId);
+
       return { success: true };
     } catch (error) {
       console.error('Error in deleteGuestCoursePurchase:', error);
@@ -0,0 +1,256 @@
+// src/services/impersonationService.js
+
+// Impersonation tokens are for reproducing a support ticket, not for working as the user
+const DEFAULT_IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES || '15', 10);
+const MAX_IMPERSONATION_MINUTES = 60;
+
+// Only accounts without staff permissions can be viewed through an impersonation token
+const IMPERSONABLE_ROLES = ['STUDENT', 'INSTRUCTOR'];
+
+const IMPERSONATION_COLUMNS = 'impersonation_id, admin_user_id, target_user_id, reason, ip_address, user_agent, started_at, expires_at, ended_at, ended_by';
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const impersonationError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const impersonationService = {
+  /**
+   * Opens an impersonation of a user by an admin and records it in the audit trail.
+   * The caller signs the read-only access token for the returned record.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} admin - User row of the admin starting the impersonation.
+   * @param {string} targetUserId - The UUID of the user to view the app as.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.reason] - Why the admin needs to impersonate, e.g. a ticket reference.
+   * @param {number} [options.durationMinutes] - Token lifetime, capped at MAX_IMPERSONATION_MINUTES.
+   * @param {string} [options.ipAddress] - IP address of the admin's request.
+   * @param {string} [options.userAgent] - User agent of the admin's request.
+   * @returns {Promise<{impersonation: object, targetUser: object}>} The audit record and the impersonated user.
+   * @throws {Error} 404 USER_NOT_FOUND, or 400 CANNOT_IMPERSONATE for staff accounts and the admin's own account.
+   */
+  startImpersonation: async (supabase, admin, targetUserId, options = {}) => {
+    try {
+      if (admin.user_id === targetUserId) {
+        throw impersonationError(400, 'CANNOT_IMPERSONATE', 'You cannot impersonate yourself');
+      }
+
+      const { data: targetUser, error: userError } = await supabase
+        .from('users')
+        .select('*')
+        .eq('user_id', targetUserId)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (userError) {
+        console.error('Error fetching user to impersonate:', userError);
+        throw new Error(`Failed to start impersonation: ${userError.message}`);
+      }
+      if (!targetUser) {
+        throw impersonationError(404, 'USER_NOT_FOUND', 'User not found or inactive');
+      }
+      if (!IMPERSONABLE_ROLES.includes(targetUser.role)) {
+        throw impersonationError(400, 'CANNOT_IMPERSONATE', `${targetUser.role} accounts cannot be impersonated`);
+      }
+
+      const durationMinutes = Math.min(options.durationMinutes || DEFAULT_IMPERSONATION_MINUTES, MAX_IMPERSONATION_MINUTES);
+      const startedAt = new Date();
+
+      const { data: impersonation, error } = await supabase
+        .from('impersonation_sessions')
+        .insert({
+          admin_user_id: admin.user_id,
+          target_user_id: targetUser.user_id,
+          reason: options.reason || null,
+          ip_address: options.ipAddress || null,
+          user_agent: options.userAgent || null,
+          started_at: startedAt.toISOString(),
+          expires_at: new Date(startedAt.getTime() + durationMinutes * 60 * 1000).toISOString()
+        })
+        .select(IMPERSONATION_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error('Error recording impersonation:', error);
+        throw new Error(`Failed to start impersonation: ${error.message}`);
+      }
+
+      console.log(`Admin ${admin.user_id} started impersonating user ${targetUser.user_id} (${impersonation.impersonation_id}).`);
+      return { impersonation, targetUser };
+    } catch (error) {
+      console.error('Error in startImpersonation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Ends an impersonation early. Tokens issued for it are rejected from then on.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} impersonationId - The UUID of the impersonation.
+   * @param {string} endedBy - The UUID of the admin ending it.
+   * @returns {Promise<object>} The updated audit record.
+   * @throws {Error} 404 IMPERSONATION_NOT_FOUND if there is no open impersonation with that ID.
+   */
+  endImpersonation: async (supabase, impersonationId, endedBy) => {
+    try {
+      const { data, error } = await supabase
+        .from('impersonation_sessions')
+        .update({ ended_at: new Date().toISOString(), ended_by: endedBy })
+        .eq('impersonation_id', impersonationId)
+        .is('ended_at', null)
+        .select(IMPERSONATION_COLUMNS)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error ending impersonation:', error);
+        throw new Error(`Failed to end impersonation: ${error.message}`);
+      }
+      if (!data) {
+        throw impersonationError(404, 'IMPERSONATION_NOT_FOUND', 'Impersonation not found or already ended');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in endImpersonation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks whether tokens of an impersonation may still be used.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} impersonationId - The UUID of the impersonation.
+   * @returns {Promise<boolean>} False once the impersonation was ended or has expired.
+   */
+  isImpersonationActive: async (supabase, impersonationId) => {
+    const { data, error } = await supabase
+      .from('impersonation_sessions')
+      .select('impersonation_id')
+      .eq('impersonation_id', impersonationId)
+      .is('ended_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error checking impersonation:', error);
+      throw new Error(`Failed to check impersonation: ${error.message}`);
+    }
+
+    return !!data;
+  },
+
+  /**
+   * Appends a request made with an impersonation token to the audit trail.
+   * Failures are logged only, so auditing never breaks the response.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} impersonationId - The UUID of the impersonation.
+   * @param {object} request - What was requested.
+   * @param {string} request.method - HTTP method.
+   * @param {string} request.path - Requested URL.
+   * @param {number} request.statusCode - Status code of the response.
+   * @returns {Promise<void>}
+   */
+  logRequest: async (supabase, impersonationId, { method, path, statusCode }) => {
+    const { error } = await supabase
+      .from('impersonation_requests')
+      .insert({
+        impersonation_id: impersonationId,
+        method,
+        path,
+        status_code: statusCode
+      });
+
+    if (error) {
+      console.error('Error logging impersonated request:', error);
+    }
+  },
+
+  /**
+   * Lists impersonations, newest first.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [filters] - Optional filters.
+   * @param {string} [filters.adminUserId] - Only impersonations started by this admin.
+   * @param {string} [filters.targetUserId] - Only impersonations of this user.
+   * @param {number} [filters.limit=50] - Maximum number of records.
+   * @returns {Promise<Array<object>>} Audit records with the admin and the impersonated user.
+   */
+  getImpersonations: async (supabase, filters = {}) => {
+    try {
+      let query = supabase
+        .from('impersonation_sessions')
+        .select(`
+          ${IMPERSONATION_COLUMNS},
+          admin:users!impersonation_sessions_admin_user_id_fkey(user_id, email, first_name, last_name),
+          target:users!impersonation_sessions_target_user_id_fkey(user_id, email, first_name, last_name)
+        `)
+        .order('started_at', { ascending: false })
+        .limit(filters.limit || 50);
+
+      if (filters.adminUserId) {
+        query = query.eq('admin_user_id', filters.adminUserId);
+      }
+      if (filters.targetUserId) {
+        query = query.eq('target_user_id', filters.targetUserId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching impersonations:', error);
+        throw new Error(`Failed to fetch impersonations: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in getImpersonations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves one impersonation with every request made during it.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} impersonationId - The UUID of the impersonation.
+   * @returns {Promise<object>} The audit record including its requests, oldest first.
+   * @throws {Error} 404 IMPERSONATION_NOT_FOUND if it does not exist.
+   */
+  getImpersonationById: async (supabase, impersonationId) => {
+    try {
+      const { data, error } = await supabase
+        .from('impersonation_sessions')
+        .select(`
+          ${IMPERSONATION_COLUMNS},
+          admin:users!impersonation_sessions_admin_user_id_fkey(user_id, email, first_name, last_name),
+          target:users!impersonation_sessions_target_user_id_fkey(user_id, email, first_name, last_name),
+          requests:impersonation_requests(method, path, status_code, created_at)
+        `)
+        .eq('impersonation_id', impersonationId)
+        .order('created_at', { referencedTable: 'impersonation_requests', ascending: true })
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching impersonation:', error);
+        throw new Error(`Failed to fetch impersonation: ${error.message}`);
+      }
+      if (!data) {
+        throw impersonationError(404, 'IMPERSONATION_NOT_FOUND', 'Impersonation not found');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getImpersonationById:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = impersonationService;
@@ -0,0 +1,332 @@
+// src/services/instructorService.js
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const accessError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Finds the course a chapter belongs to.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} chapterId - The UUID of the chapter.
+ * @returns {Promise<string>} The course ID.
+ */
+const getCourseIdForChapter = async (supabase, chapterId) => {
+  const { data, error } = await supabase
+    .from('chapters')
+    .select('course_id')
+    .eq('chapter_id', chapterId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching chapter course:', error);
+    throw new Error(`Failed to fetch chapter: ${error.message}`);
+  }
+  if (!data) {
+    throw accessError(404, 'NOT_FOUND', 'Chapter not found');
+  }
+  return data.course_id;
+};
+
+/**
+ * Finds the course an assignment belongs to, directly or through its chapter.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} assignmentId - The UUID of the assignment.
+ * @returns {Promise<string>} The course ID.
+ */
+const getCourseIdForAssignment = async (supabase, assignmentId) => {
+  const { data, error } = await supabase
+    .from('assignments')
+    .select('course_id, chapter_id')
+    .eq('assignment_id', assignmentId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching assignment course:', error);
+    throw new Error(`Failed to fetch assignment: ${error.message}`);
+  }
+  if (!data) {
+    throw accessError(404, 'NOT_FOUND', 'Assignment not found');
+  }
+  return data.course_id || getCourseIdForChapter(supabase, data.chapter_id);
+};
+
+const instructorService = {
+  /**
+   * Retrieves the instructor profile linked to a user account.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @returns {Promise<object|null>} The active instructor row, or null if the user is not an instructor.
+   */
+  getInstructorByUserId: async (supabase, userId) => {
+    try {
+      const { data, error } = await supabase
+        .from('instructors')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching instructor by user ID:', error);
+        throw new Error(`Failed to fetch instructor: ${error.message}`);
+      }
+      return data;
+    } catch (error) {
+      console.error('Error in getInstructorByUserId service:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Links an instructor profile to a user account and gives the account the INSTRUCTOR role.
+   * Admin accounts keep their role.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @param {string} userId - The UUID of the user who will sign in as this instructor.
+   * @returns {Promise<object>} The updated instructor row.
+   */
+  linkUserAccount: async (supabase, instructorId, userId) => {
+    try {
+      const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('user_id, role')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (userError) {
+        console.error('Error fetching user to link:', userError);
+        throw new Error(`Failed to link instructor account: ${userError.message}`);
+      }
+      if (!user || user.role === 'GUEST') {
+        throw accessError(400, 'INVALID_USER', 'User not found or cannot sign in');
+      }
+
+      const { data: instructor, error } = await supabase
+        .from('instructors')
+        .update({ user_id: userId })
+        .eq('instructor_id', instructorId)
+        .select()
+        .single();
+
+      if (error || !instructor) {
+        throw accessError(404, 'NOT_FOUND', 'Instructor not found');
+      }
+
+      if (user.role === 'STUDENT') {
+        const { error: roleError } = await supabase
+          .from('users')
+          .update({ role: 'INSTRUCTOR', updated_at: new Date().toISOString() })
+          .eq('user_id', userId);
+
+        if (roleError) {
+          console.error('Error updating user role:', roleError);
+          throw new Error(`Failed to link instructor account: ${roleError.message}`);
+        }
+      }
+
+      console.log(`Instructor ${instructorId} linked to user ${userId}.`);
+      return instructor;
+    } catch (error) {
+      console.error('Error in linkUserAccount service:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lists the IDs of the courses an instructor teaches.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @returns {Promise<Array<string>>} Course IDs.
+   */
+  getCourseIds: async (supabase, instructorId) => {
+    try {
+      const { data, error } = await supabase
+        .from('courses')
+        .select('course_id')
+        .eq('instructor_id', instructorId);
+
+      if (error) {
+        console.error('Error fetching instructor courses:', error);
+        throw new Error(`Failed to fetch instructor courses: ${error.message}`);
+      }
+      return (data || []).map(course => course.course_id);
+    } catch (error) {
+      console.error('Error in getCourseIds service:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Lists the IDs of every assignment in an instructor's courses, course-level and chapter-level.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @returns {Promise<Array<string>>} Assignment IDs.
+   */
+  getAssignmentIds: async (supabase, instructorId) => {
+    try {
+      const courseIds = await instructorService.getCourseIds(supabase, instructorId);
+      if (courseIds.length === 0) {
+        return [];
+      }
+
+      const { data: chapters, error: chapterError } = await supabase
+        .from('chapters')
+        .select('chapter_id')
+        .in('course_id', courseIds);
+
+      if (chapterError) {
+        console.error('Error fetching instructor chapters:', chapterError);
+        throw new Error(`Failed to fetch instructor chapters: ${chapterError.message}`);
+      }
+
+      const chapterIds = (chapters || []).map(chapter => chapter.chapter_id);
+      let filter = `course_id.in.(${courseIds.join(',')})`;
+      if (chapterIds.length > 0) {
+        filter += `,chapter_id.in.(${chapterIds.join(',')})`;
+      }
+
+      const { data: assignments, error } = await supabase
+        .from('assignments')
+        .select('assignment_id')
+        .or(filter);
+
+      if (error) {
+        console.error('Error fetching instructor assignments:', error);
+        throw new Error(`Failed to fetch instructor assignments: ${error.message}`);
+      }
+      return (assignments || []).map(assignment => assignment.assignment_id);
+    } catch (error) {
+      console.error('Error in getAssignmentIds service:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Throws unless the course is taught by the instructor.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @param {string} courseId - The UUID of the course.
+   * @returns {Promise<void>}
+   * @throws {Error} 404 if the course does not exist, 403 NOT_COURSE_INSTRUCTOR if it belongs to someone else.
+   */
+  assertOwnsCourse: async (supabase, instructorId, courseId) => {
+    const { data: course, error } = await supabase
+      .from('courses')
+      .select('course_id, instructor_id')
+      .eq('course_id', courseId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching course owner:', error);
+      throw new Error(`Failed to fetch course: ${error.message}`);
+    }
+    if (!course) {
+      throw accessError(404, 'NOT_FOUND', 'Course not found');
+    }
+    if (course.instructor_id !== instructorId) {
+      throw accessError(403, 'NOT_COURSE_INSTRUCTOR', 'You can only manage your own courses');
+    }
+  },
+
+  /**
+   * Throws unless the chapter belongs to one of the instructor's courses.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @param {string} chapterId - The UUID of the chapter.
+   * @returns {Promise<void>}
+   */
+  assertOwnsChapter: async (supabase, instructorId, chapterId) => {
+    const courseId = await getCourseIdForChapter(supabase, chapterId);
+    await instructorService.assertOwnsCourse(supabase, instructorId, courseId);
+  },
+
+  /**
+   * Throws unless the assignment belongs to one of the instructor's courses.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @param {string} assignmentId - The UUID of the assignment.
+   * @returns {Promise<void>}
+   */
+  assertOwnsAssignment: async (supabase, instructorId, assignmentId) => {
+    const courseId = await getCourseIdForAssignment(supabase, assignmentId);
+    await instructorService.assertOwnsCourse(supabase, instructorId, courseId);
+  },
+
+  /**
+   * Throws unless a new assignment would be attached to one of the instructor's courses or chapters.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @param {object} target - Where the assignment goes.
+   * @param {string} [target.courseId] - The UUID of the course.
+   * @param {string} [target.chapterId] - The UUID of the chapter.
+   * @returns {Promise<void>}
+   */
+  assertOwnsAssignmentTarget: async (supabase, instructorId, { courseId, chapterId }) => {
+    if (courseId) {
+      await instructorService.assertOwnsCourse(supabase, instructorId, courseId);
+    }
+    if (chapterId) {
+      await instructorService.assertOwnsChapter(supabase, instructorId, chapterId);
+    }
+  },
+
+  /**
+   * Throws unless the quiz belongs to one of the instructor's courses.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @param {string} quizId - The UUID of the quiz.
+   * @returns {Promise<void>}
+   */
+  assertOwnsQuiz: async (supabase, instructorId, quizId) => {
+    const { data: quiz, error } = await supabase
+      .from('quizzes')
+      .select('chapter_id')
+      .eq('quiz_id', quizId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching quiz chapter:', error);
+      throw new Error(`Failed to fetch quiz: ${error.message}`);
+    }
+    if (!quiz) {
+      throw accessError(404, 'NOT_FOUND', 'Quiz not found');
+    }
+    await instructorService.assertOwnsChapter(supabase, instructorId, quiz.chapter_id);
+  },
+
+  /**
+   * Throws unless the submission answers an assignment in one of the instructor's courses.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} instructorId - The UUID of the instructor.
+   * @param {string} submissionId - The UUID of the submission.
+   * @returns {Promise<void>}
+   */
+  assertOwnsSubmission: async (supabase, instructorId, submissionId) => {
+    const { data: submission, error } = await supabase
+      .from('submissions')
+      .select('assignment_id')
+      .eq('submission_id', submissionId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching submission assignment:', error);
+      throw new Error(`Failed to fetch submission: ${error.message}`);
+    }
+    if (!submission) {
+      throw accessError(404, 'NOT_FOUND', 'Submission not found');
+    }
+    await instructorService.assertOwnsAssignment(supabase, instructorId, submission.assignment_id);
+  }
+};
+
+module.exports = instructorService;
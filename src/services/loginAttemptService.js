@@ -0,0 +1,140 @@
+// src/services/loginAttemptService.js
+const emailService = require('./emailService');
+
+// Failures allowed before each further attempt has to wait
+const FREE_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3', 10);
+// Failures that lock the account
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '8', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @param {number} retryAfterSeconds - Seconds until the next attempt is allowed.
+ * @returns {Error}
+ */
+const throttledError = (statusCode, code, message, retryAfterSeconds) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.retryAfterSeconds = retryAfterSeconds;
+  error.details = { retryAfterSeconds };
+  return error;
+};
+
+const loginAttemptService = {
+  /**
+   * Seconds a user has to wait after their latest failure: doubles with every failure past the free ones.
+   * @param {number} failedAttempts - Consecutive failed attempts so far.
+   * @returns {number} Delay in seconds (0 if no delay applies).
+   */
+  getDelaySeconds: (failedAttempts) => {
+    if (failedAttempts < FREE_LOGIN_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(2 ** (failedAttempts - FREE_LOGIN_ATTEMPTS), MAX_DELAY_SECONDS);
+  },
+
+  /**
+   * Throws if the account is locked or still inside its progressive delay.
+   * @param {object} user - User row including the lockout columns.
+   * @throws {Error} 423 ACCOUNT_LOCKED or 429 LOGIN_THROTTLED.
+   */
+  assertCanAttempt: (user) => {
+    const now = Date.now();
+
+    if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+      const retryAfterSeconds = Math.ceil((new Date(user.locked_until).getTime() - now) / 1000);
+      throw throttledError(423, 'ACCOUNT_LOCKED', 'Account is temporarily locked due to too many failed login attempts. Please try again later or reset your password.', retryAfterSeconds);
+    }
+
+    if (!user.last_failed_login_at) {
+      return;
+    }
+
+    const delaySeconds = loginAttemptService.getDelaySeconds(user.failed_login_attempts || 0);
+    const nextAllowedAt = new Date(user.last_failed_login_at).getTime() + delaySeconds * 1000;
+
+    if (nextAllowedAt > now) {
+      const retryAfterSeconds = Math.ceil((nextAllowedAt - now) / 1000);
+      throw throttledError(429, 'LOGIN_THROTTLED', `Too many failed login attempts. Please wait ${retryAfterSeconds} seconds before trying again.`, retryAfterSeconds);
+    }
+  },
+
+  /**
+   * Records a failed password attempt and locks the account once the limit is reached.
+   * The account owner is emailed when a lockout starts.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row including the lockout columns.
+   * @returns {Promise<void>}
+   */
+  recordFailedAttempt: async (supabase, user) => {
+    try {
+      // Incremented in the database so parallel guesses cannot overwrite each other's count
+      const { data, error } = await supabase.rpc('record_failed_login', {
+        p_user_id: user.user_id,
+        p_max_attempts: MAX_FAILED_LOGIN_ATTEMPTS,
+        p_lockout_minutes: LOCKOUT_MINUTES
+      });
+
+      if (error) {
+        console.error('Error recording failed login attempt:', error);
+        throw new Error(`Failed to record login attempt: ${error.message}`);
+      }
+
+      const result = (Array.isArray(data) ? data[0] : data) || {};
+      const failedAttempts = result.failed_attempts;
+      const lockedUntil = result.lock_expires_at ? new Date(result.lock_expires_at) : null;
+
+      if (lockedUntil) {
+        console.warn(`Account ${user.user_id} locked until ${lockedUntil.toISOString()} after ${failedAttempts} failed login attempts.`);
+        try {
+          await emailService.sendAccountLockoutEmail({
+            email: user.email,
+            first_name: user.first_name,
+            lockedUntil,
+            lockoutMinutes: LOCKOUT_MINUTES
+          });
+        } catch (emailError) {
+          console.error('Error sending account lockout email:', emailError);
+          // Don't fail the login response because of the notification
+        }
+      }
+    } catch (error) {
+      console.error('Error in recordFailedAttempt:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Clears failure tracking after a successful login or an admin unlock.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @returns {Promise<void>}
+   */
+  resetFailedAttempts: async (supabase, userId) => {
+    try {
+      const { error } = await supabase
+        .from('users')
+        .update({
+          failed_login_attempts: 0,
+          last_failed_login_at: null,
+          locked_until: null
+        })
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error resetting failed login attempts:', error);
+        throw new Error(`Failed to reset login attempts: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('Error in resetFailedAttempts:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = loginAttemptService;
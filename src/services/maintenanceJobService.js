@@ -0,0 +1,85 @@
+// src/services/maintenanceJobService.js
+const getSupabaseClient = require('../utils/supabaseClient');
+const entitlementService = require('./entitlementService');
+const couponService = require('./couponService');
+
+// Background jobs other than the course schedule. Each runs on its own timer, so a slow or failing
+// job holds up nobody else, and each can be switched off with its <PREFIX>_ENABLED=false variable.
+const JOBS = [
+  {
+    name: 'Access expiry warnings',
+    envPrefix: 'ACCESS_EXPIRY_WARNINGS',
+    defaultIntervalSeconds: 3600,
+    run: async (supabase) => (await entitlementService.warnExpiringAccess(supabase)).length
+  },
+  {
+    name: 'Coupon reservation release',
+    envPrefix: 'COUPON_RESERVATION_RELEASE',
+    defaultIntervalSeconds: 300,
+    run: async (supabase) => (await couponService.releaseStaleReservations(supabase)).length
+  }
+];
+
+const timers = new Map();
+const runsInProgress = new Set();
+
+const maintenanceJobService = {
+  /**
+   * Runs one job unless its previous run is still going.
+   * @param {string} name - The job name from JOBS.
+   * @param {object} [supabase] - The Supabase client instance, defaults to the service client.
+   * @returns {Promise<number|null>} How many items the job handled, or null when skipped.
+   * @throws {Error} If the job is unknown or fails.
+   */
+  runJob: async (name, supabase = getSupabaseClient()) => {
+    const job = JOBS.find(candidate => candidate.name === name);
+    if (!job) {
+      throw new Error(`Unknown maintenance job: ${name}`);
+    }
+    if (runsInProgress.has(name)) {
+      return null;
+    }
+
+    runsInProgress.add(name);
+    try {
+      return await job.run(supabase);
+    } finally {
+      runsInProgress.delete(name);
+    }
+  },
+
+  /**
+   * Starts every enabled job, each every <PREFIX>_INTERVAL_SECONDS.
+   * @returns {void}
+   */
+  start: () => {
+    for (const job of JOBS) {
+      if (timers.has(job.name) || process.env[`${job.envPrefix}_ENABLED`] === 'false') {
+        continue;
+      }
+
+      const intervalSeconds = parseInt(process.env[`${job.envPrefix}_INTERVAL_SECONDS`] || String(job.defaultIntervalSeconds), 10);
+      const timer = setInterval(() => {
+        maintenanceJobService.runJob(job.name).catch(error => {
+          console.error(`${job.name} run failed:`, error);
+        });
+      }, intervalSeconds * 1000);
+
+      // The timer alone should not keep the process alive during shutdown
+      timer.unref();
+      timers.set(job.name, timer);
+      console.log(`${job.name} started (every ${intervalSeconds}s).`);
+    }
+  },
+
+  /**
+   * Stops the jobs started by start().
+   * @returns {void}
+   */
+  stop: () => {
+    timers.forEach(timer => clearInterval(timer));
+    timers.clear();
+  }
+};
+
+module.exports = maintenanceJobService;
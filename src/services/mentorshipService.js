@@ -1,5 +1,40 @@
 // src/services/mentorshipService.js
 
+/**
+ * Loads a slot owned by a mentor and makes sure it can still be changed.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} id - The UUID of the slot.
+ * @param {string} mentorUserId - The UUID of the mentor who must own the slot.
+ * @returns {Promise<object>} The slot row.
+ * @throws {Error} 404 SLOT_NOT_FOUND if the mentor has no such slot, 409 SLOT_BOOKED if a student booked it.
+ */
+const getOwnUnbookedSlot = async (supabase, id, mentorUserId) => {
+  const { data: slot, error } = await supabase
+    .from('mentorship_slots')
+    .select('slot_id, mentor_user_id, is_booked')
+    .eq('slot_id', id)
+    .eq('mentor_user_id', mentorUserId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching mentorship slot:', error);
+    throw new Error(`Failed to fetch mentorship slot: ${error.message}`);
+  }
+  if (!slot) {
+    const notFound = new Error('Mentorship slot not found');
+    notFound.statusCode = 404;
+    notFound.code = 'SLOT_NOT_FOUND';
+    throw notFound;
+  }
+  if (slot.is_booked) {
+    const booked = new Error('Booked slots cannot be changed');
+    booked.statusCode = 409;
+    booked.code = 'SLOT_BOOKED';
+    throw booked;
+  }
+  return slot;
+};
+
 const mentorshipService = {
   // --- Mentorship Slot Operations ---
   /**
@@ -131,16 +166,25 @@ const mentorshipService = {
    * @param {object} supabase - The Supabase client instance.
    * @param {string} id - The UUID of the slot to update.
    * @param {object} updates - Fields to update (startTime, endTime, isBooked, bookedByUserId, price).
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.mentorUserId] - Restricts the update to this mentor's unbooked slots. Booking fields are ignored.
    * @returns {Promise<object>} The updated mentorship slot object.
    * @throws {Error} If the update fails.
    */
-  updateMentorshipSlot: async (supabase, id, updates) => {
+  updateMentorshipSlot: async (supabase, id, updates, options = {}) => {
     try {
+      if (options.mentorUserId) {
+        await getOwnUnbookedSlot(supabase, id, options.mentorUserId);
+      }
+
       const updateData = {};
       if (updates.startTime !== undefined) updateData.start_time = updates.startTime;
       if (updates.endTime !== undefined) updateData.end_time = updates.endTime;
-      if (updates.isBooked !== undefined) updateData.is_booked = updates.isBooked;
-      if (updates.bookedByUserId !== undefined) updateData.booked_by_user_id = updates.bookedByUserId;
+      // Bookings are made by students through checkout, never by the mentor
+      if (!options.mentorUserId) {
+        if (updates.isBooked !== undefined) updateData.is_booked = updates.isBooked;
+        if (updates.bookedByUserId !== undefined) updateData.booked_by_user_id = updates.bookedByUserId;
+      }
       if (updates.price !== undefined) updateData.price = updates.price;
 
       const { data, error } = await supabase
@@ -165,11 +209,17 @@ const mentorshipService = {
    * Deletes a mentorship slot.
    * @param {object} supabase - The Supabase client instance.
    * @param {string} id - The UUID of the slot to delete.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.mentorUserId] - Restricts the deletion to this mentor's unbooked slots.
    * @returns {Promise<void>}
    * @throws {Error} If deletion fails.
    */
-  deleteMentorshipSlot: async (supabase, id) => {
+  deleteMentorshipSlot: async (supabase, id, options = {}) => {
     try {
+      if (options.mentorUserId) {
+        await getOwnUnbookedSlot(supabase, id, options.mentorUserId);
+      }
+
       const { error } = await supabase
         .from('mentorship_slots')
         .delete()
@@ -0,0 +1,285 @@
+// src/services/mfaService.js
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that cannot sign in without a second factor
+const MFA_REQUIRED_ROLES = ['ADMIN', 'SUPPORT'];
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const mfaError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const mfaService = {
+  /**
+   * Whether a user must pass a second factor to sign in.
+   * @param {object} user - User row from the 'public.users' table.
+   * @returns {boolean}
+   */
+  isMfaRequired: (user) => {
+    return !!user.mfa_enabled || MFA_REQUIRED_ROLES.includes(user.role);
+  },
+
+  /**
+   * Starts TOTP enrollment by storing a new (not yet active) secret.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row from the 'public.users' table.
+   * @returns {Promise<{secret: string, otpauthUri: string}>} Secret and provisioning URI to render as a QR code.
+   */
+  startEnrollment: async (supabase, user) => {
+    try {
+      if (user.mfa_enabled) {
+        throw mfaError(409, 'MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled.');
+      }
+
+      const secret = totp.generateSecret();
+
+      const { error } = await supabase
+        .from('users')
+        .update({ mfa_secret: totp.encryptSecret(secret), mfa_enabled: false })
+        .eq('user_id', user.user_id);
+
+      if (error) {
+        console.error('Error storing MFA secret:', error);
+        throw new Error(`Failed to start two-factor setup: ${error.message}`);
+      }
+
+      return {
+        secret,
+        otpauthUri: totp.getProvisioningUri(secret, user.email)
+      };
+    } catch (error) {
+      console.error('Error in startEnrollment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Activates MFA once the user proves their authenticator produces valid codes.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @param {string} code - Current TOTP code.
+   * @returns {Promise<Array<string>>} Plain text recovery codes, shown to the user once.
+   */
+  enableMfa: async (supabase, userId, code) => {
+    try {
+      const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('user_id, mfa_enabled, mfa_secret')
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError || !user) {
+        throw new Error('User not found.');
+      }
+
+      if (user.mfa_enabled) {
+        throw mfaError(409, 'MFA_ALREADY_ENABLED', 'Two-factor authentication is already enabled.');
+      }
+
+      if (!user.mfa_secret) {
+        throw mfaError(400, 'MFA_SETUP_REQUIRED', 'Start two-factor setup before enabling it.');
+      }
+
+      const step = totp.verifyCode(totp.decryptSecret(user.mfa_secret), code);
+      if (step === null) {
+        throw mfaError(400, 'INVALID_MFA_CODE', 'Invalid authentication code.');
+      }
+
+      const { error: updateError } = await supabase
+        .from('users')
+        .update({
+          mfa_enabled: true,
+          mfa_enabled_at: new Date().toISOString(),
+          mfa_last_used_step: step
+        })
+        .eq('user_id', userId);
+
+      if (updateError) {
+        console.error('Error enabling MFA:', updateError);
+        throw new Error(`Failed to enable two-factor authentication: ${updateError.message}`);
+      }
+
+      console.log(`Two-factor authentication enabled for user ${userId}.`);
+      return await mfaService.generateRecoveryCodes(supabase, userId);
+    } catch (error) {
+      console.error('Error in enableMfa:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Turns MFA off. Not allowed for roles where it is mandatory.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row from the 'public.users' table.
+   * @param {string} code - Current TOTP code or a recovery code.
+   * @returns {Promise<void>}
+   */
+  disableMfa: async (supabase, user, code) => {
+    try {
+      if (MFA_REQUIRED_ROLES.includes(user.role)) {
+        throw mfaError(403, 'MFA_REQUIRED_FOR_ROLE', 'Two-factor authentication is mandatory for your role.');
+      }
+
+      if (!user.mfa_enabled) {
+        throw mfaError(400, 'MFA_NOT_ENABLED', 'Two-factor authentication is not enabled.');
+      }
+
+      if (!(await mfaService.verifyCode(supabase, user, code))) {
+        throw mfaError(400, 'INVALID_MFA_CODE', 'Invalid authentication code.');
+      }
+
+      const { error } = await supabase
+        .from('users')
+        .update({
+          mfa_enabled: false,
+          mfa_secret: null,
+          mfa_enabled_at: null,
+          mfa_last_used_step: null
+        })
+        .eq('user_id', user.user_id);
+
+      if (error) {
+        console.error('Error disabling MFA:', error);
+        throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+      }
+
+      const { error: deleteError } = await supabase
+        .from('mfa_recovery_codes')
+        .delete()
+        .eq('user_id', user.user_id);
+
+      if (deleteError) {
+        console.error('Error deleting recovery codes:', deleteError);
+        throw new Error(`Failed to delete recovery codes: ${deleteError.message}`);
+      }
+
+      console.log(`Two-factor authentication disabled for user ${user.user_id}.`);
+    } catch (error) {
+      console.error('Error in disableMfa:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks a TOTP code or an unused recovery code. Each TOTP time step and each recovery code works only once.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row including mfa_secret and mfa_last_used_step.
+   * @param {string} code - The code entered by the user.
+   * @returns {Promise<boolean>} True if the code was accepted.
+   */
+  verifyCode: async (supabase, user, code) => {
+    try {
+      if (!user.mfa_enabled || !user.mfa_secret) {
+        return false;
+      }
+
+      const step = totp.verifyCode(totp.decryptSecret(user.mfa_secret), code);
+      if (step !== null) {
+        if (user.mfa_last_used_step !== null && user.mfa_last_used_step !== undefined && step <= Number(user.mfa_last_used_step)) {
+          console.warn(`Rejected replayed TOTP code for user ${user.user_id}.`);
+          return false;
+        }
+
+        // Only one of two concurrent requests with the same code can move the step forward
+        const { data: recorded, error } = await supabase
+          .from('users')
+          .update({ mfa_last_used_step: step })
+          .eq('user_id', user.user_id)
+          .or(`mfa_last_used_step.is.null,mfa_last_used_step.lt.${step}`)
+          .select('user_id');
+
+        if (error) {
+          console.error('Error recording TOTP step:', error);
+          throw new Error(`Failed to verify code: ${error.message}`);
+        }
+
+        if (!recorded || recorded.length === 0) {
+          console.warn(`Rejected replayed TOTP code for user ${user.user_id}.`);
+          return false;
+        }
+        return true;
+      }
+
+      // Not a TOTP code, so try it as a recovery code
+      const { data: used, error: recoveryError } = await supabase
+        .from('mfa_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', user.user_id)
+        .eq('code_hash', hashRecoveryCode(code))
+        .is('used_at', null)
+        .select('code_id');
+
+      if (recoveryError) {
+        console.error('Error checking recovery code:', recoveryError);
+        throw new Error(`Failed to verify code: ${recoveryError.message}`);
+      }
+
+      if (used && used.length > 0) {
+        console.log(`Recovery code used by user ${user.user_id}.`);
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Error in verifyCode (MFA):', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replaces a user's recovery codes with a fresh set.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @returns {Promise<Array<string>>} Plain text recovery codes (only their hashes are stored).
+   */
+  generateRecoveryCodes: async (supabase, userId) => {
+    try {
+      const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+      });
+
+      const { error: deleteError } = await supabase
+        .from('mfa_recovery_codes')
+        .delete()
+        .eq('user_id', userId);
+
+      if (deleteError) {
+        console.error('Error deleting old recovery codes:', deleteError);
+        throw new Error(`Failed to generate recovery codes: ${deleteError.message}`);
+      }
+
+      const { error: insertError } = await supabase
+        .from('mfa_recovery_codes')
+        .insert(codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+      if (insertError) {
+        console.error('Error storing recovery codes:', insertError);
+        throw new Error(`Failed to generate recovery codes: ${insertError.message}`);
+      }
+
+      return codes;
+    } catch (error) {
+      console.error('Error in generateRecoveryCodes:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = mfaService;
@@ -0,0 +1,152 @@
+// src/services/passwordResetService.js
+const crypto = require('crypto');
+const passwordHasher = require('../utils/passwordHasher');
+const emailService = require('./emailService');
+const tokenRevocationService = require('./tokenRevocationService');
+const emailVerificationService = require('./emailVerificationService');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'https://detailersuniversity.com/reset-password';
+
+/**
+ * Hashes a raw reset token. Only the hash is stored so a database leak cannot be used to reset passwords.
+ * @param {string} token - The raw reset token.
+ * @returns {string} Hex encoded SHA-256 hash of the token.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const passwordResetService = {
+  /**
+   * Creates a single-use reset token for the account with this email and emails it to the owner.
+   * Unknown, inactive and guest accounts are silently ignored so the endpoint cannot be used to probe emails.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} email - The email the reset was requested for.
+   * @param {string} [requestedIp] - IP address the request came from.
+   * @returns {Promise<void>}
+   */
+  requestPasswordReset: async (supabase, email, requestedIp) => {
+    try {
+      const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('user_id, email, first_name, role, is_active')
+        .eq('email', email)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error('Error fetching user for password reset:', fetchError);
+        throw new Error(`Failed to request password reset: ${fetchError.message}`);
+      }
+
+      if (!user || !user.is_active || user.role === 'GUEST') {
+        console.log(`Password reset requested for unknown or ineligible account: ${email}`);
+        return;
+      }
+
+      // Only the most recent link should work
+      const { error: invalidateError } = await supabase
+        .from('password_reset_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', user.user_id)
+        .is('used_at', null);
+
+      if (invalidateError) {
+        console.error('Error invalidating previous reset tokens:', invalidateError);
+        throw new Error(`Failed to request password reset: ${invalidateError.message}`);
+      }
+
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+      const { error: insertError } = await supabase
+        .from('password_reset_tokens')
+        .insert({
+          user_id: user.user_id,
+          token_hash: hashToken(resetToken),
+          expires_at: expiresAt.toISOString(),
+          requested_ip: requestedIp || null
+        });
+
+      if (insertError) {
+        console.error('Error storing password reset token:', insertError);
+        throw new Error(`Failed to request password reset: ${insertError.message}`);
+      }
+
+      // A send failure only happens for real accounts, so it is logged rather than surfaced
+      try {
+        await emailService.sendPasswordResetEmail({
+          email: user.email,
+          first_name: user.first_name,
+          resetToken,
+          resetUrl: `${PASSWORD_RESET_URL}?token=${resetToken}`,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        });
+      } catch (sendError) {
+        console.error(`Failed to send password reset email to user ${user.user_id}:`, sendError);
+        return;
+      }
+
+      console.log(`Password reset email sent to user ${user.user_id}.`);
+    } catch (error) {
+      console.error('Error in requestPasswordReset:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sets a new password using a reset token and signs the user out everywhere.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} resetToken - The raw reset token from the email.
+   * @param {string} newPassword - The new plain text password.
+   * @returns {Promise<void>}
+   * @throws {Error} If the token is invalid, expired or already used.
+   */
+  resetPassword: async (supabase, resetToken, newPassword) => {
+    try {
+      // Consume the token first so two concurrent requests cannot both use it
+      const { data: consumed, error: consumeError } = await supabase
+        .from('password_reset_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('token_hash', hashToken(resetToken))
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .select('user_id');
+
+      if (consumeError) {
+        console.error('Error consuming password reset token:', consumeError);
+        throw new Error(`Failed to reset password: ${consumeError.message}`);
+      }
+
+      if (!consumed || consumed.length === 0) {
+        const error = new Error('Password reset link is invalid or has expired.');
+        error.statusCode = 400;
+        error.code = 'INVALID_RESET_TOKEN';
+        throw error;
+      }
+
+      const userId = consumed[0].user_id;
+      const { hashedPassword, salt } = await passwordHasher.hashPassword(newPassword);
+
+      const { error: updateError } = await supabase
+        .from('users')
+        .update({ password_hash: hashedPassword, salt: salt, must_change_password: false })
+        .eq('user_id', userId);
+
+      if (updateError) {
+        console.error('Error updating password:', updateError);
+        throw new Error(`Failed to reset password: ${updateError.message}`);
+      }
+
+      // The reset link reached the user's inbox, which proves they own the address
+      await emailVerificationService.markVerified(supabase, userId);
+
+      await tokenRevocationService.revokeAllForUser(supabase, userId, 'PASSWORD_RESET');
+
+      console.log(`Password for user ${userId} reset successfully.`);
+    } catch (error) {
+      console.error('Error in resetPassword:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = passwordResetService;
@@ -0,0 +1,63 @@
+// src/services/permissionService.js
+
+// Role mappings rarely change, so they are cached instead of queried on every request
+const PERMISSION_CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS || '60', 10) * 1000;
+
+const permissionCache = new Map();
+
+const permissionService = {
+  /**
+   * Lists the permissions granted to a role (e.g. 'courses:write').
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} role - The role name from 'public.users'.
+   * @returns {Promise<Array<string>>} Permission keys granted to the role.
+   */
+  getRolePermissions: async (supabase, role) => {
+    try {
+      const cached = permissionCache.get(role);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+      }
+
+      const { data, error } = await supabase
+        .from('role_permissions')
+        .select('permission_key')
+        .eq('role', role);
+
+      if (error) {
+        console.error('Error fetching role permissions:', error);
+        throw new Error(`Failed to fetch permissions: ${error.message}`);
+      }
+
+      const permissions = (data || []).map(row => row.permission_key);
+      permissionCache.set(role, { permissions, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS });
+
+      return permissions;
+    } catch (error) {
+      console.error('Error in getRolePermissions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether a role is granted a permission.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} role - The role name from 'public.users'.
+   * @param {string} permission - Permission key, e.g. 'submissions:grade'.
+   * @returns {Promise<boolean>}
+   */
+  roleHasPermission: async (supabase, role, permission) => {
+    const permissions = await permissionService.getRolePermissions(supabase, role);
+    return permissions.includes(permission);
+  },
+
+  /**
+   * Drops cached role mappings, e.g. after role_permissions was edited.
+   * @returns {void}
+   */
+  clearCache: () => {
+    permissionCache.clear();
+  }
+};
+
+module.exports = permissionService;
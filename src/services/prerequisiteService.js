@@ -0,0 +1,337 @@
+// src/services/prerequisiteService.js
+const instructorService = require('./instructorService');
+
+// BLOCK stops enrollment and payment; WARN lets the student continue but reports the gap
+const ENFORCEMENT_LEVELS = ['WARN', 'BLOCK'];
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @param {Array<object>} [details] - Extra information passed through to the response.
+ * @returns {Error}
+ */
+const prerequisiteError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Whether adding the given prerequisites to a course would create a cycle
+ * (a course requiring itself through a chain of other courses).
+ * @param {object} supabase - The Supabase client instance.
+ * @param {string} courseId - The UUID of the course being changed.
+ * @param {Array<string>} prerequisiteIds - The course's new prerequisite course IDs.
+ * @returns {Promise<boolean>}
+ */
+const createsCycle = async (supabase, courseId, prerequisiteIds) => {
+  const { data: edges, error } = await supabase
+    .from('course_prerequisites')
+    .select('course_id, prerequisite_course_id')
+    .neq('course_id', courseId);
+
+  if (error) {
+    console.error('Error fetching prerequisite graph:', error);
+    throw new Error(`Failed to check prerequisites: ${error.message}`);
+  }
+
+  const requires = new Map();
+  edges.forEach(edge => {
+    if (!requires.has(edge.course_id)) {
+      requires.set(edge.course_id, []);
+    }
+    requires.get(edge.course_id).push(edge.prerequisite_course_id);
+  });
+
+  const seen = new Set();
+  const pending = [...prerequisiteIds];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (current === courseId) {
+      return true;
+    }
+    if (!seen.has(current)) {
+      seen.add(current);
+      pending.push(...(requires.get(current) || []));
+    }
+  }
+  return false;
+};
+
+const prerequisiteService = {
+  /**
+   * Lists the prerequisites of a course.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @returns {Promise<Array<object>>} Prerequisites with the required course's title.
+   */
+  getPrerequisites: async (supabase, courseId) => {
+    try {
+      const { data, error } = await supabase
+        .from('course_prerequisites')
+        .select(`
+          prerequisite_course_id,
+          min_quiz_score,
+          enforcement,
+          course:courses!course_prerequisites_prerequisite_course_id_fkey(course_id, title, video_series, video_part)
+        `)
+        .eq('course_id', courseId);
+
+      if (error) {
+        console.error('Error fetching prerequisites:', error);
+        throw new Error(`Failed to fetch prerequisites: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in getPrerequisites:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replaces the prerequisites of a course.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} courseId - The UUID of the course.
+   * @param {Array<object>} prerequisites - The new prerequisites.
+   * @param {string} prerequisites[].courseId - Course that must be completed first.
+   * @param {number} [prerequisites[].minQuizScore] - Best score (0-100) required on every quiz of that course.
+   * @param {string} [prerequisites[].enforcement='BLOCK'] - WARN or BLOCK.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the change to a course taught by this instructor.
+   * @returns {Promise<Array<object>>} The stored prerequisites.
+   * @throws {Error} 400 INVALID_PREREQUISITE for unknown courses, the course itself or a cycle.
+   */
+  setPrerequisites: async (supabase, courseId, prerequisites, options = {}) => {
+    try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsCourse(supabase, options.instructorId, courseId);
+      }
+
+      const prerequisiteIds = [...new Set(prerequisites.map(prerequisite => prerequisite.courseId))];
+      if (prerequisiteIds.length !== prerequisites.length) {
+        throw prerequisiteError(400, 'INVALID_PREREQUISITE', 'A course can only be listed once');
+      }
+      if (prerequisiteIds.includes(courseId)) {
+        throw prerequisiteError(400, 'INVALID_PREREQUISITE', 'A course cannot be its own prerequisite');
+      }
+
+      if (prerequisiteIds.length > 0) {
+        const { data: courses, error: coursesError } = await supabase
+          .from('courses')
+          .select('course_id')
+          .in('course_id', prerequisiteIds);
+
+        if (coursesError) {
+          console.error('Error checking prerequisite courses:', coursesError);
+          throw new Error(`Failed to set prerequisites: ${coursesError.message}`);
+        }
+
+        const missing = prerequisiteIds.filter(id => !courses.some(course => course.course_id === id));
+        if (missing.length > 0) {
+          throw prerequisiteError(400, 'INVALID_PREREQUISITE', 'Some prerequisite courses do not exist', missing);
+        }
+
+        if (await createsCycle(supabase, courseId, prerequisiteIds)) {
+          throw prerequisiteError(400, 'INVALID_PREREQUISITE', 'These prerequisites would make the course depend on itself');
+        }
+      }
+
+      const { error: deleteError } = await supabase
+        .from('course_prerequisites')
+        .delete()
+        .eq('course_id', courseId);
+
+      if (deleteError) {
+        console.error('Error clearing prerequisites:', deleteError);
+        throw new Error(`Failed to set prerequisites: ${deleteError.message}`);
+      }
+
+      if (prerequisites.length > 0) {
+        const { error: insertError } = await supabase
+          .from('course_prerequisites')
+          .insert(prerequisites.map(prerequisite => ({
+            course_id: courseId,
+            prerequisite_course_id: prerequisite.courseId,
+            min_quiz_score: prerequisite.minQuizScore !== undefined ? prerequisite.minQuizScore : null,
+            enforcement: ENFORCEMENT_LEVELS.includes(prerequisite.enforcement) ? prerequisite.enforcement : 'BLOCK'
+          })));
+
+        if (insertError) {
+          console.error('Error storing prerequisites:', insertError);
+          throw new Error(`Failed to set prerequisites: ${insertError.message}`);
+        }
+      }
+
+      return await prerequisiteService.getPrerequisites(supabase, courseId);
+    } catch (error) {
+      console.error('Error in setPrerequisites:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Works out which prerequisites of a course a user has not met. A prerequisite course counts as
+   * completed when every one of its chapters is marked complete; with a minimum quiz score the
+   * user's best attempt on each of its quizzes must reach it too.
+   * A buyer without an account has no progress to check, so nothing can be verified for them: every
+   * prerequisite is reported as UNVERIFIED and none of them blocks, BLOCK ones included. Guest
+   * checkout stays open and the buyer is told what the course expects; the BLOCK check applies
+   * once they enroll or pay from an account.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string|null} userId - The UUID of the user, or null for a buyer without an account.
+   * @param {string} courseId - The UUID of the course the user wants to take.
+   * @returns {Promise<{satisfied: boolean, blocked: boolean, unmet: Array<object>}>}
+   */
+  checkPrerequisites: async (supabase, userId, courseId) => {
+    try {
+      const prerequisites = await prerequisiteService.getPrerequisites(supabase, courseId);
+
+      if (!userId) {
+        return {
+          satisfied: prerequisites.length === 0,
+          blocked: false,
+          unmet: prerequisites.map(prerequisite => ({
+            courseId: prerequisite.prerequisite_course_id,
+            title: prerequisite.course ? prerequisite.course.title : null,
+            enforcement: prerequisite.enforcement,
+            reason: 'UNVERIFIED',
+            minQuizScore: prerequisite.min_quiz_score !== null ? Number(prerequisite.min_quiz_score) : null
+          }))
+        };
+      }
+
+      const unmet = [];
+      for (const prerequisite of prerequisites) {
+        const requiredCourseId = prerequisite.prerequisite_course_id;
+
+        const { data: chapters, error: chaptersError } = await supabase
+          .from('chapters')
+          .select('chapter_id, quizzes(quiz_id)')
+          .eq('course_id', requiredCourseId);
+
+        if (chaptersError) {
+          console.error('Error fetching prerequisite chapters:', chaptersError);
+          throw new Error(`Failed to check prerequisites: ${chaptersError.message}`);
+        }
+
+        const chapterIds = chapters.map(chapter => chapter.chapter_id);
+        const quizIds = chapters.flatMap(chapter => (chapter.quizzes || []).map(quiz => quiz.quiz_id));
+        let completedChapters = 0;
+        let lowestBestScore = null;
+
+        if (chapterIds.length > 0) {
+          const { count, error: progressError } = await supabase
+            .from('chapter_progress')
+            .select('chapter_id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('is_completed', true)
+            .in('chapter_id', chapterIds);
+
+          if (progressError) {
+            console.error('Error fetching prerequisite progress:', progressError);
+            throw new Error(`Failed to check prerequisites: ${progressError.message}`);
+          }
+          completedChapters = count || 0;
+        }
+
+        if (prerequisite.min_quiz_score !== null && quizIds.length > 0) {
+          const { data: attempts, error: attemptsError } = await supabase
+            .from('quiz_attempts')
+            .select('quiz_id, score')
+            .eq('user_id', userId)
+            .in('quiz_id', quizIds);
+
+          if (attemptsError) {
+            console.error('Error fetching prerequisite quiz attempts:', attemptsError);
+            throw new Error(`Failed to check prerequisites: ${attemptsError.message}`);
+          }
+
+          const bestScores = quizIds.map(quizId => Math.max(0, ...attempts
+            .filter(attempt => attempt.quiz_id === quizId)
+            .map(attempt => Number(attempt.score))));
+          lowestBestScore = Math.min(...bestScores);
+        }
+
+        // A course without chapters has nothing to work through
+        const completed = completedChapters === chapterIds.length;
+        const scoreMet = lowestBestScore === null || lowestBestScore >= Number(prerequisite.min_quiz_score);
+
+        if (!completed || !scoreMet) {
+          unmet.push({
+            courseId: requiredCourseId,
+            title: prerequisite.course ? prerequisite.course.title : null,
+            enforcement: prerequisite.enforcement,
+            reason: !completed ? 'NOT_COMPLETED' : 'QUIZ_SCORE_TOO_LOW',
+            completedChapters,
+            totalChapters: chapterIds.length,
+            minQuizScore: prerequisite.min_quiz_score !== null ? Number(prerequisite.min_quiz_score) : null,
+            bestQuizScore: lowestBestScore
+          });
+        }
+      }
+
+      return {
+        satisfied: unmet.length === 0,
+        blocked: unmet.some(prerequisite => prerequisite.enforcement === 'BLOCK'),
+        unmet
+      };
+    } catch (error) {
+      console.error('Error in checkPrerequisites:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks the prerequisites of several courses bought together, such as the courses of a bundle.
+   * A prerequisite that is itself one of the courses counts as met, so a bundle can sell a course
+   * together with the course it builds on.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string|null} userId - The UUID of the user, or null for a buyer without an account.
+   * @param {Array<string>} courseIds - The UUIDs of the courses being bought.
+   * @returns {Promise<{satisfied: boolean, blocked: boolean, unmet: Array<object>}>} Each unmet
+   *   prerequisite also names the course that requires it in forCourseId.
+   */
+  checkPrerequisitesForCourses: async (supabase, userId, courseIds) => {
+    const unmet = [];
+    for (const courseId of courseIds) {
+      const status = await prerequisiteService.checkPrerequisites(supabase, userId, courseId);
+      status.unmet
+        .filter(prerequisite => !courseIds.includes(prerequisite.courseId))
+        .forEach(prerequisite => unmet.push({ ...prerequisite, forCourseId: courseId }));
+    }
+
+    return {
+      satisfied: unmet.length === 0,
+      // Without an account nothing is verified, so nothing blocks (see checkPrerequisites)
+      blocked: !!userId && unmet.some(prerequisite => prerequisite.enforcement === 'BLOCK'),
+      unmet
+    };
+  },
+
+  /**
+   * Stops an enrollment or payment when a blocking prerequisite is unmet.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string|null} userId - The UUID of the user, or null for a buyer without an account.
+   * @param {string} courseId - The UUID of the course.
+   * @returns {Promise<Array<object>>} Unmet WARN prerequisites, to pass on to the client.
+   * @throws {Error} 403 PREREQUISITES_NOT_MET with the unmet prerequisites as details.
+   */
+  assertPrerequisitesMet: async (supabase, userId, courseId) => {
+    const status = await prerequisiteService.checkPrerequisites(supabase, userId, courseId);
+
+    if (status.blocked) {
+      throw prerequisiteError(403, 'PREREQUISITES_NOT_MET', 'Complete the prerequisite courses before taking this course', status.unmet);
+    }
+
+    return status.unmet;
+  }
+};
+
+module.exports = prerequisiteService;
@@ -0,0 +1,399 @@
+// src/services/privacyService.js
+const passwordHasher = require('../utils/passwordHasher');
+const tokenRevocationService = require('./tokenRevocationService');
+
+// Staff accounts own courses, slots and audit records, so they are demoted before being erased
+const ERASABLE_ROLES = ['STUDENT', 'GUEST'];
+
+const ERASED_NAME = 'Erased User';
+
+// Learning activity and sign-in records with no financial value, removed outright on erasure
+const ERASED_ACTIVITY_TABLES = [
+  'video_progress',
+  'chapter_progress',
+  'quiz_attempts',
+  'submissions',
+  'user_chapter_access',
+  'podcast_likes',
+  'email_tokens',
+  'password_reset_tokens',
+  'mfa_recovery_codes',
+  'user_sessions'
+];
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const privacyError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Placeholder address for an erased account. It stays unique per user and can never receive mail.
+ * @param {string} userId - The UUID of the user.
+ * @returns {string}
+ */
+const erasedEmail = (userId) => `erased+${userId}@erased.invalid`;
+
+/**
+ * Runs one select for the export and fails the whole export if it errors,
+ * so a user never receives an incomplete copy of their data.
+ * @param {Promise<{data: any, error: object}>} query - Supabase query to await.
+ * @param {string} label - What is being fetched, for the error message.
+ * @returns {Promise<Array<object>>}
+ */
+const fetchSection = async (query, label) => {
+  const { data, error } = await query;
+
+  if (error) {
+    console.error(`Error fetching ${label} for data export:`, error);
+    throw new Error(`Failed to export ${label}: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+const privacyService = {
+  /**
+   * Collects every piece of personal data held about a user into one document.
+   * Guest purchases and bookings are matched by email since they are not linked to the account.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @returns {Promise<object>} The export document.
+   * @throws {Error} 404 USER_NOT_FOUND if the user does not exist.
+   */
+  exportUserData: async (supabase, userId) => {
+    try {
+      const { data: profile, error: profileError } = await supabase
+        .from('users')
+        .select('user_id, email, first_name, last_name, role, is_active, verified_at, mfa_enabled, mfa_enabled_at, created_at, updated_at')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (profileError) {
+        console.error('Error fetching profile for data export:', profileError);
+        throw new Error(`Failed to export profile: ${profileError.message}`);
+      }
+      if (!profile) {
+        throw privacyError(404, 'USER_NOT_FOUND', 'User not found');
+      }
+
+      const [
+        enrollments,
+        guestPurchases,
+        guestBookings,
+        payments,
+        entitlements,
+        videoProgress,
+        chapterProgress,
+        quizAttempts,
+        submissions,
+        mentorshipBookings,
+        sessions
+      ] = await Promise.all([
+        fetchSection(
+          supabase
+            .from('enrollments')
+            .select('enrollment_id, course_id, status, payment_status, requested_at, approved_at, created_at, course:courses(title)')
+            .eq('user_id', userId),
+          'enrollments'
+        ),
+        fetchSection(
+          supabase
+            .from('guest_course_purchases')
+            .select('purchase_id, course_id, customer_name, customer_email, customer_phone, course_price, payment_status, payment_method, transaction_id, access_expires_at, is_active, created_at, course:courses(title)')
+            .eq('customer_email', profile.email),
+          'guest purchases'
+        ),
+        fetchSection(
+          supabase
+            .from('guest_bookings')
+            .select('guest_booking_id, instructor_id, customer_name, customer_email, customer_phone, preferred_date, preferred_time, message, preferred_topics, session_price, payment_status, booking_status, created_at')
+            .eq('customer_email', profile.email),
+          'guest bookings'
+        ),
+        fetchSection(
+          supabase
+            .from('payments')
+            .select('payment_id, course_id, mentorship_slot_id, amount, currency, payment_method, payment_intent_id, status, created_at, completed_at')
+            .eq('user_id', userId),
+          'payments'
+        ),
+        fetchSection(
+          supabase
+            .from('entitlements')
+            .select('entitlement_id, course_id, customer_email, source, source_id, starts_at, expires_at, revoked_at, created_at, course:courses(title)')
+            .or(`user_id.eq.${userId},customer_email.eq."${profile.email}"`),
+          'entitlements'
+        ),
+        fetchSection(
+          supabase
+            .from('video_progress')
+            .select('course_id, chapter_id, video_url, current_position, total_duration, watch_percentage, is_completed, last_watched_at, completed_at')
+            .eq('user_id', userId),
+          'video progress'
+        ),
+        fetchSection(
+          supabase
+            .from('chapter_progress')
+            .select('chapter_id, is_completed, completed_at')
+            .eq('user_id', userId),
+          'chapter progress'
+        ),
+        fetchSection(
+          supabase
+            .from('quiz_attempts')
+            .select('attempt_id, quiz_id, answers_data, score, completed_at, quiz:quizzes(title)')
+            .eq('user_id', userId),
+          'quiz attempts'
+        ),
+        fetchSection(
+          supabase
+            .from('submissions')
+            .select('submission_id, assignment_id, cloudinary_url, feedback, grade, submitted_at, graded_at, assignment:assignments(title)')
+            .eq('user_id', userId),
+          'submissions'
+        ),
+        fetchSection(
+          supabase
+            .from('mentorship_bookings')
+            .select('booking_id, slot_id, payment_status, payment_method, transaction_id, zoom_link, booked_at, slot:mentorship_slots(start_time, end_time, price)')
+            .eq('user_id', userId),
+          'mentorship bookings'
+        ),
+        fetchSection(
+          supabase
+            .from('user_sessions')
+            .select('session_id, device_name, ip_address, user_agent, created_at, last_seen_at, revoked_at')
+            .eq('user_id', userId),
+          'sessions'
+        )
+      ]);
+
+      return {
+        exportedAt: new Date().toISOString(),
+        profile,
+        enrollments,
+        guestPurchases,
+        guestBookings,
+        payments,
+        entitlements,
+        videoProgress,
+        chapterProgress,
+        quizAttempts,
+        submissions,
+        mentorshipBookings,
+        sessions
+      };
+    } catch (error) {
+      console.error('Error in exportUserData:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks that the signed-in user really wants their account erased. Accounts with a password
+   * must re-enter it; passwordless accounts (magic link) rely on the confirmation phrase alone.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @param {string} [password] - The user's current password.
+   * @returns {Promise<void>}
+   * @throws {Error} 401 INVALID_PASSWORD if the password is missing or wrong.
+   */
+  confirmErasure: async (supabase, userId, password) => {
+    try {
+      const { data: user, error } = await supabase
+        .from('users')
+        .select('password_hash')
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        console.error('Error fetching user for erasure:', error);
+        throw new Error(`Failed to confirm erasure: ${error.message}`);
+      }
+
+      if (!user.password_hash) {
+        return;
+      }
+
+      const isMatch = !!password && await passwordHasher.comparePassword(password, user.password_hash);
+      if (!isMatch) {
+        throw privacyError(401, 'INVALID_PASSWORD', 'Password is incorrect');
+      }
+    } catch (error) {
+      console.error('Error in confirmErasure:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Erases a user's personal data. The account row is anonymized rather than deleted because
+   * payments cascade on user deletion, and guest purchases and bookings keep their amounts,
+   * statuses and transaction references with the customer details scrubbed. Learning activity
+   * is deleted and every token is revoked. The erasure is recorded in data_erasures.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user to erase.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.requestedBy] - The UUID of whoever requested the erasure, defaults to the user.
+   * @param {string} [options.reason] - Why the account was erased, e.g. a support ticket reference.
+   * @returns {Promise<object>} The data_erasures record.
+   * @throws {Error} 404 USER_NOT_FOUND, 409 ALREADY_ERASED, or 400 ERASURE_NOT_ALLOWED for staff accounts.
+   */
+  eraseUser: async (supabase, userId, options = {}) => {
+    try {
+      const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('user_id, email, role, erased_at')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (userError) {
+        console.error('Error fetching user for erasure:', userError);
+        throw new Error(`Failed to erase user: ${userError.message}`);
+      }
+      if (!user) {
+        throw privacyError(404, 'USER_NOT_FOUND', 'User not found');
+      }
+      if (user.erased_at) {
+        throw privacyError(409, 'ALREADY_ERASED', 'This account has already been erased');
+      }
+      if (!ERASABLE_ROLES.includes(user.role)) {
+        throw privacyError(400, 'ERASURE_NOT_ALLOWED', `${user.role} accounts must be changed to STUDENT before they can be erased`);
+      }
+
+      const anonymizedEmail = erasedEmail(user.user_id);
+      const deleted = {};
+
+      for (const table of ERASED_ACTIVITY_TABLES) {
+        const { count, error } = await supabase
+          .from(table)
+          .delete({ count: 'exact' })
+          .eq('user_id', user.user_id);
+
+        if (error) {
+          console.error(`Error erasing ${table}:`, error);
+          throw new Error(`Failed to erase user: ${error.message}`);
+        }
+        deleted[table] = count || 0;
+      }
+
+      const { error: bookingsError } = await supabase
+        .from('mentorship_bookings')
+        .update({ zoom_link: null })
+        .eq('user_id', user.user_id);
+
+      if (bookingsError) {
+        console.error('Error scrubbing mentorship bookings:', bookingsError);
+        throw new Error(`Failed to erase user: ${bookingsError.message}`);
+      }
+
+      const { data: purchases, error: purchasesError } = await supabase
+        .from('guest_course_purchases')
+        .update({
+          customer_name: ERASED_NAME,
+          customer_email: anonymizedEmail,
+          customer_phone: null
+        })
+        .eq('customer_email', user.email)
+        .select('purchase_id');
+
+      if (purchasesError) {
+        console.error('Error anonymizing guest purchases:', purchasesError);
+        throw new Error(`Failed to erase user: ${purchasesError.message}`);
+      }
+
+      const { data: guestBookings, error: guestBookingsError } = await supabase
+        .from('guest_bookings')
+        .update({
+          customer_name: ERASED_NAME,
+          customer_email: anonymizedEmail,
+          customer_phone: '',
+          message: null,
+          meeting_link: null
+        })
+        .eq('customer_email', user.email)
+        .select('guest_booking_id');
+
+      if (guestBookingsError) {
+        console.error('Error anonymizing guest bookings:', guestBookingsError);
+        throw new Error(`Failed to erase user: ${guestBookingsError.message}`);
+      }
+
+      const { error: entitlementsError } = await supabase
+        .from('entitlements')
+        .update({ customer_email: anonymizedEmail })
+        .eq('customer_email', user.email);
+
+      if (entitlementsError) {
+        console.error('Error anonymizing entitlements:', entitlementsError);
+        throw new Error(`Failed to erase user: ${entitlementsError.message}`);
+      }
+
+      await tokenRevocationService.revokeAllForUser(supabase, user.user_id, 'ACCOUNT_ERASED');
+
+      const erasedAt = new Date().toISOString();
+
+      // GUEST is the only role allowed without a password, and is_active keeps the row from signing in
+      const { error: anonymizeError } = await supabase
+        .from('users')
+        .update({
+          email: anonymizedEmail,
+          first_name: 'Erased',
+          last_name: 'User',
+          password_hash: null,
+          salt: null,
+          role: 'GUEST',
+          is_active: false,
+          verified_at: null,
+          mfa_enabled: false,
+          mfa_secret: null,
+          mfa_enabled_at: null,
+          mfa_last_used_step: null,
+          erased_at: erasedAt
+        })
+        .eq('user_id', user.user_id);
+
+      if (anonymizeError) {
+        console.error('Error anonymizing user:', anonymizeError);
+        throw new Error(`Failed to erase user: ${anonymizeError.message}`);
+      }
+
+      const { data: erasure, error: recordError } = await supabase
+        .from('data_erasures')
+        .insert({
+          user_id: user.user_id,
+          requested_by: options.requestedBy || user.user_id,
+          reason: options.reason || null,
+          summary: {
+            deleted,
+            anonymizedGuestPurchases: (purchases || []).length,
+            anonymizedGuestBookings: (guestBookings || []).length
+          },
+          erased_at: erasedAt
+        })
+        .select('erasure_id, user_id, requested_by, reason, summary, erased_at')
+        .single();
+
+      if (recordError) {
+        console.error('Error recording erasure:', recordError);
+        throw new Error(`Failed to record erasure: ${recordError.message}`);
+      }
+
+      console.log(`Personal data of user ${user.user_id} erased (${erasure.erasure_id}).`);
+      return erasure;
+    } catch (error) {
+      console.error('Error in eraseUser:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = privacyService;
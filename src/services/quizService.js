@@ -1,4 +1,5 @@
 // src/services/quizService.js
+const instructorService = require('./instructorService');
 
 const quizService = {
   // --- Quiz Operations ---
@@ -7,11 +8,17 @@ const quizService = {
    * Creates a new quiz in the database.
    * @param {object} supabase - The Supabase client instance.
    * @param {object} quizInput - Input data for the quiz (chapterId, title, description, questionsData).
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Only allows adding quizzes to courses taught by this instructor.
    * @returns {Promise<object>} The newly created quiz object.
    * @throws {Error} If quiz creation fails.
    */
-  createQuiz: async (supabase, quizInput) => {
+  createQuiz: async (supabase, quizInput, options = {}) => {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsChapter(supabase, options.instructorId, quizInput.chapterId);
+      }
+
       const { data, error } = await supabase
         .from('quizzes')
         .insert([
@@ -81,7 +88,8 @@ const quizService = {
           chapters!inner ( 
             chapter_id, 
             title, 
-            course_id 
+            course_id,
+            is_free_preview
           )
         `)
         .eq('chapters.course_id', courseId)
@@ -132,11 +140,17 @@ const quizService = {
    * @param {object} supabase - The Supabase client instance.
    * @param {string} id - The UUID of the quiz to update.
    * @param {object} updates - Fields to update (title, description, questionsData).
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.instructorId] - Restricts the update to quizzes in courses taught by this instructor.
    * @returns {Promise<object>} The updated quiz object.
    * @throws {Error} If the update fails.
    */
-  updateQuiz: async (supabase, id, updates) => {
+  updateQuiz: async (supabase, id, updates, options = {}) => {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsQuiz(supabase, options.instructorId, id);
+      }
+
       const updateData = {};
       if (updates.title !== undefined) updateData.title = updates.title;
       if (updates.description !== undefined) updateData.description = updates.description;
@@ -0,0 +1,291 @@
+// src/services/refreshTokenService.js
+const crypto = require('crypto');
+
+// Refresh tokens live much longer than access tokens so the mobile app can keep students signed in
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+/**
+ * Builds an error the global error handler maps to a 401 response.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const unauthorizedError = (code, message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Marks the sessions matching the filters as ended. Sessions share their ID with a refresh token family,
+ * so every revocation below ends the matching sessions as well.
+ * @param {object} supabase - The Supabase client instance.
+ * @param {object} filters - Column/value pairs identifying the sessions.
+ * @param {string} reason - Why the sessions are ending.
+ * @returns {Promise<void>}
+ */
+const endSessions = async (supabase, filters, reason) => {
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .match(filters)
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error('Error ending sessions:', error);
+    throw new Error(`Failed to end sessions: ${error.message}`);
+  }
+};
+
+const refreshTokenService = {
+  /**
+   * Hashes a raw refresh token. Only the hash is ever stored in the database.
+   * @param {string} token - The raw refresh token.
+   * @returns {string} Hex encoded SHA-256 hash of the token.
+   */
+  hashToken: (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  },
+
+  /**
+   * Expiry of a refresh token issued now.
+   * @returns {Date}
+   */
+  getExpiryDate: () => {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  },
+
+  /**
+   * Issues a new refresh token for a user and stores its hash.
+   * A token without a familyId starts a new family. Logins pass their session ID as the family.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.familyId] - Family (session) the token belongs to.
+   * @param {string} [options.deviceId] - Client supplied device identifier.
+   * @param {string} [options.deviceName] - Human readable device name.
+   * @param {Date} [options.expiresAt] - Expiry, defaults to REFRESH_TOKEN_TTL_DAYS from now.
+   * @returns {Promise<{refreshToken: string, record: object}>} The raw token and the stored record.
+   */
+  issueToken: async (supabase, userId, options = {}) => {
+    try {
+      const refreshToken = crypto.randomBytes(48).toString('hex');
+      const expiresAt = options.expiresAt || refreshTokenService.getExpiryDate();
+
+      const { data: record, error } = await supabase
+        .from('refresh_tokens')
+        .insert({
+          user_id: userId,
+          token_hash: refreshTokenService.hashToken(refreshToken),
+          family_id: options.familyId || crypto.randomUUID(),
+          device_id: options.deviceId || null,
+          device_name: options.deviceName || null,
+          expires_at: expiresAt.toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error storing refresh token:', error);
+        throw new Error(`Failed to issue refresh token: ${error.message}`);
+      }
+
+      return { refreshToken, record };
+    } catch (error) {
+      console.error('Error in issueToken:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Exchanges a refresh token for a new one in the same family.
+   * Presenting a token that was already rotated is treated as theft: the whole family is revoked.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} refreshToken - The raw refresh token presented by the client.
+   * @returns {Promise<{userId: string, refreshToken: string, record: object}>} The owner and the replacement token.
+   * @throws {Error} If the token is unknown, expired, revoked or reused.
+   */
+  rotateToken: async (supabase, refreshToken) => {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('refresh_tokens')
+        .select('*')
+        .eq('token_hash', refreshTokenService.hashToken(refreshToken))
+        .single();
+
+      if (fetchError && fetchError.code !== 'PGRST116') {
+        console.error('Error fetching refresh token:', fetchError);
+        throw new Error(`Failed to verify refresh token: ${fetchError.message}`);
+      }
+
+      if (!existing) {
+        throw unauthorizedError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+      }
+
+      if (existing.revoked_at) {
+        // A rotated token is being replayed, so assume it leaked and kill every token descended from the same login
+        if (existing.replaced_by) {
+          console.warn(`Refresh token reuse detected for user ${existing.user_id}, revoking family ${existing.family_id}`);
+          await refreshTokenService.revokeFamily(supabase, existing.family_id, 'REUSE_DETECTED');
+          throw unauthorizedError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used. Please log in again.');
+        }
+        throw unauthorizedError('INVALID_REFRESH_TOKEN', 'Refresh token has been revoked');
+      }
+
+      if (new Date(existing.expires_at) <= new Date()) {
+        throw unauthorizedError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired. Please log in again.');
+      }
+
+      const { refreshToken: newToken, record } = await refreshTokenService.issueToken(supabase, existing.user_id, {
+        familyId: existing.family_id,
+        deviceId: existing.device_id,
+        deviceName: existing.device_name
+      });
+
+      // Only rotate if nobody else rotated this token in the meantime
+      const { data: rotated, error: updateError } = await supabase
+        .from('refresh_tokens')
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoked_reason: 'ROTATED',
+          replaced_by: record.token_id,
+          last_used_at: new Date().toISOString()
+        })
+        .eq('token_id', existing.token_id)
+        .is('revoked_at', null)
+        .select('token_id');
+
+      if (updateError) {
+        console.error('Error rotating refresh token:', updateError);
+        throw new Error(`Failed to rotate refresh token: ${updateError.message}`);
+      }
+
+      if (!rotated || rotated.length === 0) {
+        await refreshTokenService.revokeFamily(supabase, existing.family_id, 'REUSE_DETECTED');
+        throw unauthorizedError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used. Please log in again.');
+      }
+
+      return { userId: existing.user_id, refreshToken: newToken, record };
+    } catch (error) {
+      console.error('Error in rotateToken:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revokes every active token of a family.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} familyId - The family to revoke.
+   * @param {string} reason - Why the family is being revoked.
+   * @returns {Promise<void>}
+   */
+  revokeFamily: async (supabase, familyId, reason) => {
+    try {
+      const { error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('family_id', familyId)
+        .is('revoked_at', null);
+
+      if (error) {
+        console.error('Error revoking refresh token family:', error);
+        throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+      }
+
+      await endSessions(supabase, { session_id: familyId }, reason);
+    } catch (error) {
+      console.error('Error in revokeFamily:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revokes the active tokens a user holds on one device, so a fresh login replaces the old one.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @param {string} deviceId - Client supplied device identifier.
+   * @returns {Promise<void>}
+   */
+  revokeDeviceTokens: async (supabase, userId, deviceId) => {
+    try {
+      const { error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: 'NEW_LOGIN' })
+        .eq('user_id', userId)
+        .eq('device_id', deviceId)
+        .is('revoked_at', null);
+
+      if (error) {
+        console.error('Error revoking device refresh tokens:', error);
+        throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+      }
+
+      await endSessions(supabase, { user_id: userId, device_id: deviceId }, 'NEW_LOGIN');
+    } catch (error) {
+      console.error('Error in revokeDeviceTokens:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revokes the family of a refresh token presented at logout.
+   * Tokens that are unknown or belong to another user are ignored.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} refreshToken - The raw refresh token.
+   * @param {string} userId - The UUID of the user logging out.
+   * @param {string} reason - Why the token is being revoked.
+   * @returns {Promise<void>}
+   */
+  revokeToken: async (supabase, refreshToken, userId, reason) => {
+    try {
+      const { data: existing, error } = await supabase
+        .from('refresh_tokens')
+        .select('family_id')
+        .eq('token_hash', refreshTokenService.hashToken(refreshToken))
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching refresh token:', error);
+        throw new Error(`Failed to revoke refresh token: ${error.message}`);
+      }
+
+      if (existing) {
+        await refreshTokenService.revokeFamily(supabase, existing.family_id, reason);
+      }
+    } catch (error) {
+      console.error('Error in revokeToken:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revokes every active refresh token a user holds, on all devices.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @param {string} reason - Why the tokens are being revoked.
+   * @returns {Promise<void>}
+   */
+  revokeUserTokens: async (supabase, userId, reason) => {
+    try {
+      const { error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+      if (error) {
+        console.error('Error revoking user refresh tokens:', error);
+        throw new Error(`Failed to revoke refresh tokens: ${error.message}`);
+      }
+
+      await endSessions(supabase, { user_id: userId }, reason);
+    } catch (error) {
+      console.error('Error in revokeUserTokens:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = refreshTokenService;
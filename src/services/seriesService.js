@@ -0,0 +1,339 @@
+// src/services/seriesService.js
+
+const SERIES_SELECT = `
+  series_id,
+  title,
+  description,
+  cover_image_url,
+  created_at,
+  updated_at,
+  courses(course_id, title, thumbnail_url, price, level, video_part, is_published, publish_at, unpublish_at)
+`;
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @param {Array<string>} [details] - Extra information passed through to the response.
+ * @returns {Error}
+ */
+const seriesError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Whether a course is live right now, by the same rules as the course catalog.
+ * @param {object} course - Course with is_published, publish_at and unpublish_at.
+ * @param {Date} now - The moment to check.
+ * @returns {boolean}
+ */
+const isLive = (course, now) => {
+  const published = course.publish_at ? new Date(course.publish_at) <= now : course.is_published;
+  return published && (!course.unpublish_at || new Date(course.unpublish_at) > now);
+};
+
+/**
+ * Orders the parts of a series and, for the public, drops the ones that are not live.
+ * @param {object} series - Series row selected with SERIES_SELECT.
+ * @param {boolean} includeUnpublished - Keep parts that are not live.
+ * @returns {object}
+ */
+const withParts = (series, includeUnpublished) => {
+  const { courses, ...rest } = series;
+  const now = new Date();
+  const parts = (courses || [])
+    .filter(course => includeUnpublished || isLive(course, now))
+    .sort((a, b) => (a.video_part || 0) - (b.video_part || 0));
+
+  return { ...rest, parts, partCount: parts.length };
+};
+
+/**
+ * Turns a failed series insert or update into the error to throw, mapping a taken title to a 409.
+ * @param {object} error - Supabase error.
+ * @param {string} action - What failed, for the error message.
+ * @returns {Error}
+ */
+const seriesWriteError = (error, action) => {
+  if (error.code === '23505') {
+    return seriesError(409, 'SERIES_TITLE_TAKEN', 'Another series already has this title');
+  }
+  console.error(`Error trying to ${action} series:`, error);
+  return new Error(`Failed to ${action} series: ${error.message}`);
+};
+
+const seriesService = {
+  /**
+   * Lists series with their parts in order.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [options] - Optional settings.
+   * @param {boolean} [options.includeUnpublished=false] - Also list parts that are not live, and series without live parts.
+   * @returns {Promise<Array<object>>}
+   */
+  getSeries: async (supabase, options = {}) => {
+    try {
+      const { data, error } = await supabase
+        .from('series')
+        .select(SERIES_SELECT)
+        .order('title', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching series:', error);
+        throw new Error(`Failed to fetch series: ${error.message}`);
+      }
+
+      return (data || [])
+        .map(series => withParts(series, !!options.includeUnpublished))
+        .filter(series => options.includeUnpublished || series.partCount > 0);
+    } catch (error) {
+      console.error('Error in getSeries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Gets one series with its parts in order.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} seriesId - The UUID of the series.
+   * @param {object} [options] - Optional settings.
+   * @param {boolean} [options.includeUnpublished=false] - Also list parts that are not live.
+   * @returns {Promise<object|null>} The series, or null if it does not exist.
+   */
+  getSeriesById: async (supabase, seriesId, options = {}) => {
+    try {
+      const { data, error } = await supabase
+        .from('series')
+        .select(SERIES_SELECT)
+        .eq('series_id', seriesId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching series:', error);
+        throw new Error(`Failed to fetch series: ${error.message}`);
+      }
+
+      return data ? withParts(data, !!options.includeUnpublished) : null;
+    } catch (error) {
+      console.error('Error in getSeriesById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Finds a series by its title, the name stored in courses.video_series.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} title - The series title.
+   * @returns {Promise<object|null>} The series row without parts, or null.
+   */
+  getSeriesByTitle: async (supabase, title) => {
+    try {
+      const { data, error } = await supabase
+        .from('series')
+        .select('series_id, title, description, cover_image_url')
+        .eq('title', title.trim())
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching series by title:', error);
+        throw new Error(`Failed to fetch series: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getSeriesByTitle:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a series, optionally with its parts.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} seriesData - title, description, cover_image_url and optional course_ids in part order.
+   * @returns {Promise<object>} The created series.
+   * @throws {Error} 409 SERIES_TITLE_TAKEN, or 400 INVALID_SERIES if a course does not exist.
+   */
+  createSeries: async (supabase, seriesData) => {
+    try {
+      const { course_ids: courseIds, ...fields } = seriesData;
+
+      const { data: series, error } = await supabase
+        .from('series')
+        .insert(fields)
+        .select('series_id')
+        .single();
+
+      if (error) {
+        throw seriesWriteError(error, 'create');
+      }
+
+      if (courseIds && courseIds.length > 0) {
+        await seriesService.setParts(supabase, series.series_id, courseIds);
+      }
+
+      return await seriesService.getSeriesById(supabase, series.series_id, { includeUnpublished: true });
+    } catch (error) {
+      console.error('Error in createSeries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a series. A new title is copied to video_series of every part.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} seriesId - The UUID of the series.
+   * @param {object} updates - title, description and/or cover_image_url.
+   * @returns {Promise<object>} The updated series.
+   * @throws {Error} 404 SERIES_NOT_FOUND or 409 SERIES_TITLE_TAKEN.
+   */
+  updateSeries: async (supabase, seriesId, updates) => {
+    try {
+      const { data, error } = await supabase
+        .from('series')
+        .update(updates)
+        .eq('series_id', seriesId)
+        .select('series_id, title');
+
+      if (error) {
+        throw seriesWriteError(error, 'update');
+      }
+      if (!data || data.length === 0) {
+        throw seriesError(404, 'SERIES_NOT_FOUND', 'Series not found');
+      }
+
+      if (updates.title !== undefined) {
+        const { error: renameError } = await supabase
+          .from('courses')
+          .update({ video_series: data[0].title })
+          .eq('series_id', seriesId);
+
+        if (renameError) {
+          console.error('Error renaming series on its courses:', renameError);
+          throw new Error(`Failed to rename series: ${renameError.message}`);
+        }
+      }
+
+      return await seriesService.getSeriesById(supabase, seriesId, { includeUnpublished: true });
+    } catch (error) {
+      console.error('Error in updateSeries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sets which courses make up a series and in what order: the first course becomes Part 1 and so on.
+   * Courses left out are taken out of the series; courses that belonged to another series move over.
+   * Customers of the series are then given any part they gained.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} seriesId - The UUID of the series.
+   * @param {Array<string>} courseIds - The member course IDs in part order.
+   * @returns {Promise<object>} The series with its new parts.
+   * @throws {Error} 404 SERIES_NOT_FOUND, or 400 INVALID_SERIES for duplicate or unknown courses.
+   */
+  setParts: async (supabase, seriesId, courseIds) => {
+    try {
+      if (new Set(courseIds).size !== courseIds.length) {
+        throw seriesError(400, 'INVALID_SERIES', 'A course can only be in a series once');
+      }
+
+      const current = await seriesService.getSeriesById(supabase, seriesId, { includeUnpublished: true });
+      if (!current) {
+        throw seriesError(404, 'SERIES_NOT_FOUND', 'Series not found');
+      }
+
+      if (courseIds.length > 0) {
+        const { data: courses, error: coursesError } = await supabase
+          .from('courses')
+          .select('course_id')
+          .in('course_id', courseIds);
+
+        if (coursesError) {
+          console.error('Error checking series courses:', coursesError);
+          throw new Error(`Failed to save series parts: ${coursesError.message}`);
+        }
+
+        const missing = courseIds.filter(id => !courses.some(course => course.course_id === id));
+        if (missing.length > 0) {
+          throw seriesError(400, 'INVALID_SERIES', 'Some series courses do not exist', missing);
+        }
+      }
+
+      const removed = current.parts.filter(part => !courseIds.includes(part.course_id));
+      for (const part of removed) {
+        const { error } = await supabase
+          .from('courses')
+          .update({ series_id: null, video_part: 1 })
+          .eq('course_id', part.course_id);
+
+        if (error) {
+          console.error('Error removing course from series:', error);
+          throw new Error(`Failed to save series parts: ${error.message}`);
+        }
+      }
+
+      for (const [index, courseId] of courseIds.entries()) {
+        const { error } = await supabase
+          .from('courses')
+          .update({ series_id: seriesId, video_part: index + 1 })
+          .eq('course_id', courseId);
+
+        if (error) {
+          console.error('Error storing series part:', error);
+          throw new Error(`Failed to save series parts: ${error.message}`);
+        }
+      }
+
+      const added = courseIds.filter(id => !current.parts.some(part => part.course_id === id));
+      if (added.length > 0) {
+        try {
+          const seriesUnlockService = require('./seriesUnlockService');
+          await seriesUnlockService.runReconciliation(supabase, { seriesName: current.title, trigger: 'SERIES_UPDATED' });
+        } catch (unlockError) {
+          // The parts are saved either way; the admin series unlock can be re-run
+          console.error(`Error unlocking new parts of series "${current.title}":`, unlockError);
+        }
+      }
+
+      return await seriesService.getSeriesById(supabase, seriesId, { includeUnpublished: true });
+    } catch (error) {
+      console.error('Error in setParts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a series. Its courses stay, outside any series.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} seriesId - The UUID of the series.
+   * @returns {Promise<void>}
+   * @throws {Error} 404 SERIES_NOT_FOUND.
+   */
+  deleteSeries: async (supabase, seriesId) => {
+    try {
+      const { data, error } = await supabase
+        .from('series')
+        .delete()
+        .eq('series_id', seriesId)
+        .select('series_id');
+
+      if (error) {
+        console.error('Error deleting series:', error);
+        throw new Error(`Failed to delete series: ${error.message}`);
+      }
+      if (!data || data.length === 0) {
+        throw seriesError(404, 'SERIES_NOT_FOUND', 'Series not found');
+      }
+    } catch (error) {
+      console.error('Error in deleteSeries:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = seriesService;
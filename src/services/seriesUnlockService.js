@@ -0,0 +1,317 @@
+// src/services/seriesUnlockService.js
+const entitlementService = require('./entitlementService');
+
+// Grants written per database call when a reconciliation is applied
+const SERIES_UNLOCK_BATCH_SIZE = parseInt(process.env.SERIES_UNLOCK_BATCH_SIZE || '200', 10);
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+const RUN_TRIGGERS = ['ADMIN', 'COURSE_CREATED', 'COURSE_PUBLISHED', 'SERIES_UPDATED'];
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const seriesUnlockError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Reads every row of a query page by page.
+ * @param {function(number, number): object} buildQuery - Returns the Supabase query for a row range.
+ * @param {string} label - What is being fetched, for the error message.
+ * @returns {Promise<Array<object>>}
+ */
+const fetchAllPages = async (buildQuery, label) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`Error fetching ${label}:`, error);
+      throw new Error(`Failed to fetch ${label}: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+const seriesUnlockService = {
+  RUN_TRIGGERS,
+
+  /**
+   * Works out which customers are missing which parts of the series they bought into, without
+   * changing anything. Everything is read in a handful of paged queries and matched in memory.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [options] - Optional settings.
+   * @param {string} [options.seriesName] - Only reconcile this series.
+   * @param {string} [options.courseId] - Also grant this course even if it is not published yet.
+   * @returns {Promise<{customersChecked: number, grants: Array<object>}>} One grant per customer and missing course.
+   */
+  planReconciliation: async (supabase, options = {}) => {
+    try {
+      const purchases = await fetchAllPages((from, to) => {
+        let query = supabase
+          .from('guest_course_purchases')
+          .select('customer_email, customer_name, customer_phone, course_id, created_at, course:courses!inner(video_series)')
+          .eq('payment_status', 'PAID')
+          .not('course.video_series', 'is', null)
+          .neq('course.video_series', '')
+          .order('purchase_id', { ascending: true })
+          .range(from, to);
+        if (options.seriesName) {
+          query = query.eq('course.video_series', options.seriesName);
+        }
+        return query;
+      }, 'series purchases');
+
+      const courses = await fetchAllPages((from, to) => {
+        let query = supabase
+          .from('courses')
+          .select('course_id, title, video_series, video_part, is_published')
+          .not('video_series', 'is', null)
+          .neq('video_series', '')
+          .order('course_id', { ascending: true })
+          .range(from, to);
+        query = options.courseId
+          ? query.or(`is_published.eq.true,course_id.eq.${options.courseId}`)
+          : query.eq('is_published', true);
+        if (options.seriesName) {
+          query = query.eq('video_series', options.seriesName);
+        }
+        return query;
+      }, 'series courses');
+
+      const coursesBySeries = new Map();
+      courses.forEach(course => {
+        if (!coursesBySeries.has(course.video_series)) {
+          coursesBySeries.set(course.video_series, []);
+        }
+        coursesBySeries.get(course.video_series).push(course);
+      });
+
+      // Contact details come from each customer's latest purchase
+      const customers = new Map();
+      purchases.forEach(purchase => {
+        const email = purchase.customer_email;
+        if (!customers.has(email)) {
+          customers.set(email, { purchase, series: new Set(), owned: new Set() });
+        }
+        const customer = customers.get(email);
+        if (new Date(purchase.created_at) > new Date(customer.purchase.created_at)) {
+          customer.purchase = purchase;
+        }
+        customer.series.add(purchase.course.video_series);
+        customer.owned.add(purchase.course_id);
+      });
+
+      const grants = [];
+      for (const [email, customer] of customers) {
+        for (const series of customer.series) {
+          (coursesBySeries.get(series) || [])
+            .filter(course => !customer.owned.has(course.course_id))
+            .forEach(course => grants.push({
+              customerEmail: email,
+              customerName: customer.purchase.customer_name,
+              customerPhone: customer.purchase.customer_phone,
+              seriesName: series,
+              courseId: course.course_id,
+              courseTitle: course.title,
+              part: course.video_part
+            }));
+        }
+      }
+
+      grants.sort((a, b) => a.customerEmail.localeCompare(b.customerEmail)
+        || a.seriesName.localeCompare(b.seriesName)
+        || (a.part || 0) - (b.part || 0));
+
+      return { customersChecked: customers.size, grants };
+    } catch (error) {
+      console.error('Error in planReconciliation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reconciles series access and records the run. A dry run only stores the plan. Applying writes
+   * the missing SERIES_UNLOCK purchases in batches through apply_series_unlocks, which skips any
+   * customer who already owns the course and serialises concurrent runs, so running it again (or
+   * alongside the scheduler) never grants a course twice.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [options] - Optional settings.
+   * @param {boolean} [options.dryRun=false] - Only report what would change.
+   * @param {string} [options.seriesName] - Only reconcile this series.
+   * @param {string} [options.courseId] - Also grant this course even if it is not published yet.
+   * @param {string} [options.trigger='ADMIN'] - What started the run, one of RUN_TRIGGERS.
+   * @param {string} [options.triggeredBy] - The UUID of the admin who started it.
+   * @returns {Promise<object>} The finished run, with its changes.
+   */
+  runReconciliation: async (supabase, options = {}) => {
+    const dryRun = !!options.dryRun;
+
+    const { data: run, error: runError } = await supabase
+      .from('series_unlock_runs')
+      .insert({
+        mode: dryRun ? 'DRY_RUN' : 'APPLY',
+        trigger_source: options.trigger || 'ADMIN',
+        series_name: options.seriesName || null,
+        course_id: options.courseId || null,
+        triggered_by: options.triggeredBy || null
+      })
+      .select()
+      .single();
+
+    if (runError) {
+      console.error('Error recording series unlock run:', runError);
+      throw new Error(`Failed to start series unlock: ${runError.message}`);
+    }
+
+    const finishRun = async (fields) => {
+      const { data, error } = await supabase
+        .from('series_unlock_runs')
+        .update({ ...fields, finished_at: new Date().toISOString() })
+        .eq('run_id', run.run_id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error recording series unlock run result:', error);
+        throw new Error(`Failed to record series unlock run: ${error.message}`);
+      }
+      return data;
+    };
+
+    const applied = [];
+    try {
+      const plan = await seriesUnlockService.planReconciliation(supabase, options);
+
+      if (dryRun) {
+        return await finishRun({
+          status: 'COMPLETED',
+          customers_checked: plan.customersChecked,
+          grants_planned: plan.grants.length,
+          grants_applied: 0,
+          changes: plan.grants
+        });
+      }
+
+      // Generated here so the codes stay in the same format as every other purchase
+      const guestCoursePurchaseService = require('./guestCoursePurchaseService');
+
+      for (let start = 0; start < plan.grants.length; start += SERIES_UNLOCK_BATCH_SIZE) {
+        const batch = plan.grants.slice(start, start + SERIES_UNLOCK_BATCH_SIZE);
+
+        const { data: purchases, error } = await supabase.rpc('apply_series_unlocks', {
+          p_run_id: run.run_id,
+          p_grants: batch.map(grant => ({
+            course_id: grant.courseId,
+            customer_email: grant.customerEmail,
+            customer_name: grant.customerName,
+            customer_phone: grant.customerPhone,
+            access_code: guestCoursePurchaseService.generateAccessCode()
+          }))
+        });
+
+        if (error) {
+          console.error('Error applying series unlocks:', error);
+          throw new Error(`Failed to apply series unlocks: ${error.message}`);
+        }
+
+        await entitlementService.grantForPurchases(supabase, purchases || []);
+
+        (purchases || []).forEach(purchase => {
+          const grant = batch.find(item => item.customerEmail === purchase.customer_email && item.courseId === purchase.course_id);
+          applied.push({ ...grant, purchaseId: purchase.purchase_id });
+        });
+      }
+
+      console.log(`Series unlock run ${run.run_id}: ${applied.length} of ${plan.grants.length} planned courses granted.`);
+
+      return await finishRun({
+        status: 'COMPLETED',
+        customers_checked: plan.customersChecked,
+        grants_planned: plan.grants.length,
+        grants_applied: applied.length,
+        changes: applied
+      });
+    } catch (error) {
+      console.error('Error in runReconciliation:', error);
+      try {
+        await finishRun({ status: 'FAILED', error: error.message, grants_applied: applied.length, changes: applied });
+      } catch (recordError) {
+        // The original failure is the one worth reporting
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Lists past reconciliation runs, newest first, without their change lists.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} [options] - Optional settings.
+   * @param {number} [options.limit=50] - How many runs to return.
+   * @returns {Promise<Array<object>>}
+   */
+  getRuns: async (supabase, options = {}) => {
+    try {
+      const { data, error } = await supabase
+        .from('series_unlock_runs')
+        .select('run_id, mode, trigger_source, status, series_name, course_id, triggered_by, customers_checked, grants_planned, grants_applied, error, started_at, finished_at')
+        .order('started_at', { ascending: false })
+        .limit(options.limit || 50);
+
+      if (error) {
+        console.error('Error fetching series unlock runs:', error);
+        throw new Error(`Failed to fetch series unlock runs: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in getRuns:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Gets one reconciliation run with the customers and courses it granted (or would grant).
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} runId - The UUID of the run.
+   * @returns {Promise<object>}
+   * @throws {Error} 404 RUN_NOT_FOUND.
+   */
+  getRunById: async (supabase, runId) => {
+    try {
+      const { data, error } = await supabase
+        .from('series_unlock_runs')
+        .select('*')
+        .eq('run_id', runId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching series unlock run:', error);
+        throw new Error(`Failed to fetch series unlock run: ${error.message}`);
+      }
+      if (!data) {
+        throw seriesUnlockError(404, 'RUN_NOT_FOUND', 'Series unlock run not found');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getRunById:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = seriesUnlockService;
@@ -0,0 +1,249 @@
+// src/services/sessionService.js
+const refreshTokenService = require('./refreshTokenService');
+
+// Concurrent devices allowed when an account has no limit of its own (0 = unlimited)
+const DEFAULT_MAX_DEVICES = parseInt(process.env.MAX_DEVICES_PER_ACCOUNT || '0', 10);
+
+const SESSION_COLUMNS = 'session_id, device_id, device_name, platform, ip_address, user_agent, created_at, last_seen_at, expires_at';
+
+/**
+ * Builds an error the global error handler maps to the given status.
+ * @param {number} statusCode - HTTP status code.
+ * @param {string} code - Machine readable error code.
+ * @param {string} message - Human readable error message.
+ * @returns {Error}
+ */
+const sessionError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const sessionService = {
+  /**
+   * Resolves how many devices an account may be signed in on at once.
+   * @param {object} user - User row including max_devices.
+   * @returns {number|null} The limit, or null when unlimited.
+   */
+  getDeviceLimit: (user) => {
+    const limit = user.max_devices !== null && user.max_devices !== undefined ? user.max_devices : DEFAULT_MAX_DEVICES;
+    return limit > 0 ? limit : null;
+  },
+
+  /**
+   * Lists a user's sessions that are neither revoked nor expired, most recently used first.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @returns {Promise<Array<object>>} Active session records.
+   */
+  getActiveSessions: async (supabase, userId) => {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .select(SESSION_COLUMNS)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_seen_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching user sessions:', error);
+        throw new Error(`Failed to fetch sessions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in getActiveSessions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Records a new login. A login from a device that already has a session replaces it
+   * and does not count towards the device limit.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} user - User row including max_devices.
+   * @param {object} [device] - Details of the device signing in.
+   * @param {string} [device.deviceId] - Client supplied device identifier.
+   * @param {string} [device.deviceName] - Human readable device name.
+   * @param {string} [device.platform] - Client platform (e.g. 'ios', 'android', 'web').
+   * @param {string} [device.ipAddress] - IP address of the request.
+   * @param {string} [device.userAgent] - User agent of the request.
+   * @param {Date} expiresAt - When the session's refresh token expires.
+   * @returns {Promise<object>} The created session record.
+   * @throws {Error} 403 DEVICE_LIMIT_REACHED if the account is signed in on too many devices.
+   */
+  createSession: async (supabase, user, device = {}, expiresAt) => {
+    try {
+      const limit = sessionService.getDeviceLimit(user);
+
+      if (limit) {
+        const activeSessions = await sessionService.getActiveSessions(supabase, user.user_id);
+        const otherDevices = activeSessions.filter(session => !device.deviceId || session.device_id !== device.deviceId);
+
+        if (otherDevices.length >= limit) {
+          const error = sessionError(403, 'DEVICE_LIMIT_REACHED', `This account is already signed in on ${otherDevices.length} devices (limit ${limit}). Sign out on another device first.`);
+          error.details = { maxDevices: limit, activeSessions: otherDevices.length };
+          throw error;
+        }
+      }
+
+      // Replace any earlier login from the same device
+      if (device.deviceId) {
+        await refreshTokenService.revokeDeviceTokens(supabase, user.user_id, device.deviceId);
+      }
+
+      const now = new Date().toISOString();
+      const { data: session, error } = await supabase
+        .from('user_sessions')
+        .insert({
+          user_id: user.user_id,
+          device_id: device.deviceId || null,
+          device_name: device.deviceName || null,
+          platform: device.platform || null,
+          ip_address: device.ipAddress || null,
+          user_agent: device.userAgent || null,
+          created_at: now,
+          last_seen_at: now,
+          expires_at: expiresAt.toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating session:', error);
+        throw new Error(`Failed to create session: ${error.message}`);
+      }
+
+      return session;
+    } catch (error) {
+      console.error('Error in createSession:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a session's last seen details after its refresh token was rotated.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} sessionId - The session (refresh token family) ID.
+   * @param {object} details - Details to record.
+   * @param {string} [details.ipAddress] - IP address of the request.
+   * @param {string} details.expiresAt - Expiry of the new refresh token.
+   * @returns {Promise<void>}
+   */
+  touchSession: async (supabase, sessionId, details) => {
+    try {
+      const updates = {
+        last_seen_at: new Date().toISOString(),
+        expires_at: details.expiresAt
+      };
+      if (details.ipAddress) {
+        updates.ip_address = details.ipAddress;
+      }
+
+      const { error } = await supabase
+        .from('user_sessions')
+        .update(updates)
+        .eq('session_id', sessionId)
+        .is('revoked_at', null);
+
+      if (error) {
+        console.error('Error updating session:', error);
+        throw new Error(`Failed to update session: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('Error in touchSession:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Signs one of a user's devices out. Its refresh tokens stop working immediately,
+   * and so do access tokens issued for it.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user owning the session.
+   * @param {string} sessionId - The session to revoke.
+   * @param {string} reason - Why the session is being revoked.
+   * @returns {Promise<void>}
+   * @throws {Error} 404 SESSION_NOT_FOUND if the session does not exist, belongs to someone else or already ended.
+   */
+  revokeSession: async (supabase, userId, sessionId, reason) => {
+    try {
+      const { data: session, error } = await supabase
+        .from('user_sessions')
+        .select('session_id')
+        .eq('session_id', sessionId)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching session:', error);
+        throw new Error(`Failed to revoke session: ${error.message}`);
+      }
+
+      if (!session) {
+        throw sessionError(404, 'SESSION_NOT_FOUND', 'Session not found');
+      }
+
+      // Sessions and refresh token families share their ID
+      await refreshTokenService.revokeFamily(supabase, sessionId, reason);
+      console.log(`Session ${sessionId} of user ${userId} revoked (${reason}).`);
+    } catch (error) {
+      console.error('Error in revokeSession:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks whether the session an access token was issued for has ended.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} sessionId - The sid claim of the access token.
+   * @returns {Promise<boolean>} True if the session was revoked.
+   */
+  isSessionRevoked: async (supabase, sessionId) => {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('revoked_at')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error checking session:', error);
+      throw new Error(`Failed to check session: ${error.message}`);
+    }
+
+    return !!(data && data.revoked_at);
+  },
+
+  /**
+   * Sets how many devices an account may be signed in on at once. Existing sessions are kept;
+   * the limit applies to the next login.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @param {number|null} maxDevices - The limit, or null to fall back to the default.
+   * @returns {Promise<object>} The updated user (ID and limit).
+   */
+  setDeviceLimit: async (supabase, userId, maxDevices) => {
+    try {
+      const { data: user, error } = await supabase
+        .from('users')
+        .update({ max_devices: maxDevices, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .select('user_id, email, max_devices')
+        .single();
+
+      if (error || !user) {
+        throw sessionError(404, 'USER_NOT_FOUND', 'User not found');
+      }
+
+      return user;
+    } catch (error) {
+      console.error('Error in setDeviceLimit:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = sessionService;
@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const instructorService = require('./instructorService');
 
 class SubmissionService {
   /**
@@ -144,10 +145,16 @@ class SubmissionService {
    * @param {string} submissionId - Submission ID
    * @param {number} score - Score
    * @param {string} feedback - Feedback
+   * @param {Object} [options] - Optional settings
+   * @param {string} [options.instructorId] - Only allow grading submissions for this instructor's assignments
    * @returns {Promise<Object>} Updated submission
    */
-  async gradeSubmission(supabase, submissionId, score, feedback) {
+  async gradeSubmission(supabase, submissionId, score, feedback, options = {}) {
     try {
+      if (options.instructorId) {
+        await instructorService.assertOwnsSubmission(supabase, options.instructorId, submissionId);
+      }
+
       const { data, error } = await supabase
         .from('submissions')
         .update({
@@ -228,9 +235,16 @@ class SubmissionService {
     }
   }
 
-  async getAllSubmissions(supabase) {
+  /**
+   * Get all submissions across assignments (admin only)
+   * @param {Object} supabase - Supabase client
+   * @param {Object} [options] - Optional settings
+   * @param {string} [options.instructorId] - Only return submissions for this instructor's assignments
+   * @returns {Promise<Array>} Array of submissions
+   */
+  async getAllSubmissions(supabase, options = {}) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('submissions')
         .select(`
           submission_id,
@@ -257,8 +271,17 @@ class SubmissionService {
             description,
             max_score
           )
-        `)
-        .order('created_at', { ascending: false });
+        `);
+
+      if (options.instructorId) {
+        const assignmentIds = await instructorService.getAssignmentIds(supabase, options.instructorId);
+        if (assignmentIds.length === 0) {
+          return [];
+        }
+        query = query.in('assignment_id', assignmentIds);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) {
         console.error('Error fetching all submissions:', error);
@@ -0,0 +1,124 @@
+// src/services/tokenRevocationService.js
+const refreshTokenService = require('./refreshTokenService');
+const sessionService = require('./sessionService');
+const impersonationService = require('./impersonationService');
+
+const tokenRevocationService = {
+  /**
+   * Adds a single access token to the denylist until it would have expired anyway.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} decoded - Decoded JWT payload (must carry jti and exp).
+   * @param {string} reason - Why the token is being revoked (e.g. 'LOGOUT').
+   * @returns {Promise<void>}
+   */
+  revokeAccessToken: async (supabase, decoded, reason) => {
+    try {
+      // Tokens issued before jti was added cannot be denylisted individually
+      if (!decoded || !decoded.jti) {
+        return;
+      }
+
+      const { error } = await supabase
+        .from('revoked_tokens')
+        .upsert({
+          jti: decoded.jti,
+          user_id: decoded.id,
+          reason,
+          expires_at: new Date(decoded.exp * 1000).toISOString(),
+          revoked_at: new Date().toISOString()
+        }, { onConflict: 'jti' });
+
+      if (error) {
+        console.error('Error revoking access token:', error);
+        throw new Error(`Failed to revoke token: ${error.message}`);
+      }
+
+      // Entries for tokens that have expired on their own are no longer needed
+      const { error: purgeError } = await supabase
+        .from('revoked_tokens')
+        .delete()
+        .lt('expires_at', new Date().toISOString());
+
+      if (purgeError) {
+        console.error('Error purging expired revoked tokens:', purgeError);
+      }
+    } catch (error) {
+      console.error('Error in revokeAccessToken:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Invalidates every access and refresh token a user currently holds.
+   * Access tokens are cut off by moving the user's "tokens valid after" timestamp forward.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user.
+   * @param {string} reason - Why the tokens are being revoked (e.g. 'LOGOUT_ALL', 'ADMIN_FORCE_LOGOUT').
+   * @returns {Promise<void>}
+   */
+  revokeAllForUser: async (supabase, userId, reason) => {
+    try {
+      const { error } = await supabase
+        .from('users')
+        .update({ tokens_valid_after: new Date().toISOString() })
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error updating tokens_valid_after:', error);
+        throw new Error(`Failed to revoke tokens: ${error.message}`);
+      }
+
+      await refreshTokenService.revokeUserTokens(supabase, userId, reason);
+      console.log(`All tokens for user ${userId} revoked (${reason}).`);
+    } catch (error) {
+      console.error('Error in revokeAllForUser:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks whether a verified access token has been revoked.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {object} decoded - Decoded JWT payload.
+   * @param {object} user - The user row the token belongs to.
+   * @returns {Promise<boolean>} True if the token must be rejected.
+   */
+  isTokenRevoked: async (supabase, decoded, user) => {
+    // JWT iat has second precision, so a token issued in the same second as the revocation is rejected too
+    if (user.tokens_valid_after) {
+      const validAfter = Math.floor(new Date(user.tokens_valid_after).getTime() / 1000);
+      if (!decoded.iat || decoded.iat <= validAfter) {
+        return true;
+      }
+    }
+
+    // Signing a device out ends the access tokens issued for it as well
+    if (decoded.sid && await sessionService.isSessionRevoked(supabase, decoded.sid)) {
+      return true;
+    }
+
+    // Ending an impersonation early cuts off the tokens issued for it
+    if (decoded.imp && !(await impersonationService.isImpersonationActive(supabase, decoded.imp))) {
+      return true;
+    }
+
+    if (!decoded.jti) {
+      return false;
+    }
+
+    const { data, error } = await supabase
+      .from('revoked_tokens')
+      .select('jti')
+      .eq('jti', decoded.jti)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error checking revoked tokens:', error);
+      throw new Error(`Failed to check token revocation: ${error.message}`);
+    }
+
+    return !!data;
+  }
+};
+
+module.exports = tokenRevocationService;
@@ -1,4 +1,7 @@
 // src/services/userService.js
+const passwordHasher = require('../utils/passwordHasher');
+const loginAttemptService = require('./loginAttemptService');
+
 const userService = {
   /**
    * Retrieves a user by their ID from the database.
@@ -106,6 +109,24 @@ const userService = {
     }
   },
 
+  /**
+   * Lifts a login lockout and clears the failed attempt counter.
+   * @param {object} supabase - The Supabase client instance.
+   * @param {string} userId - The UUID of the user to unlock.
+   * @returns {Promise<object>} The user object.
+   */
+  unlockUserAccount: async (supabase, userId) => {
+    try {
+      const user = await userService.getUserById(supabase, userId);
+      await loginAttemptService.resetFailedAttempts(supabase, userId);
+      console.log(`User ${userId} unlocked by admin.`);
+      return user;
+    } catch (error) {
+      console.error('Error in unlockUserAccount:', error);
+      throw error;
+    }
+  },
+
   /**
    * Creates a user account from guest course purchase data
    * @param {object} supabase - The Supabase client instance.
@@ -132,16 +153,11 @@ const userService = {
         return existingUser;
       }
 
-                   // Generate random password
-             const password = Math.random().toString(36).substring(2, 12);
-             
-             // Hash the password
-             const bcrypt = require('bcrypt');
-             const saltRounds = 10;
-             const hashedPassword = await bcrypt.hash(password, saltRounds);
+                   // Generate a secure temporary password
+             const password = passwordHasher.generateTemporaryPassword();
              
-             // Generate salt (bcrypt includes salt in the hash, but we need a separate salt for the constraint)
-             const salt = Math.random().toString(36).substring(2, 15);
+             // Hash the password (the salt is stored separately to satisfy the users table constraint)
+             const { hashedPassword, salt } = await passwordHasher.hashPassword(password);
        
              // Parse customer name into first and last name
              const nameParts = purchaseData.customer_name.trim().split(' ');
@@ -158,7 +174,8 @@ const userService = {
                  first_name: first_name,
               last_name: last_name,
                  role: 'STUDENT',
-                 is_active: true
+                 is_active: true,
+                 must_change_password: true
                })
                .select('user_id, email, first_name, last_name, role, is_active')
                .single();
@@ -204,16 +221,11 @@ const userService = {
         throw new Error('User not found');
       }
 
-      // Generate new random password
-      const newPassword = Math.random().toString(36).substring(2, 12);
+      // Generate a new secure temporary password
+      const newPassword = passwordHasher.generateTemporaryPassword();
       
       // Hash the new password
-      const bcrypt = require('bcrypt');
-      const saltRounds = 10;
-      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
-      
-      // Generate new salt
-      const newSalt = Math.random().toString(36).substring(2, 15);
+      const { hashedPassword, salt: newSalt } = await passwordHasher.hashPassword(newPassword);
 
       // Update user with new password and change role to STUDENT
       const { data: updatedUser, error: updateError } = await supabase
@@ -222,6 +234,7 @@ const userService = {
           password_hash: hashedPassword,
           salt: newSalt,
           role: 'STUDENT', // Change role from GUEST to STUDENT
+          must_change_password: true, // New temporary password must be replaced on next login
           updated_at: new Date().toISOString()
         })
         .eq('user_id', existingUser.user_id)
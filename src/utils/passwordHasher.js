@@ -1,7 +1,10 @@
 // src/utils/passwordHasher.js
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const SALT_ROUNDS = 10; // Recommended salt rounds for bcrypt
+// Temporary passwords skip look-alike characters (0/O, 1/l/I) since users type them from an email
+const TEMP_PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
 
 const passwordHasher = {
   /**
@@ -35,6 +38,19 @@ const passwordHasher = {
       console.error('Error comparing password:', error);
       throw new Error('Failed to compare password.');
     }
+  },
+
+  /**
+   * Generates a temporary password using a cryptographically secure random source.
+   * @param {number} [length=12] - Number of characters in the password.
+   * @returns {string} The plain text temporary password.
+   */
+  generateTemporaryPassword: (length = 12) => {
+    let password = '';
+    for (let i = 0; i < length; i++) {
+      password += TEMP_PASSWORD_ALPHABET[crypto.randomInt(TEMP_PASSWORD_ALPHABET.length)];
+    }
+    return password;
   }
 };
 
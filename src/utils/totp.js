@@ -0,0 +1,126 @@
+// src/utils/totp.js
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.MFA_ISSUER || 'Detailers University';
+
+// Secrets are encrypted at rest; fall back to a key derived from JWT_SECRET if no dedicated key is set
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || `mfa:${process.env.JWT_SECRET}`)
+  .digest();
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const totp = {
+  /**
+   * Generates a new random base32 TOTP secret.
+   * @returns {string} Base32 encoded 160-bit secret.
+   */
+  generateSecret: () => base32Encode(crypto.randomBytes(20)),
+
+  /**
+   * Builds the otpauth:// URI authenticator apps read from a QR code.
+   * @param {string} secret - Base32 encoded secret.
+   * @param {string} accountName - Label shown in the authenticator app (usually the email).
+   * @returns {string} The provisioning URI.
+   */
+  getProvisioningUri: (secret, accountName) => {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  },
+
+  /**
+   * Checks a code against the current time step and one step either side to allow for clock drift.
+   * @param {string} secret - Base32 encoded secret.
+   * @param {string} code - The code entered by the user.
+   * @returns {number|null} The matching time step, or null if the code is wrong.
+   */
+  verifyCode: (secret, code) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+      const expected = generateCodeForStep(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Encrypts a secret for storage (AES-256-GCM).
+   * @param {string} secret - Base32 encoded secret.
+   * @returns {string} iv:authTag:ciphertext, hex encoded.
+   */
+  encryptSecret: (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+  },
+
+  /**
+   * Decrypts a secret produced by encryptSecret.
+   * @param {string} stored - iv:authTag:ciphertext, hex encoded.
+   * @returns {string} Base32 encoded secret.
+   */
+  decryptSecret: (stored) => {
+    const [iv, authTag, encrypted] = stored.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+  }
+};
+
+module.exports = totp;